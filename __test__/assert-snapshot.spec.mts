@@ -0,0 +1,91 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+import test from "ava";
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+
+import { loadSource } from "../index.js";
+import { assertMatchesSnapshot, initTestingBackend } from "../testing.js";
+
+initTestingBackend();
+
+const source = `
+export component App {
+    in property <color> color: #808080;
+
+    Rectangle {
+        background: color;
+    }
+}
+`;
+
+function createApp() {
+    const ui = loadSource(source, "assert-snapshot.slint") as any;
+    const app = new ui.App();
+    app.window.physicalSize = { width: 16, height: 8 };
+    return app;
+}
+
+function tempDir(): string {
+    return fs.mkdtempSync(path.join(os.tmpdir(), "slint-snapshot-"));
+}
+
+test("a missing reference image is written and the assertion passes", async (t) => {
+    const dir = tempDir();
+    const referencePath = path.join(dir, "golden/app.png");
+
+    await assertMatchesSnapshot(createApp(), referencePath);
+    t.true(fs.existsSync(referencePath));
+
+    await t.notThrowsAsync(assertMatchesSnapshot(createApp(), referencePath));
+
+    fs.rmSync(dir, { recursive: true });
+});
+
+test("differing pixels fail the assertion and are written to the diff image", async (t) => {
+    const dir = tempDir();
+    const referencePath = path.join(dir, "app.png");
+    await assertMatchesSnapshot(createApp(), referencePath);
+
+    const app = createApp();
+    app.color = "#848080";
+
+    await t.throwsAsync(assertMatchesSnapshot(app, referencePath), {
+        message: /^128 of 128 pixels of the snapshot differ from the reference image .*app\.png by more than 0\./,
+    });
+    t.true(fs.existsSync(path.join(dir, "app.diff.png")));
+
+    const diffPath = path.join(dir, "custom-diff.png");
+    await t.throwsAsync(assertMatchesSnapshot(app, referencePath, { diffPath }));
+    t.true(fs.existsSync(diffPath));
+
+    fs.rmSync(dir, { recursive: true });
+});
+
+test("differences within the tolerance pass", async (t) => {
+    const dir = tempDir();
+    const referencePath = path.join(dir, "app.png");
+    await assertMatchesSnapshot(createApp(), referencePath);
+
+    const app = createApp();
+    app.color = "#848080";
+
+    await t.notThrowsAsync(assertMatchesSnapshot(app, referencePath, { tolerance: 4 }));
+    await t.throwsAsync(assertMatchesSnapshot(app, referencePath, { tolerance: 3 }));
+
+    fs.rmSync(dir, { recursive: true });
+});
+
+test("snapshots of a different size fail the assertion", async (t) => {
+    const dir = tempDir();
+    const referencePath = path.join(dir, "app.png");
+    await assertMatchesSnapshot(createApp(), referencePath);
+
+    await t.throwsAsync(assertMatchesSnapshot(createApp(), referencePath, { size: { width: 8, height: 8 } }), {
+        message: /^The snapshot has the size 8x8, but the reference image .*app\.png has the size 16x8\./,
+    });
+
+    fs.rmSync(dir, { recursive: true });
+});
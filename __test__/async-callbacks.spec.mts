@@ -0,0 +1,215 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+import test from "ava";
+
+import { asyncCallback, loadSource } from "../index.js";
+import { initTestingBackend } from "../testing.js";
+
+initTestingBackend();
+
+const source = `
+export struct User {
+    name: string,
+    age: int,
+}
+
+export global Store {
+    in-out property <bool> saving;
+    in-out property <int> saved-count;
+    callback save(string) -> int;
+}
+
+export component App {
+    in-out property <User> user;
+    in-out property <bool> loading;
+    in-out property <string> last-loaded;
+    callback load-user(int) -> User;
+    callback user-loaded(User);
+    callback count() -> int;
+}
+`;
+
+function createApp(properties?: any) {
+    const ui = loadSource(source, "async-callbacks.slint") as any;
+    return new ui.App(properties);
+}
+
+// Returns a promise together with the functions that settle it.
+function deferred<T>() {
+    let resolve!: (value: T) => void;
+    let reject!: (error: unknown) => void;
+    const promise = new Promise<T>((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    return { promise, resolve, reject };
+}
+
+// Waits until the reactions to settled promises have run.
+function settle() {
+    return new Promise((resolve) => setImmediate(resolve));
+}
+
+test("async callbacks return the default value and set the result property", async (t) => {
+    const app = createApp();
+
+    const pending = deferred<any>();
+    const ids: number[] = [];
+    app.load_user = asyncCallback((id: number) => {
+        ids.push(id);
+        return pending.promise;
+    }, { result: "user" });
+
+    t.deepEqual(app.load_user(7), { name: "", age: 0 });
+    t.deepEqual(ids, [7]);
+    t.deepEqual(app.user, { name: "", age: 0 });
+
+    pending.resolve({ name: "Ada", age: 36 });
+    await settle();
+    t.deepEqual(app.user, { name: "Ada", age: 36 });
+});
+
+test("the completed callback is invoked with the resolved value", async (t) => {
+    const app = createApp();
+
+    const loaded: any[] = [];
+    app.user_loaded = (user: any) => loaded.push(user);
+    app.load_user = asyncCallback(async () => ({ name: "Grace", age: 45 }), { completed: "user_loaded" });
+
+    app.load_user(1);
+    t.deepEqual(loaded, []);
+
+    await settle();
+    t.deepEqual(loaded, [{ name: "Grace", age: 45 }]);
+});
+
+test("the busy property is true while the promise is pending", async (t) => {
+    const app = createApp();
+
+    const pending = deferred<any>();
+    app.load_user = asyncCallback(() => pending.promise, { result: "user", busy: "loading" });
+
+    t.false(app.loading);
+    app.load_user(1);
+    t.true(app.loading);
+
+    pending.resolve({ name: "Ada", age: 36 });
+    await settle();
+    t.false(app.loading);
+});
+
+test("async callbacks that return other values behave like plain callbacks", (t) => {
+    const app = createApp();
+
+    app.count = asyncCallback(() => 42, { busy: "loading" });
+    t.is(app.count(), 42);
+    t.false(app.loading);
+});
+
+test("async callbacks are accepted as initial values of callbacks", async (t) => {
+    const app = createApp({
+        "load-user": asyncCallback(async (id: number) => ({ name: `user ${id}`, age: 1 }), { result: "user" }),
+    });
+
+    app.load_user(3);
+    await settle();
+    t.deepEqual(app.user, { name: "user 3", age: 1 });
+});
+
+test("the same function can be used with different options", async (t) => {
+    const app = createApp();
+
+    const load = async () => ({ name: "Ada", age: 36 });
+    const loaded: any[] = [];
+    app.user_loaded = (user: any) => loaded.push(user);
+
+    app.load_user = asyncCallback(load, { completed: "user_loaded" });
+    app.load_user(1);
+    await settle();
+    t.deepEqual(app.user, { name: "", age: 0 });
+    t.is(loaded.length, 1);
+
+    app.load_user = asyncCallback(load, { result: "user" });
+    app.load_user(1);
+    await settle();
+    t.deepEqual(app.user, { name: "Ada", age: 36 });
+    t.is(loaded.length, 1);
+});
+
+test("rejected promises are passed to the error handler", async (t) => {
+    const app = createApp();
+
+    const errors: [unknown, string][] = [];
+    app.onError((error: unknown, callback: string) => errors.push([error, callback]));
+
+    const error = new Error("not found");
+    app.load_user = asyncCallback(() => Promise.reject(error), { result: "user", busy: "loading" });
+    app.load_user(1);
+    await settle();
+
+    t.deepEqual(errors, [[error, "load-user"]]);
+    t.false(app.loading);
+    t.deepEqual(app.user, { name: "", age: 0 });
+});
+
+test("misspelled names in the options throw when the callback is set", (t) => {
+    const app = createApp();
+
+    t.throws(() => { app.load_user = asyncCallback(async () => ({}), { result: "usr" }); }, {
+        message: "Property usr not found in the component",
+    });
+    t.throws(() => { app.load_user = asyncCallback(async () => ({}), { completed: "user_loadd" }); }, {
+        message: "Callback user_loadd not found in the component",
+    });
+});
+
+test("async callbacks of globals refer to the properties of the global", async (t) => {
+    const app = createApp();
+
+    const pending = deferred<number>();
+    app.Store.save = asyncCallback(() => pending.promise, { result: "saved_count", busy: "saving" });
+
+    t.is(app.Store.save("draft"), 0);
+    t.true(app.Store.saving);
+
+    pending.resolve(5);
+    await settle();
+    t.is(app.Store.saved_count, 5);
+    t.false(app.Store.saving);
+});
+
+test("trackBusy keeps the property true until all promises are settled", async (t) => {
+    const app = createApp();
+
+    const first = deferred<string>();
+    const second = deferred<string>();
+
+    t.is(app.trackBusy("loading", first.promise), first.promise);
+    app.trackBusy("loading", second.promise).catch(() => {});
+    t.true(app.loading);
+
+    first.resolve("done");
+    await settle();
+    t.true(app.loading);
+
+    second.reject(new Error("failed"));
+    await settle();
+    t.false(app.loading);
+});
+
+test("trackBusy works with the properties of globals", async (t) => {
+    const app = createApp();
+
+    const pending = deferred<void>();
+    app.Store.trackBusy("saving", pending.promise);
+    t.true(app.Store.saving);
+
+    pending.resolve();
+    await settle();
+    t.false(app.Store.saving);
+
+    t.throws(() => app.Store.trackBusy("busy", Promise.resolve()), {
+        message: "Property busy of global Store not found in the component",
+    });
+});
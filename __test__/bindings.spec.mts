@@ -0,0 +1,187 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+import test from "ava";
+
+import { loadSource, private_api } from "../index.js";
+import { initTestingBackend } from "../testing.js";
+
+initTestingBackend();
+
+const source = `
+export global Settings {
+    in-out property <string> greeting: "Hello";
+    in-out property <string> message;
+}
+
+export component App {
+    in-out property <string> first-name: "Ada";
+    in-out property <string> last-name: "Lovelace";
+    in-out property <string> full-name;
+    in-out property <int> length;
+}
+`;
+
+test("the property is set to the return value of the binding", (t) => {
+    const ui = loadSource(source, "bindings.slint") as any;
+    const app = new ui.App();
+
+    app.setBinding("full_name", () => app.first_name + " " + app.last_name);
+    t.is(app.full_name, "Ada Lovelace");
+});
+
+test("the binding is updated when its dependencies change", (t) => {
+    const ui = loadSource(source, "bindings.slint") as any;
+    const app = new ui.App();
+
+    let evaluations = 0;
+    app.setBinding("full_name", () => {
+        ++evaluations;
+        return app.first_name + " " + app.last_name;
+    });
+
+    app.first_name = "Grace";
+    app.last_name = "Hopper";
+    // Reading a property evaluates the bindings whose dependencies changed.
+    t.is(app.full_name, "Grace Hopper");
+    t.is(evaluations, 2);
+
+    app.first_name = "Alan";
+    private_api.mock_elapsed_time(1);
+    t.is(evaluations, 3);
+    t.is(app.full_name, "Alan Hopper");
+});
+
+test("bindings can depend on other bindings", (t) => {
+    const ui = loadSource(source, "bindings.slint") as any;
+    const app = new ui.App();
+
+    app.setBinding("full_name", () => app.first_name + " " + app.last_name);
+    app.setBinding("length", () => app.full_name.length);
+    t.is(app.length, 12);
+
+    app.first_name = "Augusta Ada";
+    t.is(app.length, 20);
+});
+
+test("globals provide bindings for their properties", (t) => {
+    const ui = loadSource(source, "bindings.slint") as any;
+    const app = new ui.App();
+
+    app.Settings.setBinding("message", () => `${app.Settings.greeting}, ${app.first_name}!`);
+    t.is(app.Settings.message, "Hello, Ada!");
+
+    app.Settings.greeting = "Goodbye";
+    t.is(app.Settings.message, "Goodbye, Ada!");
+});
+
+test("assigning a value removes the binding", (t) => {
+    const ui = loadSource(source, "bindings.slint") as any;
+    const app = new ui.App();
+
+    app.setBinding("full_name", () => app.first_name);
+    app.full_name = "Fixed";
+
+    app.first_name = "Grace";
+    t.is(app.full_name, "Fixed");
+});
+
+test("the returned function removes the binding and keeps the value", (t) => {
+    const ui = loadSource(source, "bindings.slint") as any;
+    const app = new ui.App();
+
+    const remove = app.setBinding("full_name", () => app.first_name);
+    remove();
+
+    app.first_name = "Grace";
+    t.is(app.full_name, "Ada");
+});
+
+test("setting a binding again replaces the previous one", (t) => {
+    const ui = loadSource(source, "bindings.slint") as any;
+    const app = new ui.App();
+
+    const remove = app.setBinding("full_name", () => app.first_name);
+    app.setBinding("full_name", () => app.last_name);
+    t.is(app.full_name, "Lovelace");
+
+    // Removing the replaced binding doesn't affect the current one.
+    remove();
+    app.last_name = "Byron";
+    t.is(app.full_name, "Byron");
+});
+
+test("errors of the first evaluation are thrown by setBinding", (t) => {
+    const ui = loadSource(source, "bindings.slint") as any;
+    const app = new ui.App();
+
+    t.throws(() => app.setBinding("length", () => "not a number"), { instanceOf: TypeError });
+    t.throws(() => app.setBinding("missing", () => 0), { message: "Property missing not found in the component" });
+});
+
+test("errors of evaluations before a property is read are passed to the error handler", (t) => {
+    const ui = loadSource(source, "bindings.slint") as any;
+    const app = new ui.App();
+
+    const errors: [any, string][] = [];
+    app.onError((error: unknown, callback: string) => errors.push([error, callback]));
+
+    app.setBinding("full_name", () => {
+        if (app.first_name === "") {
+            throw new Error("no first name");
+        }
+        return app.first_name;
+    });
+    app.setBinding("length", () => (app.first_name === "" ? "empty" : app.first_name.length));
+
+    app.first_name = "";
+    t.is(app.last_name, "Lovelace");
+    t.is(app.full_name, "Ada");
+
+    t.deepEqual(errors.map(([, callback]) => callback), ["setBinding(full_name)", "setBinding(length)"]);
+    t.is(errors[0][0].message, "no first name");
+    t.true(errors[1][0] instanceof TypeError);
+    t.is(errors[1][0].message, `length: expected int, but got "empty"`);
+});
+
+test("reading a property evaluates the bindings of its component instance only", (t) => {
+    const ui = loadSource(source, "bindings.slint") as any;
+    const first = new ui.App();
+    const second = new ui.App();
+
+    let evaluations = 0;
+    first.setBinding("full_name", () => {
+        ++evaluations;
+        return first.first_name + " " + first.last_name;
+    });
+
+    first.first_name = "Grace";
+    t.is(second.full_name, "");
+    t.is(evaluations, 1);
+
+    t.is(first.full_name, "Grace Lovelace");
+    t.is(evaluations, 2);
+});
+
+test("errors of evaluations from the event loop are passed to the error handler", (t) => {
+    const ui = loadSource(source, "bindings.slint") as any;
+    const app = new ui.App();
+
+    const errors: [unknown, string][] = [];
+    app.onError((error: unknown, callback: string) => errors.push([error, callback]));
+
+    app.setBinding("length", () => (app.first_name === "" ? "empty" : app.first_name.length));
+    app.Settings.setBinding("message", () => {
+        if (app.first_name === "") {
+            throw new Error("no first name");
+        }
+        return app.first_name;
+    });
+
+    app.first_name = "";
+    private_api.mock_elapsed_time(1);
+
+    t.deepEqual(errors.map(([, callback]) => callback).sort(), ["Settings.setBinding(message)", "setBinding(length)"]);
+    t.is(app.length, 3);
+    t.is(app.Settings.message, "Ada");
+});
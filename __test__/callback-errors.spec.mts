@@ -0,0 +1,125 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+import test from "ava";
+
+import { loadSource } from "../index.js";
+import { initTestingBackend } from "../testing.js";
+
+initTestingBackend();
+
+const source = `
+export enum Level { info, warning }
+
+export struct Entry {
+    text: string,
+    level: Level,
+}
+
+export global Logger {
+    callback format(string) -> string;
+}
+
+export component App {
+    callback count() -> int;
+    callback label() -> string;
+    callback entry() -> Entry;
+    callback notify();
+
+    out property <int> counted: count();
+    public function formatted(text: string) -> string { return Logger.format(text); }
+}
+`;
+
+function createApp() {
+    const ui = loadSource(source, "callback-errors.slint") as any;
+    const app = new ui.App();
+    const errors: [unknown, string][] = [];
+    app.onError((error: unknown, callback: string) => errors.push([error, callback]));
+    return { app, errors };
+}
+
+test("exceptions of callbacks are passed to the error handler", (t) => {
+    const { app, errors } = createApp();
+
+    const error = new Error("notify failed");
+    app.notify = () => { throw error; };
+
+    t.notThrows(() => app.notify());
+    t.deepEqual(errors, [[error, "notify"]]);
+});
+
+test("callbacks that throw return the default value of their return type", (t) => {
+    const { app, errors } = createApp();
+
+    app.count = () => { throw new Error("count failed"); };
+    app.label = () => { throw new Error("label failed"); };
+    app.entry = () => { throw new Error("entry failed"); };
+
+    t.is(app.count(), 0);
+    t.is(app.label(), "");
+    t.deepEqual(app.entry(), { text: "", level: "info" });
+    t.deepEqual(errors.map(([, callback]) => callback), ["count", "label", "entry"]);
+});
+
+test("return values of the wrong type are passed to the error handler as TypeErrors", (t) => {
+    const { app, errors } = createApp();
+
+    app.label = () => 42;
+    t.is(app.label(), "");
+
+    t.is(errors.length, 1);
+    const [error, callback] = errors[0];
+    t.true(error instanceof TypeError);
+    t.is((error as TypeError).message, "return value of label: expected string, but got 42");
+    t.is(callback, "label");
+});
+
+test("exceptions of callbacks that Slint invokes are passed to the error handler", (t) => {
+    const { app, errors } = createApp();
+
+    app.count = () => { throw new Error("count failed"); };
+    t.is(app.counted, 0);
+    t.deepEqual(errors.map(([, callback]) => callback), ["count"]);
+});
+
+test("exceptions of global callbacks are passed to the error handler with the name of the global", (t) => {
+    const { app, errors } = createApp();
+
+    app.Logger.format = () => { throw new Error("format failed"); };
+    t.is(app.formatted("hello"), "");
+    t.deepEqual(errors.map(([, callback]) => callback), ["Logger.format"]);
+});
+
+test("changing the error handler affects the callbacks that are already set", (t) => {
+    const { app } = createApp();
+
+    app.notify = () => { throw new Error("notify failed"); };
+
+    const errors: string[] = [];
+    app.onError((_error: unknown, callback: string) => errors.push(callback));
+    app.notify();
+    t.deepEqual(errors, ["notify"]);
+});
+
+test("exceptions of the error handler don't reach the caller of the callback", (t) => {
+    const { app } = createApp();
+
+    app.count = () => { throw new Error("count failed"); };
+    app.onError(() => { throw new Error("handler failed"); });
+
+    // The exception of the handler is reported as an uncaught exception instead.
+    const uncaught: unknown[] = [];
+    const listeners = process.listeners("uncaughtException");
+    process.removeAllListeners("uncaughtException");
+    process.on("uncaughtException", (error) => uncaught.push(error));
+    try {
+        t.is(app.count(), 0);
+    } finally {
+        process.removeAllListeners("uncaughtException");
+        listeners.forEach((listener) => process.on("uncaughtException", listener));
+    }
+
+    t.is(uncaught.length, 1);
+    t.is((uncaught[0] as Error).message, "handler failed");
+});
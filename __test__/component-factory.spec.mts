@@ -0,0 +1,117 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+import test from "ava";
+
+import { loadSource } from "../index.js";
+import { initTestingBackend } from "../testing.js";
+
+// ComponentContainer and the component-factory type are experimental.
+process.env.SLINT_ENABLE_EXPERIMENTAL_FEATURES = "1";
+
+initTestingBackend();
+
+const mainSource = `
+export component Main {
+    in property <component-factory> panel;
+
+    Rectangle {
+        background: white;
+    }
+
+    ComponentContainer {
+        width: 100%;
+        height: 100%;
+        component-factory: root.panel;
+    }
+}
+`;
+
+const panelSource = `
+export component Panel {
+    in property <color> color: red;
+
+    Rectangle {
+        background: color;
+    }
+}
+`;
+
+function createMain(properties?: any) {
+    const main = new (loadSource(mainSource, "main.slint") as any).Main(properties);
+    main.window.physicalSize = { width: 10, height: 10 };
+    return main;
+}
+
+// The embedded instances are created when the container is laid out, so render the window to create them.
+function centerPixel(main: any): number[] {
+    const snapshot = main.window.takeSnapshot();
+    const offset = (5 * snapshot.width + 5) * 4;
+    return Array.from(snapshot.data.subarray(offset, offset + 4));
+}
+
+test("component constructors are embedded", (t) => {
+    const plugin = loadSource(panelSource, "panel.slint") as any;
+    const main = createMain();
+
+    t.deepEqual(centerPixel(main), [255, 255, 255, 255]);
+
+    main.panel = plugin.Panel;
+    t.deepEqual(centerPixel(main), [255, 0, 0, 255]);
+
+    main.panel = null;
+    t.deepEqual(centerPixel(main), [255, 255, 255, 255]);
+});
+
+test("component constructors are accepted as initial properties", (t) => {
+    const plugin = loadSource(panelSource, "panel.slint") as any;
+    const main = createMain({ panel: plugin.Panel });
+
+    t.deepEqual(centerPixel(main), [255, 0, 0, 255]);
+});
+
+test("embedded instances are initialized", (t) => {
+    const plugin = loadSource(panelSource, "panel.slint") as any;
+    const main = createMain();
+
+    const instances: any[] = [];
+    main.panel = {
+        component: plugin.Panel,
+        initialize: (panel: any) => {
+            instances.push(panel);
+            panel.color = "#0000ff";
+        },
+    };
+
+    t.deepEqual(centerPixel(main), [0, 0, 255, 255]);
+    t.is(instances.length, 1);
+    t.true("color" in instances[0]);
+});
+
+test("exceptions of initialize are passed to the error handler and the instance is shown", (t) => {
+    const plugin = loadSource(panelSource, "panel.slint") as any;
+    const main = createMain();
+
+    const errors: [unknown, string][] = [];
+    main.onError((error: unknown, callback: string) => errors.push([error, callback]));
+
+    const error = new Error("initialize failed");
+    main.panel = {
+        component: plugin.Panel,
+        initialize: () => { throw error; },
+    };
+
+    t.deepEqual(centerPixel(main), [255, 0, 0, 255]);
+    t.deepEqual(errors, [[error, "panel.initialize"]]);
+});
+
+test("values that aren't components are rejected", (t) => {
+    const main = createMain();
+
+    t.throws(() => { main.panel = {}; }, {
+        message: "Cannot convert value to a component factory, expected a component or a ComponentDefinition",
+    });
+    t.throws(() => { main.panel = { component: {}, initialize: 42 }; }, {
+        message: "The initialize property of a component factory must be a function",
+    });
+});
@@ -0,0 +1,126 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+import test from "ava";
+
+import { describeComponent, loadSource } from "../index.js";
+import { initTestingBackend } from "../testing.js";
+
+initTestingBackend();
+
+const source = `
+export enum Mode { view, edit }
+
+export struct Entry {
+    label: string,
+    created-at: int,
+}
+
+export global Theme {
+    in-out property <brush> accent;
+    out property <length> spacing: 4px;
+}
+
+component Base {
+    in property <string> caption;
+}
+
+export component App inherits Base {
+    in property <int> count;
+    out property <float> ratio;
+    in-out property <length> font-size;
+    in-out property <duration> delay;
+    in-out property <angle> rotation;
+    in-out property <percent> progress;
+    in-out property <physical-length> border;
+    in-out property <relative-font-size> scale;
+    in-out property <bool> enabled;
+    in-out property <color> tint;
+    in-out property <image> icon;
+    in-out property <Mode> mode;
+    in-out property <[Entry]> entries;
+    in-out property <component-factory> content;
+
+    callback activated(Entry, int) -> bool;
+    callback closed();
+    public function total() -> int { return count; }
+}
+`;
+
+function describe() {
+    return describeComponent((loadSource(source, "describe.slint") as any).App);
+}
+
+test("the description names the component and its globals", (t) => {
+    const description = describe();
+    t.is(description.name, "App");
+    t.deepEqual(Object.keys(description.globals), ["Theme"]);
+});
+
+test("properties are described with their visibility", (t) => {
+    const { members } = describe();
+
+    t.deepEqual(members["count"], { kind: "number", integer: true, visibility: "in" });
+    t.deepEqual(members["ratio"], { kind: "number", visibility: "out" });
+    t.deepEqual(members["enabled"], { kind: "bool", visibility: "in-out" });
+    t.is(members["caption"].visibility, "in");
+    t.is(members["tint"].kind, "color");
+    t.is(members["icon"].kind, "image");
+    t.is(members["content"].kind, "component-factory");
+});
+
+test("numbers are described with their unit", (t) => {
+    const { members } = describe();
+
+    t.is(members["font-size"].unit, "length");
+    t.is(members["delay"].unit, "duration");
+    t.is(members["rotation"].unit, "angle");
+    t.is(members["progress"].unit, "percent");
+    t.is(members["border"].unit, "physical-length");
+    t.is(members["scale"].unit, "relative-font-size");
+    t.is(members["count"].unit, undefined);
+});
+
+test("structs, arrays and enums are described", (t) => {
+    const { members } = describe();
+
+    t.deepEqual(members["mode"], { kind: "enum", name: "Mode", values: ["view", "edit"], visibility: "in-out" });
+    t.deepEqual(members["entries"], {
+        kind: "array",
+        elementType: {
+            kind: "struct",
+            name: "Entry",
+            fields: {
+                created_at: { kind: "number", integer: true },
+                label: { kind: "string" },
+            },
+        },
+        visibility: "in-out",
+    });
+});
+
+test("callbacks and functions are described with their signature", (t) => {
+    const { members } = describe();
+
+    const activated = members["activated"];
+    t.is(activated.kind, "callback");
+    t.deepEqual(activated.args?.map((arg) => arg.kind), ["struct", "number"]);
+    t.deepEqual(activated.returnType, { kind: "bool" });
+    t.is(activated.visibility, undefined);
+
+    t.deepEqual(members["closed"], { kind: "callback", args: [] });
+    t.deepEqual(members["total"], { kind: "function", args: [], returnType: { kind: "number", integer: true } });
+});
+
+test("properties of globals are described", (t) => {
+    const { globals } = describe();
+
+    t.deepEqual(globals["Theme"]["accent"], { kind: "brush", visibility: "in-out" });
+    t.deepEqual(globals["Theme"]["spacing"], { kind: "number", unit: "length", visibility: "out" });
+});
+
+test("only component constructors are described", (t) => {
+    t.throws(() => describeComponent(() => {}), {
+        message: "describeComponent() expects the constructor of a component loaded from a .slint file",
+    });
+});
@@ -0,0 +1,84 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+import test from "ava";
+
+import { loadSource, private_api } from "../index.js";
+import { initTestingBackend } from "../testing.js";
+
+initTestingBackend();
+
+const source = `
+export enum Priority { low, medium, high }
+
+export struct Task {
+    title: string,
+    priority: Priority,
+}
+
+export component App {
+    in-out property <Priority> priority;
+    in-out property <Task> task;
+    in-out property <TextHorizontalAlignment> alignment;
+    callback next(Priority) -> Priority;
+}
+`;
+
+test("enum properties round-trip as the names of their values", (t) => {
+    const ui = loadSource(source, "enums.slint") as any;
+    const app = new ui.App();
+
+    t.is(app.priority, "low");
+
+    app.priority = "high";
+    t.is(app.priority, "high");
+
+    app.alignment = "center";
+    t.is(app.alignment, "center");
+});
+
+test("enum fields of structs round-trip", (t) => {
+    const ui = loadSource(source, "enums.slint") as any;
+    const app = new ui.App();
+
+    app.task = { title: "Write tests", priority: "medium" };
+    t.deepEqual(app.task, { title: "Write tests", priority: "medium" });
+});
+
+test("enum arguments and return values of callbacks are converted", (t) => {
+    const ui = loadSource(source, "enums.slint") as any;
+    const app = new ui.App();
+
+    app.next = (priority: string) => (priority === "low" ? "medium" : "high");
+    t.is(app.next("low"), "medium");
+    t.is(app.next("medium"), "high");
+});
+
+test("setting a string that isn't a value of the enum throws", (t) => {
+    const ui = loadSource(source, "enums.slint") as any;
+    const app = new ui.App();
+
+    t.throws(() => { app.priority = "urgent"; }, {
+        instanceOf: TypeError,
+        message: /urgent is not a value of enum Priority, expected one of: low, medium, high/,
+    });
+    t.is(app.priority, "low");
+});
+
+test("the definition lists the values of the enums", (t) => {
+    const compiler = new private_api.ComponentCompiler();
+    const definition = compiler.buildFromSource(source, "enums.slint");
+    t.not(definition, null);
+
+    const enums = definition!.enums;
+    t.deepEqual(enums["Priority"], ["low", "medium", "high"]);
+    t.deepEqual(enums["TextHorizontalAlignment"], ["left", "center", "right"]);
+});
+
+test("the value type of enum properties is Enumeration", (t) => {
+    const compiler = new private_api.ComponentCompiler();
+    const definition = compiler.buildFromSource(source, "enums.slint");
+
+    const priority = definition!.properties.find((property) => property.name === "priority");
+    t.is(priority?.valueType, private_api.ValueType.Enumeration);
+});
@@ -0,0 +1,58 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+import test from "ava";
+import * as fs from "node:fs";
+import { fileURLToPath } from "node:url";
+
+import { quitEventLoop, runEventLoop } from "../index.js";
+
+// The event loop is global, so the tests must not run concurrently.
+
+test.serial("runEventLoop resolves when quitEventLoop is called from the running callback", async (t) => {
+    let running = false;
+    await runEventLoop(() => {
+        running = true;
+        quitEventLoop();
+    });
+    t.true(running);
+});
+
+test.serial("Node.js timers fire while the event loop is running", async (t) => {
+    const start = Date.now();
+    await runEventLoop(() => {
+        setTimeout(quitEventLoop, 50);
+    });
+    t.true(Date.now() - start >= 50);
+});
+
+test.serial("Node.js I/O completes while the event loop is running", async (t) => {
+    let contents = "";
+    await runEventLoop(() => {
+        fs.promises.readFile(fileURLToPath(import.meta.url), "utf8").then((data) => {
+            contents = data;
+            quitEventLoop();
+        });
+    });
+    t.true(contents.includes("Node.js I/O completes"));
+});
+
+test.serial("quitEventLoop called before the loop waits for events is honored", async (t) => {
+    const promise = runEventLoop();
+    quitEventLoop();
+    await promise;
+    t.pass();
+});
+
+test.serial("runEventLoop returns the same promise while the loop is running", async (t) => {
+    const first = runEventLoop();
+    const second = runEventLoop();
+    t.is(first, second);
+
+    quitEventLoop();
+    await first;
+
+    const third = runEventLoop(quitEventLoop);
+    t.not(third, first);
+    await third;
+});
@@ -0,0 +1,131 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+import test from "ava";
+
+import { loadSource } from "../index.js";
+import { findElement, findElements, initTestingBackend } from "../testing.js";
+
+initTestingBackend();
+
+const source = `
+component Button {
+    in property <string> text;
+    callback clicked;
+
+    accessible-role: button;
+    accessible-label: text;
+
+    TouchArea {
+        clicked => { root.clicked(); }
+    }
+}
+
+export component App {
+    width: 300px;
+    height: 200px;
+
+    in-out property <int> ok-clicks;
+    in-out property <[string]> items: ["a", "b"];
+    in-out property <string> name;
+
+    ok := Button {
+        x: 10px;
+        y: 10px;
+        width: 100px;
+        height: 40px;
+        text: "OK";
+        clicked => { ok-clicks += 1; }
+    }
+
+    Button {
+        x: 120px;
+        y: 10px;
+        width: 100px;
+        height: 40px;
+        text: "Cancel";
+    }
+
+    for item[index] in items: Text {
+        x: 10px;
+        y: 60px + index * 20px;
+        text: item;
+        accessible-role: text;
+        accessible-label: item;
+    }
+
+    input := TextInput {
+        x: 10px;
+        y: 150px;
+        width: 200px;
+        height: 30px;
+        text <=> name;
+        accessible-role: text-input;
+    }
+}
+`;
+
+test("elements are found by accessible role, in declaration order", (t) => {
+    const ui = loadSource(source, "find.slint") as any;
+    const app = new ui.App();
+
+    const buttons = findElements(app, { accessibleRole: "button" });
+    t.deepEqual(buttons.map((button) => button.accessibleLabel), ["OK", "Cancel"]);
+});
+
+test("elements are found by accessible label and by id", (t) => {
+    const ui = loadSource(source, "find.slint") as any;
+    const app = new ui.App();
+
+    t.is(findElement(app, { accessibleRole: "button", accessibleLabel: "Cancel" }).accessibleLabel, "Cancel");
+    t.is(findElement(app, { id: "ok" }).accessibleLabel, "OK");
+    t.is(findElement(app, { id: "input" }).accessibleRole, "text-input");
+});
+
+test("elements report their geometry", (t) => {
+    const ui = loadSource(source, "find.slint") as any;
+    const app = new ui.App();
+
+    const cancel = findElement(app, { accessibleLabel: "Cancel" });
+    t.is(cancel.absolutePosition.x, 120);
+    t.is(cancel.absolutePosition.y, 10);
+    t.is(cancel.size.width, 100);
+    t.is(cancel.size.height, 40);
+});
+
+test("elements created by repeaters are found while they exist", (t) => {
+    const ui = loadSource(source, "find.slint") as any;
+    const app = new ui.App();
+
+    const texts = findElements(app, { accessibleRole: "text" });
+    t.deepEqual(texts.map((text) => text.accessibleLabel), ["a", "b"]);
+
+    app.items = ["c"];
+    t.deepEqual(findElements(app, { accessibleRole: "text" }).map((text) => text.accessibleLabel), ["c"]);
+    t.false(texts[1].isValid);
+    t.throws(() => texts[1].accessibleLabel);
+});
+
+test("findElement throws unless exactly one element matches", (t) => {
+    const ui = loadSource(source, "find.slint") as any;
+    const app = new ui.App();
+
+    t.throws(() => findElement(app, { accessibleRole: "button" }), {
+        message: `2 elements match accessible role "button", expected one`,
+    });
+    t.throws(() => findElement(app, { accessibleRole: "button", accessibleLabel: "Apply" }), {
+        message: `No element matches accessible role "button" and accessible label "Apply"`,
+    });
+    t.deepEqual(findElements(app, { id: "missing" }), []);
+});
+
+test("elements are clicked and receive text input", (t) => {
+    const ui = loadSource(source, "find.slint") as any;
+    const app = new ui.App();
+
+    findElement(app, { id: "ok" }).click();
+    t.is(app.ok_clicks, 1);
+
+    findElement(app, { id: "input" }).typeText("Ada");
+    t.is(app.name, "Ada");
+});
@@ -0,0 +1,82 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+import test from "ava";
+
+import { loadSource, private_api } from "../index.js";
+import { initTestingBackend } from "../testing.js";
+
+initTestingBackend();
+
+const source = `
+export global Logic {
+    public pure function format-price(cents: int) -> string {
+        return "$" + (cents / 100);
+    }
+}
+
+export component App {
+    in-out property <int> counter;
+
+    public function increment(step: int) -> int {
+        counter += step;
+        return counter;
+    }
+
+    public function reset() {
+        counter = 0;
+    }
+
+    function hidden() {}
+}
+`;
+
+test("public functions are methods of the component", (t) => {
+    const ui = loadSource(source, "functions.slint") as any;
+    const app = new ui.App();
+
+    t.is(app.increment(2), 2);
+    t.is(app.increment(3), 5);
+    t.is(app.counter, 5);
+
+    t.is(app.reset(), undefined);
+    t.is(app.counter, 0);
+});
+
+test("public functions of globals are methods of the global", (t) => {
+    const ui = loadSource(source, "functions.slint") as any;
+    const app = new ui.App();
+
+    t.is(app.Logic.format_price(1250), "$12.5");
+});
+
+test("private functions aren't exposed", (t) => {
+    const ui = loadSource(source, "functions.slint") as any;
+    const app = new ui.App();
+
+    t.is(app.hidden, undefined);
+
+    const definition = new private_api.ComponentCompiler().buildFromSource(source, "functions.slint")!;
+    t.deepEqual(definition.functions, ["increment", "reset"]);
+    t.deepEqual(definition.globalFunctions("Logic"), ["format-price"]);
+});
+
+test("functions can't be replaced", (t) => {
+    const ui = loadSource(source, "functions.slint") as any;
+    const app = new ui.App();
+
+    t.throws(() => { app.increment = () => 0; }, { instanceOf: TypeError });
+    t.is(app.increment(1), 1);
+});
+
+test("arguments of the wrong type or count are rejected", (t) => {
+    const ui = loadSource(source, "functions.slint") as any;
+    const app = new ui.App();
+
+    t.throws(() => app.increment("two"), {
+        instanceOf: TypeError,
+        message: `increment.arguments[0]: expected int, but got "two"`,
+    });
+    t.throws(() => app.increment(), { message: "increment expect 1 arguments, but 0 where provided" });
+    t.is(app.counter, 0);
+});
@@ -0,0 +1,80 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+import test from "ava";
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { CompileError } from "../index.js";
+import { generateDeclarations, writeDeclarations } from "../generate-dts.js";
+
+const dirname = path.dirname(fileURLToPath(import.meta.url));
+const slintFile = path.join(dirname, "resources/dts.slint");
+
+test("declares the properties, callbacks and functions of the component", (t) => {
+    const declarations = generateDeclarations(slintFile, { quiet: true });
+
+    t.true(declarations.includes(`import type { Brush, ComponentHandle, EmbeddedComponent, ImageData, Model, RgbaColor } from "slint-ui";`));
+    t.true(declarations.includes("export interface AppProperties {\n"));
+    t.true(declarations.includes("    counter?: number;\n"));
+    t.true(declarations.includes("    tasks?: Model<Task> | Array<Task>;\n"));
+    t.true(declarations.includes("    item_clicked?: (arg0: Task) => boolean;\n"));
+    t.true(declarations.includes("export interface App extends ComponentHandle {\n"));
+    t.true(declarations.includes("    readonly total: number;\n"));
+    t.true(declarations.includes("    reset(arg0: number): string;\n"));
+    t.true(declarations.includes("export declare const App: {\n    new (properties?: AppProperties): App;\n};\n"));
+});
+
+test("out properties and functions aren't initial properties", (t) => {
+    const declarations = generateDeclarations(slintFile, { quiet: true });
+    const properties = declarations.slice(declarations.indexOf("export interface AppProperties {"));
+
+    t.false(properties.slice(0, properties.indexOf("}")).includes("total"));
+    t.false(properties.slice(0, properties.indexOf("}")).includes("reset"));
+});
+
+test("declares the structs, enums and globals", (t) => {
+    const declarations = generateDeclarations(slintFile, { quiet: true });
+
+    t.true(declarations.includes("export interface Task {\n    priority: Priority;\n    title: string;\n}\n"));
+    t.true(declarations.includes(`export type Priority = "low" | "high";\n`));
+    t.true(declarations.includes("    readonly Logic: {\n        status: string;\n"));
+    t.true(declarations.includes("export declare function Task(fields?: Partial<Task>): Task;\n"));
+    t.true(declarations.includes(`export declare const Priority: {\n    readonly low: "low";\n    readonly high: "high";\n};\n`));
+});
+
+test("declares every exported component", (t) => {
+    const declarations = generateDeclarations(slintFile, { quiet: true });
+
+    t.true(declarations.includes("export interface BadgeProperties {\n    text?: string;\n}\n"));
+    t.true(declarations.includes("export declare const Badge: {\n    new (properties?: BadgeProperties): Badge;\n};\n"));
+    t.true(declarations.includes("export declare const App: {\n"));
+});
+
+test("writes the declarations next to the .slint file", (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "slint-dts-"));
+    try {
+        const copy = path.join(directory, "dts.slint");
+        fs.copyFileSync(slintFile, copy);
+
+        const output = writeDeclarations(copy, undefined, { quiet: true });
+        t.is(output, copy + ".d.ts");
+        t.is(fs.readFileSync(output, "utf8"), generateDeclarations(copy, { quiet: true }));
+    } finally {
+        fs.rmSync(directory, { recursive: true });
+    }
+});
+
+test("throws compile errors", (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "slint-dts-"));
+    try {
+        const file = path.join(directory, "error.slint");
+        fs.writeFileSync(file, "export component App { in property <int> counter: \"text\"; }");
+
+        t.throws(() => generateDeclarations(file, { quiet: true }), { instanceOf: CompileError });
+    } finally {
+        fs.rmSync(directory, { recursive: true });
+    }
+});
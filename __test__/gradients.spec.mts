@@ -0,0 +1,122 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+import test from "ava";
+
+import { loadSource, private_api } from "../index.js";
+import { initTestingBackend } from "../testing.js";
+
+initTestingBackend();
+
+const source = `
+export component App {
+    in-out property <brush> background;
+    out property <brush> declared: @linear-gradient(90deg, #ff0000 0%, #0000ff 100%);
+}
+`;
+
+const red = { red: 255, green: 0, blue: 0, alpha: 255 };
+const blue = { red: 0, green: 0, blue: 255, alpha: 255 };
+
+test("gradients declared in .slint files are read as structured objects", (t) => {
+    const ui = loadSource(source, "gradients.slint") as any;
+    const app = new ui.App();
+
+    const brush = app.declared as private_api.SlintBrush;
+    t.is(brush.radialGradient, null);
+    t.deepEqual(brush.linearGradient, {
+        angle: 90,
+        stops: [
+            { color: red, position: 0 },
+            { color: blue, position: 1 },
+        ],
+    });
+});
+
+test("linear gradients are set from CSS strings", (t) => {
+    const ui = loadSource(source, "gradients.slint") as any;
+    const app = new ui.App();
+
+    app.background = "linear-gradient(90deg, red 0%, blue 100%)";
+    t.deepEqual(app.background.linearGradient, {
+        angle: 90,
+        stops: [
+            { color: red, position: 0 },
+            { color: blue, position: 1 },
+        ],
+    });
+
+    app.background = "linear-gradient(to top, red, blue)";
+    t.is(app.background.linearGradient.angle, 0);
+});
+
+test("radial gradients are set from CSS strings", (t) => {
+    const ui = loadSource(source, "gradients.slint") as any;
+    const app = new ui.App();
+
+    app.background = "radial-gradient(circle, red 0%, blue 100%)";
+    t.is(app.background.linearGradient, null);
+
+    const gradient = app.background.radialGradient;
+    t.is(gradient.center.x, 0.5);
+    t.is(gradient.center.y, 0.5);
+    t.deepEqual(gradient.stops, [
+        { color: red, position: 0 },
+        { color: blue, position: 1 },
+    ]);
+});
+
+test("gradients are set from objects", (t) => {
+    const ui = loadSource(source, "gradients.slint") as any;
+    const app = new ui.App();
+
+    app.background = {
+        linearGradient: {
+            angle: 45,
+            stops: [
+                { color: red, position: 0 },
+                { color: blue, position: 0.5 },
+            ],
+        },
+    };
+    t.deepEqual(app.background.linearGradient, {
+        angle: 45,
+        stops: [
+            { color: red, position: 0 },
+            { color: blue, position: 0.5 },
+        ],
+    });
+
+    app.background = { radialGradient: { stops: [{ color: blue, position: 0 }] } };
+    t.deepEqual(app.background.radialGradient.stops, [{ color: blue, position: 0 }]);
+});
+
+test("undefined and null gradients of brush objects are ignored", (t) => {
+    const ui = loadSource(source, "gradients.slint") as any;
+    const app = new ui.App();
+
+    app.background = { linearGradient: undefined, radialGradient: null, color: red };
+    t.deepEqual(app.background.color, red);
+    t.is(app.background.linearGradient, null);
+
+    app.background = { linearGradient: null, radialGradient: { stops: [{ color: blue, position: 0 }] } };
+    t.deepEqual(app.background.radialGradient.stops, [{ color: blue, position: 0 }]);
+
+    app.background = { linearGradient: undefined, radialGradient: undefined };
+    t.true(app.background.isTransparent);
+});
+
+test("brushes are created from CSS strings", (t) => {
+    const brush = private_api.SlintBrush.fromString("linear-gradient(180deg, #ff0000 0%, #0000ff 100%)");
+    t.is(brush.linearGradient?.angle, 180);
+    t.is(brush.toString(), "linear-gradient(180deg, rgba(255, 0, 0, 255) 0%, rgba(0, 0, 255, 255) 100%)");
+
+    t.deepEqual(private_api.SlintBrush.fromString("red").color, red);
+});
+
+test("invalid gradients throw", (t) => {
+    const ui = loadSource(source, "gradients.slint") as any;
+    const app = new ui.App();
+
+    t.throws(() => { app.background = "linear-gradient(90deg, nocolor 0%)"; });
+});
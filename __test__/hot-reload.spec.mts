@@ -0,0 +1,114 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+import test from "ava";
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+
+import { loadFile } from "../index.js";
+import { initTestingBackend } from "../testing.js";
+
+initTestingBackend();
+
+function writeApp(dir: string, label: string, counterType = "int") {
+    fs.writeFileSync(path.join(dir, "main.slint"), `
+export component App {
+    in-out property <${counterType}> counter;
+    out property <string> label: "${label}";
+    callback clicked() -> string;
+    public function click() -> string { return clicked(); }
+}
+`);
+}
+
+// Waits for the watcher to notice the change, and for the reload that follows it.
+async function waitFor(condition: () => boolean) {
+    for (let i = 0; i < 50 && !condition(); ++i) {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+}
+
+// Collects what is printed with console.error while f runs.
+async function captureErrors(f: () => Promise<void>): Promise<string> {
+    const original = console.error;
+    let output = "";
+    console.error = (...args: any[]) => {
+        output += args.map((arg) => String(arg)).join(" ") + "\n";
+    };
+    try {
+        await f();
+    } finally {
+        console.error = original;
+    }
+    return output;
+}
+
+function tempDir(): string {
+    return fs.mkdtempSync(path.join(os.tmpdir(), "slint-hot-reload-"));
+}
+
+test.serial("changes are applied to live components, keeping their state", async (t) => {
+    const dir = tempDir();
+    writeApp(dir, "v1");
+
+    const ui = loadFile(path.join(dir, "main.slint"), { watch: true }) as any;
+    const app = new ui.App();
+    app.counter = 42;
+    app.clicked = () => "from JavaScript";
+    t.is(app.label, "v1");
+
+    writeApp(dir, "v2");
+    await waitFor(() => app.label === "v2");
+
+    t.is(app.label, "v2");
+    t.is(app.counter, 42);
+    t.is(app.click(), "from JavaScript");
+
+    // Components created after the reload use the new definition.
+    t.is(new ui.App().label, "v2");
+
+    fs.rmSync(dir, { recursive: true });
+});
+
+test.serial("compile errors keep the running version and the files watched", async (t) => {
+    const dir = tempDir();
+    writeApp(dir, "v1");
+
+    const ui = loadFile(path.join(dir, "main.slint"), { watch: true }) as any;
+    const app = new ui.App();
+
+    const errors = await captureErrors(async () => {
+        fs.writeFileSync(path.join(dir, "main.slint"), "export component App { in-out property <int> counter: ; }");
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+    });
+
+    t.true(errors.includes("failed, keeping the running version"));
+    t.true(errors.includes("main.slint:1:"));
+    t.is(app.label, "v1");
+
+    writeApp(dir, "v2");
+    await waitFor(() => app.label === "v2");
+    t.is(app.label, "v2");
+
+    fs.rmSync(dir, { recursive: true });
+});
+
+test.serial("state that can't be transferred is reported", async (t) => {
+    const dir = tempDir();
+    writeApp(dir, "v1");
+
+    const ui = loadFile(path.join(dir, "main.slint"), { watch: true }) as any;
+    const app = new ui.App();
+    app.counter = 42;
+
+    const errors = await captureErrors(async () => {
+        writeApp(dir, "v2", "string");
+        await waitFor(() => app.label === "v2");
+    });
+
+    t.is(app.label, "v2");
+    t.true(errors.includes("failed to transfer property counter"));
+
+    fs.rmSync(dir, { recursive: true });
+});
@@ -0,0 +1,127 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+import test from "ava";
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+import * as zlib from "node:zlib";
+import Jimp from "jimp";
+
+import { encodePng, loadImageFromBuffer, loadImageFromFile, loadSource } from "../index.js";
+import { initTestingBackend } from "../testing.js";
+
+initTestingBackend();
+
+const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="10" viewBox="0 0 20 10">
+    <rect width="20" height="10" fill="#ff0000"/>
+</svg>`;
+
+// A PNG image of 3x2 pixels: a red row and a blue row.
+async function createPng(): Promise<Buffer> {
+    const image = new Jimp(3, 2);
+    image.bitmap.data.set([255, 0, 0, 255, 255, 0, 0, 255, 255, 0, 0, 255, 0, 0, 255, 255, 0, 0, 255, 255, 0, 0, 255, 255]);
+    return image.getBufferAsync(Jimp.MIME_PNG);
+}
+
+test("PNG images are decoded from buffers", async (t) => {
+    const image = loadImageFromBuffer(await createPng());
+    t.is(image.width, 3);
+    t.is(image.height, 2);
+    t.deepEqual(Array.from(image.data.subarray(0, 4)), [255, 0, 0, 255]);
+    t.deepEqual(Array.from(image.data.subarray(12, 16)), [0, 0, 255, 255]);
+});
+
+test("JPEG images are decoded from buffers", async (t) => {
+    const jpeg = await new Jimp(8, 4, 0xff0000ff).getBufferAsync(Jimp.MIME_JPEG);
+    const image = loadImageFromBuffer(new Uint8Array(jpeg));
+    t.is(image.width, 8);
+    t.is(image.height, 4);
+});
+
+test("SVG images are rendered at their natural size or at the given size", (t) => {
+    const data = Buffer.from(svg);
+
+    const natural = loadImageFromBuffer(data);
+    t.is(natural.width, 20);
+    t.is(natural.height, 10);
+
+    const scaled = loadImageFromBuffer(data, { width: 40, height: 20 });
+    t.is(scaled.width, 40);
+    t.is(scaled.height, 20);
+    t.deepEqual(Array.from(scaled.data.subarray(0, 4)), [255, 0, 0, 255]);
+});
+
+test("SVG images are detected by their root element", (t) => {
+    const prolog = `\ufeff<?xml version="1.0" encoding="UTF-8"?>
+<!-- Exported by an editor, with <svg> in a comment -->
+<!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "http://www.w3.org/Graphics/SVG/1.1/DTD/svg11.dtd" [
+    <!ENTITY red "#ff0000">
+]>
+`;
+    const image = loadImageFromBuffer(Buffer.from(prolog + svg));
+    t.is(image.width, 20);
+    t.is(image.height, 10);
+
+    const compressed = loadImageFromBuffer(zlib.gzipSync(svg));
+    t.is(compressed.width, 20);
+
+    // Other XML documents aren't SVG images.
+    t.throws(() => loadImageFromBuffer(Buffer.from(`<?xml version="1.0"?><html><svg/></html>`)), {
+        message: /^Cannot decode image/,
+    });
+});
+
+test("images are loaded from files", async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "slint-images-"));
+    fs.writeFileSync(path.join(dir, "image.png"), await createPng());
+    fs.writeFileSync(path.join(dir, "image.svg"), svg);
+
+    const png = loadImageFromFile(path.join(dir, "image.png"));
+    t.is(png.width, 3);
+    t.is(png.height, 2);
+
+    const scaled = loadImageFromFile(path.join(dir, "image.svg"), { width: 60, height: 30 });
+    t.is(scaled.width, 60);
+
+    // The format is detected from the contents, not from the file extension.
+    fs.writeFileSync(path.join(dir, "image.bin"), svg);
+    t.is(loadImageFromFile(path.join(dir, "image.bin")).width, 20);
+
+    t.throws(() => loadImageFromFile(path.join(dir, "missing.png")), {
+        message: `Cannot load image from file ${path.join(dir, "missing.png")}`,
+    });
+
+    fs.rmSync(dir, { recursive: true });
+});
+
+test("invalid data throws", (t) => {
+    t.throws(() => loadImageFromBuffer(Buffer.from("not an image")), { message: /^Cannot decode image/ });
+    t.throws(() => loadImageFromBuffer(Buffer.from("<svg")), { message: "Cannot decode SVG image" });
+});
+
+test("images are encoded as PNG", async (t) => {
+    const image = loadImageFromBuffer(await createPng());
+    const decoded = await Jimp.read(encodePng(image));
+    t.is(decoded.bitmap.width, 3);
+    t.is(decoded.bitmap.height, 2);
+    t.deepEqual(Array.from(decoded.bitmap.data), Array.from(image.data));
+
+    t.throws(() => encodePng({ width: 1, height: 1, data: new Uint8Array(4) }), {
+        message: "Only images returned by Slint can be encoded as PNG",
+    });
+});
+
+test("loaded images are assigned to image properties", async (t) => {
+    const ui = loadSource(`
+export component App {
+    in-out property <image> picture;
+    out property <int> picture-width: picture.width;
+}
+`, "images.slint") as any;
+    const app = new ui.App();
+
+    app.picture = loadImageFromBuffer(await createPng());
+    t.is(app.picture_width, 3);
+    t.is(app.picture.height, 2);
+});
@@ -0,0 +1,122 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+import test from "ava";
+
+import { loadSource } from "../index.js";
+import {
+    initTestingBackend,
+    sendDrag,
+    sendKeyDown,
+    sendKeyPress,
+    sendKeyUp,
+    sendPointerMove,
+    sendPointerPress,
+    sendPointerRelease,
+    sendWheel,
+} from "../testing.js";
+
+initTestingBackend();
+
+const source = `
+export component App {
+    width: 200px;
+    height: 200px;
+
+    out property <bool> hovered: area.has-hover;
+    out property <bool> pressed: area.pressed;
+    out property <length> mouse-y: area.mouse-y;
+    out property <int> moves;
+    out property <int> clicks;
+    out property <length> scrolled;
+    out property <[string]> keys;
+    out property <[string]> released-keys;
+
+    init => { scope.focus(); }
+
+    area := TouchArea {
+        moved => { moves += 1; }
+        clicked => { clicks += 1; }
+        scroll-event(event) => {
+            scrolled += event.delta-y;
+            return accept;
+        }
+    }
+
+    scope := FocusScope {
+        key-pressed(event) => {
+            keys = [(event.modifiers.control ? "Control+" : "") + (event.modifiers.shift ? "Shift+" : "")
+                + (event.text == Key.Tab ? "Tab" : event.text)];
+            return accept;
+        }
+        key-released(event) => {
+            released-keys = [event.text == Key.Tab ? "Tab" : event.text];
+            return accept;
+        }
+    }
+}
+`;
+
+test("pointer moves, presses and releases are dispatched", (t) => {
+    const ui = loadSource(source, "input.slint") as any;
+    const app = new ui.App();
+
+    sendPointerMove(app, 50, 60);
+    t.true(app.hovered);
+    t.is(app.mouse_y, 60);
+
+    sendPointerPress(app, 50, 60);
+    t.true(app.pressed);
+
+    sendPointerRelease(app, 50, 60);
+    t.false(app.pressed);
+    t.is(app.clicks, 1);
+
+    sendPointerPress(app, 50, 60, "right");
+    sendPointerRelease(app, 50, 60, "right");
+    t.is(app.clicks, 1);
+});
+
+test("unknown mouse buttons are rejected", (t) => {
+    const ui = loadSource(source, "input.slint") as any;
+    const app = new ui.App();
+
+    t.throws(() => sendPointerPress(app, 50, 60, "back" as any), {
+        message: `Unknown mouse button "back", expected "left", "right" or "middle"`,
+    });
+});
+
+test("drags move the pointer in steps while the button is pressed", (t) => {
+    const ui = loadSource(source, "input.slint") as any;
+    const app = new ui.App();
+
+    sendDrag(app, { x: 10, y: 10 }, { x: 10, y: 110 }, { steps: 5 });
+    t.is(app.moves, 5);
+    t.is(app.mouse_y, 110);
+    t.false(app.pressed);
+});
+
+test("wheel events are dispatched", (t) => {
+    const ui = loadSource(source, "input.slint") as any;
+    const app = new ui.App();
+
+    sendWheel(app, 50, 50, 0, -30);
+    t.is(app.scrolled, -30);
+});
+
+test("keys are pressed with modifiers", (t) => {
+    const ui = loadSource(source, "input.slint") as any;
+    const app = new ui.App();
+
+    sendKeyPress(app, "a");
+    t.deepEqual(app.keys, ["a"]);
+    t.deepEqual(app.released_keys, ["a"]);
+
+    sendKeyPress(app, "s", ["Control"]);
+    t.deepEqual(app.keys, ["Control+s"]);
+
+    sendKeyDown(app, "Tab", ["Shift"]);
+    t.deepEqual(app.keys, ["Shift+Tab"]);
+    sendKeyUp(app, "Tab", ["Shift"]);
+    t.deepEqual(app.released_keys, ["Tab"]);
+});
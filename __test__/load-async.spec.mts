@@ -0,0 +1,48 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+import test from "ava";
+import * as path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { CompileError, loadFileAsync, loadSourceAsync } from "../index.js";
+import { initTestingBackend } from "../testing.js";
+
+initTestingBackend();
+
+const dirname = path.dirname(fileURLToPath(import.meta.url));
+const mainFile = path.join(dirname, "resources/async/main.slint");
+
+test("loadFileAsync resolves to the exported components", async (t) => {
+    const ui = (await loadFileAsync(mainFile)) as any;
+
+    t.deepEqual(Object.keys(ui).sort(), ["App", "Badge"]);
+    t.is(new ui.App().greeting, "Hello");
+    t.is(new ui.Badge().text, "badge");
+});
+
+test("the event loop runs between the steps of the compilation", async (t) => {
+    const events: string[] = [];
+    const loading = loadFileAsync(mainFile).then(() => events.push("loaded"));
+    setImmediate(() => events.push("immediate"));
+
+    await loading;
+    t.deepEqual(events, ["immediate", "loaded"]);
+});
+
+test("loadSourceAsync rejects with the compile errors", async (t) => {
+    const error = await t.throwsAsync(
+        loadSourceAsync("export component App { in property <int> value: \"text\"; }", "async.slint"),
+        { instanceOf: CompileError },
+    );
+    t.true(error!.diagnostics.length > 0);
+});
+
+test("aborting the signal rejects with its reason", async (t) => {
+    const controller = new AbortController();
+    const promise = loadFileAsync(mainFile, { signal: controller.signal });
+    controller.abort(new Error("stop"));
+
+    await t.throwsAsync(promise, { message: "stop" });
+    await t.throwsAsync(loadFileAsync(mainFile, { signal: controller.signal }), { message: "stop" });
+});
@@ -0,0 +1,123 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+import test from "ava";
+import { spawnSync } from "node:child_process";
+import * as fs from "node:fs";
+import { createRequire } from "node:module";
+import * as os from "node:os";
+import * as path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+import { CompileError } from "../index.js";
+import { exportedNames } from "../module-hooks.js";
+import { resolveLoadFileOptions } from "../register.js";
+import { initTestingBackend } from "../testing.js";
+
+initTestingBackend();
+
+const dirname = path.dirname(fileURLToPath(import.meta.url));
+const loaderDir = path.join(dirname, "resources/loader");
+const mainFile = path.join(loaderDir, "main.slint");
+const errorFile = path.join(loaderDir, "broken/error.slint");
+
+const require = createRequire(import.meta.url);
+
+test("options are read from the closest slint.config.json", (t) => {
+    t.deepEqual(resolveLoadFileOptions(mainFile), {
+        includePaths: [path.join(loaderDir, "widgets")],
+        style: "fluent",
+    });
+});
+
+test("query parameters override the options of the config file", (t) => {
+    const query = new URLSearchParams("style=native&includePath=./a&includePath=./b&libraryPath=lib=./lib&quiet&watch=false");
+
+    t.deepEqual(resolveLoadFileOptions(mainFile, query), {
+        includePaths: [path.join(loaderDir, "a"), path.join(loaderDir, "b")],
+        libraryPaths: { lib: path.join(loaderDir, "lib") },
+        style: "native",
+        quiet: true,
+        watch: false,
+    });
+
+    t.throws(() => resolveLoadFileOptions(mainFile, new URLSearchParams("libraryPath=lib")), {
+        message: /Invalid libraryPath lib/,
+    });
+});
+
+test("exported names are read from the source of the file and its imports", (t) => {
+    t.deepEqual(exportedNames(mainFile, resolveLoadFileOptions(mainFile)), ["Greeting", "App"]);
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "slint-loader-"));
+    try {
+        fs.mkdirSync(path.join(directory, "lib"));
+        fs.writeFileSync(path.join(directory, "lib/theme.slint"), "export global Theme {}\nexport struct Color-Set { base: color }\n");
+        fs.writeFileSync(path.join(directory, "card.slint"), "export component Card {}\nexport enum Size { small, large }\n");
+        const file = path.join(directory, "main.slint");
+        fs.writeFileSync(file, `
+            import { Theme, Color-Set } from "@theme/theme.slint";
+            // export component Commented {}
+            export struct Point { x: int }
+            struct Hidden { text: string }
+            component Panel { Text { text: "export component Text {}"; } }
+            export { Panel as Sidebar, Theme, Color-Set }
+            export * from "card.slint";
+            export component App {}
+        `);
+
+        t.deepEqual(exportedNames(file, { libraryPaths: { theme: path.join(directory, "lib") } }),
+            ["Point", "Sidebar", "Color_Set", "App", "Card", "Size"]);
+
+        fs.writeFileSync(file, "component First {}\ncomponent Last {}\n");
+        t.deepEqual(exportedNames(file), ["Last"]);
+    } finally {
+        fs.rmSync(directory, { recursive: true });
+    }
+});
+
+test("require() loads .slint files after registering the hook", (t) => {
+    require("../register.js");
+
+    const ui = require("./resources/loader/main.slint");
+    const app = new ui.App({ greeting: ui.Greeting({ text: "Hello" }) });
+    t.deepEqual(app.greeting, { text: "Hello" });
+});
+
+test("require() reports compile errors with their location", (t) => {
+    require("../register.js");
+
+    const error = t.throws(() => require("./resources/loader/broken/error.slint"), { instanceOf: CompileError });
+    t.true(error!.message.includes(`${errorFile}:5:`));
+    t.true(error!.diagnostics.length > 0);
+});
+
+function runWithLoader(code: string) {
+    return spawnSync(process.execPath, [
+        "--no-warnings",
+        "--loader",
+        pathToFileURL(path.join(dirname, "../loader.mjs")).href,
+        "--input-type=module",
+        "--eval",
+        code,
+    ], { encoding: "utf8", timeout: 60000 });
+}
+
+test("the ESM loader exports the component and the structs", (t) => {
+    const mainUrl = pathToFileURL(mainFile).href;
+    const result = runWithLoader(`
+        import ui, { App, Greeting } from ${JSON.stringify(mainUrl)};
+        console.log(typeof App, typeof Greeting, ui.App === App);
+    `);
+
+    t.is(result.status, 0, result.stderr);
+    t.is(result.stdout.trim(), "function function true");
+});
+
+test("the ESM loader reports compile errors as module load errors", (t) => {
+    const result = runWithLoader(`import ${JSON.stringify(pathToFileURL(errorFile).href)};`);
+
+    t.not(result.status, 0);
+    t.true(result.stderr.includes("Could not compile"));
+    t.true(result.stderr.includes(`${errorFile}:5:`));
+});
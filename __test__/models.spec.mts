@@ -0,0 +1,207 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+import test from "ava";
+
+import { ArrayModel, Model, loadSource } from "../index.js";
+import { initTestingBackend } from "../testing.js";
+
+initTestingBackend();
+
+// Records the notifications of a model.
+function observe<T>(model: Model<T>): string[] {
+    const notifications: string[] = [];
+    model.observers.add({
+        rowDataChanged: (row) => notifications.push(`changed ${row}`),
+        rowAdded: (row, count) => notifications.push(`added ${row} ${count}`),
+        rowRemoved: (row, count) => notifications.push(`removed ${row} ${count}`),
+        reset: () => notifications.push("reset"),
+    });
+    return notifications;
+}
+
+function rows<T>(model: Model<T>): T[] {
+    return Array.from({ length: model.rowCount() }, (_, row) => model.rowData(row)!);
+}
+
+test("ArrayModel splice removes and inserts rows", (t) => {
+    const model = new ArrayModel([1, 2, 3, 4]);
+    const notifications = observe(model);
+
+    t.deepEqual(model.splice(1, 2, 5, 6, 7), [2, 3]);
+    t.deepEqual(rows(model), [1, 5, 6, 7, 4]);
+    t.deepEqual(notifications, ["removed 1 2", "added 1 3"]);
+
+    notifications.length = 0;
+    t.deepEqual(model.splice(-2), [7, 4]);
+    t.deepEqual(rows(model), [1, 5, 6]);
+    t.deepEqual(notifications, ["removed 3 2"]);
+});
+
+test("ArrayModel insert, pop, shift and clear notify the changed rows", (t) => {
+    const model = new ArrayModel(["b"]);
+    const notifications = observe(model);
+
+    model.insert(0, "a");
+    model.push("c");
+    t.deepEqual(rows(model), ["a", "b", "c"]);
+
+    t.is(model.pop(), "c");
+    t.is(model.shift(), "a");
+    t.deepEqual(rows(model), ["b"]);
+
+    model.clear();
+    t.is(model.length, 0);
+    t.is(model.pop(), undefined);
+
+    t.deepEqual(notifications, ["added 0 1", "added 2 1", "removed 2 1", "removed 0 1", "removed 0 1"]);
+});
+
+test("ArrayModel sort and reverse notify the rows that changed", (t) => {
+    const model = new ArrayModel([3, 2, 1, 4]);
+    const notifications = observe(model);
+
+    t.is(model.sort((a, b) => a - b), model);
+    t.deepEqual(rows(model), [1, 2, 3, 4]);
+    t.deepEqual(notifications, ["changed 0", "changed 2"]);
+
+    notifications.length = 0;
+    model.reverse();
+    t.deepEqual(rows(model), [4, 3, 2, 1]);
+    t.deepEqual(notifications, ["changed 0", "changed 1", "changed 2", "changed 3"]);
+});
+
+test("ArrayModel setAll resets the model", (t) => {
+    const model = new ArrayModel([1, 2]);
+    const notifications = observe(model);
+
+    model.setAll([3, 4, 5]);
+    t.deepEqual(rows(model), [3, 4, 5]);
+    t.deepEqual(notifications, ["reset"]);
+});
+
+test("MapModel maps the rows of the source model", (t) => {
+    const model = new ArrayModel([{ first: "Hans", last: "Emil" }]);
+    const mapped = model.map((name) => `${name.last}, ${name.first}`);
+    const notifications = observe(mapped);
+
+    t.deepEqual(rows(mapped), ["Emil, Hans"]);
+
+    model.push({ first: "Max", last: "Mustermann" });
+    model.setRowData(0, { first: "Minnie", last: "Musterfrau" });
+    t.deepEqual(rows(mapped), ["Musterfrau, Minnie", "Mustermann, Max"]);
+    t.deepEqual(notifications, ["added 1 1", "changed 0"]);
+});
+
+test("FilterModel follows the changes of the source model", (t) => {
+    const model = new ArrayModel([1, 2, 3, 4]);
+    const even = model.filter((value) => value % 2 == 0);
+    const notifications = observe(even);
+
+    t.deepEqual(rows(even), [2, 4]);
+
+    model.push(5, 6);
+    t.deepEqual(rows(even), [2, 4, 6]);
+
+    model.setRowData(0, 8);
+    t.deepEqual(rows(even), [8, 2, 4, 6]);
+
+    model.setRowData(1, 7);
+    t.deepEqual(rows(even), [8, 4, 6]);
+
+    model.splice(2, 2);
+    t.deepEqual(rows(even), [8, 6]);
+
+    t.deepEqual(notifications, ["added 2 1", "added 0 1", "removed 1 1", "removed 1 1"]);
+});
+
+test("FilterModel removals see the remaining rows", (t) => {
+    const model = new ArrayModel([2, 4, 6]);
+    const even = model.filter((value) => value % 2 == 0);
+
+    let rowsAfterRemoval: number[] = [];
+    even.observers.add({
+        rowDataChanged: () => {},
+        rowAdded: () => {},
+        rowRemoved: () => { rowsAfterRemoval = rows(even); },
+        reset: () => {},
+    });
+
+    model.remove(0, 1);
+    t.deepEqual(rowsAfterRemoval, [4, 6]);
+});
+
+test("FilterModel sets the data of the source model and can be reset", (t) => {
+    const model = new ArrayModel([1, 2, 3, 4]);
+    let limit = 2;
+    const filtered = model.filter((value) => value > limit);
+    const notifications = observe(filtered);
+
+    filtered.setRowData(0, 30);
+    t.deepEqual(rows(model), [1, 2, 30, 4]);
+
+    limit = 0;
+    filtered.reset();
+    t.deepEqual(rows(filtered), [1, 2, 30, 4]);
+    t.deepEqual(notifications, ["changed 0", "reset"]);
+});
+
+test("SortModel keeps the rows sorted and stable", (t) => {
+    const model = new ArrayModel([{ name: "b", rank: 1 }, { name: "a", rank: 2 }, { name: "c", rank: 1 }]);
+    const sorted = model.sortBy((a, b) => a.rank - b.rank);
+    const notifications = observe(sorted);
+
+    t.deepEqual(rows(sorted).map((row) => row.name), ["b", "c", "a"]);
+
+    model.push({ name: "d", rank: 0 });
+    t.deepEqual(rows(sorted).map((row) => row.name), ["d", "b", "c", "a"]);
+
+    model.setRowData(0, { name: "b", rank: 3 });
+    t.deepEqual(rows(sorted).map((row) => row.name), ["d", "c", "a", "b"]);
+
+    model.remove(1, 2);
+    t.deepEqual(rows(sorted).map((row) => row.name), ["d", "b"]);
+
+    t.deepEqual(notifications, ["added 0 1", "removed 1 1", "added 3 1", "removed 1 2"]);
+});
+
+test("derived models stop following the source model when disposed", (t) => {
+    const model = new ArrayModel([1, 2, 3]);
+    const mapped = model.map((value) => value * 2);
+    const filtered = model.filter((value) => value > 1);
+    const sorted = model.sortBy((a, b) => b - a);
+
+    t.is(model.observers.size, 3);
+
+    mapped.dispose();
+    filtered.dispose();
+    sorted.dispose();
+    t.is(model.observers.size, 0);
+
+    model.push(4);
+    t.is(filtered.rowCount(), 2);
+    t.is(sorted.rowCount(), 3);
+});
+
+test("changes of derived models are visible in components", (t) => {
+    const ui = loadSource(`
+export component App {
+    in property <[int]> values;
+    out property <int> count: values.length;
+    out property <int> first: values[0];
+}
+`, "models.slint") as any;
+    const app = new ui.App();
+
+    const model = new ArrayModel([3, 1, 2]);
+    app.values = model.filter((value) => value > 1).sortBy((a, b) => a - b);
+    t.is(app.count, 2);
+    t.is(app.first, 2);
+
+    model.push(0, 5);
+    t.is(app.count, 3);
+
+    model.setRowData(2, 1);
+    t.is(app.count, 2);
+    t.is(app.first, 3);
+});
@@ -0,0 +1,176 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+import test from "ava";
+
+import { loadSource, private_api } from "../index.js";
+import { initTestingBackend } from "../testing.js";
+
+initTestingBackend();
+
+const source = `
+export enum Priority { low, very-high }
+
+export struct Assignee {
+    name: string,
+    hours: int,
+}
+
+export struct Task-Item {
+    title: string,
+    priority: Priority,
+    assignee: Assignee,
+    tags: [string],
+    done: bool,
+}
+
+export struct Unused {
+    value: int,
+}
+
+export enum Status { open, closed }
+
+export global Board {
+    in-out property <Status> status;
+}
+
+export component App {
+    in-out property <[Task-Item]> tasks;
+    in-out property <Task-Item> selected-task;
+}
+`;
+
+test("structs are created with the default values of the fields that aren't given", (t) => {
+    const ui = loadSource(source, "named-types.slint") as any;
+
+    t.deepEqual(ui.Task_Item(), {
+        title: "",
+        priority: "low",
+        assignee: { name: "", hours: 0 },
+        tags: [],
+        done: false,
+    });
+
+    t.deepEqual(ui.Task_Item({ title: "Write tests", done: true }), {
+        title: "Write tests",
+        priority: "low",
+        assignee: { name: "", hours: 0 },
+        tags: [],
+        done: true,
+    });
+
+    t.deepEqual(ui.Assignee({ name: "Ada" }), { name: "Ada", hours: 0 });
+});
+
+test("every call returns a new struct", (t) => {
+    const ui = loadSource(source, "named-types.slint") as any;
+
+    const first = ui.Task_Item();
+    first.assignee.name = "Ada";
+    t.is(ui.Task_Item().assignee.name, "");
+});
+
+test("enums map the names of their values to the values", (t) => {
+    const ui = loadSource(source, "named-types.slint") as any;
+
+    t.deepEqual(ui.Priority, { low: "low", very_high: "very-high" });
+    t.true(Object.isFrozen(ui.Priority));
+    t.deepEqual(ui.Status, { open: "open", closed: "closed" });
+});
+
+test("structs created by the factories are accepted by the component", (t) => {
+    const ui = loadSource(source, "named-types.slint") as any;
+    const app = new ui.App();
+
+    app.selected_task = ui.Task_Item({ title: "Review", priority: ui.Priority.very_high });
+    t.is(app.selected_task.title, "Review");
+    t.is(app.selected_task.priority, "very-high");
+
+    app.Board.status = ui.Status.closed;
+    t.is(app.Board.status, "closed");
+});
+
+test("structs and enums are exported even if the component doesn't use them", (t) => {
+    const ui = loadSource(source, "named-types.slint") as any;
+
+    t.deepEqual(Object.keys(ui).sort(), ["App", "Assignee", "Priority", "Status", "Task_Item", "Unused"]);
+    t.deepEqual(ui.Unused(), { value: 0 });
+});
+
+test("structs and enums that aren't exported and builtin types are missing", (t) => {
+    const ui = loadSource(
+        `
+        enum Hidden { a, b }
+        struct Internal { hidden: Hidden }
+
+        export component App {
+            in-out property <Internal> internal;
+            in-out property <TextHorizontalAlignment> alignment;
+            in-out property <KeyEvent> event;
+        }
+        `,
+        "named-types.slint",
+    ) as any;
+
+    t.deepEqual(Object.keys(ui), ["App"]);
+});
+
+test("the definition describes the named types and their defaults", (t) => {
+    const definition = new private_api.ComponentCompiler().buildFromSource(source, "named-types.slint")!;
+
+    const types = definition.namedTypes() as any;
+    t.deepEqual(Object.keys(types).sort(), ["Assignee", "Priority", "Status", "Task-Item", "Unused"]);
+    t.is(types["Task-Item"].kind, "struct");
+    t.deepEqual(types["Priority"].values, ["low", "very-high"]);
+
+    t.deepEqual(definition.defaultValue("Assignee"), { name: "", hours: 0 });
+    t.is(definition.defaultValue("Priority"), "low");
+    t.deepEqual(definition.defaultValue("Unused"), { value: 0 });
+    t.throws(() => definition.defaultValue("Board"), { message: "Unknown struct or enum Board" });
+});
+
+test("types exported under another name use that name", (t) => {
+    const ui = loadSource(
+        `
+        struct Point { x: int, y: int }
+        enum Mode { fast, slow }
+        export { Point as Position, Mode }
+
+        export component App {
+            in-out property <Point> point;
+        }
+        `,
+        "named-types.slint",
+    ) as any;
+
+    t.deepEqual(Object.keys(ui).sort(), ["App", "Mode", "Position"]);
+    t.deepEqual(ui.Position({ x: 1 }), { x: 1, y: 0 });
+});
+
+test("every exported component has a constructor", (t) => {
+    const ui = loadSource(
+        `
+        component Hidden { in-out property <int> value; }
+
+        export component Badge {
+            in-out property <string> text: "badge";
+        }
+
+        component Panel {
+            in-out property <int> count: 3;
+            Hidden {}
+        }
+        export { Panel as Sidebar }
+
+        export component App {
+            in-out property <string> title: "app";
+        }
+        `,
+        "named-types.slint",
+    ) as any;
+
+    t.deepEqual(Object.keys(ui).sort(), ["App", "Badge", "Sidebar"]);
+    t.is(new ui.Badge().text, "badge");
+    t.is(new ui.Sidebar().count, 3);
+    t.is(new ui.App().title, "app");
+});
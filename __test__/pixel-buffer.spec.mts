@@ -0,0 +1,114 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+import test from "ava";
+
+import { ImageData, createPixelBuffer, loadSource } from "../index.js";
+import { initTestingBackend } from "../testing.js";
+
+initTestingBackend();
+
+const source = `
+export global Video {
+    in-out property <image> frame;
+}
+
+export component App {
+    in-out property <image> frame;
+    out property <int> global-frame-width: Video.frame.width;
+
+    Image {
+        width: 100%;
+        height: 100%;
+        source: frame;
+        image-fit: fill;
+        image-rendering: pixelated;
+    }
+}
+`;
+
+function fill(data: Uint8Array, rgba: number[]) {
+    for (let offset = 0; offset < data.length; offset += 4) {
+        data.set(rgba, offset);
+    }
+}
+
+function firstPixel(image: ImageData): number[] {
+    return Array.from(image.data.subarray(0, 4));
+}
+
+test("pixel buffers are created transparent and keep their data buffer", (t) => {
+    const frame = createPixelBuffer(4, 2);
+    t.is(frame.width, 4);
+    t.is(frame.height, 2);
+    t.is(frame.data.length, 4 * 2 * 4);
+    t.true(frame.data.every((value) => value === 0));
+    t.is(frame.data, frame.data);
+});
+
+test("changes of the pixels are shown after markDirty()", (t) => {
+    const ui = loadSource(source, "pixel-buffer.slint") as any;
+    const app = new ui.App();
+    app.window.physicalSize = { width: 4, height: 4 };
+
+    const frame = createPixelBuffer(4, 4);
+    app.frame = frame;
+    const pixels = frame.data;
+
+    fill(pixels, [255, 0, 0, 255]);
+    frame.markDirty();
+    t.deepEqual(firstPixel(app.window.takeSnapshot()), [255, 0, 0, 255]);
+
+    fill(pixels, [0, 0, 255, 255]);
+    frame.markDirty();
+    t.deepEqual(firstPixel(app.window.takeSnapshot()), [0, 0, 255, 255]);
+    t.deepEqual(firstPixel(app.frame), [0, 0, 255, 255]);
+});
+
+test("every frame is shown, not only every other one", (t) => {
+    const ui = loadSource(source, "pixel-buffer.slint") as any;
+    const app = new ui.App();
+    app.window.physicalSize = { width: 4, height: 4 };
+
+    const frame = createPixelBuffer(4, 4);
+    app.frame = frame;
+
+    for (let value = 10; value < 60; value += 10) {
+        fill(frame.data, [value, 0, 0, 255]);
+        frame.markDirty();
+        t.deepEqual(firstPixel(app.window.takeSnapshot()), [value, 0, 0, 255]);
+    }
+});
+
+test("images read from properties share the pixels of the pixel buffer", (t) => {
+    const ui = loadSource(source, "pixel-buffer.slint") as any;
+    const app = new ui.App();
+
+    const frame = createPixelBuffer(1, 1);
+    app.frame = frame;
+
+    fill(frame.data, [1, 2, 3, 4]);
+    frame.markDirty();
+    const first = app.frame;
+
+    fill(frame.data, [5, 6, 7, 8]);
+    frame.markDirty();
+    fill(frame.data, [9, 10, 11, 12]);
+    frame.markDirty();
+
+    t.deepEqual(firstPixel(first), [9, 10, 11, 12]);
+    t.deepEqual(firstPixel(app.frame), [9, 10, 11, 12]);
+});
+
+test("properties of globals are updated", (t) => {
+    const ui = loadSource(source, "pixel-buffer.slint") as any;
+    const app = new ui.App();
+
+    const frame = createPixelBuffer(3, 1);
+    app.Video.frame = frame;
+    t.is(app.global_frame_width, 3);
+
+    fill(frame.data, [0, 255, 0, 255]);
+    frame.markDirty();
+    t.deepEqual(firstPixel(app.Video.frame), [0, 255, 0, 255]);
+});
@@ -0,0 +1,141 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+import test from "ava";
+
+import { loadSource, private_api } from "../index.js";
+import { initTestingBackend } from "../testing.js";
+
+initTestingBackend();
+
+const source = `
+export global Settings {
+    in-out property <string> theme: "light";
+}
+
+export component App {
+    in-out property <int> counter;
+    out property <int> doubled: counter * 2;
+    in-out property <string> first-name;
+}
+`;
+
+// Lets the timers that deliver the changes fire.
+function processChanges() {
+    private_api.mock_elapsed_time(1);
+}
+
+test("subscribers are called with the new value from the event loop", (t) => {
+    const ui = loadSource(source, "changes.slint") as any;
+    const app = new ui.App();
+
+    const values: number[] = [];
+    app.onChanged("counter", (value: number) => values.push(value));
+
+    app.counter = 1;
+    t.deepEqual(values, []);
+
+    processChanges();
+    t.deepEqual(values, [1]);
+});
+
+test("changes until the next event loop iteration are delivered once", (t) => {
+    const ui = loadSource(source, "changes.slint") as any;
+    const app = new ui.App();
+
+    const values: number[] = [];
+    app.onChanged("counter", (value: number) => values.push(value));
+
+    app.counter = 1;
+    app.counter = 2;
+    app.counter = 3;
+    processChanges();
+    t.deepEqual(values, [3]);
+
+    // Changing the property back to the delivered value isn't a change.
+    app.counter = 4;
+    app.counter = 3;
+    processChanges();
+    t.deepEqual(values, [3]);
+});
+
+test("changes through bindings are delivered", (t) => {
+    const ui = loadSource(source, "changes.slint") as any;
+    const app = new ui.App();
+
+    const values: number[] = [];
+    app.onChanged("doubled", (value: number) => values.push(value));
+
+    app.counter = 21;
+    processChanges();
+    t.deepEqual(values, [42]);
+});
+
+test("unsubscribing ends the deliveries", (t) => {
+    const ui = loadSource(source, "changes.slint") as any;
+    const app = new ui.App();
+
+    const values: number[] = [];
+    const unsubscribe = app.onChanged("counter", (value: number) => values.push(value));
+
+    app.counter = 1;
+    processChanges();
+    unsubscribe();
+
+    app.counter = 2;
+    processChanges();
+    t.deepEqual(values, [1]);
+});
+
+test("properties of globals can be subscribed to", (t) => {
+    const ui = loadSource(source, "changes.slint") as any;
+    const app = new ui.App();
+
+    const values: string[] = [];
+    app.Settings.onChanged("theme", (value: string) => values.push(value));
+
+    app.Settings.theme = "dark";
+    processChanges();
+    t.deepEqual(values, ["dark"]);
+});
+
+test("property names are accepted with underscores", (t) => {
+    const ui = loadSource(source, "changes.slint") as any;
+    const app = new ui.App();
+
+    const values: string[] = [];
+    app.onChanged("first_name", (value: string) => values.push(value));
+
+    app.first_name = "Ada";
+    processChanges();
+    t.deepEqual(values, ["Ada"]);
+});
+
+test("subscribing to unknown properties throws", (t) => {
+    const ui = loadSource(source, "changes.slint") as any;
+    const app = new ui.App();
+
+    t.throws(() => app.onChanged("missing", () => {}), { message: "Property missing not found in the component" });
+    t.throws(() => app.Settings.onChanged("missing", () => {}), {
+        message: "Property missing of global Settings not found in the component",
+    });
+});
+
+test("exceptions of subscribers are passed to the error handler", (t) => {
+    const ui = loadSource(source, "changes.slint") as any;
+    const app = new ui.App();
+
+    const errors: [unknown, string][] = [];
+    app.onError((error: unknown, callback: string) => errors.push([error, callback]));
+
+    const error = new Error("subscriber failed");
+    app.onChanged("first_name", () => { throw error; });
+    app.Settings.onChanged("theme", () => { throw error; });
+
+    app.first_name = "Ada";
+    app.Settings.theme = "dark";
+    processChanges();
+
+    t.deepEqual(errors.map(([, callback]) => callback).sort(), ["Settings.onChanged(theme)", "onChanged(first_name)"]);
+    t.true(errors.every(([e]) => e === error));
+});
@@ -0,0 +1,86 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+import test from "ava";
+
+import { ImageData, loadSource, private_api } from "../index.js";
+import { initTestingBackend } from "../testing.js";
+
+initTestingBackend();
+
+const source = `
+export component App {
+    in property <color> left-color: red;
+
+    Rectangle {
+        x: 0;
+        width: parent.width / 2;
+        background: left-color;
+    }
+
+    Rectangle {
+        x: parent.width / 2;
+        width: parent.width / 2;
+        background: blue;
+    }
+}
+`;
+
+function pixel(image: ImageData, x: number, y: number): number[] {
+    const offset = (y * image.width + x) * 4;
+    return Array.from(image.data.subarray(offset, offset + 4));
+}
+
+test("snapshots are rendered at the size of the window", (t) => {
+    const ui = loadSource(source, "snapshot.slint") as any;
+    const app = new ui.App();
+    app.window.physicalSize = { width: 40, height: 20 };
+
+    const snapshot = app.window.takeSnapshot();
+    t.is(snapshot.width, 40);
+    t.is(snapshot.height, 20);
+    t.is(snapshot.data.length, 40 * 20 * 4);
+
+    t.deepEqual(pixel(snapshot, 5, 10), [255, 0, 0, 255]);
+    t.deepEqual(pixel(snapshot, 35, 10), [0, 0, 255, 255]);
+});
+
+test("snapshots are laid out at the given size without resizing the window", (t) => {
+    const ui = loadSource(source, "snapshot.slint") as any;
+    const app = new ui.App();
+    app.window.physicalSize = { width: 40, height: 20 };
+
+    const snapshot = app.window.takeSnapshot({ width: 100, height: 50 });
+    t.is(snapshot.width, 100);
+    t.is(snapshot.height, 50);
+    t.deepEqual(pixel(snapshot, 45, 25), [255, 0, 0, 255]);
+    t.deepEqual(pixel(snapshot, 55, 25), [0, 0, 255, 255]);
+
+    t.is(app.window.physicalSize.width, 40);
+    t.is(app.window.physicalSize.height, 20);
+});
+
+test("snapshots at another size don't notify about resizes", (t) => {
+    const ui = loadSource(source, "snapshot.slint") as any;
+    const app = new ui.App();
+    app.window.physicalSize = { width: 40, height: 20 };
+    private_api.mock_elapsed_time(1);
+
+    const sizes: unknown[] = [];
+    app.window.onResized((size: unknown) => sizes.push(size));
+
+    app.window.takeSnapshot({ width: 100, height: 50 });
+    private_api.mock_elapsed_time(1);
+    t.deepEqual(sizes, []);
+});
+
+test("snapshots show the current property values", (t) => {
+    const ui = loadSource(source, "snapshot.slint") as any;
+    const app = new ui.App();
+    app.window.physicalSize = { width: 40, height: 20 };
+
+    t.deepEqual(pixel(app.window.takeSnapshot(), 5, 10), [255, 0, 0, 255]);
+
+    app.left_color = "#00ff00";
+    t.deepEqual(pixel(app.window.takeSnapshot(), 5, 10), [0, 255, 0, 255]);
+});
@@ -0,0 +1,175 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+import test from "ava";
+
+import { ArrayModel, Model, loadSource, setModelErrorHandler, setStrictTypeChecking } from "../index.js";
+import { initTestingBackend } from "../testing.js";
+
+initTestingBackend();
+
+const source = `
+export struct Author {
+    name: string,
+}
+
+export struct Book {
+    title: string,
+    author: Author,
+}
+
+export component App {
+    in-out property <int> count;
+    in-out property <float> ratio;
+    in-out property <string> label;
+    in-out property <bool> enabled;
+    in-out property <Book> book;
+    in-out property <[Book]> books;
+    out property <string> second-author: books[1].author.name;
+    callback rate(Book, int) -> string;
+}
+`;
+
+const book = { title: "Emma", author: { name: "Jane Austen" } };
+
+function createApp() {
+    const ui = loadSource(source, "type-errors.slint") as any;
+    return new ui.App();
+}
+
+function withStrictTypeChecking(f: () => void) {
+    setStrictTypeChecking(true);
+    try {
+        f();
+    } finally {
+        setStrictTypeChecking(false);
+    }
+}
+
+// Calls `f` with the errors that are passed to the model error handler while it runs.
+function withModelErrors(f: (errors: [Error, number | undefined, Model<any>][]) => void) {
+    const errors: [Error, number | undefined, Model<any>][] = [];
+    setModelErrorHandler((error, row, model) => errors.push([error, row, model]));
+    try {
+        f(errors);
+    } finally {
+        setModelErrorHandler(undefined);
+    }
+}
+
+test("values of the wrong type are rejected with a TypeError that names the value", (t) => {
+    const app = createApp();
+
+    t.throws(() => { app.count = "1"; }, { instanceOf: TypeError, message: `count: expected int, but got "1"` });
+    t.throws(() => { app.label = 42; }, { instanceOf: TypeError, message: "label: expected string, but got 42" });
+    t.throws(() => { app.enabled = 1; }, { instanceOf: TypeError, message: "enabled: expected bool, but got 1" });
+    t.throws(() => { app.count = null; }, { instanceOf: TypeError, message: "count: expected int, but got null" });
+    t.is(app.count, 0);
+});
+
+test("errors in nested values name the path to the value", (t) => {
+    const app = createApp();
+
+    t.throws(() => { app.book = { title: "Emma", author: { name: 42 } }; }, {
+        instanceOf: TypeError,
+        message: "book.author.name: expected string, but got 42",
+    });
+    t.throws(() => { app.books = [book, book, book, { title: "Persuasion", author: [] }]; }, {
+        instanceOf: TypeError,
+        message: /^books\[3\]\.author: expected .*, but got an array$/,
+    });
+    t.throws(() => app.rate(book, "five"), {
+        instanceOf: TypeError,
+        message: `rate.arguments[1]: expected int, but got "five"`,
+    });
+});
+
+test("without strict type checking, any number is accepted and unknown fields are ignored", (t) => {
+    const app = createApp();
+
+    app.count = 1.5;
+    app.ratio = Infinity;
+    t.is(app.ratio, Infinity);
+
+    app.book = { ...book, year: 1815 };
+    t.deepEqual(app.book, book);
+});
+
+test("strict type checking rejects fractional ints, non-finite numbers and unknown fields", (t) => {
+    const app = createApp();
+
+    withStrictTypeChecking(() => {
+        t.throws(() => { app.count = 1.5; }, { instanceOf: TypeError, message: "count: expected int, but got 1.5" });
+        t.throws(() => { app.ratio = NaN; }, { instanceOf: TypeError, message: "ratio: expected float, but got NaN" });
+        t.throws(() => { app.book = { ...book, year: 1815 }; }, {
+            instanceOf: TypeError,
+            message: /^book: year is not a field of /,
+        });
+
+        app.count = 2;
+        app.ratio = 0.5;
+        app.book = book;
+    });
+
+    t.is(app.count, 2);
+    t.is(app.ratio, 0.5);
+    t.deepEqual(app.book, book);
+});
+
+test.serial("rows of models that can't be converted are passed to the model error handler", (t) => {
+    const app = createApp();
+
+    withModelErrors((errors) => {
+        const model = new ArrayModel<any>([book, { title: "Persuasion", author: { name: 1817 } }]);
+        app.books = model;
+
+        t.is(app.second_author, "");
+        t.is(errors.length, 1);
+
+        const [error, row, errorModel] = errors[0];
+        t.true(error instanceof TypeError);
+        t.is(error.message, "model[1].author.name: expected string, but got 1817");
+        t.is(row, 1);
+        t.is(errorModel, model);
+
+        model.setRowData(1, book);
+        t.is(app.second_author, "Jane Austen");
+    });
+});
+
+test.serial("exceptions of the functions of models are passed to the model error handler", (t) => {
+    const app = createApp();
+
+    class BrokenModel extends Model<any> {
+        constructor(private failing: "rowCount" | "rowData") {
+            super();
+        }
+        rowCount(): number {
+            if (this.failing === "rowCount") {
+                throw new Error("no row count");
+            }
+            return 2;
+        }
+        rowData(row: number): any {
+            if (this.failing === "rowData" && row === 1) {
+                throw new Error("no row data");
+            }
+            return book;
+        }
+    }
+
+    withModelErrors((errors) => {
+        const rowCountModel = new BrokenModel("rowCount");
+        app.books = rowCountModel;
+        t.is(app.second_author, "");
+        t.is(errors[0][0].message, "no row count");
+        t.is(errors[0][1], undefined);
+        t.is(errors[0][2], rowCountModel);
+
+        errors.length = 0;
+        app.books = new BrokenModel("rowData");
+        t.is(app.second_author, "");
+        t.true(errors.length > 0);
+        t.true(errors.every(([error, row]) => error.message === "no row data" && row === 1));
+    });
+});
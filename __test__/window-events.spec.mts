@@ -0,0 +1,99 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+import test from "ava";
+
+import { loadSource, private_api, quitEventLoop } from "../index.js";
+import { initTestingBackend, sendCloseRequest } from "../testing.js";
+
+initTestingBackend();
+
+const source = `
+export component App {
+    in-out property <int> counter;
+}
+`;
+
+test.serial("resizes are reported with the new logical size", (t) => {
+    const ui = loadSource(source, "window-events.slint") as any;
+    const app = new ui.App();
+
+    const sizes: { width: number, height: number }[] = [];
+    const unsubscribe = app.window.onResized((size: { width: number, height: number }) => sizes.push(size));
+
+    app.window.physicalSize = { width: 300, height: 200 };
+    private_api.mock_elapsed_time(1);
+    t.deepEqual(sizes, [{ width: 300, height: 200 }]);
+
+    unsubscribe();
+    app.window.physicalSize = { width: 400, height: 200 };
+    private_api.mock_elapsed_time(1);
+    t.is(sizes.length, 1);
+});
+
+test.serial("close requests hide the window unless a handler returns false", (t) => {
+    const ui = loadSource(source, "window-events.slint") as any;
+    const app = new ui.App();
+    app.show();
+
+    let requests = 0;
+    let keepOpen = true;
+    app.window.onCloseRequested(() => {
+        ++requests;
+        return !keepOpen;
+    });
+    // Handlers that return nothing don't keep the window open.
+    app.window.onCloseRequested(() => {});
+
+    sendCloseRequest(app);
+    t.is(requests, 1);
+    t.true(app.window.visible);
+
+    keepOpen = false;
+    sendCloseRequest(app);
+    t.is(requests, 2);
+    t.false(app.window.visible);
+});
+
+test.serial("close request handlers are removed by the returned function", (t) => {
+    const ui = loadSource(source, "window-events.slint") as any;
+    const app = new ui.App();
+    app.show();
+
+    let requests = 0;
+    const remove = app.window.onCloseRequested(() => {
+        ++requests;
+        return false;
+    });
+    remove();
+
+    sendCloseRequest(app);
+    t.is(requests, 0);
+    t.false(app.window.visible);
+});
+
+test.serial("run() resolves when the window is hidden", async (t) => {
+    const ui = loadSource(source, "window-events.slint") as any;
+    const app = new ui.App();
+
+    const running = app.run();
+    t.true(app.window.visible);
+
+    app.hide();
+    await running;
+    t.false(app.window.visible);
+
+    quitEventLoop();
+});
+
+test.serial("run() resolves when the window is closed by the user", async (t) => {
+    const ui = loadSource(source, "window-events.slint") as any;
+    const app = new ui.App();
+
+    const running = app.run();
+    sendCloseRequest(app);
+    await running;
+    t.false(app.window.visible);
+
+    quitEventLoop();
+});
@@ -0,0 +1,74 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+import test from "ava";
+
+import { createPixelBuffer, loadSource } from "../index.js";
+import { initTestingBackend } from "../testing.js";
+
+initTestingBackend();
+
+const source = `
+export component App inherits Window {
+    in-out property <string> document: "untitled";
+    title: "Editor - " + document;
+}
+`;
+
+test("windows are minimized, maximized and restored", (t) => {
+    const ui = loadSource(source, "window.slint") as any;
+    const app = new ui.App();
+    app.show();
+
+    t.false(app.window.minimized);
+    t.false(app.window.maximized);
+
+    app.window.minimized = true;
+    t.true(app.window.minimized);
+    app.window.minimized = false;
+    t.false(app.window.minimized);
+
+    app.window.maximized = true;
+    t.true(app.window.maximized);
+    app.window.maximized = false;
+    t.false(app.window.maximized);
+
+    app.hide();
+});
+
+test("the scale factor of the testing backend is 1", (t) => {
+    const ui = loadSource(source, "window.slint") as any;
+    const app = new ui.App();
+
+    t.is(app.window.scaleFactor, 1);
+
+    app.window.logicalSize = { width: 200, height: 100 };
+    t.is(app.window.physicalSize.width, 200);
+    t.is(app.window.physicalSize.height, 100);
+});
+
+test("the title is read from the binding and replaces it when set", (t) => {
+    const ui = loadSource(source, "window.slint") as any;
+    const app = new ui.App();
+
+    t.is(app.window.title, "Editor - untitled");
+    app.document = "notes.txt";
+    t.is(app.window.title, "Editor - notes.txt");
+
+    app.window.title = "Custom";
+    app.document = "todo.txt";
+    t.is(app.window.title, "Custom");
+});
+
+test("the icon is set from an image", (t) => {
+    const ui = loadSource(source, "window.slint") as any;
+    const app = new ui.App();
+
+    t.is(app.window.icon.width, 0);
+
+    app.window.icon = createPixelBuffer(16, 8);
+    t.is(app.window.icon.width, 16);
+    t.is(app.window.icon.height, 8);
+
+    t.throws(() => { app.window.icon = "icon.png"; });
+});
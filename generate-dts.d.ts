@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+import { LoadFileOptions } from "./index";
+/**
+ * Generates TypeScript declarations for the components exported by the given `.slint` file.
+ *
+ * The declarations describe the object returned by {@link loadFile} for the same file: for each exported
+ * component an interface with its properties, callbacks, and globals, and an interface for the properties
+ * accepted by the constructor, as well as the declarations for the structs and enums used by the components,
+ * and the factory functions and value maps of the exported structs and enums.
+ *
+ * @param filePath A path to the `.slint` file. If the path is a relative path, then it is resolved
+ *                 against the process' working directory.
+ * @param options Use {@link LoadFileOptions} to configure additional Slint compilation aspects,
+ *                such as include search paths, library imports, or the widget style.
+ * @returns The content of the declaration file.
+ * @throws {@link CompileError} if errors occur during compilation.
+ */
+export declare function generateDeclarations(filePath: string, options?: LoadFileOptions): string;
+/**
+ * Generates TypeScript declarations for the components exported by the given `.slint` file, and writes
+ * them to a file. See {@link generateDeclarations} for details.
+ *
+ * @param filePath A path to the `.slint` file.
+ * @param outputPath The path of the declaration file to write. Defaults to `filePath` with `.d.ts` appended,
+ *                   for example `main.slint.d.ts`, which TypeScript picks up for imports of `./main.slint`.
+ * @param options Use {@link LoadFileOptions} to configure additional Slint compilation aspects.
+ * @returns The path of the written declaration file.
+ * @throws {@link CompileError} if errors occur during compilation.
+ */
+export declare function writeDeclarations(filePath: string, outputPath?: string, options?: LoadFileOptions): string;
@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+"use strict";
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.writeDeclarations = exports.generateDeclarations = void 0;
+// This file generates TypeScript declarations for the components of a .slint file. It can be used
+// through generateDeclarations()/writeDeclarations() or from the command line:
+//
+//     slint-ui-dts [-o main.slint.d.ts] [--style <style>] [-I <path>]... [-L <name>=<path>]... main.slint
+const fs = require("fs");
+const index_1 = require("./index");
+function identifier(name) {
+    return name.replace(/[^A-Za-z0-9_$]/g, "_");
+}
+class DeclarationWriter {
+    #namedTypes = new Map();
+    // Returns the TypeScript type for info, and records the declarations of the named structs and enums it uses.
+    tsType(info) {
+        switch (info.kind) {
+            case "void":
+                return "void";
+            case "number":
+                return "number";
+            case "string":
+                return "string";
+            case "bool":
+                return "boolean";
+            case "color":
+                return "RgbaColor";
+            case "brush":
+                return "Brush";
+            case "image":
+                return "ImageData";
+            case "component-factory":
+                return "Function | EmbeddedComponent | null";
+            case "struct": {
+                const fields = Object.entries(info.fields ?? {})
+                    .map(([name, field]) => `${identifier(name)}: ${this.tsType(field)};`);
+                if (info.name === undefined) {
+                    return `{ ${fields.join(" ")} }`;
+                }
+                const name = identifier(info.name);
+                if (!this.#namedTypes.has(name)) {
+                    this.#namedTypes.set(name, `export interface ${name} {\n${fields.map((f) => "    " + f + "\n").join("")}}\n`);
+                }
+                return name;
+            }
+            case "array": {
+                const element = this.tsType(info.elementType);
+                return `Model<${element}> | Array<${element}>`;
+            }
+            case "enum": {
+                const name = identifier(info.name);
+                if (!this.#namedTypes.has(name)) {
+                    const values = info.values.map((v) => JSON.stringify(v));
+                    this.#namedTypes.set(name, `export type ${name} = ${values.join(" | ") || "never"};\n`);
+                }
+                return name;
+            }
+            case "callback":
+            case "function": {
+                const [args, returnType] = this.signature(info);
+                return `${args} => ${returnType}`;
+            }
+            default:
+                return "any";
+        }
+    }
+    // Returns the parameter list and the return type of the callback or function described by info.
+    signature(info) {
+        const args = info.args.map((arg, index) => `arg${index}: ${this.tsType(arg)}`);
+        const returnType = info.returnType !== undefined ? this.tsType(info.returnType) : "void";
+        return [`(${args.join(", ")})`, returnType];
+    }
+    // Returns the members for the properties, callbacks, and functions described by types, as used in an interface.
+    // Functions and out properties can't be set, so they're left out of the optional members that describe the
+    // initial properties, and out properties are readonly otherwise.
+    members(types, optional) {
+        return Object.entries(types)
+            .filter(([, info]) => !optional || (info.kind !== "function" && info.visibility !== "out"))
+            .map(([name, info]) => {
+            if (info.kind === "function") {
+                return `${identifier(name)}${this.signature(info).join(": ")};`;
+            }
+            const readonly = info.visibility === "out" ? "readonly " : "";
+            return `${readonly}${identifier(name)}${optional ? "?" : ""}: ${this.tsType(info)};`;
+        });
+    }
+    component(exportName, definition) {
+        const name = identifier(exportName);
+        const types = definition.propertyTypes();
+        const globals = definition.globals.map((globalName) => {
+            const globalTypes = definition.globalPropertyTypes(globalName);
+            const members = this.members(globalTypes, false)
+                .concat("onChanged(property: string, callback: (value: any) => void): () => void;")
+                .concat("setBinding(property: string, binding: () => any): () => void;")
+                .concat("trackBusy<T>(property: string, promise: Promise<T>): Promise<T>;")
+                .map((m) => "        " + m + "\n");
+            return `    readonly ${identifier(globalName)}: {\n${members.join("")}    };\n`;
+        });
+        const indent = (m) => "    " + m + "\n";
+        return `export interface ${name}Properties {\n${this.members(types, true).map(indent).join("")}}\n\n`
+            + `export interface ${name} extends ComponentHandle {\n${this.members(types, false).map(indent).join("")}${globals.join("")}}\n\n`
+            + `export declare const ${name}: {\n    new (properties?: ${name}Properties): ${name};\n};\n`;
+    }
+    // Returns the declaration of the factory function for a struct, or of the value map for an enum.
+    exportedType(exportName, info) {
+        const name = identifier(exportName);
+        const typeName = this.tsType(info);
+        if (info.kind === "enum") {
+            const values = info.values.map((v) => `    readonly ${identifier(v)}: ${JSON.stringify(v)};\n`);
+            return `export declare const ${name}: {\n${values.join("")}};\n`;
+        }
+        return `export declare function ${name}(fields?: Partial<${typeName}>): ${typeName};\n`;
+    }
+    namedTypes() {
+        return Array.from(this.#namedTypes.values());
+    }
+}
+/**
+ * Generates TypeScript declarations for the components exported by the given `.slint` file.
+ *
+ * The declarations describe the object returned by {@link loadFile} for the same file: for each exported
+ * component an interface with its properties, callbacks, and globals, and an interface for the properties
+ * accepted by the constructor, as well as the declarations for the structs and enums used by the components,
+ * and the factory functions and value maps of the exported structs and enums.
+ *
+ * @param filePath A path to the `.slint` file. If the path is a relative path, then it is resolved
+ *                 against the process' working directory.
+ * @param options Use {@link LoadFileOptions} to configure additional Slint compilation aspects,
+ *                such as include search paths, library imports, or the widget style.
+ * @returns The content of the declaration file.
+ * @throws {@link CompileError} if errors occur during compilation.
+ */
+function generateDeclarations(filePath, options) {
+    const definitions = index_1.private_api.load_definitions(filePath, options);
+    const writer = new DeclarationWriter();
+    const components = Array.from(definitions, ([name, definition]) => writer.component(name, definition));
+    const namedTypes = definitions.values().next().value.namedTypes();
+    const types = Object.entries(namedTypes).map(([name, info]) => writer.exportedType(name, info));
+    return `// This file is auto-generated from ${filePath.replace(/\\/g, "/")} by slint-ui. Do not edit.\n\n`
+        + `import type { Brush, ComponentHandle, EmbeddedComponent, ImageData, Model, RgbaColor } from "slint-ui";\n\n`
+        + writer.namedTypes().map((t) => t + "\n").join("")
+        + types.map((t) => t + "\n").join("")
+        + components.join("\n");
+}
+exports.generateDeclarations = generateDeclarations;
+/**
+ * Generates TypeScript declarations for the components exported by the given `.slint` file, and writes
+ * them to a file. See {@link generateDeclarations} for details.
+ *
+ * @param filePath A path to the `.slint` file.
+ * @param outputPath The path of the declaration file to write. Defaults to `filePath` with `.d.ts` appended,
+ *                   for example `main.slint.d.ts`, which TypeScript picks up for imports of `./main.slint`.
+ * @param options Use {@link LoadFileOptions} to configure additional Slint compilation aspects.
+ * @returns The path of the written declaration file.
+ * @throws {@link CompileError} if errors occur during compilation.
+ */
+function writeDeclarations(filePath, outputPath, options) {
+    const output = outputPath ?? filePath + ".d.ts";
+    fs.writeFileSync(output, generateDeclarations(filePath, options));
+    return output;
+}
+exports.writeDeclarations = writeDeclarations;
+function main(args) {
+    const usage = "Usage: slint-ui-dts [-o <output.d.ts>] [--style <style>] [-I <include path>]... [-L <library>=<path>]... [-q] <file.slint>";
+    let filePath;
+    let outputPath;
+    const options = {};
+    for (let i = 0; i < args.length; ++i) {
+        const arg = args[i];
+        const value = () => {
+            if (i + 1 >= args.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return args[++i];
+        };
+        switch (arg) {
+            case "-o":
+            case "--output":
+                outputPath = value();
+                break;
+            case "--style":
+                options.style = value();
+                break;
+            case "-I":
+            case "--include-path":
+                options.includePaths = (options.includePaths ?? []).concat(value());
+                break;
+            case "-L":
+            case "--library-path": {
+                const [name, path] = value().split("=", 2);
+                if (path === undefined) {
+                    throw new Error(`Invalid library path ${name}, expected <library>=<path>`);
+                }
+                options.libraryPaths = { ...options.libraryPaths, [name]: path };
+                break;
+            }
+            case "-q":
+            case "--quiet":
+                options.quiet = true;
+                break;
+            case "-h":
+            case "--help":
+                console.log(usage);
+                return 0;
+            default:
+                if (arg.startsWith("-") || filePath !== undefined) {
+                    console.error(usage);
+                    return 1;
+                }
+                filePath = arg;
+        }
+    }
+    if (filePath === undefined) {
+        console.error(usage);
+        return 1;
+    }
+    try {
+        writeDeclarations(filePath, outputPath, options);
+    }
+    catch (e) {
+        if (e instanceof index_1.CompileError) {
+            e.diagnostics.forEach((d) => console.error(`${d.fileName}:${d.lineNumber}:${d.columnNumber}: ${d.message}`));
+        }
+        console.error(e instanceof Error ? e.message : e);
+        return 1;
+    }
+    return 0;
+}
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    }
+    catch (e) {
+        console.error(e instanceof Error ? e.message : e);
+        process.exitCode = 1;
+    }
+}
@@ -1,5 +1,7 @@
+/// <reference types="node" />
+/// <reference types="node" />
 import * as napi from "./rust-module.cjs";
-export { Diagnostic, DiagnosticLevel, RgbaColor, Brush } from "./rust-module";
+export { Diagnostic, DiagnosticLevel, RgbaColor, Brush, GradientStop, LinearGradient, RadialGradient } from "./rust-module";
 /**
  *  Represents a two-dimensional point.
  */
@@ -54,8 +56,90 @@ export interface Window {
     hide(): void;
     /** Issues a request to the windowing system to re-render the contents of the window. */
     requestRedraw(): void;
-    /** Set or unset the window to display fullscreen. */
-    set fullscreen(enable: boolean);
+    /** Gets or sets whether the window is displayed fullscreen. */
+    fullscreen: boolean;
+    /** Gets or sets whether the window is minimized. Setting it to false restores the window. */
+    minimized: boolean;
+    /** Gets or sets whether the window is maximized. Setting it to false restores the window. */
+    maximized: boolean;
+    /** Returns the scale factor of the window, which is the number of physical pixels per logical pixel. */
+    get scaleFactor(): number;
+    /**
+     * Gets or sets the title of the window. Setting it replaces the binding of the `title` property of the
+     * window in the .slint file.
+     */
+    title: string;
+    /**
+     * Gets or sets the icon of the window. Setting it replaces the binding of the `icon` property of the
+     * window in the .slint file.
+     */
+    icon: ImageData;
+    /**
+     * Renders the contents of the window with the software renderer and returns the pixels, including their alpha
+     * channel, for example to create thumbnails or screenshots in tests. This works without a display server, and
+     * the window doesn't need to be shown.
+     *
+     * ```js
+     * let snapshot = component.window.takeSnapshot({ width: 640, height: 480 });
+     * ```
+     *
+     * The contents are laid out in the component itself, so for a snapshot at another size they're laid out at that
+     * size, rendered, and laid out at the size of the window again before this function returns. Subscriptions such
+     * as {@link onResized} aren't notified, as the size is the same when they're checked, but bindings set with
+     * `setBinding` that depend on the size are evaluated again. Afterwards the window redraws its contents without
+     * the caches of its renderer.
+     *
+     * @param size The physical size to render the window at. The contents are laid out at that size for the
+     * snapshot, and the window keeps its size. By default, the current {@link physicalSize} of the window is used.
+     * @returns The rendered pixels.
+     */
+    takeSnapshot(size?: Size): ImageData;
+    /**
+     * Registers a function that is called when the user requests to close the window, for example with the close
+     * button of the title bar. Return `false` from the function to keep the window open, for example to ask the
+     * user to save their changes first:
+     *
+     * ```js
+     * component.window.onCloseRequested(() => {
+     *     if (component.has_unsaved_changes) {
+     *         component.show_save_dialog = true;
+     *         return false;
+     *     }
+     * });
+     * ```
+     *
+     * @returns A function that removes the callback.
+     */
+    onCloseRequested(callback: () => boolean | void): () => void;
+    /**
+     * Registers a function that is called with the new logical size of the window when it's resized.
+     *
+     * @returns A function that ends the subscription.
+     */
+    onResized(callback: (size: Size) => void): () => void;
+    /**
+     * Registers a function that is called with the new logical position of the window after it was moved on the
+     * screen. Slint doesn't report window moves, so this polls: while at least one function is registered, the position
+     * is compared with the last one every 100 milliseconds. The function is called up to 100 milliseconds after a move,
+     * and not for intermediate positions or for a move that was undone in between.
+     *
+     * @returns A function that removes the function, and stops the polling after the last one was removed.
+     */
+    onMoved(callback: (position: Point) => void): () => void;
+    /**
+     * Registers a function that is called with `true` when the window gains the keyboard focus, and with `false`
+     * when it loses it.
+     *
+     * @returns A function that ends the subscription.
+     */
+    onFocusChanged(callback: (focused: boolean) => void): () => void;
+    /**
+     * Registers a function that is called with the new scale factor of the window when it changes, for example
+     * when the window is moved to a screen with a different resolution.
+     *
+     * @returns A function that ends the subscription.
+     */
+    onScaleFactorChanged(callback: (scaleFactor: number) => void): () => void;
 }
 /**
  * An image data type that can be displayed by the Image element.
@@ -81,6 +165,93 @@ export interface ImageData {
      */
     get height(): number;
 }
+/**
+ * An image whose pixels can be changed repeatedly, for example to show the frames of a video. Write to the pixels through
+ * {@link data}, and call {@link markDirty} to show the changes in all properties that are set to the pixel buffer.
+ * Slint renders the pixels from the memory of `data`, without copying them, and `markDirty()` doesn't allocate memory.
+ * Images read from properties that are set to the pixel buffer share this memory too.
+ *
+ * As the pixels aren't copied, a window that is redrawn for another reason while a frame is written can show a part of
+ * it before `markDirty()` is called. Write frames as a whole, for example with `data.set()`.
+ *
+ * Only properties of components and globals that are set to the pixel buffer itself are updated. A pixel buffer in a
+ * field of a struct or in a row of a model keeps showing the pixels from the time that the struct or row was
+ * converted; set the property again, or notify the change of the row with {@link Model.notifyRowDataChanged}.
+ *
+ * ```js
+ * let frame = slint.createPixelBuffer(640, 480);
+ * component.video_frame = frame;
+ * const pixels = frame.data;
+ * camera.on("frame", (rgba) => {
+ *     pixels.set(rgba);
+ *     frame.markDirty();
+ * });
+ * ```
+ */
+export interface PixelBuffer extends ImageData {
+    /**
+     * Returns the pixels of the image in RGBA order, 4 bytes per pixel, row by row. It's the same buffer on every
+     * call, and it accesses the memory that Slint renders the pixels from; keep it to write the following frames.
+     */
+    get data(): Uint8Array;
+    /**
+     * Makes Slint show the changes of the pixels, in all properties of components and globals that were set to
+     * this pixel buffer.
+     */
+    markDirty(): void;
+}
+/**
+ * Creates a {@link PixelBuffer} with the given size. All pixels are transparent.
+ *
+ * @param width The width of the image in pixels.
+ * @param height The height of the image in pixels.
+ */
+export declare function createPixelBuffer(width: number, height: number): PixelBuffer;
+/**
+ * Loads and decodes a PNG, JPEG or SVG image from a file, for example to assign it to an `image` property. The file is
+ * decoded like the data passed to {@link loadImageFromBuffer}, so the format is detected from the contents, not from the
+ * file extension.
+ *
+ * ```js
+ * component.avatar = slint.loadImageFromFile("assets/avatar.svg", { width: 64, height: 64 });
+ * ```
+ *
+ * @param filePath The path of the image file.
+ * @param size The size in pixels to render SVG images at. By default, SVG images are rendered at their natural size.
+ * Other images keep their size.
+ * @returns The decoded image.
+ * @throws {@link Error} if the file can't be read or decoded.
+ */
+export declare function loadImageFromFile(filePath: string, size?: Size): ImageData;
+/**
+ * Decodes a PNG, JPEG or SVG image from encoded data, for example a downloaded thumbnail. The data is an SVG image if
+ * the root element of the document is an `svg` element, or if it's gzip-compressed. Otherwise it's decoded as a PNG or
+ * JPEG image.
+ *
+ * ```js
+ * let response = await fetch(thumbnailUrl);
+ * component.thumbnail = slint.loadImageFromBuffer(Buffer.from(await response.arrayBuffer()));
+ * ```
+ *
+ * @param data The encoded image.
+ * @param size The size in pixels to render SVG images at. By default, SVG images are rendered at their natural size.
+ * Other images keep their size.
+ * @returns The decoded image.
+ * @throws {@link Error} if the data can't be decoded.
+ */
+export declare function loadImageFromBuffer(data: Uint8Array, size?: Size): ImageData;
+/**
+ * Encodes an image as PNG, for example to save a snapshot of a window.
+ *
+ * ```js
+ * fs.writeFileSync("snapshot.png", slint.encodePng(component.window.takeSnapshot()));
+ * ```
+ *
+ * @param image An image that was returned by Slint, for example read from an `image` property.
+ * @returns The encoded PNG image.
+ * @throws {@link Error} if the image wasn't returned by Slint.
+ */
+export declare function encodePng(image: ImageData): Buffer;
 /**
  * Model<T> is the interface for feeding dynamic data into
  * `.slint` views.
@@ -144,8 +315,32 @@ export declare abstract class Model<T> {
     /**
      * @hidden
      */
-    notify: NullPeer;
+    notify: ModelPeer;
+    /**
+     * @hidden
+     */
+    observers: Set<ModelPeer>;
     constructor();
+    /**
+     * Returns a new Model where all elements are mapped by the function `mapFunction`.
+     * @template U the type of the mapped items.
+     * @param mapFunction function that maps the data from T to U.
+     * @returns a new {@link MapModel} that wraps the current model.
+     */
+    map<U>(mapFunction: (data: T) => U): MapModel<T, U>;
+    /**
+     * Returns a new Model that only contains the elements for which `filterFunction` returns true.
+     * @param filterFunction function that returns true for the elements to keep.
+     * @returns a new {@link FilterModel} that wraps the current model.
+     */
+    filter(filterFunction: (data: T) => boolean): FilterModel<T>;
+    /**
+     * Returns a new Model where the elements are sorted with `compareFunction`.
+     * @param compareFunction function that returns a negative value if the first argument is less than the second
+     *                        argument, zero if they're equal, and a positive value otherwise.
+     * @returns a new {@link SortModel} that wraps the current model.
+     */
+    sortBy(compareFunction: (a: T, b: T) => number): SortModel<T>;
     /**
      * Implementations of this function must return the current number of rows.
      */
@@ -188,7 +383,7 @@ export declare abstract class Model<T> {
 /**
  * @hidden
  */
-declare class NullPeer {
+interface ModelPeer {
     rowDataChanged(row: number): void;
     rowAdded(row: number, count: number): void;
     rowRemoved(row: number, count: number): void;
@@ -196,7 +391,8 @@ declare class NullPeer {
 }
 /**
  * ArrayModel wraps a JavaScript array for use in `.slint` views. The underlying
- * array can be modified with the [[ArrayModel.push]] and [[ArrayModel.remove]] methods.
+ * array can be modified with methods that mirror the ones of `Array`, such as [[ArrayModel.push]],
+ * [[ArrayModel.splice]], or [[ArrayModel.sort]], which notify the run-time about the changed rows.
  */
 export declare class ArrayModel<T> extends Model<T> {
     #private;
@@ -239,6 +435,54 @@ export declare class ArrayModel<T> extends Model<T> {
      * @param size number of rows to remove.
      */
     remove(index: number, size: number): void;
+    /**
+     * Removes elements from the array that's backing the model and inserts new elements in their place,
+     * like `Array.prototype.splice`, and notifies the run-time about the removed and added rows.
+     * @param start index at which to start changing the array. A negative index counts back from the end of the array.
+     * @param deleteCount number of rows to remove. If omitted, all rows from `start` to the end are removed.
+     * @param values values to insert at `start`.
+     * @returns an array containing the removed elements.
+     */
+    splice(start: number, deleteCount?: number, ...values: T[]): T[];
+    /**
+     * Inserts values into the array that's backing the model at the specified index, and notifies
+     * the run-time about the added rows.
+     * @param index index at which to insert the values.
+     * @param values values to insert.
+     */
+    insert(index: number, ...values: T[]): void;
+    /**
+     * Removes the last element from the array that's backing the model and notifies the run-time about the removed row.
+     * @returns the removed element, or undefined if the array is empty.
+     */
+    pop(): T | undefined;
+    /**
+     * Removes the first element from the array that's backing the model and notifies the run-time about the removed row.
+     * @returns the removed element, or undefined if the array is empty.
+     */
+    shift(): T | undefined;
+    /**
+     * Sorts the array that's backing the model in place, like `Array.prototype.sort`, and notifies
+     * the run-time about the rows that changed.
+     * @param compareFunction function that defines the sort order. If omitted, the elements are sorted by their string value.
+     * @returns this model.
+     */
+    sort(compareFunction?: (a: T, b: T) => number): this;
+    /**
+     * Reverses the array that's backing the model in place, and notifies the run-time about the rows that changed.
+     * @returns this model.
+     */
+    reverse(): this;
+    /**
+     * Removes all elements from the array that's backing the model and notifies the run-time about the removed rows.
+     */
+    clear(): void;
+    /**
+     * Replaces all elements of the array that's backing the model with the given values, and notifies the run-time
+     * that the model was reset.
+     * @param values the new elements of the model.
+     */
+    setAll(values: T[]): void;
     /**
      * Returns an iterable of values in the array.
      */
@@ -248,148 +492,218 @@ export declare class ArrayModel<T> extends Model<T> {
      */
     entries(): IterableIterator<[number, T]>;
 }
-export declare namespace private_api {
+/**
+ * Provides rows that are generated by a map function based on the rows of another Model.
+ * The rows are updated when the source model changes. Create it with {@link Model.map}.
+ *
+ * @template T item type of source model that is mapped to U.
+ * @template U the type of the mapped items
+ *
+ * ## Example
+ *
+ *  Here we have a {@link ArrayModel} holding rows of a custom interface `Name` and a {@link MapModel} that maps the name rows
+ *  to single string rows.
+ *
+ * ```ts
+ * import { ArrayModel } from "slint-ui";
+ *
+ * interface Name {
+ *     first: string;
+ *     last: string;
+ * }
+ *
+ * const model = new ArrayModel<Name>([
+ *     {
+ *         first: "Hans",
+ *         last: "Emil",
+ *     },
+ *     {
+ *         first: "Max",
+ *         last: "Mustermann",
+ *     },
+ * ]);
+ *
+ * const mappedModel = model.map(
+ *     (data) => {
+ *         return data.last + ", " + data.first;
+ *     }
+ * );
+ *
+ * // prints "Emil, Hans"
+ * console.log(mappedModel.rowData(0));
+ *
+ * model.setRowData(1, { first: "Minnie", last: "Musterfrau" } );
+ *
+ * // prints "Musterfrau, Minnie"
+ * console.log(mappedModel.rowData(1));
+ * ```
+ */
+export declare class MapModel<T, U> extends Model<U> {
+    #private;
+    readonly sourceModel: Model<T>;
     /**
-     * Provides rows that are generated by a map function based on the rows of another Model.
-     *
+     * Constructs the MapModel with a source model and map functions.
      * @template T item type of source model that is mapped to U.
-     * @template U the type of the mapped items
-     *
-     * ## Example
-     *
-     *  Here we have a {@link ArrayModel} holding rows of a custom interface `Name` and a {@link MapModel} that maps the name rows
-     *  to single string rows.
-     *
-     * ```ts
-     * import { Model, ArrayModel, MapModel } from "./index";
-    *
-    * interface Name {
-    *     first: string;
-    *     last: string;
-    * }
-    *
-    * const model = new ArrayModel<Name>([
-    *     {
-    *         first: "Hans",
-    *         last: "Emil",
-    *     },
-    *     {
-    *         first: "Max",
-    *         last: "Mustermann",
-    *     },
-    *     {
-    *         first: "Roman",
-    *         last: "Tisch",
-    *     },
-    * ]);
-    *
-    * const mappedModel = new MapModel(
-    *     model,
-    *     (data) => {
-    *         return data.last + ", " + data.first;
-    *     }
-    * );
-    *
-    * // prints "Emil, Hans"
-    * console.log(mappedModel.rowData(0));
-    *
-    * // prints "Mustermann, Max"
-    * console.log(mappedModel.rowData(1));
-    *
-    * // prints "Tisch, Roman"
-    * console.log(mappedModel.rowData(2));
-    *
-    * // Alternatively you can use the shortcut {@link MapModel.map}.
-    *
-    * const model = new ArrayModel<Name>([
-    *     {
-    *         first: "Hans",
-    *         last: "Emil",
-    *     },
-    *     {
-    *         first: "Max",
-    *         last: "Mustermann",
-    *     },
-    *     {
-    *         first: "Roman",
-    *         last: "Tisch",
-    *     },
-    * ]);
-    *
-    * const mappedModel = model.map(
-    *     (data) => {
-    *         return data.last + ", " + data.first;
-    *     }
-    * );
-    *
-    *
-    * // prints "Emil, Hans"
-    * console.log(mappedModel.rowData(0));
-    *
-    * // prints "Mustermann, Max"
-    * console.log(mappedModel.rowData(1));
-    *
-    * // prints "Tisch, Roman"
-    * console.log(mappedModel.rowData(2));
-    *
-    * // You can modifying the underlying {@link ArrayModel}:
-    *
-    * const model = new ArrayModel<Name>([
-    *     {
-    *         first: "Hans",
-    *         last: "Emil",
-    *     },
-    *     {
-    *         first: "Max",
-    *         last: "Mustermann",
-    *     },
-    *     {
-    *         first: "Roman",
-    *         last: "Tisch",
-    *     },
-    * ]);
-    *
-    * const mappedModel = model.map(
-    *     (data) => {
-    *         return data.last + ", " + data.first;
-    *     }
-    * );
-    *
-    * model.setRowData(1, { first: "Minnie", last: "Musterfrau" } );
-    *
-    * // prints "Emil, Hans"
-    * console.log(mappedModel.rowData(0));
-    *
-    * // prints "Musterfrau, Minnie"
-    * console.log(mappedModel.rowData(1));
-    *
-    * // prints "Tisch, Roman"
-    * console.log(mappedModel.rowData(2));
-    * ```
-    */
-    class MapModel<T, U> extends Model<U> {
-        #private;
-        readonly sourceModel: Model<T>;
-        /**
-         * Constructs the MapModel with a source model and map functions.
-         * @template T item type of source model that is mapped to U.
-         * @template U the type of the mapped items.
-         * @param sourceModel the wrapped model.
-         * @param mapFunction maps the data from T to U.
-         */
-        constructor(sourceModel: Model<T>, mapFunction: (data: T) => U);
-        /**
-         * Returns the number of entries in the model.
-         */
-        rowCount(): number;
-        /**
-         * Returns the data at the specified row.
-         * @param row index in range 0..(rowCount() - 1).
-         * @returns undefined if row is out of range otherwise the data.
-         */
-        rowData(row: number): U;
-    }
+     * @template U the type of the mapped items.
+     * @param sourceModel the wrapped model.
+     * @param mapFunction maps the data from T to U.
+     */
+    constructor(sourceModel: Model<T>, mapFunction: (data: T) => U);
+    /**
+     * Stops observing the source model. The source model keeps a reference to this model until then, so call
+     * this when the model isn't used anymore but the source model is.
+     */
+    dispose(): void;
+    /**
+     * Returns the number of entries in the model.
+     */
+    rowCount(): number;
+    /**
+     * Returns the data at the specified row.
+     * @param row index in range 0..(rowCount() - 1).
+     * @returns undefined if row is out of range otherwise the data.
+     */
+    rowData(row: number): U | undefined;
 }
+/**
+ * Provides the rows of another Model for which a filter function returns true. The rows are updated
+ * when the source model changes. Setting the data of a row sets the data of the corresponding row in the
+ * source model. Create it with {@link Model.filter}.
+ *
+ * @template T the type of the model's items.
+ *
+ * ```ts
+ * import { ArrayModel } from "slint-ui";
+ *
+ * const model = new ArrayModel([1, 2, 3, 4]);
+ * const evenModel = model.filter((value) => value % 2 == 0);
+ *
+ * model.push(6);
+ *
+ * // prints 3
+ * console.log(evenModel.rowCount());
+ * ```
+ */
+export declare class FilterModel<T> extends Model<T> {
+    #private;
+    readonly sourceModel: Model<T>;
+    /**
+     * Constructs the FilterModel with a source model and a filter function.
+     * @param sourceModel the wrapped model.
+     * @param filterFunction returns true for the rows to keep.
+     */
+    constructor(sourceModel: Model<T>, filterFunction: (data: T) => boolean);
+    /**
+     * Stops observing the source model. The source model keeps a reference to this model until then, so call
+     * this when the model isn't used anymore but the source model is.
+     */
+    dispose(): void;
+    /**
+     * Runs the filter function again on all rows of the source model, for example after the filter
+     * function's criteria changed, and notifies the run-time that the model was reset.
+     */
+    reset(): void;
+    /**
+     * Returns the number of entries in the model.
+     */
+    rowCount(): number;
+    /**
+     * Returns the data at the specified row.
+     * @param row index in range 0..(rowCount() - 1).
+     * @returns undefined if row is out of range otherwise the data.
+     */
+    rowData(row: number): T | undefined;
+    /**
+     * Stores the given data on the corresponding row of the source model.
+     * @param row index in range 0..(rowCount() - 1).
+     * @param data new data item to store on the given row index
+     */
+    setRowData(row: number, data: T): void;
+}
+/**
+ * Provides the rows of another Model sorted with a compare function. The rows are updated when the
+ * source model changes. Rows that compare equal keep the order of the source model. Setting the data
+ * of a row sets the data of the corresponding row in the source model. Create it with {@link Model.sortBy}.
+ *
+ * @template T the type of the model's items.
+ *
+ * ```ts
+ * import { ArrayModel } from "slint-ui";
+ *
+ * const model = new ArrayModel(["Orange", "Apple", "Banana"]);
+ * const sortedModel = model.sortBy((a, b) => a.localeCompare(b));
+ *
+ * // prints "Apple"
+ * console.log(sortedModel.rowData(0));
+ * ```
+ */
+export declare class SortModel<T> extends Model<T> {
+    #private;
+    readonly sourceModel: Model<T>;
+    /**
+     * Constructs the SortModel with a source model and a compare function.
+     * @param sourceModel the wrapped model.
+     * @param compareFunction returns a negative value if the first argument is less than the second
+     *                        argument, zero if they're equal, and a positive value otherwise.
+     */
+    constructor(sourceModel: Model<T>, compareFunction: (a: T, b: T) => number);
+    /**
+     * Stops observing the source model. The source model keeps a reference to this model until then, so call
+     * this when the model isn't used anymore but the source model is.
+     */
+    dispose(): void;
+    /**
+     * Sorts all rows of the source model again, for example after the compare function's criteria
+     * changed, and notifies the run-time that the model was reset.
+     */
+    reset(): void;
+    /**
+     * Returns the number of entries in the model.
+     */
+    rowCount(): number;
+    /**
+     * Returns the data at the specified row.
+     * @param row index in range 0..(rowCount() - 1).
+     * @returns undefined if row is out of range otherwise the data.
+     */
+    rowData(row: number): T | undefined;
+    /**
+     * Stores the given data on the corresponding row of the source model.
+     * @param row index in range 0..(rowCount() - 1).
+     * @param data new data item to store on the given row index
+     */
+    setRowData(row: number, data: T): void;
+}
+/**
+ * Makes the conversion of JavaScript values to Slint values stricter. By default, any number is accepted for
+ * numeric properties and properties of objects that aren't fields of a struct are ignored. With strict type checking,
+ * numbers must be finite, numbers for `int` properties must be whole numbers, and objects must not have properties
+ * that aren't fields of the struct.
+ *
+ * Values of the wrong type are rejected in either mode: setting a property, or invoking a callback or function with
+ * such a value throws a {@link TypeError} that names the value, the expected Slint type and the received value, for
+ * example `items[3].author.name: expected string, but got 42`.
+ *
+ * @param enabled Whether to enable strict type checking.
+ */
+export declare function setStrictTypeChecking(enabled: boolean): void;
+/**
+ * Sets the function that is called when a function of a {@link Model} that Slint calls throws, or when a row returned
+ * by its `rowData()` function can't be converted to the Slint type of the model's rows. Slint calls `rowCount()`,
+ * `rowData()`, and `setRowData()` while it renders and handles input, so the error can't be thrown to the code that
+ * changed the model; the model is shown without the row, or empty if `rowCount()` throws, instead. By default, and if
+ * the handler throws, the error is reported as an uncaught exception, which emits the `uncaughtException` event of
+ * `process`.
+ *
+ * ```js
+ * slint.setModelErrorHandler((error, row, model) => console.error(`row ${row}:`, error.message));
+ * ```
+ *
+ * @param handler The function to call with the error, which is a {@link TypeError} for rows that can't be converted,
+ * the index of the row, or `undefined` for errors of `rowCount()`, and the model, or `undefined` to report the errors
+ * as uncaught exceptions again.
+ */
+export declare function setModelErrorHandler(handler?: (error: Error, row: number | undefined, model: Model<any>) => void): void;
 /**
  * This interface describes the public API of a Slint component that is common to all instances. Use this to
  * show() the window on the screen, access the window and subsequent window properties, or start the
@@ -397,8 +711,8 @@ export declare namespace private_api {
  */
 export interface ComponentHandle {
     /**
-     * Shows the window and runs the event loop. The returned promise is resolved when the event loop
-     * is terminated, for example when the last window was closed, or {@link quitEventLoop} was called.
+     * Shows the window and runs the event loop. The returned promise is resolved when the window is closed
+     * by the user or hidden with {@link hide}, or when the event loop is terminated, for example because {@link quitEventLoop} was called.
      *
      * This function is a convenience for calling {@link show}, followed by {@link runEventLoop}, and
      * {@link hide} when the event loop's promise is resolved.
@@ -417,6 +731,135 @@ export interface ComponentHandle {
      * The window API can be used to control different aspects of the integration into the windowing system, such as the position on the screen.
      */
     get window(): Window;
+    /**
+     * Subscribes to changes of the value of a property, for example through a binding, an animation, or user input.
+     * Globals of the component provide the same function for their properties.
+     *
+     * The callback is called from the event loop with the new value, once for all changes since the last call.
+     * Exceptions thrown by the callback are passed to the handler set with {@link ComponentHandle.onError}, with
+     * `onChanged(property)` as the name of the callback.
+     *
+     * ```js
+     * let unsubscribe = component.onChanged("counter", (value) => console.log("counter changed to", value));
+     * ```
+     *
+     * @param property The name of the property, in the same form as the property of the component handle.
+     * @param callback The function to call with the new value.
+     * @returns A function that ends the subscription.
+     */
+    onChanged(property: string, callback: (value: any) => void): () => void;
+    /**
+     * Binds a property to a JavaScript function, like a binding in a `.slint` file. The property is set to the
+     * function's return value, and updated whenever the properties that the function reads from this component
+     * or its globals change. Globals of the component provide the same function for their properties.
+     *
+     * After a change of a dependency, the binding is updated from the event loop, or before a property of this
+     * component is read from JavaScript. Assigning a value to the property removes the binding. If the function
+     * throws, or returns a value of the wrong type, when it's updated, the error is passed to the handler set with
+     * {@link ComponentHandle.onError}, with `setBinding(property)` as the name of the callback, and the property
+     * keeps its value. Errors of the first evaluation are thrown by `setBinding`.
+     *
+     * ```js
+     * component.setBinding("full_name", () => component.first_name + " " + component.last_name);
+     * ```
+     *
+     * @param property The name of the property, in the same form as the property of the component handle.
+     * @param binding The function that computes the value of the property.
+     * @returns A function that removes the binding. The property keeps its current value.
+     */
+    setBinding(property: string, binding: () => any): () => void;
+    /**
+     * Sets the function that handles the errors of the JavaScript functions that implement the callbacks of the
+     * component and its globals: the exceptions they throw, and return values that can't be converted to the
+     * callback's return type. The callback then returns the default value of its return type, such as `0` or `""`.
+     *
+     * Without a handler, the error is reported as an uncaught exception, which emits the `uncaughtException`
+     * event of `process`.
+     *
+     * ```js
+     * component.onError((error, callback) => console.error(`${callback} failed:`, error));
+     * ```
+     *
+     * @param handler The function to call with the error and the name of the callback, or `undefined` to report
+     * errors as uncaught exceptions again.
+     */
+    onError(handler: ((error: unknown, callback: string) => void) | undefined): void;
+    /**
+     * Sets a `bool` property to true while the promise is pending, for example to show a busy indicator while
+     * data is loaded. The property stays true until all the promises tracked for it are settled. Globals of the
+     * component provide the same function for their properties.
+     *
+     * ```js
+     * component.items = await component.trackBusy("loading", fetchItems());
+     * ```
+     *
+     * @param property The name of the property, in the same form as the property of the component handle.
+     * @param promise The promise to track.
+     * @returns The promise.
+     */
+    trackBusy<T>(property: string, promise: Promise<T>): Promise<T>;
+}
+/**
+ * Describes what happens with the value of a promise returned by a callback function that is created with
+ * {@link asyncCallback}. The names refer to the properties and callbacks of the component, or of the global
+ * for a callback of a global, in the same form as the properties of the component handle.
+ */
+export interface AsyncCallbackOptions {
+    /**
+     * The name of a property that is set to the value that the promise resolves to.
+     */
+    result?: string;
+    /**
+     * The name of a callback that is invoked with the value that the promise resolves to.
+     */
+    completed?: string;
+    /**
+     * The name of a `bool` property that is true while the promise is pending, as with {@link ComponentHandle.trackBusy}.
+     */
+    busy?: string;
+}
+/**
+ * Marks a callback function that may return a promise, for example because it reads from a database or calls
+ * `fetch()`. Slint needs the value of a callback right away, so when the function returns a promise, the callback
+ * returns the default value of its return type, such as `0` or `""`, and the value that the promise resolves to
+ * is passed on as set up in `options` instead. If the promise is rejected, the error is passed to the handler set
+ * with {@link ComponentHandle.onError}, or becomes an unhandled rejection.
+ *
+ * ```js
+ * component.load_user = slint.asyncCallback(
+ *     async (id) => (await fetch(`/users/${id}`)).json(),
+ *     { result: "user", busy: "loading" },
+ * );
+ * ```
+ *
+ * @param callback The function that implements the callback.
+ * @param options Where to pass the value of the promise to.
+ * @returns A function to assign to a callback of a component or global.
+ */
+export declare function asyncCallback<T extends (...args: any[]) => any>(callback: T, options?: AsyncCallbackOptions): T;
+/**
+ * Describes the component to embed in a `component-factory` property, together with a function that sets
+ * up every instance that is embedded.
+ *
+ * ```js
+ * main.panel = {
+ *     component: plugin.Panel,
+ *     initialize: (panel) => { panel.title = "Weather"; },
+ * };
+ * ```
+ */
+export interface EmbeddedComponent {
+    /**
+     * The constructor of the component, as returned by {@link loadFile} or {@link loadSource}.
+     */
+    component: Function;
+    /**
+     * Called with each instance of the component that is embedded, before it is shown. Use it to set the
+     * properties and callbacks of the instance. Exceptions thrown by it are passed to the handler set with
+     * {@link ComponentHandle.onError} of the component whose property is set, with `property.initialize` as the name
+     * of the callback, and the instance is shown nevertheless.
+     */
+    initialize?: (instance: any) => void;
 }
 /**
  * @hidden
@@ -432,6 +875,38 @@ declare class Component implements ComponentHandle {
     * @hidden
     */
     get component_instance(): napi.ComponentInstance;
+    /**
+    * @hidden
+    */
+    set component_instance(instance: napi.ComponentInstance);
+    onChanged(property: string, callback: (value: any) => void): () => void;
+    /**
+    * @hidden
+    */
+    subscribe_changes(globalName: string | null, property: string, callback: (value: any) => void): () => void;
+    setBinding(property: string, binding: () => any): () => void;
+    onError(handler: ((error: unknown, callback: string) => void) | undefined): void;
+    trackBusy<T>(property: string, promise: Promise<T>): Promise<T>;
+    /**
+    * @hidden
+    */
+    track_busy<T>(globalName: string | null, property: string, promise: Promise<T>): Promise<T>;
+    /**
+    * Returns the function to set for a callback: the function itself, or for functions created with asyncCallback(),
+    * a function that returns the default value of the callback's return type instead of a promise, and passes the
+    * value of the promise on when it is resolved.
+    *
+    * @hidden
+    */
+    async_callback(globalName: string | null, callbackName: string, callback: Function): Function;
+    /**
+    * @hidden
+    */
+    set_binding(globalName: string | null, property: string, binding: () => any): () => void;
+    /**
+    * @hidden
+    */
+    remove_binding(globalName: string | null, name: string): void;
     run(): Promise<void>;
     show(): void;
     hide(): void;
@@ -452,6 +927,90 @@ export declare class CompileError extends Error {
      */
     constructor(message: string, diagnostics: napi.Diagnostic[]);
 }
+/**
+ * Describes the type of a property, callback, callback argument, or struct field as declared in a `.slint` file.
+ */
+export interface TypeInfo {
+    /**
+     * The kind of the type. `color` and `brush` map to {@link RgbaColor} and {@link Brush}, `image` maps to {@link ImageData},
+     * and `component-factory` accepts a component constructor or an {@link EmbeddedComponent}.
+     */
+    kind: "void" | "number" | "string" | "bool" | "color" | "brush" | "image" | "struct" | "array" | "enum" | "callback" | "function" | "component-factory" | "unknown";
+    /**
+     * The unit of a number: `duration` is in milliseconds, `angle` in degrees, `length` and `physical-length` in
+     * logical and physical pixels, `relative-font-size` in multiples of the default font size, and `percent` in
+     * percent. Undefined for plain `int` and `float` numbers.
+     */
+    unit?: "duration" | "angle" | "length" | "physical-length" | "relative-font-size" | "percent";
+    /**
+     * True if the number is an `int`.
+     */
+    integer?: boolean;
+    /**
+     * The visibility of a property as declared in the `.slint` file. `out` properties are read-only from JavaScript,
+     * `in` and `in-out` properties can also be set; unlike `in` properties, `in-out` properties can also be changed
+     * by the component itself. This is only set for the properties of a component or global.
+     */
+    visibility?: "in" | "out" | "in-out";
+    /**
+     * The name of the struct or enum, if the type is a named struct or an enum.
+     */
+    name?: string;
+    /**
+     * The fields of a struct, mapped by name.
+     */
+    fields?: Record<string, TypeInfo>;
+    /**
+     * The type of the elements of an array.
+     */
+    elementType?: TypeInfo;
+    /**
+     * The values of an enum.
+     */
+    values?: string[];
+    /**
+     * The types of the arguments of a callback or function.
+     */
+    args?: TypeInfo[];
+    /**
+     * The return type of a callback or function. Undefined if the callback doesn't return a value.
+     */
+    returnType?: TypeInfo;
+}
+/**
+ * Describes the public API of a component, as returned by {@link describeComponent}.
+ */
+export interface ComponentDescription {
+    /**
+     * The name of the component.
+     */
+    name: string;
+    /**
+     * The types of the public properties, callbacks, and functions of the component, mapped by their name
+     * as declared in the `.slint` file.
+     */
+    members: Record<string, TypeInfo>;
+    /**
+     * The types of the public properties, callbacks, and functions of the exported globals, mapped by the name
+     * of the global and then by the name of the member.
+     */
+    globals: Record<string, Record<string, TypeInfo>>;
+}
+/**
+ * Returns the types of the public properties, callbacks, and functions of a component and its globals, for
+ * example to build a form for the properties of the component.
+ *
+ * ```js
+ * let ui = slint.loadFile("ui/main.slint");
+ * let description = slint.describeComponent(ui.Main);
+ * console.log(description.members["font-size"]); // { kind: "number", unit: "length", visibility: "in-out" }
+ * ```
+ *
+ * @param component The constructor of the component, as returned by {@link loadFile} or {@link loadSource}.
+ * @returns The description of the component.
+ * @throws {@link Error} if `component` isn't the constructor of a component.
+ */
+export declare function describeComponent(component: Function): ComponentDescription;
 /**
  * LoadFileOptions are used to defines different optional parameters that can be used to configure the compiler.
  */
@@ -472,9 +1031,28 @@ export interface LoadFileOptions {
      * Sets library paths used for looking up `@library` imports to the specified map of library names to paths.
      */
     libraryPaths?: Record<string, string>;
+    /**
+     * If set to true, the loaded file and the files it imports are watched for changes, for use during development.
+     * On a change, the file is compiled again and the live components created from it are replaced in their windows
+     * by new instances. The current property values, global property values, and the callbacks set from JavaScript
+     * are carried over to the new instances, and values that can't be carried over are reported on the console. Compile
+     * errors are printed to the console and the running components are kept. Properties and callbacks that are added to the component become accessible after restarting the application.
+     *
+     * When loading source code with {@link loadSource}, only the files it imports are watched.
+     */
+    watch?: boolean;
 }
 /**
- * Loads the given Slint file and returns an objects that contains a functions to construct the exported
+ * LoadFileAsyncOptions are used to configure the compiler when loading `.slint` files asynchronously.
+ */
+export interface LoadFileAsyncOptions extends LoadFileOptions {
+    /**
+     * If set, the compilation is aborted when the signal is aborted, and the returned promise is rejected with the signal's reason.
+     */
+    signal?: AbortSignal;
+}
+/**
+ * Loads the given Slint file and returns an objects that contains a functions to construct each exported
  * component of the slint file.
  *
  * The following example loads a "Hello World" style Slint file and changes the Text label to a new greeting:
@@ -499,16 +1077,16 @@ export interface LoadFileOptions {
  *                 against the process' working directory.
  * @param options Use {@link LoadFileOptions} to configure additional Slint compilation aspects,
  *                such as include search paths, library imports, or the widget style.
- * @returns The returned object is sealed and provides a property by the name of the component exported
- *          in the `.slint` file. In the above example the name of the property is `Main`. The property
- *          is a constructor function. Use it with the new operator to instantiate the component.
+ * @returns The returned object is sealed and provides a property for every component exported
+ *          in the `.slint` file, by the name it's exported as. In the above example the name of the property
+ *          is `Main`. The property is a constructor function. Use it with the new operator to instantiate the component.
  *          The instantiated object exposes properties and callbacks, and implements the {@link ComponentHandle} interface.
  *          For more details about the exposed properties, see [Instantiating A Component](../index.html#md:instantiating-a-component).
  * @throws {@link CompileError} if errors occur during compilation.
  */
 export declare function loadFile(filePath: string, options?: LoadFileOptions): Object;
 /**
- * Loads the given Slint source code and returns an object that contains a function to construct the exported
+ * Loads the given Slint source code and returns an object that contains a function to construct each exported
  * component of the Slint source code.
  *
  * The following example loads a "Hello World" style Slint source code and changes the Text label to a new greeting:
@@ -529,14 +1107,55 @@ export declare function loadFile(filePath: string, options?: LoadFileOptions): O
  *                 against the process' working directory.
  * @param options Use {@link LoadFileOptions} to configure additional Slint compilation aspects,
  *                such as include search paths, library imports, or the widget style.
- * @returns The returned object is sealed and provides a property by the name of the component exported
- *          in the `.slint` file. In the above example the name of the property is `Main`. The property
- *          is a constructor function. Use it with the new operator to instantiate the component.
+ * @returns The returned object is sealed and provides a property for every component exported
+ *          in the `.slint` file, by the name it's exported as. In the above example the name of the property
+ *          is `Main`. The property is a constructor function. Use it with the new operator to instantiate the component.
  *          The instantiated object exposes properties and callbacks, and implements the {@link ComponentHandle} interface.
  *          For more details about the exposed properties, see [Instantiating A Component](../index.html#md:instantiating-a-component).
  * @throws {@link CompileError} if errors occur during compilation.
  */
 export declare function loadSource(source: string, filePath: string, options?: LoadFileOptions): Object;
+/**
+ * Loads the given Slint file asynchronously and returns a promise that resolves to an object that contains
+ * a function to construct each exported component of the slint file. See {@link loadFile} for details
+ * about the returned object.
+ *
+ * The compilation doesn't run on another thread: the compiled components are bound to the main thread, so it
+ * runs there too, split into steps. A step ends before each file that's imported by the `.slint` file is loaded,
+ * and before each exported component after the first one is built. The Node.js event loop runs between the steps,
+ * so timers, I/O, and the UI of already loaded components keep being processed, but each step blocks the
+ * event loop while it runs.
+ *
+ * ```js
+ * import * as slint from "slint-ui";
+ * let ui = await slint.loadFileAsync("main.slint", { signal: AbortSignal.timeout(10000) });
+ * let main = new ui.Main();
+ * ```
+ *
+ * @param filePath A path to the file to load. If the path is a relative path, then it is resolved
+ *                 against the process' working directory.
+ * @param options Use {@link LoadFileAsyncOptions} to configure additional Slint compilation aspects,
+ *                such as include search paths, library imports, or the widget style, and to pass an `AbortSignal`.
+ * @returns A promise that resolves to the same object as returned by {@link loadFile}.
+ *          The promise is rejected with a {@link CompileError} if errors occur during compilation, or
+ *          with the signal's reason if the compilation is aborted.
+ */
+export declare function loadFileAsync(filePath: string, options?: LoadFileAsyncOptions): Promise<Object>;
+/**
+ * Loads the given Slint source code asynchronously and returns a promise that resolves to an object that
+ * contains a function to construct each exported component of the Slint source code. See {@link loadSource}
+ * and {@link loadFileAsync} for details.
+ *
+ * @param source The Slint source code to load.
+ * @param filePath A path to the file to show log. If the path is a relative path, then it is resolved
+ *                 against the process' working directory.
+ * @param options Use {@link LoadFileAsyncOptions} to configure additional Slint compilation aspects,
+ *                such as include search paths, library imports, or the widget style, and to pass an `AbortSignal`.
+ * @returns A promise that resolves to the same object as returned by {@link loadSource}.
+ *          The promise is rejected with a {@link CompileError} if errors occur during compilation, or
+ *          with the signal's reason if the compilation is aborted.
+ */
+export declare function loadSourceAsync(source: string, filePath: string, options?: LoadFileAsyncOptions): Promise<Object>;
 /**
  * Spins the Slint event loop and returns a promise that resolves when the loop terminates.
  *
@@ -546,11 +1165,10 @@ export declare function loadSource(source: string, filePath: string, options?: L
  * @param runningCallback Optional callback that's invoked once when the event loop is running.
  *                         The function's return value is ignored.
  *
- * Note that the event loop integration with Node.js is slightly imperfect. Due to conflicting
- * implementation details between Slint's and Node.js' event loop, the two loops are merged
- * by spinning one after the other, at 16 millisecond intervals. This means that when the
- * application is idle, it continues to consume a low amount of CPU cycles, checking if either
- * event loop has any pending events.
+ * While the event loop is running, Slint waits for windowing system events on behalf of both event loops,
+ * and wakes up when Node.js has pending I/O or timers. An idle application doesn't consume CPU cycles.
+ * On Windows, the two loops are merged by spinning one after the other, at 16 millisecond intervals,
+ * which means that an idle application continues to consume a low amount of CPU cycles there.
  */
 export declare function runEventLoop(runningCallback?: Function): Promise<unknown>;
 /**
@@ -558,6 +1176,8 @@ export declare function runEventLoop(runningCallback?: Function): Promise<unknow
  from run_event_loop() will resolve in a later tick of the nodejs event loop.
  */
 export declare function quitEventLoop(): void;
+declare const PublicMapModel: typeof import(".").MapModel;
+type PublicMapModel<T, U> = MapModel<T, U>;
 /**
  * @hidden
  */
@@ -565,6 +1185,7 @@ export declare namespace private_api {
     export import mock_elapsed_time = napi.mockElapsedTime;
     export import get_mocked_time = napi.getMockedTime;
     export import ComponentCompiler = napi.ComponentCompiler;
+    export import Compilation = napi.Compilation;
     export import ComponentDefinition = napi.ComponentDefinition;
     export import ComponentInstance = napi.ComponentInstance;
     export import ValueType = napi.ValueType;
@@ -574,6 +1195,12 @@ export declare namespace private_api {
     export import SlintSize = napi.SlintSize;
     export import SlintPoint = napi.SlintPoint;
     export import SlintImageData = napi.SlintImageData;
+    export import SlintPixelBuffer = napi.SlintPixelBuffer;
+    const MapModel: typeof import(".").MapModel;
+    type MapModel<T, U> = PublicMapModel<T, U>;
+    function load_definitions(filePath: string, options?: LoadFileOptions): Map<string, napi.ComponentDefinition>;
+    export import init_testing_backend = napi.initTestingBackend;
+    function component_instance(component: ComponentHandle): napi.ComponentInstance;
     function send_mouse_click(component: Component, x: number, y: number): void;
     function send_mouse_double_click(component: Component, x: number, y: number): void;
     function send_keyboard_string_sequence(component: Component, s: string): void;
@@ -2,8 +2,76 @@
 // Copyright © SixtyFPS GmbH <info@slint.dev>
 // SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.quitEventLoop = exports.runEventLoop = exports.loadSource = exports.loadFile = exports.CompileError = exports.private_api = exports.ArrayModel = exports.Model = void 0;
+exports.private_api = exports.quitEventLoop = exports.runEventLoop = exports.loadSourceAsync = exports.loadFileAsync = exports.loadSource = exports.loadFile = exports.describeComponent = exports.CompileError = exports.asyncCallback = exports.setModelErrorHandler = exports.setStrictTypeChecking = exports.SortModel = exports.FilterModel = exports.MapModel = exports.ArrayModel = exports.Model = exports.encodePng = exports.loadImageFromBuffer = exports.loadImageFromFile = exports.createPixelBuffer = void 0;
+const fs = require("fs");
 const napi = require("./rust-module.cjs");
+/**
+ * Creates a {@link PixelBuffer} with the given size. All pixels are transparent.
+ *
+ * @param width The width of the image in pixels.
+ * @param height The height of the image in pixels.
+ */
+function createPixelBuffer(width, height) {
+    return new napi.SlintPixelBuffer(width, height);
+}
+exports.createPixelBuffer = createPixelBuffer;
+/**
+ * Loads and decodes a PNG, JPEG or SVG image from a file, for example to assign it to an `image` property. The file is
+ * decoded like the data passed to {@link loadImageFromBuffer}, so the format is detected from the contents, not from the
+ * file extension.
+ *
+ * ```js
+ * component.avatar = slint.loadImageFromFile("assets/avatar.svg", { width: 64, height: 64 });
+ * ```
+ *
+ * @param filePath The path of the image file.
+ * @param size The size in pixels to render SVG images at. By default, SVG images are rendered at their natural size.
+ * Other images keep their size.
+ * @returns The decoded image.
+ * @throws {@link Error} if the file can't be read or decoded.
+ */
+function loadImageFromFile(filePath, size) {
+    return napi.SlintImageData.loadFromFile(filePath, size);
+}
+exports.loadImageFromFile = loadImageFromFile;
+/**
+ * Decodes a PNG, JPEG or SVG image from encoded data, for example a downloaded thumbnail. The data is an SVG image if
+ * the root element of the document is an `svg` element, or if it's gzip-compressed. Otherwise it's decoded as a PNG or
+ * JPEG image.
+ *
+ * ```js
+ * let response = await fetch(thumbnailUrl);
+ * component.thumbnail = slint.loadImageFromBuffer(Buffer.from(await response.arrayBuffer()));
+ * ```
+ *
+ * @param data The encoded image.
+ * @param size The size in pixels to render SVG images at. By default, SVG images are rendered at their natural size.
+ * Other images keep their size.
+ * @returns The decoded image.
+ * @throws {@link Error} if the data can't be decoded.
+ */
+function loadImageFromBuffer(data, size) {
+    return napi.SlintImageData.loadFromBuffer(Buffer.from(data.buffer, data.byteOffset, data.byteLength), size);
+}
+exports.loadImageFromBuffer = loadImageFromBuffer;
+/**
+ * Encodes an image as PNG, for example to save a snapshot of a window.
+ *
+ * ```js
+ * fs.writeFileSync("snapshot.png", slint.encodePng(component.window.takeSnapshot()));
+ * ```
+ *
+ * @param image An image that was returned by Slint, for example read from an `image` property.
+ * @returns The encoded PNG image.
+ * @throws {@link Error} if the image wasn't returned by Slint.
+ */
+function encodePng(image) {
+    if (!(image instanceof napi.SlintImageData)) {
+        throw new Error("Only images returned by Slint can be encoded as PNG");
+    }
+    return image.toPng();
+}
+exports.encodePng = encodePng;
 /**
  * Model<T> is the interface for feeding dynamic data into
  * `.slint` views.
@@ -68,8 +136,39 @@ class Model {
      * @hidden
      */
     notify;
+    /**
+     * @hidden
+     */
+    observers;
     constructor() {
         this.notify = new NullPeer();
+        this.observers = new Set();
+    }
+    /**
+     * Returns a new Model where all elements are mapped by the function `mapFunction`.
+     * @template U the type of the mapped items.
+     * @param mapFunction function that maps the data from T to U.
+     * @returns a new {@link MapModel} that wraps the current model.
+     */
+    map(mapFunction) {
+        return new MapModel(this, mapFunction);
+    }
+    /**
+     * Returns a new Model that only contains the elements for which `filterFunction` returns true.
+     * @param filterFunction function that returns true for the elements to keep.
+     * @returns a new {@link FilterModel} that wraps the current model.
+     */
+    filter(filterFunction) {
+        return new FilterModel(this, filterFunction);
+    }
+    /**
+     * Returns a new Model where the elements are sorted with `compareFunction`.
+     * @param compareFunction function that returns a negative value if the first argument is less than the second
+     *                        argument, zero if they're equal, and a positive value otherwise.
+     * @returns a new {@link SortModel} that wraps the current model.
+     */
+    sortBy(compareFunction) {
+        return new SortModel(this, compareFunction);
     }
     /**
      * Implementations of this function must store the provided data parameter
@@ -86,6 +185,7 @@ class Model {
      */
     notifyRowDataChanged(row) {
         this.notify.rowDataChanged(row);
+        this.observers.forEach((observer) => observer.rowDataChanged(row));
     }
     /**
      * Notifies the view that multiple rows are added to the model.
@@ -94,6 +194,7 @@ class Model {
      */
     notifyRowAdded(row, count) {
         this.notify.rowAdded(row, count);
+        this.observers.forEach((observer) => observer.rowAdded(row, count));
     }
     /**
      * Notifies the view that multiple rows are removed to the model.
@@ -102,12 +203,14 @@ class Model {
      */
     notifyRowRemoved(row, count) {
         this.notify.rowRemoved(row, count);
+        this.observers.forEach((observer) => observer.rowRemoved(row, count));
     }
     /**
      * Notifies the view that the complete data must be reload.
      */
     notifyReset() {
         this.notify.reset();
+        this.observers.forEach((observer) => observer.reset());
     }
 }
 exports.Model = Model;
@@ -122,7 +225,8 @@ class NullPeer {
 }
 /**
  * ArrayModel wraps a JavaScript array for use in `.slint` views. The underlying
- * array can be modified with the [[ArrayModel.push]] and [[ArrayModel.remove]] methods.
+ * array can be modified with methods that mirror the ones of `Array`, such as [[ArrayModel.push]],
+ * [[ArrayModel.splice]], or [[ArrayModel.sort]], which notify the run-time about the changed rows.
  */
 class ArrayModel extends Model {
     /**
@@ -175,9 +279,8 @@ class ArrayModel extends Model {
     push(...values) {
         let size = this.#array.length;
         Array.prototype.push.apply(this.#array, values);
-        this.notifyRowAdded(size, arguments.length);
+        this.notifyRowAdded(size, values.length);
     }
-    // FIXME: should this be named splice and have the splice api?
     /**
      * Removes the specified number of element from the array that's backing
      * the model, starting at the specified index.
@@ -185,8 +288,95 @@ class ArrayModel extends Model {
      * @param size number of rows to remove.
      */
     remove(index, size) {
-        let r = this.#array.splice(index, size);
-        this.notifyRowRemoved(index, size);
+        this.splice(index, size);
+    }
+    /**
+     * Removes elements from the array that's backing the model and inserts new elements in their place,
+     * like `Array.prototype.splice`, and notifies the run-time about the removed and added rows.
+     * @param start index at which to start changing the array. A negative index counts back from the end of the array.
+     * @param deleteCount number of rows to remove. If omitted, all rows from `start` to the end are removed.
+     * @param values values to insert at `start`.
+     * @returns an array containing the removed elements.
+     */
+    splice(start, deleteCount, ...values) {
+        const length = this.#array.length;
+        const index = start < 0 ? Math.max(length + start, 0) : Math.min(start, length);
+        const removed = this.#array.splice(index, deleteCount ?? length - index, ...values);
+        if (removed.length > 0) {
+            this.notifyRowRemoved(index, removed.length);
+        }
+        if (values.length > 0) {
+            this.notifyRowAdded(index, values.length);
+        }
+        return removed;
+    }
+    /**
+     * Inserts values into the array that's backing the model at the specified index, and notifies
+     * the run-time about the added rows.
+     * @param index index at which to insert the values.
+     * @param values values to insert.
+     */
+    insert(index, ...values) {
+        this.splice(index, 0, ...values);
+    }
+    /**
+     * Removes the last element from the array that's backing the model and notifies the run-time about the removed row.
+     * @returns the removed element, or undefined if the array is empty.
+     */
+    pop() {
+        return this.splice(-1, 1)[0];
+    }
+    /**
+     * Removes the first element from the array that's backing the model and notifies the run-time about the removed row.
+     * @returns the removed element, or undefined if the array is empty.
+     */
+    shift() {
+        return this.splice(0, 1)[0];
+    }
+    /**
+     * Sorts the array that's backing the model in place, like `Array.prototype.sort`, and notifies
+     * the run-time about the rows that changed.
+     * @param compareFunction function that defines the sort order. If omitted, the elements are sorted by their string value.
+     * @returns this model.
+     */
+    sort(compareFunction) {
+        const previous = this.#array.slice();
+        this.#array.sort(compareFunction);
+        this.#notifyChangedRows(previous);
+        return this;
+    }
+    /**
+     * Reverses the array that's backing the model in place, and notifies the run-time about the rows that changed.
+     * @returns this model.
+     */
+    reverse() {
+        const previous = this.#array.slice();
+        this.#array.reverse();
+        this.#notifyChangedRows(previous);
+        return this;
+    }
+    /**
+     * Removes all elements from the array that's backing the model and notifies the run-time about the removed rows.
+     */
+    clear() {
+        this.splice(0);
+    }
+    /**
+     * Replaces all elements of the array that's backing the model with the given values, and notifies the run-time
+     * that the model was reset.
+     * @param values the new elements of the model.
+     */
+    setAll(values) {
+        this.#array.splice(0, this.#array.length, ...values);
+        this.notifyReset();
+    }
+    // Notifies about the rows that hold a different element than before a reordering of the array.
+    #notifyChangedRows(previous) {
+        previous.forEach((data, row) => {
+            if (this.#array[row] !== data) {
+                this.notifyRowDataChanged(row);
+            }
+        });
     }
     /**
      * Returns an iterable of values in the array.
@@ -202,164 +392,482 @@ class ArrayModel extends Model {
     }
 }
 exports.ArrayModel = ArrayModel;
-var private_api;
-(function (private_api) {
+/**
+ * Provides rows that are generated by a map function based on the rows of another Model.
+ * The rows are updated when the source model changes. Create it with {@link Model.map}.
+ *
+ * @template T item type of source model that is mapped to U.
+ * @template U the type of the mapped items
+ *
+ * ## Example
+ *
+ *  Here we have a {@link ArrayModel} holding rows of a custom interface `Name` and a {@link MapModel} that maps the name rows
+ *  to single string rows.
+ *
+ * ```ts
+ * import { ArrayModel } from "slint-ui";
+ *
+ * interface Name {
+ *     first: string;
+ *     last: string;
+ * }
+ *
+ * const model = new ArrayModel<Name>([
+ *     {
+ *         first: "Hans",
+ *         last: "Emil",
+ *     },
+ *     {
+ *         first: "Max",
+ *         last: "Mustermann",
+ *     },
+ * ]);
+ *
+ * const mappedModel = model.map(
+ *     (data) => {
+ *         return data.last + ", " + data.first;
+ *     }
+ * );
+ *
+ * // prints "Emil, Hans"
+ * console.log(mappedModel.rowData(0));
+ *
+ * model.setRowData(1, { first: "Minnie", last: "Musterfrau" } );
+ *
+ * // prints "Musterfrau, Minnie"
+ * console.log(mappedModel.rowData(1));
+ * ```
+ */
+class MapModel extends Model {
+    sourceModel;
+    #mapFunction;
+    #observer;
     /**
-     * Provides rows that are generated by a map function based on the rows of another Model.
-     *
+     * Constructs the MapModel with a source model and map functions.
      * @template T item type of source model that is mapped to U.
-     * @template U the type of the mapped items
-     *
-     * ## Example
-     *
-     *  Here we have a {@link ArrayModel} holding rows of a custom interface `Name` and a {@link MapModel} that maps the name rows
-     *  to single string rows.
-     *
-     * ```ts
-     * import { Model, ArrayModel, MapModel } from "./index";
-    *
-    * interface Name {
-    *     first: string;
-    *     last: string;
-    * }
-    *
-    * const model = new ArrayModel<Name>([
-    *     {
-    *         first: "Hans",
-    *         last: "Emil",
-    *     },
-    *     {
-    *         first: "Max",
-    *         last: "Mustermann",
-    *     },
-    *     {
-    *         first: "Roman",
-    *         last: "Tisch",
-    *     },
-    * ]);
-    *
-    * const mappedModel = new MapModel(
-    *     model,
-    *     (data) => {
-    *         return data.last + ", " + data.first;
-    *     }
-    * );
-    *
-    * // prints "Emil, Hans"
-    * console.log(mappedModel.rowData(0));
-    *
-    * // prints "Mustermann, Max"
-    * console.log(mappedModel.rowData(1));
-    *
-    * // prints "Tisch, Roman"
-    * console.log(mappedModel.rowData(2));
-    *
-    * // Alternatively you can use the shortcut {@link MapModel.map}.
-    *
-    * const model = new ArrayModel<Name>([
-    *     {
-    *         first: "Hans",
-    *         last: "Emil",
-    *     },
-    *     {
-    *         first: "Max",
-    *         last: "Mustermann",
-    *     },
-    *     {
-    *         first: "Roman",
-    *         last: "Tisch",
-    *     },
-    * ]);
-    *
-    * const mappedModel = model.map(
-    *     (data) => {
-    *         return data.last + ", " + data.first;
-    *     }
-    * );
-    *
-    *
-    * // prints "Emil, Hans"
-    * console.log(mappedModel.rowData(0));
-    *
-    * // prints "Mustermann, Max"
-    * console.log(mappedModel.rowData(1));
-    *
-    * // prints "Tisch, Roman"
-    * console.log(mappedModel.rowData(2));
-    *
-    * // You can modifying the underlying {@link ArrayModel}:
-    *
-    * const model = new ArrayModel<Name>([
-    *     {
-    *         first: "Hans",
-    *         last: "Emil",
-    *     },
-    *     {
-    *         first: "Max",
-    *         last: "Mustermann",
-    *     },
-    *     {
-    *         first: "Roman",
-    *         last: "Tisch",
-    *     },
-    * ]);
-    *
-    * const mappedModel = model.map(
-    *     (data) => {
-    *         return data.last + ", " + data.first;
-    *     }
-    * );
-    *
-    * model.setRowData(1, { first: "Minnie", last: "Musterfrau" } );
-    *
-    * // prints "Emil, Hans"
-    * console.log(mappedModel.rowData(0));
-    *
-    * // prints "Musterfrau, Minnie"
-    * console.log(mappedModel.rowData(1));
-    *
-    * // prints "Tisch, Roman"
-    * console.log(mappedModel.rowData(2));
-    * ```
-    */
-    class MapModel extends Model {
-        sourceModel;
-        #mapFunction;
-        /**
-         * Constructs the MapModel with a source model and map functions.
-         * @template T item type of source model that is mapped to U.
-         * @template U the type of the mapped items.
-         * @param sourceModel the wrapped model.
-         * @param mapFunction maps the data from T to U.
-         */
-        constructor(sourceModel, mapFunction) {
-            super();
-            this.sourceModel = sourceModel;
-            this.#mapFunction = mapFunction;
-            this.notify = this.sourceModel.notify;
-        }
-        /**
-         * Returns the number of entries in the model.
-         */
-        rowCount() {
-            return this.sourceModel.rowCount();
-        }
-        /**
-         * Returns the data at the specified row.
-         * @param row index in range 0..(rowCount() - 1).
-         * @returns undefined if row is out of range otherwise the data.
-         */
-        rowData(row) {
-            return this.#mapFunction(this.sourceModel.rowData(row));
-        }
-    }
-    private_api.MapModel = MapModel;
-})(private_api || (exports.private_api = private_api = {}));
+     * @template U the type of the mapped items.
+     * @param sourceModel the wrapped model.
+     * @param mapFunction maps the data from T to U.
+     */
+    constructor(sourceModel, mapFunction) {
+        super();
+        this.sourceModel = sourceModel;
+        this.#mapFunction = mapFunction;
+        this.#observer = {
+            rowDataChanged: (row) => this.notifyRowDataChanged(row),
+            rowAdded: (row, count) => this.notifyRowAdded(row, count),
+            rowRemoved: (row, count) => this.notifyRowRemoved(row, count),
+            reset: () => this.notifyReset(),
+        };
+        this.sourceModel.observers.add(this.#observer);
+    }
+    /**
+     * Stops observing the source model. The source model keeps a reference to this model until then, so call
+     * this when the model isn't used anymore but the source model is.
+     */
+    dispose() {
+        this.sourceModel.observers.delete(this.#observer);
+    }
+    /**
+     * Returns the number of entries in the model.
+     */
+    rowCount() {
+        return this.sourceModel.rowCount();
+    }
+    /**
+     * Returns the data at the specified row.
+     * @param row index in range 0..(rowCount() - 1).
+     * @returns undefined if row is out of range otherwise the data.
+     */
+    rowData(row) {
+        const data = this.sourceModel.rowData(row);
+        return data === undefined ? undefined : this.#mapFunction(data);
+    }
+}
+exports.MapModel = MapModel;
+// Returns the index of the first element of the sorted array for which isAfter returns true.
+function lowerBound(array, isAfter) {
+    let low = 0;
+    let high = array.length;
+    while (low < high) {
+        const middle = (low + high) >>> 1;
+        if (isAfter(array[middle])) {
+            high = middle;
+        }
+        else {
+            low = middle + 1;
+        }
+    }
+    return low;
+}
+/**
+ * Provides the rows of another Model for which a filter function returns true. The rows are updated
+ * when the source model changes. Setting the data of a row sets the data of the corresponding row in the
+ * source model. Create it with {@link Model.filter}.
+ *
+ * @template T the type of the model's items.
+ *
+ * ```ts
+ * import { ArrayModel } from "slint-ui";
+ *
+ * const model = new ArrayModel([1, 2, 3, 4]);
+ * const evenModel = model.filter((value) => value % 2 == 0);
+ *
+ * model.push(6);
+ *
+ * // prints 3
+ * console.log(evenModel.rowCount());
+ * ```
+ */
+class FilterModel extends Model {
+    sourceModel;
+    #filterFunction;
+    // The rows of the source model that pass the filter, in ascending order.
+    #mapping = [];
+    #observer;
+    /**
+     * Constructs the FilterModel with a source model and a filter function.
+     * @param sourceModel the wrapped model.
+     * @param filterFunction returns true for the rows to keep.
+     */
+    constructor(sourceModel, filterFunction) {
+        super();
+        this.sourceModel = sourceModel;
+        this.#filterFunction = filterFunction;
+        this.#rebuild();
+        this.#observer = {
+            rowDataChanged: (row) => this.#sourceRowChanged(row),
+            rowAdded: (row, count) => this.#sourceRowsAdded(row, count),
+            rowRemoved: (row, count) => this.#sourceRowsRemoved(row, count),
+            reset: () => this.reset(),
+        };
+        this.sourceModel.observers.add(this.#observer);
+    }
+    /**
+     * Stops observing the source model. The source model keeps a reference to this model until then, so call
+     * this when the model isn't used anymore but the source model is.
+     */
+    dispose() {
+        this.sourceModel.observers.delete(this.#observer);
+    }
+    /**
+     * Runs the filter function again on all rows of the source model, for example after the filter
+     * function's criteria changed, and notifies the run-time that the model was reset.
+     */
+    reset() {
+        this.#rebuild();
+        this.notifyReset();
+    }
+    /**
+     * Returns the number of entries in the model.
+     */
+    rowCount() {
+        return this.#mapping.length;
+    }
+    /**
+     * Returns the data at the specified row.
+     * @param row index in range 0..(rowCount() - 1).
+     * @returns undefined if row is out of range otherwise the data.
+     */
+    rowData(row) {
+        const sourceRow = this.#mapping[row];
+        return sourceRow === undefined ? undefined : this.sourceModel.rowData(sourceRow);
+    }
+    /**
+     * Stores the given data on the corresponding row of the source model.
+     * @param row index in range 0..(rowCount() - 1).
+     * @param data new data item to store on the given row index
+     */
+    setRowData(row, data) {
+        const sourceRow = this.#mapping[row];
+        if (sourceRow !== undefined) {
+            this.sourceModel.setRowData(sourceRow, data);
+        }
+    }
+    #accepts(sourceRow) {
+        const data = this.sourceModel.rowData(sourceRow);
+        return data !== undefined && this.#filterFunction(data);
+    }
+    #rebuild() {
+        this.#mapping = [];
+        for (let sourceRow = 0; sourceRow < this.sourceModel.rowCount(); ++sourceRow) {
+            if (this.#accepts(sourceRow)) {
+                this.#mapping.push(sourceRow);
+            }
+        }
+    }
+    #sourceRowChanged(sourceRow) {
+        const row = lowerBound(this.#mapping, (r) => r >= sourceRow);
+        const wasAccepted = this.#mapping[row] === sourceRow;
+        const accepted = this.#accepts(sourceRow);
+        if (wasAccepted && accepted) {
+            this.notifyRowDataChanged(row);
+        }
+        else if (wasAccepted) {
+            this.#mapping.splice(row, 1);
+            this.notifyRowRemoved(row, 1);
+        }
+        else if (accepted) {
+            this.#mapping.splice(row, 0, sourceRow);
+            this.notifyRowAdded(row, 1);
+        }
+    }
+    #sourceRowsAdded(sourceRow, count) {
+        const row = lowerBound(this.#mapping, (r) => r >= sourceRow);
+        for (let i = row; i < this.#mapping.length; ++i) {
+            this.#mapping[i] += count;
+        }
+        const added = [];
+        for (let r = sourceRow; r < sourceRow + count; ++r) {
+            if (this.#accepts(r)) {
+                added.push(r);
+            }
+        }
+        if (added.length > 0) {
+            this.#mapping.splice(row, 0, ...added);
+            this.notifyRowAdded(row, added.length);
+        }
+    }
+    // Updates the mapping before notifying, so that the observers see the rows that remain.
+    #sourceRowsRemoved(sourceRow, count) {
+        const row = lowerBound(this.#mapping, (r) => r >= sourceRow);
+        const end = lowerBound(this.#mapping, (r) => r >= sourceRow + count);
+        this.#mapping = [
+            ...this.#mapping.slice(0, row),
+            ...this.#mapping.slice(end).map((r) => r - count),
+        ];
+        if (end > row) {
+            this.notifyRowRemoved(row, end - row);
+        }
+    }
+}
+exports.FilterModel = FilterModel;
+/**
+ * Provides the rows of another Model sorted with a compare function. The rows are updated when the
+ * source model changes. Rows that compare equal keep the order of the source model. Setting the data
+ * of a row sets the data of the corresponding row in the source model. Create it with {@link Model.sortBy}.
+ *
+ * @template T the type of the model's items.
+ *
+ * ```ts
+ * import { ArrayModel } from "slint-ui";
+ *
+ * const model = new ArrayModel(["Orange", "Apple", "Banana"]);
+ * const sortedModel = model.sortBy((a, b) => a.localeCompare(b));
+ *
+ * // prints "Apple"
+ * console.log(sortedModel.rowData(0));
+ * ```
+ */
+class SortModel extends Model {
+    sourceModel;
+    #compareFunction;
+    // The rows of the source model, in sorted order.
+    #mapping = [];
+    #observer;
+    /**
+     * Constructs the SortModel with a source model and a compare function.
+     * @param sourceModel the wrapped model.
+     * @param compareFunction returns a negative value if the first argument is less than the second
+     *                        argument, zero if they're equal, and a positive value otherwise.
+     */
+    constructor(sourceModel, compareFunction) {
+        super();
+        this.sourceModel = sourceModel;
+        this.#compareFunction = compareFunction;
+        this.#rebuild();
+        this.#observer = {
+            rowDataChanged: (row) => this.#sourceRowChanged(row),
+            rowAdded: (row, count) => this.#sourceRowsAdded(row, count),
+            rowRemoved: (row, count) => this.#sourceRowsRemoved(row, count),
+            reset: () => this.reset(),
+        };
+        this.sourceModel.observers.add(this.#observer);
+    }
+    /**
+     * Stops observing the source model. The source model keeps a reference to this model until then, so call
+     * this when the model isn't used anymore but the source model is.
+     */
+    dispose() {
+        this.sourceModel.observers.delete(this.#observer);
+    }
+    /**
+     * Sorts all rows of the source model again, for example after the compare function's criteria
+     * changed, and notifies the run-time that the model was reset.
+     */
+    reset() {
+        this.#rebuild();
+        this.notifyReset();
+    }
+    /**
+     * Returns the number of entries in the model.
+     */
+    rowCount() {
+        return this.#mapping.length;
+    }
+    /**
+     * Returns the data at the specified row.
+     * @param row index in range 0..(rowCount() - 1).
+     * @returns undefined if row is out of range otherwise the data.
+     */
+    rowData(row) {
+        const sourceRow = this.#mapping[row];
+        return sourceRow === undefined ? undefined : this.sourceModel.rowData(sourceRow);
+    }
+    /**
+     * Stores the given data on the corresponding row of the source model.
+     * @param row index in range 0..(rowCount() - 1).
+     * @param data new data item to store on the given row index
+     */
+    setRowData(row, data) {
+        const sourceRow = this.#mapping[row];
+        if (sourceRow !== undefined) {
+            this.sourceModel.setRowData(sourceRow, data);
+        }
+    }
+    #compare(a, b) {
+        return this.#compareFunction(this.sourceModel.rowData(a), this.sourceModel.rowData(b)) || a - b;
+    }
+    #rebuild() {
+        this.#mapping = Array.from({ length: this.sourceModel.rowCount() }, (_, sourceRow) => sourceRow);
+        this.#mapping.sort((a, b) => this.#compare(a, b));
+    }
+    #insert(sourceRow) {
+        const row = lowerBound(this.#mapping, (r) => this.#compare(r, sourceRow) > 0);
+        this.#mapping.splice(row, 0, sourceRow);
+        this.notifyRowAdded(row, 1);
+    }
+    #sourceRowChanged(sourceRow) {
+        const row = this.#mapping.indexOf(sourceRow);
+        if (row < 0) {
+            return;
+        }
+        this.#mapping.splice(row, 1);
+        const newRow = lowerBound(this.#mapping, (r) => this.#compare(r, sourceRow) > 0);
+        this.#mapping.splice(newRow, 0, sourceRow);
+        if (newRow === row) {
+            this.notifyRowDataChanged(row);
+        }
+        else {
+            this.notifyRowRemoved(row, 1);
+            this.notifyRowAdded(newRow, 1);
+        }
+    }
+    #sourceRowsAdded(sourceRow, count) {
+        this.#mapping = this.#mapping.map((r) => r >= sourceRow ? r + count : r);
+        for (let r = sourceRow; r < sourceRow + count; ++r) {
+            this.#insert(r);
+        }
+    }
+    // Updates the mapping before notifying, so that the observers see the rows that remain. The removed rows
+    // are notified from the last to the first, so that the row indices stay valid while notifying.
+    #sourceRowsRemoved(sourceRow, count) {
+        const removedRows = [];
+        const mapping = [];
+        this.#mapping.forEach((r, row) => {
+            if (r < sourceRow) {
+                mapping.push(r);
+            }
+            else if (r >= sourceRow + count) {
+                mapping.push(r - count);
+            }
+            else {
+                removedRows.push(row);
+            }
+        });
+        this.#mapping = mapping;
+        for (let end = removedRows.length; end > 0;) {
+            // Notify runs of consecutive rows at once.
+            let start = end - 1;
+            while (start > 0 && removedRows[start - 1] === removedRows[start] - 1) {
+                --start;
+            }
+            this.notifyRowRemoved(removedRows[start], end - start);
+            end = start;
+        }
+    }
+}
+exports.SortModel = SortModel;
+/**
+ * Makes the conversion of JavaScript values to Slint values stricter. By default, any number is accepted for
+ * numeric properties and properties of objects that aren't fields of a struct are ignored. With strict type checking,
+ * numbers must be finite, numbers for `int` properties must be whole numbers, and objects must not have properties
+ * that aren't fields of the struct.
+ *
+ * Values of the wrong type are rejected in either mode: setting a property, or invoking a callback or function with
+ * such a value throws a {@link TypeError} that names the value, the expected Slint type and the received value, for
+ * example `items[3].author.name: expected string, but got 42`.
+ *
+ * @param enabled Whether to enable strict type checking.
+ */
+function setStrictTypeChecking(enabled) {
+    napi.setStrictTypeChecking(enabled);
+}
+exports.setStrictTypeChecking = setStrictTypeChecking;
+/**
+ * Sets the function that is called when a function of a {@link Model} that Slint calls throws, or when a row returned
+ * by its `rowData()` function can't be converted to the Slint type of the model's rows. Slint calls `rowCount()`,
+ * `rowData()`, and `setRowData()` while it renders and handles input, so the error can't be thrown to the code that
+ * changed the model; the model is shown without the row, or empty if `rowCount()` throws, instead. By default, and if
+ * the handler throws, the error is reported as an uncaught exception, which emits the `uncaughtException` event of
+ * `process`.
+ *
+ * ```js
+ * slint.setModelErrorHandler((error, row, model) => console.error(`row ${row}:`, error.message));
+ * ```
+ *
+ * @param handler The function to call with the error, which is a {@link TypeError} for rows that can't be converted,
+ * the index of the row, or `undefined` for errors of `rowCount()`, and the model, or `undefined` to report the errors
+ * as uncaught exceptions again.
+ */
+function setModelErrorHandler(handler) {
+    napi.setModelErrorHandler(handler);
+}
+exports.setModelErrorHandler = setModelErrorHandler;
+// The options of the callback functions created with asyncCallback().
+const asyncCallbacks = new WeakMap();
+/**
+ * Marks a callback function that may return a promise, for example because it reads from a database or calls
+ * `fetch()`. Slint needs the value of a callback right away, so when the function returns a promise, the callback
+ * returns the default value of its return type, such as `0` or `""`, and the value that the promise resolves to
+ * is passed on as set up in `options` instead. If the promise is rejected, the error is passed to the handler set
+ * with {@link ComponentHandle.onError}, or becomes an unhandled rejection.
+ *
+ * ```js
+ * component.load_user = slint.asyncCallback(
+ *     async (id) => (await fetch(`/users/${id}`)).json(),
+ *     { result: "user", busy: "loading" },
+ * );
+ * ```
+ *
+ * @param callback The function that implements the callback.
+ * @param options Where to pass the value of the promise to.
+ * @returns A function to assign to a callback of a component or global.
+ */
+function asyncCallback(callback, options) {
+    // A function of its own, so that the same function can be used with different options.
+    const wrapper = function (...args) {
+        return callback.apply(this, args);
+    };
+    asyncCallbacks.set(wrapper, options ?? {});
+    return wrapper;
+}
+exports.asyncCallback = asyncCallback;
+// Returns the name of the property as declared in the .slint file, also accepting the name with underscores.
+function resolvePropertyName(properties, name) {
+    return properties.find((prop) => prop.name === name || prop.name.replace(/-/g, "_") === name)?.name;
+}
 /**
  * @hidden
  */
 class Component {
     #instance;
+    #subscriptions = new Set();
+    // The bindings by global name and property name, as declared in the .slint file.
+    #bindings = new Map();
+    #errorHandler;
+    // The number of pending promises by global name and property name of the busy property, as declared in the .slint file.
+    #busy = new Map();
     /**
      * @hidden
      */
@@ -375,9 +883,220 @@ class Component {
     get component_instance() {
         return this.#instance;
     }
+    /**
+    * @hidden
+    */
+    set component_instance(instance) {
+        this.#instance = instance;
+        this.#instance.setErrorHandler(this.#errorHandler);
+        // Subscribe to the changes of the properties of the new instance, as far as they still exist
+        this.#subscriptions.forEach((subscription) => {
+            subscription.unsubscribe();
+            try {
+                subscription.unsubscribe = this.#subscribe(subscription.globalName, subscription.property, subscription.callback);
+            }
+            catch {
+                subscription.unsubscribe = () => { };
+            }
+        });
+        this.#bindings.forEach((binding, key) => {
+            binding.remove();
+            try {
+                binding.remove = this.#bind(binding.globalName, binding.property, binding.binding);
+            }
+            catch {
+                this.#bindings.delete(key);
+            }
+        });
+    }
+    onChanged(property, callback) {
+        return this.subscribe_changes(null, property, callback);
+    }
+    /**
+    * @hidden
+    */
+    subscribe_changes(globalName, property, callback) {
+        const subscription = {
+            globalName,
+            property,
+            callback,
+            unsubscribe: this.#subscribe(globalName, property, callback),
+        };
+        this.#subscriptions.add(subscription);
+        return () => {
+            if (this.#subscriptions.delete(subscription)) {
+                subscription.unsubscribe();
+            }
+        };
+    }
+    #subscribe(globalName, property, callback) {
+        const name = this.#resolve(globalName, property);
+        return globalName === null
+            ? this.#instance.onPropertyChanged(name, callback)
+            : this.#instance.onGlobalPropertyChanged(globalName, name, callback);
+    }
+    setBinding(property, binding) {
+        return this.set_binding(null, property, binding);
+    }
+    onError(handler) {
+        this.#errorHandler = handler;
+        this.#instance.setErrorHandler(handler);
+    }
+    trackBusy(property, promise) {
+        return this.track_busy(null, property, promise);
+    }
+    /**
+    * @hidden
+    */
+    track_busy(globalName, property, promise) {
+        const name = this.#resolve(globalName, property);
+        const key = `${globalName ?? ""}.${name}`;
+        const update = (change) => {
+            const count = (this.#busy.get(key) ?? 0) + change;
+            if (count > 0) {
+                this.#busy.set(key, count);
+            }
+            else {
+                this.#busy.delete(key);
+            }
+            this.#set(globalName, name, count > 0);
+        };
+        update(1);
+        promise.then(() => update(-1), () => update(-1));
+        return promise;
+    }
+    /**
+    * Returns the function to set for a callback: the function itself, or for functions created with asyncCallback(),
+    * a function that returns the default value of the callback's return type instead of a promise, and passes the
+    * value of the promise on when it is resolved.
+    *
+    * @hidden
+    */
+    async_callback(globalName, callbackName, callback) {
+        const options = asyncCallbacks.get(callback);
+        if (options === undefined) {
+            return callback;
+        }
+        // Resolve the names right away, so that misspelled names throw when the callback is set.
+        const result = options.result === undefined ? undefined : this.#resolve(globalName, options.result);
+        const completed = options.completed === undefined ? undefined : this.#resolveCallback(globalName, options.completed);
+        const busy = options.busy === undefined ? undefined : this.#resolve(globalName, options.busy);
+        const defaultValue = this.#instance.definition().defaultReturnValue(callbackName, globalName ?? undefined);
+        const errorName = globalName === null ? callbackName : `${globalName}.${callbackName}`;
+        const component = this;
+        return function (...args) {
+            const value = callback.apply(this, args);
+            if (typeof value?.then !== "function") {
+                return value;
+            }
+            const promise = Promise.resolve(value);
+            if (busy !== undefined) {
+                component.track_busy(globalName, busy, promise);
+            }
+            promise
+                .then((resolved) => {
+                if (result !== undefined) {
+                    component.#set(globalName, result, resolved);
+                }
+                if (completed !== undefined) {
+                    component.#invoke(globalName, completed, resolved);
+                }
+            })
+                .catch((error) => {
+                if (component.#errorHandler === undefined) {
+                    throw error;
+                }
+                component.#errorHandler(error, errorName);
+            });
+            return defaultValue;
+        };
+    }
+    #set(globalName, name, value) {
+        this.remove_binding(globalName, name);
+        if (globalName === null) {
+            this.#instance.setProperty(name, value);
+        }
+        else {
+            this.#instance.setGlobalProperty(globalName, name, value);
+        }
+    }
+    #invoke(globalName, name, value) {
+        if (globalName === null) {
+            this.#instance.invoke(name, [value]);
+        }
+        else {
+            this.#instance.invokeGlobal(globalName, name, [value]);
+        }
+    }
+    /**
+    * @hidden
+    */
+    set_binding(globalName, property, binding) {
+        const name = this.#resolve(globalName, property);
+        const key = `${globalName ?? ""}.${name}`;
+        this.remove_binding(globalName, name);
+        const propertyBinding = {
+            globalName,
+            property: name,
+            binding,
+            remove: this.#bind(globalName, name, binding),
+        };
+        this.#bindings.set(key, propertyBinding);
+        return () => {
+            if (this.#bindings.get(key) === propertyBinding) {
+                this.remove_binding(globalName, name);
+            }
+        };
+    }
+    /**
+    * @hidden
+    */
+    remove_binding(globalName, name) {
+        const key = `${globalName ?? ""}.${name}`;
+        this.#bindings.get(key)?.remove();
+        this.#bindings.delete(key);
+    }
+    #bind(globalName, name, binding) {
+        return globalName === null
+            ? this.#instance.setBinding(name, binding)
+            : this.#instance.setGlobalBinding(globalName, name, binding);
+    }
+    // Returns the name of the property as declared in the .slint file.
+    #resolve(globalName, property) {
+        const definition = this.#instance.definition();
+        if (globalName === null) {
+            const name = resolvePropertyName(definition.properties, property);
+            if (name === undefined) {
+                throw new Error(`Property ${property} not found in the component`);
+            }
+            return name;
+        }
+        const name = resolvePropertyName(definition.globalProperties(globalName) ?? [], property);
+        if (name === undefined) {
+            throw new Error(`Property ${property} of global ${globalName} not found in the component`);
+        }
+        return name;
+    }
+    // Returns the name of the callback as declared in the .slint file.
+    #resolveCallback(globalName, callback) {
+        const definition = this.#instance.definition();
+        const callbacks = globalName === null ? definition.callbacks : definition.globalCallbacks(globalName) ?? [];
+        const name = callbacks.find((cb) => cb === callback || cb.replace(/-/g, "_") === callback);
+        if (name === undefined) {
+            throw new Error(globalName === null
+                ? `Callback ${callback} not found in the component`
+                : `Callback ${callback} of global ${globalName} not found in the component`);
+        }
+        return name;
+    }
     async run() {
         this.show();
-        await runEventLoop();
+        let removeHandler = () => { };
+        const closed = new Promise((resolve) => {
+            removeHandler = this.#instance.window().onClosed(resolve);
+        });
+        await Promise.race([closed, runEventLoop()]);
+        removeHandler();
         this.hide();
     }
     show() {
@@ -407,8 +1126,38 @@ class CompileError extends Error {
     }
 }
 exports.CompileError = CompileError;
-function loadSlint(loadData) {
-    const { filePath, options } = loadData.fileData;
+/**
+ * Returns the types of the public properties, callbacks, and functions of a component and its globals, for
+ * example to build a form for the properties of the component.
+ *
+ * ```js
+ * let ui = slint.loadFile("ui/main.slint");
+ * let description = slint.describeComponent(ui.Main);
+ * console.log(description.members["font-size"]); // { kind: "number", unit: "length", visibility: "in-out" }
+ * ```
+ *
+ * @param component The constructor of the component, as returned by {@link loadFile} or {@link loadSource}.
+ * @returns The description of the component.
+ * @throws {@link Error} if `component` isn't the constructor of a component.
+ */
+function describeComponent(component) {
+    if (!componentConstructors.has(component)) {
+        throw new Error("describeComponent() expects the constructor of a component loaded from a .slint file");
+    }
+    const definition = component.definition;
+    const name = component.componentName;
+    const globals = {};
+    definition.globals.forEach((globalName) => {
+        globals[globalName] = definition.globalPropertyTypes(globalName);
+    });
+    return {
+        name,
+        members: definition.propertyTypes(),
+        globals,
+    };
+}
+exports.describeComponent = describeComponent;
+function createCompiler(options) {
     let compiler = new napi.ComponentCompiler();
     if (typeof options !== "undefined") {
         if (typeof options.style !== "undefined") {
@@ -421,8 +1170,9 @@ function loadSlint(loadData) {
             compiler.libraryPaths = options.libraryPaths;
         }
     }
-    let definition = loadData.from === 'file' ? compiler.buildFromPath(filePath) : compiler.buildFromSource(loadData.fileData.source, filePath);
-    let diagnostics = compiler.diagnostics;
+    return compiler;
+}
+function checkDiagnostics(diagnostics, filePath, options) {
     if (diagnostics.length > 0) {
         let warnings = diagnostics.filter((d) => d.level == napi.DiagnosticLevel.Warning);
         if (typeof options !== "undefined" && options.quiet !== true) {
@@ -433,117 +1183,424 @@ function loadSlint(loadData) {
             throw new CompileError("Could not compile " + filePath, errors);
         }
     }
-    let slint_module = Object.create({});
-    Object.defineProperty(slint_module, definition.name.replace(/-/g, "_"), {
-        value: function (properties) {
-            let instance = definition.create();
-            if (instance == null) {
-                throw Error("Could not create a component handle for" + filePath);
-            }
-            for (var key in properties) {
-                let value = properties[key];
-                if (value instanceof Function) {
-                    instance.setCallback(key, value);
-                }
-                else {
-                    instance.setProperty(key, properties[key]);
-                }
+}
+function loadedFiles(loadData, compiler) {
+    const imports = compiler.loadedFiles;
+    return loadData.from === 'file' ? [loadData.fileData.filePath, ...imports] : imports;
+}
+// The interpreter builds only the last exported component, the compiler builds the others from the same source.
+// Their warnings were printed with those of the file.
+function buildExportedDefinition(compiler, definition, exported, loadData) {
+    if (exported.declaredName === definition.name) {
+        return definition;
+    }
+    const exportedDefinition = compiler.buildExportedComponent(exported.name);
+    checkDiagnostics(compiler.diagnostics, loadData.fileData.filePath, { ...loadData.fileData.options, quiet: true });
+    return exportedDefinition;
+}
+function compileResult(loadData, compiler, definition, definitions) {
+    if (definitions.size === 0) {
+        definitions.set(definition.name, definition);
+    }
+    return { definition, definitions, files: loadedFiles(loadData, compiler) };
+}
+function compileSlint(loadData) {
+    const { filePath, options } = loadData.fileData;
+    let compiler = createCompiler(options);
+    let definition = loadData.from === 'file' ? compiler.buildFromPath(filePath) : compiler.buildFromSource(loadData.fileData.source, filePath);
+    checkDiagnostics(compiler.diagnostics, filePath, options);
+    const definitions = new Map();
+    definition.exportedComponents.forEach((exported) => {
+        definitions.set(exported.name, buildExportedDefinition(compiler, definition, exported, loadData));
+    });
+    return compileResult(loadData, compiler, definition, definitions);
+}
+function throwIfAborted(signal) {
+    if (signal?.aborted) {
+        throw signal.reason ?? new Error("The operation was aborted");
+    }
+}
+// Gives the Node.js event loop a chance to run between the steps of an asynchronous compilation.
+async function yieldToEventLoop(signal) {
+    await new Promise((resolve) => setImmediate(resolve));
+    throwIfAborted(signal);
+}
+async function compileSlintAsync(loadData, signal) {
+    const { filePath, options } = loadData.fileData;
+    throwIfAborted(signal);
+    let compiler = createCompiler(options);
+    let compilation = loadData.from === 'file' ? compiler.buildFromPathAsync(filePath) : compiler.buildFromSourceAsync(loadData.fileData.source, filePath);
+    while (!compilation.step()) {
+        await yieldToEventLoop(signal);
+    }
+    let definition = compiler.finishBuild(compilation);
+    checkDiagnostics(compiler.diagnostics, filePath, options);
+    const definitions = new Map();
+    for (const exported of definition.exportedComponents) {
+        await yieldToEventLoop(signal);
+        definitions.set(exported.name, buildExportedDefinition(compiler, definition, exported, loadData));
+    }
+    return compileResult(loadData, compiler, definition, definitions);
+}
+function loadSlint(loadData) {
+    return createSlintModule(loadData, compileSlint(loadData));
+}
+async function loadSlintAsync(loadData, signal) {
+    return createSlintModule(loadData, await compileSlintAsync(loadData, signal));
+}
+// Copies the values of the properties and global properties that exist in both instances, and sets the
+// callbacks registered from JavaScript on the new instance. Values that can't be transferred, for example
+// because the property became an output property or changed its type, are passed to report and skipped.
+function transferState(from, to, callbacks, globalCallbacks, report) {
+    const tryTransfer = (what, transfer) => {
+        try {
+            transfer();
+        }
+        catch (e) {
+            report(`failed to transfer ${what}`, e);
+        }
+    };
+    const oldDefinition = from.definition();
+    const newDefinition = to.definition();
+    const oldProperties = new Set(oldDefinition.properties.map((prop) => prop.name));
+    newDefinition.properties
+        .filter((prop) => oldProperties.has(prop.name))
+        .forEach((prop) => tryTransfer(`property ${prop.name}`, () => to.setProperty(prop.name, from.getProperty(prop.name))));
+    callbacks.forEach((callback, name) => tryTransfer(`callback ${name}`, () => to.setCallback(name, callback)));
+    newDefinition.globals
+        .filter((globalName) => oldDefinition.globals.includes(globalName))
+        .forEach((globalName) => {
+        const oldGlobalProperties = new Set(oldDefinition.globalProperties(globalName).map((prop) => prop.name));
+        newDefinition.globalProperties(globalName)
+            .filter((prop) => oldGlobalProperties.has(prop.name))
+            .forEach((prop) => tryTransfer(`property ${globalName}.${prop.name}`, () => to.setGlobalProperty(globalName, prop.name, from.getGlobalProperty(globalName, prop.name))));
+    });
+    globalCallbacks.forEach((globalCallbacks, globalName) => {
+        globalCallbacks.forEach((callback, name) => tryTransfer(`callback ${globalName}.${name}`, () => to.setGlobalCallback(globalName, name, callback)));
+    });
+}
+// Watches the files of a loaded .slint file, and recompiles them and swaps the live components when they change.
+class HotReloader {
+    #loadData;
+    #files = [];
+    #watchers = [];
+    #timer = null;
+    #components = new Set();
+    #reloadFunctions = new WeakMap();
+    // The definitions of the exported components, by the name they're exported as.
+    definitions;
+    constructor(loadData, compileResult) {
+        this.#loadData = loadData;
+        this.definitions = compileResult.definitions;
+        this.#watch(compileResult.files);
+    }
+    // Registers a component created from the exported component of the given name.
+    register(component, name, reload) {
+        this.#components.add(new WeakRef(component));
+        this.#reloadFunctions.set(component, { name, reload });
+    }
+    // Editors that save by renaming a new file over the old one replace the watched file, which ends its watcher,
+    // so the files are watched again after every reload attempt.
+    #watch(files) {
+        this.#files = files;
+        this.#watchers.forEach((watcher) => watcher.close());
+        this.#watchers = files
+            .filter((file) => fs.existsSync(file))
+            .map((file) => fs.watch(file, { persistent: false }, () => this.#scheduleReload()));
+    }
+    // Editors often write a file in several steps, so wait for the changes to settle.
+    #scheduleReload() {
+        if (this.#timer !== null) {
+            clearTimeout(this.#timer);
+        }
+        this.#timer = setTimeout(() => {
+            this.#timer = null;
+            this.#reload();
+        }, 100);
+    }
+    #reload() {
+        const filePath = this.#loadData.fileData.filePath;
+        let compileResult;
+        try {
+            compileResult = compileSlint(this.#loadData);
+        }
+        catch (e) {
+            if (e instanceof CompileError) {
+                console.error(`Hot reload of ${filePath} failed, keeping the running version:`);
+                e.diagnostics.forEach((d) => console.error(`    ${d.fileName}:${d.lineNumber}:${d.columnNumber}: ${d.message}`));
+            }
+            else {
+                console.error(`Hot reload of ${filePath} failed:`, e);
+            }
+            this.#watch(this.#files);
+            return;
+        }
+        this.#watch(compileResult.files);
+        // Components whose export was removed keep their old definition.
+        this.definitions.forEach((definition, name) => {
+            if (!compileResult.definitions.has(name)) {
+                console.error(`Hot reload of ${filePath}: the exported component ${name} was removed or renamed, restart the application to load it`);
+                compileResult.definitions.set(name, definition);
+            }
+        });
+        this.definitions = compileResult.definitions;
+        this.#components.forEach((ref) => {
+            const component = ref.deref();
+            if (component === undefined) {
+                this.#components.delete(ref);
+                return;
+            }
+            const { name, reload } = this.#reloadFunctions.get(component);
+            try {
+                reload(this.definitions.get(name), (message, error) => console.error(`Hot reload of ${filePath}: ${message}:`, error));
             }
-            let componentHandle = new Component(instance);
-            instance.definition().properties.forEach((prop) => {
+            catch (e) {
+                console.error(`Hot reload of ${filePath} failed to replace a component:`, e);
+            }
+        });
+    }
+}
+// The constructors of the components loaded from .slint files. They're functions, but when passed as initial
+// properties they're assigned to component-factory properties, not to callbacks.
+const componentConstructors = new WeakSet();
+// Wraps the instance in a component handle that exposes its properties, callbacks, functions, and globals,
+// and sets the given initial properties and callbacks. With a hot reloader, the instance is replaced when the
+// exported component of the given name is reloaded.
+function createComponentHandle(instance, properties, hotReload) {
+    // The callbacks set from JavaScript, to set them again on the new instance after a hot reload.
+    const callbacks = new Map();
+    const globalCallbacks = new Map();
+    let componentHandle = new Component(instance);
+    for (var key in properties) {
+        let value = properties[key];
+        if (value instanceof Function && !componentConstructors.has(value)) {
+            const callback = componentHandle.async_callback(null, key, value);
+            instance.setCallback(key, callback);
+            callbacks.set(key, callback);
+        }
+        else {
+            instance.setProperty(key, properties[key]);
+        }
+    }
+    instance.definition().properties.forEach((prop) => {
+        let propName = prop.name.replace(/-/g, "_");
+        if (componentHandle[propName] !== undefined) {
+            console.warn("Duplicated property name " + propName);
+        }
+        else {
+            Object.defineProperty(componentHandle, propName, {
+                get() {
+                    return instance.getProperty(prop.name);
+                },
+                set(value) {
+                    componentHandle.remove_binding(null, prop.name);
+                    instance.setProperty(prop.name, value);
+                },
+                enumerable: true,
+            });
+        }
+    });
+    instance.definition().callbacks.forEach((cb) => {
+        let callbackName = cb.replace(/-/g, "_");
+        if (componentHandle[callbackName] !== undefined) {
+            console.warn("Duplicated callback name " + callbackName);
+        }
+        else {
+            Object.defineProperty(componentHandle, cb.replace(/-/g, "_"), {
+                get() {
+                    return function () {
+                        return instance.invoke(cb, Array.from(arguments));
+                    };
+                },
+                set(callback) {
+                    callback = componentHandle.async_callback(null, cb, callback);
+                    instance.setCallback(cb, callback);
+                    callbacks.set(cb, callback);
+                },
+                enumerable: true,
+            });
+        }
+    });
+    instance.definition().functions.forEach((functionName) => {
+        let name = functionName.replace(/-/g, "_");
+        if (componentHandle[name] !== undefined) {
+            console.warn("Duplicated function name " + name);
+        }
+        else {
+            Object.defineProperty(componentHandle, name, {
+                value: function () {
+                    return instance.invoke(functionName, Array.from(arguments));
+                },
+                enumerable: true,
+            });
+        }
+    });
+    // globals
+    instance.definition().globals.forEach((globalName) => {
+        if (componentHandle[globalName] !== undefined) {
+            console.warn("Duplicated property name " + globalName);
+        }
+        else {
+            let globalObject = Object.create({});
+            instance.definition().globalProperties(globalName).forEach((prop) => {
                 let propName = prop.name.replace(/-/g, "_");
-                if (componentHandle[propName] !== undefined) {
-                    console.warn("Duplicated property name " + propName);
+                if (globalObject[propName] !== undefined) {
+                    console.warn("Duplicated property name " + propName + " on global " + global);
                 }
                 else {
-                    Object.defineProperty(componentHandle, propName, {
+                    Object.defineProperty(globalObject, propName, {
                         get() {
-                            return instance.getProperty(prop.name);
+                            return instance.getGlobalProperty(globalName, prop.name);
                         },
                         set(value) {
-                            instance.setProperty(prop.name, value);
+                            componentHandle.remove_binding(globalName, prop.name);
+                            instance.setGlobalProperty(globalName, prop.name, value);
                         },
                         enumerable: true,
                     });
                 }
             });
-            instance.definition().callbacks.forEach((cb) => {
+            instance.definition().globalCallbacks(globalName).forEach((cb) => {
                 let callbackName = cb.replace(/-/g, "_");
-                if (componentHandle[callbackName] !== undefined) {
-                    console.warn("Duplicated callback name " + callbackName);
+                if (globalObject[callbackName] !== undefined) {
+                    console.warn("Duplicated property name " + cb + " on global " + global);
                 }
                 else {
-                    Object.defineProperty(componentHandle, cb.replace(/-/g, "_"), {
+                    Object.defineProperty(globalObject, cb.replace(/-/g, "_"), {
                         get() {
                             return function () {
-                                return instance.invoke(cb, Array.from(arguments));
+                                return instance.invokeGlobal(globalName, cb, Array.from(arguments));
                             };
                         },
                         set(callback) {
-                            instance.setCallback(cb, callback);
+                            callback = componentHandle.async_callback(globalName, cb, callback);
+                            instance.setGlobalCallback(globalName, cb, callback);
+                            if (!globalCallbacks.has(globalName)) {
+                                globalCallbacks.set(globalName, new Map());
+                            }
+                            globalCallbacks.get(globalName).set(cb, callback);
                         },
                         enumerable: true,
                     });
                 }
             });
-            // globals
-            instance.definition().globals.forEach((globalName) => {
-                if (componentHandle[globalName] !== undefined) {
-                    console.warn("Duplicated property name " + globalName);
+            instance.definition().globalFunctions(globalName).forEach((functionName) => {
+                let name = functionName.replace(/-/g, "_");
+                if (globalObject[name] !== undefined) {
+                    console.warn("Duplicated function name " + name + " on global " + globalName);
                 }
                 else {
-                    let globalObject = Object.create({});
-                    instance.definition().globalProperties(globalName).forEach((prop) => {
-                        let propName = prop.name.replace(/-/g, "_");
-                        if (globalObject[propName] !== undefined) {
-                            console.warn("Duplicated property name " + propName + " on global " + global);
-                        }
-                        else {
-                            Object.defineProperty(globalObject, propName, {
-                                get() {
-                                    return instance.getGlobalProperty(globalName, prop.name);
-                                },
-                                set(value) {
-                                    instance.setGlobalProperty(globalName, prop.name, value);
-                                },
-                                enumerable: true,
-                            });
-                        }
-                    });
-                    instance.definition().globalCallbacks(globalName).forEach((cb) => {
-                        let callbackName = cb.replace(/-/g, "_");
-                        if (globalObject[callbackName] !== undefined) {
-                            console.warn("Duplicated property name " + cb + " on global " + global);
-                        }
-                        else {
-                            Object.defineProperty(globalObject, cb.replace(/-/g, "_"), {
-                                get() {
-                                    return function () {
-                                        return instance.invokeGlobal(globalName, cb, Array.from(arguments));
-                                    };
-                                },
-                                set(callback) {
-                                    instance.setGlobalCallback(globalName, cb, callback);
-                                },
-                                enumerable: true,
-                            });
-                        }
-                    });
-                    Object.defineProperty(componentHandle, globalName, {
-                        get() {
-                            return globalObject;
+                    Object.defineProperty(globalObject, name, {
+                        value: function () {
+                            return instance.invokeGlobal(globalName, functionName, Array.from(arguments));
                         },
                         enumerable: true,
                     });
                 }
             });
-            return Object.seal(componentHandle);
+            if (globalObject.onChanged !== undefined) {
+                console.warn("Duplicated property name onChanged on global " + globalName);
+            }
+            else {
+                Object.defineProperty(globalObject, "onChanged", {
+                    value: (property, callback) => componentHandle.subscribe_changes(globalName, property, callback),
+                });
+            }
+            if (globalObject.setBinding !== undefined) {
+                console.warn("Duplicated property name setBinding on global " + globalName);
+            }
+            else {
+                Object.defineProperty(globalObject, "setBinding", {
+                    value: (property, binding) => componentHandle.set_binding(globalName, property, binding),
+                });
+            }
+            if (globalObject.trackBusy !== undefined) {
+                console.warn("Duplicated property name trackBusy on global " + globalName);
+            }
+            else {
+                Object.defineProperty(globalObject, "trackBusy", {
+                    value: (property, promise) => componentHandle.track_busy(globalName, property, promise),
+                });
+            }
+            Object.defineProperty(componentHandle, globalName, {
+                get() {
+                    return globalObject;
+                },
+                enumerable: true,
+            });
+        }
+    });
+    hotReload?.hotReloader.register(componentHandle, hotReload.name, (newDefinition, report) => {
+        const window = instance.window();
+        const visible = window.visible;
+        const newInstance = newDefinition.createWithExistingWindow(window);
+        transferState(instance, newInstance, callbacks, globalCallbacks, report);
+        instance = newInstance;
+        componentHandle.component_instance = newInstance;
+        // Let the window hold a reference to the new instance instead of the old one
+        if (visible) {
+            newInstance.window().show();
+        }
+    });
+    return Object.seal(componentHandle);
+}
+// Returns the constructor of the component whose definition is returned by getDefinition.
+function createComponentConstructor(name, getDefinition, filePath, hotReloader) {
+    const constructor = function (properties) {
+        let instance = getDefinition().create();
+        if (instance == null) {
+            throw Error("Could not create a component handle for" + filePath);
+        }
+        return createComponentHandle(instance, properties, hotReloader === null ? null : { hotReloader, name });
+    };
+    componentConstructors.add(constructor);
+    // Used to assign the component to component-factory properties, and to describe it.
+    Object.defineProperties(constructor, {
+        componentName: {
+            value: name,
+        },
+        definition: {
+            get: getDefinition,
+        },
+        wrapInstance: {
+            value: (instance) => createComponentHandle(instance, {}, null),
         },
     });
+    return constructor;
+}
+function createSlintModule(loadData, compileResult) {
+    const definition = compileResult.definition;
+    const filePath = loadData.fileData.filePath;
+    const hotReloader = loadData.fileData.options?.watch === true ? new HotReloader(loadData, compileResult) : null;
+    let slint_module = Object.create({});
+    const defineExport = (name, value) => {
+        name = name.replace(/-/g, "_");
+        if (slint_module[name] !== undefined) {
+            console.warn("Duplicated export name " + name);
+        }
+        else {
+            Object.defineProperty(slint_module, name, { value, enumerable: true });
+        }
+    };
+    compileResult.definitions.forEach((exportedDefinition, name) => {
+        defineExport(name, createComponentConstructor(name, () => hotReloader?.definitions.get(name) ?? exportedDefinition, filePath, hotReloader));
+    });
+    Object.entries(definition.namedTypes()).forEach(([name, info]) => {
+        if (info.kind === "enum") {
+            const values = {};
+            info.values.forEach((value) => values[value.replace(/-/g, "_")] = value);
+            defineExport(name, Object.freeze(values));
+        }
+        else {
+            defineExport(name, function (fields) {
+                return Object.assign(definition.defaultValue(name), fields);
+            });
+        }
+    });
     return Object.seal(slint_module);
 }
 /**
- * Loads the given Slint file and returns an objects that contains a functions to construct the exported
+ * Loads the given Slint file and returns an objects that contains a functions to construct each exported
  * component of the slint file.
  *
  * The following example loads a "Hello World" style Slint file and changes the Text label to a new greeting:
@@ -568,9 +1625,9 @@ function loadSlint(loadData) {
  *                 against the process' working directory.
  * @param options Use {@link LoadFileOptions} to configure additional Slint compilation aspects,
  *                such as include search paths, library imports, or the widget style.
- * @returns The returned object is sealed and provides a property by the name of the component exported
- *          in the `.slint` file. In the above example the name of the property is `Main`. The property
- *          is a constructor function. Use it with the new operator to instantiate the component.
+ * @returns The returned object is sealed and provides a property for every component exported
+ *          in the `.slint` file, by the name it's exported as. In the above example the name of the property
+ *          is `Main`. The property is a constructor function. Use it with the new operator to instantiate the component.
  *          The instantiated object exposes properties and callbacks, and implements the {@link ComponentHandle} interface.
  *          For more details about the exposed properties, see [Instantiating A Component](../index.html#md:instantiating-a-component).
  * @throws {@link CompileError} if errors occur during compilation.
@@ -583,7 +1640,7 @@ function loadFile(filePath, options) {
 }
 exports.loadFile = loadFile;
 /**
- * Loads the given Slint source code and returns an object that contains a function to construct the exported
+ * Loads the given Slint source code and returns an object that contains a function to construct each exported
  * component of the Slint source code.
  *
  * The following example loads a "Hello World" style Slint source code and changes the Text label to a new greeting:
@@ -604,9 +1661,9 @@ exports.loadFile = loadFile;
  *                 against the process' working directory.
  * @param options Use {@link LoadFileOptions} to configure additional Slint compilation aspects,
  *                such as include search paths, library imports, or the widget style.
- * @returns The returned object is sealed and provides a property by the name of the component exported
- *          in the `.slint` file. In the above example the name of the property is `Main`. The property
- *          is a constructor function. Use it with the new operator to instantiate the component.
+ * @returns The returned object is sealed and provides a property for every component exported
+ *          in the `.slint` file, by the name it's exported as. In the above example the name of the property
+ *          is `Main`. The property is a constructor function. Use it with the new operator to instantiate the component.
  *          The instantiated object exposes properties and callbacks, and implements the {@link ComponentHandle} interface.
  *          For more details about the exposed properties, see [Instantiating A Component](../index.html#md:instantiating-a-component).
  * @throws {@link CompileError} if errors occur during compilation.
@@ -618,18 +1675,73 @@ function loadSource(source, filePath, options) {
     });
 }
 exports.loadSource = loadSource;
+/**
+ * Loads the given Slint file asynchronously and returns a promise that resolves to an object that contains
+ * a function to construct each exported component of the slint file. See {@link loadFile} for details
+ * about the returned object.
+ *
+ * The compilation doesn't run on another thread: the compiled components are bound to the main thread, so it
+ * runs there too, split into steps. A step ends before each file that's imported by the `.slint` file is loaded,
+ * and before each exported component after the first one is built. The Node.js event loop runs between the steps,
+ * so timers, I/O, and the UI of already loaded components keep being processed, but each step blocks the
+ * event loop while it runs.
+ *
+ * ```js
+ * import * as slint from "slint-ui";
+ * let ui = await slint.loadFileAsync("main.slint", { signal: AbortSignal.timeout(10000) });
+ * let main = new ui.Main();
+ * ```
+ *
+ * @param filePath A path to the file to load. If the path is a relative path, then it is resolved
+ *                 against the process' working directory.
+ * @param options Use {@link LoadFileAsyncOptions} to configure additional Slint compilation aspects,
+ *                such as include search paths, library imports, or the widget style, and to pass an `AbortSignal`.
+ * @returns A promise that resolves to the same object as returned by {@link loadFile}.
+ *          The promise is rejected with a {@link CompileError} if errors occur during compilation, or
+ *          with the signal's reason if the compilation is aborted.
+ */
+function loadFileAsync(filePath, options) {
+    return loadSlintAsync({
+        fileData: { filePath, options },
+        from: 'file',
+    }, options?.signal);
+}
+exports.loadFileAsync = loadFileAsync;
+/**
+ * Loads the given Slint source code asynchronously and returns a promise that resolves to an object that
+ * contains a function to construct each exported component of the Slint source code. See {@link loadSource}
+ * and {@link loadFileAsync} for details.
+ *
+ * @param source The Slint source code to load.
+ * @param filePath A path to the file to show log. If the path is a relative path, then it is resolved
+ *                 against the process' working directory.
+ * @param options Use {@link LoadFileAsyncOptions} to configure additional Slint compilation aspects,
+ *                such as include search paths, library imports, or the widget style, and to pass an `AbortSignal`.
+ * @returns A promise that resolves to the same object as returned by {@link loadSource}.
+ *          The promise is rejected with a {@link CompileError} if errors occur during compilation, or
+ *          with the signal's reason if the compilation is aborted.
+ */
+function loadSourceAsync(source, filePath, options) {
+    return loadSlintAsync({
+        fileData: { filePath, options, source },
+        from: 'source',
+    }, options?.signal);
+}
+exports.loadSourceAsync = loadSourceAsync;
 class EventLoop {
     #quit_loop = false;
     #terminationPromise = null;
     #terminateResolveFn;
+    #terminateRejectFn;
     constructor() {
     }
     start(running_callback) {
         if (this.#terminationPromise != null) {
             return this.#terminationPromise;
         }
-        this.#terminationPromise = new Promise((resolve) => {
+        this.#terminationPromise = new Promise((resolve, reject) => {
             this.#terminateResolveFn = resolve;
+            this.#terminateRejectFn = reject;
         });
         this.#quit_loop = false;
         if (running_callback != undefined) {
@@ -638,22 +1750,59 @@ class EventLoop {
                 running_callback = undefined;
             });
         }
-        // Give the nodejs event loop 16 ms to tick. This polling is sub-optimal, but it's the best we
-        // can do right now.
-        const nodejsPollInterval = 16;
-        let id = setInterval(() => {
-            if (napi.processEvents() == napi.ProcessEventsResult.Exited || this.#quit_loop) {
-                clearInterval(id);
+        const terminate = (error) => {
+            if (error === undefined) {
                 this.#terminateResolveFn(undefined);
-                this.#terminateResolveFn = null;
-                this.#terminationPromise = null;
-                return;
             }
-        }, nodejsPollInterval);
+            else {
+                this.#terminateRejectFn(error);
+            }
+            this.#terminateResolveFn = null;
+            this.#terminateRejectFn = null;
+            this.#terminationPromise = null;
+        };
+        // Runs one iteration of the Slint event loop, and returns true when the loop terminated. Errors
+        // terminate the loop and reject the promise returned by start().
+        const iterate = (timeout) => {
+            try {
+                // quit() may have been called by a Node.js timer or I/O callback since the last iteration.
+                if (this.#quit_loop || napi.processEvents(timeout) == napi.ProcessEventsResult.Exited || this.#quit_loop) {
+                    terminate();
+                    return true;
+                }
+            }
+            catch (error) {
+                terminate(error);
+                return true;
+            }
+            return false;
+        };
+        // Slint waits for events in processEvents(), for as long as the Node.js event loop would have waited
+        // for its next timer. The native integration wakes Slint up when Node.js has pending I/O.
+        // The driver must not throw: exceptions in it are fatal to the process.
+        const integrated = napi.startEventLoopIntegration((timeout) => {
+            if (iterate(timeout)) {
+                napi.stopEventLoopIntegration();
+            }
+        });
+        if (!integrated) {
+            // Without the integration, give the nodejs event loop 16 ms to tick.
+            const nodejsPollInterval = 16;
+            let id = setInterval(() => {
+                if (iterate()) {
+                    clearInterval(id);
+                }
+            }, nodejsPollInterval);
+        }
         return this.#terminationPromise;
     }
     quit() {
         this.#quit_loop = true;
+        // Wake up processEvents(), which may be waiting for the next event when quit() is called from a
+        // Slint callback.
+        if (this.#terminationPromise != null) {
+            napi.invokeFromEventLoop(() => { });
+        }
     }
 }
 var globalEventLoop = new EventLoop;
@@ -666,11 +1815,10 @@ var globalEventLoop = new EventLoop;
  * @param runningCallback Optional callback that's invoked once when the event loop is running.
  *                         The function's return value is ignored.
  *
- * Note that the event loop integration with Node.js is slightly imperfect. Due to conflicting
- * implementation details between Slint's and Node.js' event loop, the two loops are merged
- * by spinning one after the other, at 16 millisecond intervals. This means that when the
- * application is idle, it continues to consume a low amount of CPU cycles, checking if either
- * event loop has any pending events.
+ * While the event loop is running, Slint waits for windowing system events on behalf of both event loops,
+ * and wakes up when Node.js has pending I/O or timers. An idle application doesn't consume CPU cycles.
+ * On Windows, the two loops are merged by spinning one after the other, at 16 millisecond intervals,
+ * which means that an idle application continues to consume a low amount of CPU cycles there.
  */
 function runEventLoop(runningCallback) {
     return globalEventLoop.start(runningCallback);
@@ -684,13 +1832,17 @@ function quitEventLoop() {
     globalEventLoop.quit();
 }
 exports.quitEventLoop = quitEventLoop;
+// MapModel used to be part of private_api, keep it available there for existing code.
+const PublicMapModel = MapModel;
 /**
  * @hidden
  */
+var private_api;
 (function (private_api) {
     private_api.mock_elapsed_time = napi.mockElapsedTime;
     private_api.get_mocked_time = napi.getMockedTime;
     private_api.ComponentCompiler = napi.ComponentCompiler;
+    private_api.Compilation = napi.Compilation;
     private_api.ComponentDefinition = napi.ComponentDefinition;
     private_api.ComponentInstance = napi.ComponentInstance;
     private_api.ValueType = napi.ValueType;
@@ -700,6 +1852,21 @@ exports.quitEventLoop = quitEventLoop;
     private_api.SlintSize = napi.SlintSize;
     private_api.SlintPoint = napi.SlintPoint;
     private_api.SlintImageData = napi.SlintImageData;
+    private_api.SlintPixelBuffer = napi.SlintPixelBuffer;
+    private_api.MapModel = PublicMapModel;
+    // Returns the definitions of the exported components, by the name they're exported as.
+    function load_definitions(filePath, options) {
+        return compileSlint({
+            fileData: { filePath, options },
+            from: 'file',
+        }).definitions;
+    }
+    private_api.load_definitions = load_definitions;
+    private_api.init_testing_backend = napi.initTestingBackend;
+    function component_instance(component) {
+        return component.component_instance;
+    }
+    private_api.component_instance = component_instance;
     function send_mouse_click(component, x, y) {
         component.component_instance.sendMouseClick(x, y);
     }
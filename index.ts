@@ -1,12 +1,16 @@
 // Copyright © SixtyFPS GmbH <info@slint.dev>
 // SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
 
+import * as fs from "fs";
 import * as napi from "./rust-module.cjs";
 export {
     Diagnostic,
     DiagnosticLevel,
     RgbaColor,
-    Brush
+    Brush,
+    GradientStop,
+    LinearGradient,
+    RadialGradient
 } from "./rust-module";
 
 import {
@@ -79,8 +83,101 @@ export interface Window {
     /** Issues a request to the windowing system to re-render the contents of the window. */
     requestRedraw(): void;
 
-    /** Set or unset the window to display fullscreen. */
-    set fullscreen(enable: boolean);
+    /** Gets or sets whether the window is displayed fullscreen. */
+    fullscreen: boolean;
+
+    /** Gets or sets whether the window is minimized. Setting it to false restores the window. */
+    minimized: boolean;
+
+    /** Gets or sets whether the window is maximized. Setting it to false restores the window. */
+    maximized: boolean;
+
+    /** Returns the scale factor of the window, which is the number of physical pixels per logical pixel. */
+    get scaleFactor(): number;
+
+    /**
+     * Gets or sets the title of the window. Setting it replaces the binding of the `title` property of the
+     * window in the .slint file.
+     */
+    title: string;
+
+    /**
+     * Gets or sets the icon of the window. Setting it replaces the binding of the `icon` property of the
+     * window in the .slint file.
+     */
+    icon: ImageData;
+
+    /**
+     * Renders the contents of the window with the software renderer and returns the pixels, including their alpha
+     * channel, for example to create thumbnails or screenshots in tests. This works without a display server, and
+     * the window doesn't need to be shown.
+     *
+     * ```js
+     * let snapshot = component.window.takeSnapshot({ width: 640, height: 480 });
+     * ```
+     *
+     * The contents are laid out in the component itself, so for a snapshot at another size they're laid out at that
+     * size, rendered, and laid out at the size of the window again before this function returns. Subscriptions such
+     * as {@link onResized} aren't notified, as the size is the same when they're checked, but bindings set with
+     * `setBinding` that depend on the size are evaluated again. Afterwards the window redraws its contents without
+     * the caches of its renderer.
+     *
+     * @param size The physical size to render the window at. The contents are laid out at that size for the
+     * snapshot, and the window keeps its size. By default, the current {@link physicalSize} of the window is used.
+     * @returns The rendered pixels.
+     */
+    takeSnapshot(size?: Size): ImageData;
+
+    /**
+     * Registers a function that is called when the user requests to close the window, for example with the close
+     * button of the title bar. Return `false` from the function to keep the window open, for example to ask the
+     * user to save their changes first:
+     *
+     * ```js
+     * component.window.onCloseRequested(() => {
+     *     if (component.has_unsaved_changes) {
+     *         component.show_save_dialog = true;
+     *         return false;
+     *     }
+     * });
+     * ```
+     *
+     * @returns A function that removes the callback.
+     */
+    onCloseRequested(callback: () => boolean | void): () => void;
+
+    /**
+     * Registers a function that is called with the new logical size of the window when it's resized.
+     *
+     * @returns A function that ends the subscription.
+     */
+    onResized(callback: (size: Size) => void): () => void;
+
+    /**
+     * Registers a function that is called with the new logical position of the window after it was moved on the
+     * screen. Slint doesn't report window moves, so this polls: while at least one function is registered, the position
+     * is compared with the last one every 100 milliseconds. The function is called up to 100 milliseconds after a move,
+     * and not for intermediate positions or for a move that was undone in between.
+     *
+     * @returns A function that removes the function, and stops the polling after the last one was removed.
+     */
+    onMoved(callback: (position: Point) => void): () => void;
+
+    /**
+     * Registers a function that is called with `true` when the window gains the keyboard focus, and with `false`
+     * when it loses it.
+     *
+     * @returns A function that ends the subscription.
+     */
+    onFocusChanged(callback: (focused: boolean) => void): () => void;
+
+    /**
+     * Registers a function that is called with the new scale factor of the window when it changes, for example
+     * when the window is moved to a screen with a different resolution.
+     *
+     * @returns A function that ends the subscription.
+     */
+    onScaleFactorChanged(callback: (scaleFactor: number) => void): () => void;
 }
 
 /**
@@ -111,6 +208,110 @@ export interface ImageData {
     get height(): number;
 }
 
+/**
+ * An image whose pixels can be changed repeatedly, for example to show the frames of a video. Write to the pixels through
+ * {@link data}, and call {@link markDirty} to show the changes in all properties that are set to the pixel buffer.
+ * Slint renders the pixels from the memory of `data`, without copying them, and `markDirty()` doesn't allocate memory.
+ * Images read from properties that are set to the pixel buffer share this memory too.
+ *
+ * As the pixels aren't copied, a window that is redrawn for another reason while a frame is written can show a part of
+ * it before `markDirty()` is called. Write frames as a whole, for example with `data.set()`.
+ *
+ * Only properties of components and globals that are set to the pixel buffer itself are updated. A pixel buffer in a
+ * field of a struct or in a row of a model keeps showing the pixels from the time that the struct or row was
+ * converted; set the property again, or notify the change of the row with {@link Model.notifyRowDataChanged}.
+ *
+ * ```js
+ * let frame = slint.createPixelBuffer(640, 480);
+ * component.video_frame = frame;
+ * const pixels = frame.data;
+ * camera.on("frame", (rgba) => {
+ *     pixels.set(rgba);
+ *     frame.markDirty();
+ * });
+ * ```
+ */
+export interface PixelBuffer extends ImageData {
+    /**
+     * Returns the pixels of the image in RGBA order, 4 bytes per pixel, row by row. It's the same buffer on every
+     * call, and it accesses the memory that Slint renders the pixels from; keep it to write the following frames.
+     */
+    get data(): Uint8Array;
+
+    /**
+     * Makes Slint show the changes of the pixels, in all properties of components and globals that were set to
+     * this pixel buffer.
+     */
+    markDirty(): void;
+}
+
+/**
+ * Creates a {@link PixelBuffer} with the given size. All pixels are transparent.
+ *
+ * @param width The width of the image in pixels.
+ * @param height The height of the image in pixels.
+ */
+export function createPixelBuffer(width: number, height: number): PixelBuffer {
+    return new napi.SlintPixelBuffer(width, height);
+}
+
+/**
+ * Loads and decodes a PNG, JPEG or SVG image from a file, for example to assign it to an `image` property. The file is
+ * decoded like the data passed to {@link loadImageFromBuffer}, so the format is detected from the contents, not from the
+ * file extension.
+ *
+ * ```js
+ * component.avatar = slint.loadImageFromFile("assets/avatar.svg", { width: 64, height: 64 });
+ * ```
+ *
+ * @param filePath The path of the image file.
+ * @param size The size in pixels to render SVG images at. By default, SVG images are rendered at their natural size.
+ * Other images keep their size.
+ * @returns The decoded image.
+ * @throws {@link Error} if the file can't be read or decoded.
+ */
+export function loadImageFromFile(filePath: string, size?: Size): ImageData {
+    return napi.SlintImageData.loadFromFile(filePath, size);
+}
+
+/**
+ * Decodes a PNG, JPEG or SVG image from encoded data, for example a downloaded thumbnail. The data is an SVG image if
+ * the root element of the document is an `svg` element, or if it's gzip-compressed. Otherwise it's decoded as a PNG or
+ * JPEG image.
+ *
+ * ```js
+ * let response = await fetch(thumbnailUrl);
+ * component.thumbnail = slint.loadImageFromBuffer(Buffer.from(await response.arrayBuffer()));
+ * ```
+ *
+ * @param data The encoded image.
+ * @param size The size in pixels to render SVG images at. By default, SVG images are rendered at their natural size.
+ * Other images keep their size.
+ * @returns The decoded image.
+ * @throws {@link Error} if the data can't be decoded.
+ */
+export function loadImageFromBuffer(data: Uint8Array, size?: Size): ImageData {
+    return napi.SlintImageData.loadFromBuffer(Buffer.from(data.buffer, data.byteOffset, data.byteLength), size);
+}
+
+/**
+ * Encodes an image as PNG, for example to save a snapshot of a window.
+ *
+ * ```js
+ * fs.writeFileSync("snapshot.png", slint.encodePng(component.window.takeSnapshot()));
+ * ```
+ *
+ * @param image An image that was returned by Slint, for example read from an `image` property.
+ * @returns The encoded PNG image.
+ * @throws {@link Error} if the image wasn't returned by Slint.
+ */
+export function encodePng(image: ImageData): Buffer {
+    if (!(image instanceof napi.SlintImageData)) {
+        throw new Error("Only images returned by Slint can be encoded as PNG");
+    }
+    return (image as napi.SlintImageData).toPng();
+}
+
 /**
  * Model<T> is the interface for feeding dynamic data into
  * `.slint` views.
@@ -174,23 +375,52 @@ export abstract class Model<T> {
     /**
      * @hidden
      */
-    notify: NullPeer;
+    notify: ModelPeer;
+
+    /**
+     * @hidden
+     */
+    observers: Set<ModelPeer>;
 
     constructor() {
         this.notify = new NullPeer();
+        this.observers = new Set();
+    }
+
+    /**
+     * Returns a new Model where all elements are mapped by the function `mapFunction`.
+     * @template U the type of the mapped items.
+     * @param mapFunction function that maps the data from T to U.
+     * @returns a new {@link MapModel} that wraps the current model.
+     */
+    map<U>(
+        mapFunction: (data: T) => U
+    ): MapModel<T, U> {
+        return new MapModel(this, mapFunction);
+    }
+
+    /**
+     * Returns a new Model that only contains the elements for which `filterFunction` returns true.
+     * @param filterFunction function that returns true for the elements to keep.
+     * @returns a new {@link FilterModel} that wraps the current model.
+     */
+    filter(
+        filterFunction: (data: T) => boolean
+    ): FilterModel<T> {
+        return new FilterModel(this, filterFunction);
     }
 
-    // /**
-    //  * Returns a new Model where all elements are mapped by the function `mapFunction`.
-    //  * @template T the type of the source model's items.
-    //  * @param mapFunction functions that maps
-    //  * @returns a new {@link MapModel} that wraps the current model.
-    //  */
-    // map<U>(
-    //     mapFunction: (data: T) => U
-    // ): MapModel<T, U> {
-    //     return new MapModel(this, mapFunction);
-    // }
+    /**
+     * Returns a new Model where the elements are sorted with `compareFunction`.
+     * @param compareFunction function that returns a negative value if the first argument is less than the second
+     *                        argument, zero if they're equal, and a positive value otherwise.
+     * @returns a new {@link SortModel} that wraps the current model.
+     */
+    sortBy(
+        compareFunction: (a: T, b: T) => number
+    ): SortModel<T> {
+        return new SortModel(this, compareFunction);
+    }
 
     /**
      * Implementations of this function must return the current number of rows.
@@ -221,6 +451,7 @@ export abstract class Model<T> {
      */
     protected notifyRowDataChanged(row: number): void {
         this.notify.rowDataChanged(row);
+        this.observers.forEach((observer) => observer.rowDataChanged(row));
     }
 
     /**
@@ -230,6 +461,7 @@ export abstract class Model<T> {
      */
     protected notifyRowAdded(row: number, count: number): void {
         this.notify.rowAdded(row, count);
+        this.observers.forEach((observer) => observer.rowAdded(row, count));
     }
 
     /**
@@ -239,6 +471,7 @@ export abstract class Model<T> {
      */
     protected notifyRowRemoved(row: number, count: number): void {
         this.notify.rowRemoved(row, count);
+        this.observers.forEach((observer) => observer.rowRemoved(row, count));
     }
 
     /**
@@ -246,13 +479,24 @@ export abstract class Model<T> {
      */
     protected notifyReset(): void {
         this.notify.reset();
+        this.observers.forEach((observer) => observer.reset());
     }
 }
 
 /**
  * @hidden
  */
-class NullPeer {
+interface ModelPeer {
+    rowDataChanged(row: number): void;
+    rowAdded(row: number, count: number): void;
+    rowRemoved(row: number, count: number): void;
+    reset(): void;
+}
+
+/**
+ * @hidden
+ */
+class NullPeer implements ModelPeer {
     rowDataChanged(row: number): void {}
     rowAdded(row: number, count: number): void {}
     rowRemoved(row: number, count: number): void {}
@@ -261,7 +505,8 @@ class NullPeer {
 
 /**
  * ArrayModel wraps a JavaScript array for use in `.slint` views. The underlying
- * array can be modified with the [[ArrayModel.push]] and [[ArrayModel.remove]] methods.
+ * array can be modified with methods that mirror the ones of `Array`, such as [[ArrayModel.push]],
+ * [[ArrayModel.splice]], or [[ArrayModel.sort]], which notify the run-time about the changed rows.
  */
 export class ArrayModel<T> extends Model<T> {
     /**
@@ -320,10 +565,9 @@ export class ArrayModel<T> extends Model<T> {
     push(...values: T[]) {
         let size = this.#array.length;
         Array.prototype.push.apply(this.#array, values);
-        this.notifyRowAdded(size, arguments.length);
+        this.notifyRowAdded(size, values.length);
     }
 
-    // FIXME: should this be named splice and have the splice api?
     /**
      * Removes the specified number of element from the array that's backing
      * the model, starting at the specified index.
@@ -331,8 +575,107 @@ export class ArrayModel<T> extends Model<T> {
      * @param size number of rows to remove.
      */
     remove(index: number, size: number) {
-        let r = this.#array.splice(index, size);
-        this.notifyRowRemoved(index, size);
+        this.splice(index, size);
+    }
+
+    /**
+     * Removes elements from the array that's backing the model and inserts new elements in their place,
+     * like `Array.prototype.splice`, and notifies the run-time about the removed and added rows.
+     * @param start index at which to start changing the array. A negative index counts back from the end of the array.
+     * @param deleteCount number of rows to remove. If omitted, all rows from `start` to the end are removed.
+     * @param values values to insert at `start`.
+     * @returns an array containing the removed elements.
+     */
+    splice(start: number, deleteCount?: number, ...values: T[]): T[] {
+        const length = this.#array.length;
+        const index = start < 0 ? Math.max(length + start, 0) : Math.min(start, length);
+
+        const removed = this.#array.splice(index, deleteCount ?? length - index, ...values);
+
+        if (removed.length > 0) {
+            this.notifyRowRemoved(index, removed.length);
+        }
+        if (values.length > 0) {
+            this.notifyRowAdded(index, values.length);
+        }
+
+        return removed;
+    }
+
+    /**
+     * Inserts values into the array that's backing the model at the specified index, and notifies
+     * the run-time about the added rows.
+     * @param index index at which to insert the values.
+     * @param values values to insert.
+     */
+    insert(index: number, ...values: T[]) {
+        this.splice(index, 0, ...values);
+    }
+
+    /**
+     * Removes the last element from the array that's backing the model and notifies the run-time about the removed row.
+     * @returns the removed element, or undefined if the array is empty.
+     */
+    pop(): T | undefined {
+        return this.splice(-1, 1)[0];
+    }
+
+    /**
+     * Removes the first element from the array that's backing the model and notifies the run-time about the removed row.
+     * @returns the removed element, or undefined if the array is empty.
+     */
+    shift(): T | undefined {
+        return this.splice(0, 1)[0];
+    }
+
+    /**
+     * Sorts the array that's backing the model in place, like `Array.prototype.sort`, and notifies
+     * the run-time about the rows that changed.
+     * @param compareFunction function that defines the sort order. If omitted, the elements are sorted by their string value.
+     * @returns this model.
+     */
+    sort(compareFunction?: (a: T, b: T) => number): this {
+        const previous = this.#array.slice();
+        this.#array.sort(compareFunction);
+        this.#notifyChangedRows(previous);
+        return this;
+    }
+
+    /**
+     * Reverses the array that's backing the model in place, and notifies the run-time about the rows that changed.
+     * @returns this model.
+     */
+    reverse(): this {
+        const previous = this.#array.slice();
+        this.#array.reverse();
+        this.#notifyChangedRows(previous);
+        return this;
+    }
+
+    /**
+     * Removes all elements from the array that's backing the model and notifies the run-time about the removed rows.
+     */
+    clear() {
+        this.splice(0);
+    }
+
+    /**
+     * Replaces all elements of the array that's backing the model with the given values, and notifies the run-time
+     * that the model was reset.
+     * @param values the new elements of the model.
+     */
+    setAll(values: T[]) {
+        this.#array.splice(0, this.#array.length, ...values);
+        this.notifyReset();
+    }
+
+    // Notifies about the rows that hold a different element than before a reordering of the array.
+    #notifyChangedRows(previous: T[]) {
+        previous.forEach((data, row) => {
+            if (this.#array[row] !== data) {
+                this.notifyRowDataChanged(row);
+            }
+        });
     }
 
     /**
@@ -350,9 +693,9 @@ export class ArrayModel<T> extends Model<T> {
     }
 }
 
-export namespace private_api {
 /**
  * Provides rows that are generated by a map function based on the rows of another Model.
+ * The rows are updated when the source model changes. Create it with {@link Model.map}.
  *
  * @template T item type of source model that is mapped to U.
  * @template U the type of the mapped items
@@ -363,115 +706,43 @@ export namespace private_api {
  *  to single string rows.
  *
  * ```ts
- * import { Model, ArrayModel, MapModel } from "./index";
-*
-* interface Name {
-*     first: string;
-*     last: string;
-* }
-*
-* const model = new ArrayModel<Name>([
-*     {
-*         first: "Hans",
-*         last: "Emil",
-*     },
-*     {
-*         first: "Max",
-*         last: "Mustermann",
-*     },
-*     {
-*         first: "Roman",
-*         last: "Tisch",
-*     },
-* ]);
-*
-* const mappedModel = new MapModel(
-*     model,
-*     (data) => {
-*         return data.last + ", " + data.first;
-*     }
-* );
-*
-* // prints "Emil, Hans"
-* console.log(mappedModel.rowData(0));
-*
-* // prints "Mustermann, Max"
-* console.log(mappedModel.rowData(1));
-*
-* // prints "Tisch, Roman"
-* console.log(mappedModel.rowData(2));
-*
-* // Alternatively you can use the shortcut {@link MapModel.map}.
-*
-* const model = new ArrayModel<Name>([
-*     {
-*         first: "Hans",
-*         last: "Emil",
-*     },
-*     {
-*         first: "Max",
-*         last: "Mustermann",
-*     },
-*     {
-*         first: "Roman",
-*         last: "Tisch",
-*     },
-* ]);
-*
-* const mappedModel = model.map(
-*     (data) => {
-*         return data.last + ", " + data.first;
-*     }
-* );
-*
-*
-* // prints "Emil, Hans"
-* console.log(mappedModel.rowData(0));
-*
-* // prints "Mustermann, Max"
-* console.log(mappedModel.rowData(1));
-*
-* // prints "Tisch, Roman"
-* console.log(mappedModel.rowData(2));
-*
-* // You can modifying the underlying {@link ArrayModel}:
-*
-* const model = new ArrayModel<Name>([
-*     {
-*         first: "Hans",
-*         last: "Emil",
-*     },
-*     {
-*         first: "Max",
-*         last: "Mustermann",
-*     },
-*     {
-*         first: "Roman",
-*         last: "Tisch",
-*     },
-* ]);
-*
-* const mappedModel = model.map(
-*     (data) => {
-*         return data.last + ", " + data.first;
-*     }
-* );
-*
-* model.setRowData(1, { first: "Minnie", last: "Musterfrau" } );
-*
-* // prints "Emil, Hans"
-* console.log(mappedModel.rowData(0));
-*
-* // prints "Musterfrau, Minnie"
-* console.log(mappedModel.rowData(1));
-*
-* // prints "Tisch, Roman"
-* console.log(mappedModel.rowData(2));
-* ```
-*/
+ * import { ArrayModel } from "slint-ui";
+ *
+ * interface Name {
+ *     first: string;
+ *     last: string;
+ * }
+ *
+ * const model = new ArrayModel<Name>([
+ *     {
+ *         first: "Hans",
+ *         last: "Emil",
+ *     },
+ *     {
+ *         first: "Max",
+ *         last: "Mustermann",
+ *     },
+ * ]);
+ *
+ * const mappedModel = model.map(
+ *     (data) => {
+ *         return data.last + ", " + data.first;
+ *     }
+ * );
+ *
+ * // prints "Emil, Hans"
+ * console.log(mappedModel.rowData(0));
+ *
+ * model.setRowData(1, { first: "Minnie", last: "Musterfrau" } );
+ *
+ * // prints "Musterfrau, Minnie"
+ * console.log(mappedModel.rowData(1));
+ * ```
+ */
 export class MapModel<T, U> extends Model<U> {
     readonly sourceModel: Model<T>;
     #mapFunction: (data: T) => U
+    #observer: ModelPeer;
 
     /**
      * Constructs the MapModel with a source model and map functions.
@@ -487,7 +758,21 @@ export class MapModel<T, U> extends Model<U> {
         super();
         this.sourceModel = sourceModel;
         this.#mapFunction = mapFunction;
-        this.notify = this.sourceModel.notify;
+        this.#observer = {
+            rowDataChanged: (row) => this.notifyRowDataChanged(row),
+            rowAdded: (row, count) => this.notifyRowAdded(row, count),
+            rowRemoved: (row, count) => this.notifyRowRemoved(row, count),
+            reset: () => this.notifyReset(),
+        };
+        this.sourceModel.observers.add(this.#observer);
+    }
+
+    /**
+     * Stops observing the source model. The source model keeps a reference to this model until then, so call
+     * this when the model isn't used anymore but the source model is.
+     */
+    dispose() {
+        this.sourceModel.observers.delete(this.#observer);
     }
 
     /**
@@ -502,87 +787,870 @@ export class MapModel<T, U> extends Model<U> {
      * @param row index in range 0..(rowCount() - 1).
      * @returns undefined if row is out of range otherwise the data.
      */
-    rowData(row: number): U {
-        return this.#mapFunction(this.sourceModel.rowData(row));
+    rowData(row: number): U | undefined {
+        const data = this.sourceModel.rowData(row);
+        return data === undefined ? undefined : this.#mapFunction(data);
     }
 }
+
+// Returns the index of the first element of the sorted array for which isAfter returns true.
+function lowerBound<T>(array: T[], isAfter: (element: T) => boolean): number {
+    let low = 0;
+    let high = array.length;
+    while (low < high) {
+        const middle = (low + high) >>> 1;
+        if (isAfter(array[middle])) {
+            high = middle;
+        } else {
+            low = middle + 1;
+        }
+    }
+    return low;
 }
+
 /**
- * This interface describes the public API of a Slint component that is common to all instances. Use this to
- * show() the window on the screen, access the window and subsequent window properties, or start the
- * Slint event loop with run().
+ * Provides the rows of another Model for which a filter function returns true. The rows are updated
+ * when the source model changes. Setting the data of a row sets the data of the corresponding row in the
+ * source model. Create it with {@link Model.filter}.
+ *
+ * @template T the type of the model's items.
+ *
+ * ```ts
+ * import { ArrayModel } from "slint-ui";
+ *
+ * const model = new ArrayModel([1, 2, 3, 4]);
+ * const evenModel = model.filter((value) => value % 2 == 0);
+ *
+ * model.push(6);
+ *
+ * // prints 3
+ * console.log(evenModel.rowCount());
+ * ```
  */
-export interface ComponentHandle {
+export class FilterModel<T> extends Model<T> {
+    readonly sourceModel: Model<T>;
+    #filterFunction: (data: T) => boolean;
+    // The rows of the source model that pass the filter, in ascending order.
+    #mapping: number[] = [];
+    #observer: ModelPeer;
+
     /**
-     * Shows the window and runs the event loop. The returned promise is resolved when the event loop
-     * is terminated, for example when the last window was closed, or {@link quitEventLoop} was called.
-     *
-     * This function is a convenience for calling {@link show}, followed by {@link runEventLoop}, and
-     * {@link hide} when the event loop's promise is resolved.
+     * Constructs the FilterModel with a source model and a filter function.
+     * @param sourceModel the wrapped model.
+     * @param filterFunction returns true for the rows to keep.
      */
-    run(): Promise<unknown>;
+    constructor(
+        sourceModel: Model<T>,
+        filterFunction: (data: T) => boolean
+    ) {
+        super();
+        this.sourceModel = sourceModel;
+        this.#filterFunction = filterFunction;
+        this.#rebuild();
+        this.#observer = {
+            rowDataChanged: (row) => this.#sourceRowChanged(row),
+            rowAdded: (row, count) => this.#sourceRowsAdded(row, count),
+            rowRemoved: (row, count) => this.#sourceRowsRemoved(row, count),
+            reset: () => this.reset(),
+        };
+        this.sourceModel.observers.add(this.#observer);
+    }
 
     /**
-     * Shows the component's window on the screen.
+     * Stops observing the source model. The source model keeps a reference to this model until then, so call
+     * this when the model isn't used anymore but the source model is.
      */
-    show();
+    dispose() {
+        this.sourceModel.observers.delete(this.#observer);
+    }
 
     /**
-     * Hides the component's window, so that it is not visible anymore.
+     * Runs the filter function again on all rows of the source model, for example after the filter
+     * function's criteria changed, and notifies the run-time that the model was reset.
      */
-    hide();
+    reset() {
+        this.#rebuild();
+        this.notifyReset();
+    }
 
     /**
-     * Returns the {@link Window} associated with this component instance.
-     * The window API can be used to control different aspects of the integration into the windowing system, such as the position on the screen.
+     * Returns the number of entries in the model.
      */
-    get window(): Window;
-}
+    rowCount(): number {
+        return this.#mapping.length;
+    }
 
-/**
- * @hidden
- */
-class Component implements ComponentHandle {
-    #instance: napi.ComponentInstance;
+    /**
+     * Returns the data at the specified row.
+     * @param row index in range 0..(rowCount() - 1).
+     * @returns undefined if row is out of range otherwise the data.
+     */
+    rowData(row: number): T | undefined {
+        const sourceRow = this.#mapping[row];
+        return sourceRow === undefined ? undefined : this.sourceModel.rowData(sourceRow);
+    }
 
     /**
-     * @hidden
+     * Stores the given data on the corresponding row of the source model.
+     * @param row index in range 0..(rowCount() - 1).
+     * @param data new data item to store on the given row index
      */
-    constructor(instance: napi.ComponentInstance) {
-        this.#instance = instance;
+    setRowData(row: number, data: T) {
+        const sourceRow = this.#mapping[row];
+        if (sourceRow !== undefined) {
+            this.sourceModel.setRowData(sourceRow, data);
+        }
     }
 
-    get window(): Window {
-        return this.#instance.window();
+    #accepts(sourceRow: number): boolean {
+        const data = this.sourceModel.rowData(sourceRow);
+        return data !== undefined && this.#filterFunction(data);
     }
 
-    /**
-    * @hidden
-    */
-    get component_instance(): napi.ComponentInstance {
-        return this.#instance;
+    #rebuild() {
+        this.#mapping = [];
+        for (let sourceRow = 0; sourceRow < this.sourceModel.rowCount(); ++sourceRow) {
+            if (this.#accepts(sourceRow)) {
+                this.#mapping.push(sourceRow);
+            }
+        }
     }
 
-    async run() {
-        this.show();
-        await runEventLoop();
-        this.hide();
+    #sourceRowChanged(sourceRow: number) {
+        const row = lowerBound(this.#mapping, (r) => r >= sourceRow);
+        const wasAccepted = this.#mapping[row] === sourceRow;
+        const accepted = this.#accepts(sourceRow);
+
+        if (wasAccepted && accepted) {
+            this.notifyRowDataChanged(row);
+        } else if (wasAccepted) {
+            this.#mapping.splice(row, 1);
+            this.notifyRowRemoved(row, 1);
+        } else if (accepted) {
+            this.#mapping.splice(row, 0, sourceRow);
+            this.notifyRowAdded(row, 1);
+        }
     }
 
-    show() {
-        this.#instance.window().show();
+    #sourceRowsAdded(sourceRow: number, count: number) {
+        const row = lowerBound(this.#mapping, (r) => r >= sourceRow);
+        for (let i = row; i < this.#mapping.length; ++i) {
+            this.#mapping[i] += count;
+        }
+
+        const added: number[] = [];
+        for (let r = sourceRow; r < sourceRow + count; ++r) {
+            if (this.#accepts(r)) {
+                added.push(r);
+            }
+        }
+
+        if (added.length > 0) {
+            this.#mapping.splice(row, 0, ...added);
+            this.notifyRowAdded(row, added.length);
+        }
     }
 
-    hide() {
-        this.#instance.window().hide();
+    // Updates the mapping before notifying, so that the observers see the rows that remain.
+    #sourceRowsRemoved(sourceRow: number, count: number) {
+        const row = lowerBound(this.#mapping, (r) => r >= sourceRow);
+        const end = lowerBound(this.#mapping, (r) => r >= sourceRow + count);
+
+        this.#mapping = [
+            ...this.#mapping.slice(0, row),
+            ...this.#mapping.slice(end).map((r) => r - count),
+        ];
+
+        if (end > row) {
+            this.notifyRowRemoved(row, end - row);
+        }
     }
 }
 
 /**
- * Represents an errors that can be emitted by the compiler.
+ * Provides the rows of another Model sorted with a compare function. The rows are updated when the
+ * source model changes. Rows that compare equal keep the order of the source model. Setting the data
+ * of a row sets the data of the corresponding row in the source model. Create it with {@link Model.sortBy}.
+ *
+ * @template T the type of the model's items.
+ *
+ * ```ts
+ * import { ArrayModel } from "slint-ui";
+ *
+ * const model = new ArrayModel(["Orange", "Apple", "Banana"]);
+ * const sortedModel = model.sortBy((a, b) => a.localeCompare(b));
+ *
+ * // prints "Apple"
+ * console.log(sortedModel.rowData(0));
+ * ```
  */
-export class CompileError extends Error {
-    /**
+export class SortModel<T> extends Model<T> {
+    readonly sourceModel: Model<T>;
+    #compareFunction: (a: T, b: T) => number;
+    // The rows of the source model, in sorted order.
+    #mapping: number[] = [];
+    #observer: ModelPeer;
+
+    /**
+     * Constructs the SortModel with a source model and a compare function.
+     * @param sourceModel the wrapped model.
+     * @param compareFunction returns a negative value if the first argument is less than the second
+     *                        argument, zero if they're equal, and a positive value otherwise.
+     */
+    constructor(
+        sourceModel: Model<T>,
+        compareFunction: (a: T, b: T) => number
+    ) {
+        super();
+        this.sourceModel = sourceModel;
+        this.#compareFunction = compareFunction;
+        this.#rebuild();
+        this.#observer = {
+            rowDataChanged: (row) => this.#sourceRowChanged(row),
+            rowAdded: (row, count) => this.#sourceRowsAdded(row, count),
+            rowRemoved: (row, count) => this.#sourceRowsRemoved(row, count),
+            reset: () => this.reset(),
+        };
+        this.sourceModel.observers.add(this.#observer);
+    }
+
+    /**
+     * Stops observing the source model. The source model keeps a reference to this model until then, so call
+     * this when the model isn't used anymore but the source model is.
+     */
+    dispose() {
+        this.sourceModel.observers.delete(this.#observer);
+    }
+
+    /**
+     * Sorts all rows of the source model again, for example after the compare function's criteria
+     * changed, and notifies the run-time that the model was reset.
+     */
+    reset() {
+        this.#rebuild();
+        this.notifyReset();
+    }
+
+    /**
+     * Returns the number of entries in the model.
+     */
+    rowCount(): number {
+        return this.#mapping.length;
+    }
+
+    /**
+     * Returns the data at the specified row.
+     * @param row index in range 0..(rowCount() - 1).
+     * @returns undefined if row is out of range otherwise the data.
+     */
+    rowData(row: number): T | undefined {
+        const sourceRow = this.#mapping[row];
+        return sourceRow === undefined ? undefined : this.sourceModel.rowData(sourceRow);
+    }
+
+    /**
+     * Stores the given data on the corresponding row of the source model.
+     * @param row index in range 0..(rowCount() - 1).
+     * @param data new data item to store on the given row index
+     */
+    setRowData(row: number, data: T) {
+        const sourceRow = this.#mapping[row];
+        if (sourceRow !== undefined) {
+            this.sourceModel.setRowData(sourceRow, data);
+        }
+    }
+
+    #compare(a: number, b: number): number {
+        return this.#compareFunction(this.sourceModel.rowData(a)!, this.sourceModel.rowData(b)!) || a - b;
+    }
+
+    #rebuild() {
+        this.#mapping = Array.from({ length: this.sourceModel.rowCount() }, (_, sourceRow) => sourceRow);
+        this.#mapping.sort((a, b) => this.#compare(a, b));
+    }
+
+    #insert(sourceRow: number) {
+        const row = lowerBound(this.#mapping, (r) => this.#compare(r, sourceRow) > 0);
+        this.#mapping.splice(row, 0, sourceRow);
+        this.notifyRowAdded(row, 1);
+    }
+
+    #sourceRowChanged(sourceRow: number) {
+        const row = this.#mapping.indexOf(sourceRow);
+        if (row < 0) {
+            return;
+        }
+
+        this.#mapping.splice(row, 1);
+        const newRow = lowerBound(this.#mapping, (r) => this.#compare(r, sourceRow) > 0);
+        this.#mapping.splice(newRow, 0, sourceRow);
+
+        if (newRow === row) {
+            this.notifyRowDataChanged(row);
+        } else {
+            this.notifyRowRemoved(row, 1);
+            this.notifyRowAdded(newRow, 1);
+        }
+    }
+
+    #sourceRowsAdded(sourceRow: number, count: number) {
+        this.#mapping = this.#mapping.map((r) => r >= sourceRow ? r + count : r);
+        for (let r = sourceRow; r < sourceRow + count; ++r) {
+            this.#insert(r);
+        }
+    }
+
+    // Updates the mapping before notifying, so that the observers see the rows that remain. The removed rows
+    // are notified from the last to the first, so that the row indices stay valid while notifying.
+    #sourceRowsRemoved(sourceRow: number, count: number) {
+        const removedRows: number[] = [];
+        const mapping: number[] = [];
+        this.#mapping.forEach((r, row) => {
+            if (r < sourceRow) {
+                mapping.push(r);
+            } else if (r >= sourceRow + count) {
+                mapping.push(r - count);
+            } else {
+                removedRows.push(row);
+            }
+        });
+        this.#mapping = mapping;
+
+        for (let end = removedRows.length; end > 0;) {
+            // Notify runs of consecutive rows at once.
+            let start = end - 1;
+            while (start > 0 && removedRows[start - 1] === removedRows[start] - 1) {
+                --start;
+            }
+            this.notifyRowRemoved(removedRows[start], end - start);
+            end = start;
+        }
+    }
+}
+
+/**
+ * Makes the conversion of JavaScript values to Slint values stricter. By default, any number is accepted for
+ * numeric properties and properties of objects that aren't fields of a struct are ignored. With strict type checking,
+ * numbers must be finite, numbers for `int` properties must be whole numbers, and objects must not have properties
+ * that aren't fields of the struct.
+ *
+ * Values of the wrong type are rejected in either mode: setting a property, or invoking a callback or function with
+ * such a value throws a {@link TypeError} that names the value, the expected Slint type and the received value, for
+ * example `items[3].author.name: expected string, but got 42`.
+ *
+ * @param enabled Whether to enable strict type checking.
+ */
+export function setStrictTypeChecking(enabled: boolean) {
+    napi.setStrictTypeChecking(enabled);
+}
+
+/**
+ * Sets the function that is called when a function of a {@link Model} that Slint calls throws, or when a row returned
+ * by its `rowData()` function can't be converted to the Slint type of the model's rows. Slint calls `rowCount()`,
+ * `rowData()`, and `setRowData()` while it renders and handles input, so the error can't be thrown to the code that
+ * changed the model; the model is shown without the row, or empty if `rowCount()` throws, instead. By default, and if
+ * the handler throws, the error is reported as an uncaught exception, which emits the `uncaughtException` event of
+ * `process`.
+ *
+ * ```js
+ * slint.setModelErrorHandler((error, row, model) => console.error(`row ${row}:`, error.message));
+ * ```
+ *
+ * @param handler The function to call with the error, which is a {@link TypeError} for rows that can't be converted,
+ * the index of the row, or `undefined` for errors of `rowCount()`, and the model, or `undefined` to report the errors
+ * as uncaught exceptions again.
+ */
+export function setModelErrorHandler(handler?: (error: Error, row: number | undefined, model: Model<any>) => void) {
+    napi.setModelErrorHandler(handler);
+}
+
+/**
+ * This interface describes the public API of a Slint component that is common to all instances. Use this to
+ * show() the window on the screen, access the window and subsequent window properties, or start the
+ * Slint event loop with run().
+ */
+export interface ComponentHandle {
+    /**
+     * Shows the window and runs the event loop. The returned promise is resolved when the window is closed
+     * by the user or hidden with {@link hide}, or when the event loop is terminated, for example because {@link quitEventLoop} was called.
+     *
+     * This function is a convenience for calling {@link show}, followed by {@link runEventLoop}, and
+     * {@link hide} when the event loop's promise is resolved.
+     */
+    run(): Promise<unknown>;
+
+    /**
+     * Shows the component's window on the screen.
+     */
+    show();
+
+    /**
+     * Hides the component's window, so that it is not visible anymore.
+     */
+    hide();
+
+    /**
+     * Returns the {@link Window} associated with this component instance.
+     * The window API can be used to control different aspects of the integration into the windowing system, such as the position on the screen.
+     */
+    get window(): Window;
+
+    /**
+     * Subscribes to changes of the value of a property, for example through a binding, an animation, or user input.
+     * Globals of the component provide the same function for their properties.
+     *
+     * The callback is called from the event loop with the new value, once for all changes since the last call.
+     * Exceptions thrown by the callback are passed to the handler set with {@link ComponentHandle.onError}, with
+     * `onChanged(property)` as the name of the callback.
+     *
+     * ```js
+     * let unsubscribe = component.onChanged("counter", (value) => console.log("counter changed to", value));
+     * ```
+     *
+     * @param property The name of the property, in the same form as the property of the component handle.
+     * @param callback The function to call with the new value.
+     * @returns A function that ends the subscription.
+     */
+    onChanged(property: string, callback: (value: any) => void): () => void;
+
+    /**
+     * Binds a property to a JavaScript function, like a binding in a `.slint` file. The property is set to the
+     * function's return value, and updated whenever the properties that the function reads from this component
+     * or its globals change. Globals of the component provide the same function for their properties.
+     *
+     * After a change of a dependency, the binding is updated from the event loop, or before a property of this
+     * component is read from JavaScript. Assigning a value to the property removes the binding. If the function
+     * throws, or returns a value of the wrong type, when it's updated, the error is passed to the handler set with
+     * {@link ComponentHandle.onError}, with `setBinding(property)` as the name of the callback, and the property
+     * keeps its value. Errors of the first evaluation are thrown by `setBinding`.
+     *
+     * ```js
+     * component.setBinding("full_name", () => component.first_name + " " + component.last_name);
+     * ```
+     *
+     * @param property The name of the property, in the same form as the property of the component handle.
+     * @param binding The function that computes the value of the property.
+     * @returns A function that removes the binding. The property keeps its current value.
+     */
+    setBinding(property: string, binding: () => any): () => void;
+
+    /**
+     * Sets the function that handles the errors of the JavaScript functions that implement the callbacks of the
+     * component and its globals: the exceptions they throw, and return values that can't be converted to the
+     * callback's return type. The callback then returns the default value of its return type, such as `0` or `""`.
+     *
+     * Without a handler, the error is reported as an uncaught exception, which emits the `uncaughtException`
+     * event of `process`.
+     *
+     * ```js
+     * component.onError((error, callback) => console.error(`${callback} failed:`, error));
+     * ```
+     *
+     * @param handler The function to call with the error and the name of the callback, or `undefined` to report
+     * errors as uncaught exceptions again.
+     */
+    onError(handler: ((error: unknown, callback: string) => void) | undefined): void;
+
+    /**
+     * Sets a `bool` property to true while the promise is pending, for example to show a busy indicator while
+     * data is loaded. The property stays true until all the promises tracked for it are settled. Globals of the
+     * component provide the same function for their properties.
+     *
+     * ```js
+     * component.items = await component.trackBusy("loading", fetchItems());
+     * ```
+     *
+     * @param property The name of the property, in the same form as the property of the component handle.
+     * @param promise The promise to track.
+     * @returns The promise.
+     */
+    trackBusy<T>(property: string, promise: Promise<T>): Promise<T>;
+}
+
+/**
+ * Describes what happens with the value of a promise returned by a callback function that is created with
+ * {@link asyncCallback}. The names refer to the properties and callbacks of the component, or of the global
+ * for a callback of a global, in the same form as the properties of the component handle.
+ */
+export interface AsyncCallbackOptions {
+    /**
+     * The name of a property that is set to the value that the promise resolves to.
+     */
+    result?: string;
+
+    /**
+     * The name of a callback that is invoked with the value that the promise resolves to.
+     */
+    completed?: string;
+
+    /**
+     * The name of a `bool` property that is true while the promise is pending, as with {@link ComponentHandle.trackBusy}.
+     */
+    busy?: string;
+}
+
+// The options of the callback functions created with asyncCallback().
+const asyncCallbacks = new WeakMap<Function, AsyncCallbackOptions>();
+
+/**
+ * Marks a callback function that may return a promise, for example because it reads from a database or calls
+ * `fetch()`. Slint needs the value of a callback right away, so when the function returns a promise, the callback
+ * returns the default value of its return type, such as `0` or `""`, and the value that the promise resolves to
+ * is passed on as set up in `options` instead. If the promise is rejected, the error is passed to the handler set
+ * with {@link ComponentHandle.onError}, or becomes an unhandled rejection.
+ *
+ * ```js
+ * component.load_user = slint.asyncCallback(
+ *     async (id) => (await fetch(`/users/${id}`)).json(),
+ *     { result: "user", busy: "loading" },
+ * );
+ * ```
+ *
+ * @param callback The function that implements the callback.
+ * @param options Where to pass the value of the promise to.
+ * @returns A function to assign to a callback of a component or global.
+ */
+export function asyncCallback<T extends (...args: any[]) => any>(callback: T, options?: AsyncCallbackOptions): T {
+    // A function of its own, so that the same function can be used with different options.
+    const wrapper = function (this: any, ...args: any[]) {
+        return callback.apply(this, args);
+    };
+    asyncCallbacks.set(wrapper, options ?? {});
+    return wrapper as T;
+}
+
+/**
+ * Describes the component to embed in a `component-factory` property, together with a function that sets
+ * up every instance that is embedded.
+ *
+ * ```js
+ * main.panel = {
+ *     component: plugin.Panel,
+ *     initialize: (panel) => { panel.title = "Weather"; },
+ * };
+ * ```
+ */
+export interface EmbeddedComponent {
+    /**
+     * The constructor of the component, as returned by {@link loadFile} or {@link loadSource}.
+     */
+    component: Function;
+
+    /**
+     * Called with each instance of the component that is embedded, before it is shown. Use it to set the
+     * properties and callbacks of the instance. Exceptions thrown by it are passed to the handler set with
+     * {@link ComponentHandle.onError} of the component whose property is set, with `property.initialize` as the name
+     * of the callback, and the instance is shown nevertheless.
+     */
+    initialize?: (instance: any) => void;
+}
+
+// Returns the name of the property as declared in the .slint file, also accepting the name with underscores.
+function resolvePropertyName(properties: napi.JsProperty[], name: string): string | undefined {
+    return properties.find((prop) => prop.name === name || prop.name.replace(/-/g, "_") === name)?.name;
+}
+
+type PropertySubscription = {
+    globalName: string | null,
+    property: string,
+    callback: (value: any) => void,
+    unsubscribe: () => void,
+};
+
+type PropertyBinding = {
+    globalName: string | null,
+    property: string,
+    binding: () => any,
+    remove: () => void,
+};
+
+/**
+ * @hidden
+ */
+class Component implements ComponentHandle {
+    #instance: napi.ComponentInstance;
+    #subscriptions = new Set<PropertySubscription>();
+    // The bindings by global name and property name, as declared in the .slint file.
+    #bindings = new Map<string, PropertyBinding>();
+    #errorHandler: ((error: unknown, callback: string) => void) | undefined;
+    // The number of pending promises by global name and property name of the busy property, as declared in the .slint file.
+    #busy = new Map<string, number>();
+
+    /**
+     * @hidden
+     */
+    constructor(instance: napi.ComponentInstance) {
+        this.#instance = instance;
+    }
+
+    get window(): Window {
+        return this.#instance.window();
+    }
+
+    /**
+    * @hidden
+    */
+    get component_instance(): napi.ComponentInstance {
+        return this.#instance;
+    }
+
+    /**
+    * @hidden
+    */
+    set component_instance(instance: napi.ComponentInstance) {
+        this.#instance = instance;
+        this.#instance.setErrorHandler(this.#errorHandler);
+
+        // Subscribe to the changes of the properties of the new instance, as far as they still exist
+        this.#subscriptions.forEach((subscription) => {
+            subscription.unsubscribe();
+            try {
+                subscription.unsubscribe = this.#subscribe(subscription.globalName, subscription.property, subscription.callback);
+            } catch {
+                subscription.unsubscribe = () => {};
+            }
+        });
+
+        this.#bindings.forEach((binding, key) => {
+            binding.remove();
+            try {
+                binding.remove = this.#bind(binding.globalName, binding.property, binding.binding);
+            } catch {
+                this.#bindings.delete(key);
+            }
+        });
+    }
+
+    onChanged(property: string, callback: (value: any) => void): () => void {
+        return this.subscribe_changes(null, property, callback);
+    }
+
+    /**
+    * @hidden
+    */
+    subscribe_changes(globalName: string | null, property: string, callback: (value: any) => void): () => void {
+        const subscription: PropertySubscription = {
+            globalName,
+            property,
+            callback,
+            unsubscribe: this.#subscribe(globalName, property, callback),
+        };
+        this.#subscriptions.add(subscription);
+
+        return () => {
+            if (this.#subscriptions.delete(subscription)) {
+                subscription.unsubscribe();
+            }
+        };
+    }
+
+    #subscribe(globalName: string | null, property: string, callback: (value: any) => void): () => void {
+        const name = this.#resolve(globalName, property);
+        return globalName === null
+            ? this.#instance.onPropertyChanged(name, callback)
+            : this.#instance.onGlobalPropertyChanged(globalName, name, callback);
+    }
+
+    setBinding(property: string, binding: () => any): () => void {
+        return this.set_binding(null, property, binding);
+    }
+
+    onError(handler: ((error: unknown, callback: string) => void) | undefined) {
+        this.#errorHandler = handler;
+        this.#instance.setErrorHandler(handler);
+    }
+
+    trackBusy<T>(property: string, promise: Promise<T>): Promise<T> {
+        return this.track_busy(null, property, promise);
+    }
+
+    /**
+    * @hidden
+    */
+    track_busy<T>(globalName: string | null, property: string, promise: Promise<T>): Promise<T> {
+        const name = this.#resolve(globalName, property);
+        const key = `${globalName ?? ""}.${name}`;
+
+        const update = (change: number) => {
+            const count = (this.#busy.get(key) ?? 0) + change;
+            if (count > 0) {
+                this.#busy.set(key, count);
+            } else {
+                this.#busy.delete(key);
+            }
+            this.#set(globalName, name, count > 0);
+        };
+
+        update(1);
+        promise.then(() => update(-1), () => update(-1));
+        return promise;
+    }
+
+    /**
+    * Returns the function to set for a callback: the function itself, or for functions created with asyncCallback(),
+    * a function that returns the default value of the callback's return type instead of a promise, and passes the
+    * value of the promise on when it is resolved.
+    *
+    * @hidden
+    */
+    async_callback(globalName: string | null, callbackName: string, callback: Function): Function {
+        const options = asyncCallbacks.get(callback);
+        if (options === undefined) {
+            return callback;
+        }
+
+        // Resolve the names right away, so that misspelled names throw when the callback is set.
+        const result = options.result === undefined ? undefined : this.#resolve(globalName, options.result);
+        const completed = options.completed === undefined ? undefined : this.#resolveCallback(globalName, options.completed);
+        const busy = options.busy === undefined ? undefined : this.#resolve(globalName, options.busy);
+
+        const defaultValue = this.#instance.definition().defaultReturnValue(callbackName, globalName ?? undefined);
+        const errorName = globalName === null ? callbackName : `${globalName}.${callbackName}`;
+
+        const component = this;
+        return function (this: any, ...args: any[]) {
+            const value = callback.apply(this, args);
+            if (typeof value?.then !== "function") {
+                return value;
+            }
+
+            const promise = Promise.resolve(value);
+            if (busy !== undefined) {
+                component.track_busy(globalName, busy, promise);
+            }
+            promise
+                .then((resolved) => {
+                    if (result !== undefined) {
+                        component.#set(globalName, result, resolved);
+                    }
+                    if (completed !== undefined) {
+                        component.#invoke(globalName, completed, resolved);
+                    }
+                })
+                .catch((error) => {
+                    if (component.#errorHandler === undefined) {
+                        throw error;
+                    }
+                    component.#errorHandler(error, errorName);
+                });
+
+            return defaultValue;
+        };
+    }
+
+    #set(globalName: string | null, name: string, value: any) {
+        this.remove_binding(globalName, name);
+        if (globalName === null) {
+            this.#instance.setProperty(name, value);
+        } else {
+            this.#instance.setGlobalProperty(globalName, name, value);
+        }
+    }
+
+    #invoke(globalName: string | null, name: string, value: any) {
+        if (globalName === null) {
+            this.#instance.invoke(name, [value]);
+        } else {
+            this.#instance.invokeGlobal(globalName, name, [value]);
+        }
+    }
+
+    /**
+    * @hidden
+    */
+    set_binding(globalName: string | null, property: string, binding: () => any): () => void {
+        const name = this.#resolve(globalName, property);
+        const key = `${globalName ?? ""}.${name}`;
+
+        this.remove_binding(globalName, name);
+
+        const propertyBinding: PropertyBinding = {
+            globalName,
+            property: name,
+            binding,
+            remove: this.#bind(globalName, name, binding),
+        };
+        this.#bindings.set(key, propertyBinding);
+
+        return () => {
+            if (this.#bindings.get(key) === propertyBinding) {
+                this.remove_binding(globalName, name);
+            }
+        };
+    }
+
+    /**
+    * @hidden
+    */
+    remove_binding(globalName: string | null, name: string) {
+        const key = `${globalName ?? ""}.${name}`;
+        this.#bindings.get(key)?.remove();
+        this.#bindings.delete(key);
+    }
+
+    #bind(globalName: string | null, name: string, binding: () => any): () => void {
+        return globalName === null
+            ? this.#instance.setBinding(name, binding)
+            : this.#instance.setGlobalBinding(globalName, name, binding);
+    }
+
+    // Returns the name of the property as declared in the .slint file.
+    #resolve(globalName: string | null, property: string): string {
+        const definition = this.#instance.definition();
+
+        if (globalName === null) {
+            const name = resolvePropertyName(definition.properties, property);
+            if (name === undefined) {
+                throw new Error(`Property ${property} not found in the component`);
+            }
+            return name;
+        }
+
+        const name = resolvePropertyName(definition.globalProperties(globalName) ?? [], property);
+        if (name === undefined) {
+            throw new Error(`Property ${property} of global ${globalName} not found in the component`);
+        }
+        return name;
+    }
+
+    // Returns the name of the callback as declared in the .slint file.
+    #resolveCallback(globalName: string | null, callback: string): string {
+        const definition = this.#instance.definition();
+        const callbacks = globalName === null ? definition.callbacks : definition.globalCallbacks(globalName) ?? [];
+        const name = callbacks.find((cb) => cb === callback || cb.replace(/-/g, "_") === callback);
+        if (name === undefined) {
+            throw new Error(globalName === null
+                ? `Callback ${callback} not found in the component`
+                : `Callback ${callback} of global ${globalName} not found in the component`);
+        }
+        return name;
+    }
+
+    async run() {
+        this.show();
+        let removeHandler = () => {};
+        const closed = new Promise((resolve) => {
+            removeHandler = this.#instance.window().onClosed(resolve);
+        });
+        await Promise.race([closed, runEventLoop()]);
+        removeHandler();
+        this.hide();
+    }
+
+    show() {
+        this.#instance.window().show();
+    }
+
+    hide() {
+        this.#instance.window().hide();
+    }
+}
+
+/**
+ * Represents an errors that can be emitted by the compiler.
+ */
+export class CompileError extends Error {
+    /**
      * List of {@link Diagnostic} items emitted while compiling .slint code.
      */
     diagnostics: napi.Diagnostic[];
@@ -599,6 +1667,121 @@ export class CompileError extends Error {
     }
 }
 
+/**
+ * Describes the type of a property, callback, callback argument, or struct field as declared in a `.slint` file.
+ */
+export interface TypeInfo {
+    /**
+     * The kind of the type. `color` and `brush` map to {@link RgbaColor} and {@link Brush}, `image` maps to {@link ImageData},
+     * and `component-factory` accepts a component constructor or an {@link EmbeddedComponent}.
+     */
+    kind: "void" | "number" | "string" | "bool" | "color" | "brush" | "image" | "struct" | "array" | "enum" | "callback" | "function" | "component-factory" | "unknown";
+
+    /**
+     * The unit of a number: `duration` is in milliseconds, `angle` in degrees, `length` and `physical-length` in
+     * logical and physical pixels, `relative-font-size` in multiples of the default font size, and `percent` in
+     * percent. Undefined for plain `int` and `float` numbers.
+     */
+    unit?: "duration" | "angle" | "length" | "physical-length" | "relative-font-size" | "percent";
+
+    /**
+     * True if the number is an `int`.
+     */
+    integer?: boolean;
+
+    /**
+     * The visibility of a property as declared in the `.slint` file. `out` properties are read-only from JavaScript,
+     * `in` and `in-out` properties can also be set; unlike `in` properties, `in-out` properties can also be changed
+     * by the component itself. This is only set for the properties of a component or global.
+     */
+    visibility?: "in" | "out" | "in-out";
+
+    /**
+     * The name of the struct or enum, if the type is a named struct or an enum.
+     */
+    name?: string;
+
+    /**
+     * The fields of a struct, mapped by name.
+     */
+    fields?: Record<string, TypeInfo>;
+
+    /**
+     * The type of the elements of an array.
+     */
+    elementType?: TypeInfo;
+
+    /**
+     * The values of an enum.
+     */
+    values?: string[];
+
+    /**
+     * The types of the arguments of a callback or function.
+     */
+    args?: TypeInfo[];
+
+    /**
+     * The return type of a callback or function. Undefined if the callback doesn't return a value.
+     */
+    returnType?: TypeInfo;
+}
+
+/**
+ * Describes the public API of a component, as returned by {@link describeComponent}.
+ */
+export interface ComponentDescription {
+    /**
+     * The name of the component.
+     */
+    name: string;
+
+    /**
+     * The types of the public properties, callbacks, and functions of the component, mapped by their name
+     * as declared in the `.slint` file.
+     */
+    members: Record<string, TypeInfo>;
+
+    /**
+     * The types of the public properties, callbacks, and functions of the exported globals, mapped by the name
+     * of the global and then by the name of the member.
+     */
+    globals: Record<string, Record<string, TypeInfo>>;
+}
+
+/**
+ * Returns the types of the public properties, callbacks, and functions of a component and its globals, for
+ * example to build a form for the properties of the component.
+ *
+ * ```js
+ * let ui = slint.loadFile("ui/main.slint");
+ * let description = slint.describeComponent(ui.Main);
+ * console.log(description.members["font-size"]); // { kind: "number", unit: "length", visibility: "in-out" }
+ * ```
+ *
+ * @param component The constructor of the component, as returned by {@link loadFile} or {@link loadSource}.
+ * @returns The description of the component.
+ * @throws {@link Error} if `component` isn't the constructor of a component.
+ */
+export function describeComponent(component: Function): ComponentDescription {
+    if (!componentConstructors.has(component)) {
+        throw new Error("describeComponent() expects the constructor of a component loaded from a .slint file");
+    }
+    const definition = (component as any).definition as napi.ComponentDefinition;
+    const name = (component as any).componentName as string;
+
+    const globals: Record<string, Record<string, TypeInfo>> = {};
+    definition.globals.forEach((globalName) => {
+        globals[globalName] = definition.globalPropertyTypes(globalName) as Record<string, TypeInfo>;
+    });
+
+    return {
+        name,
+        members: definition.propertyTypes() as Record<string, TypeInfo>,
+        globals,
+    };
+}
+
 /**
  * LoadFileOptions are used to defines different optional parameters that can be used to configure the compiler.
  */
@@ -622,6 +1805,27 @@ export interface LoadFileOptions {
      * Sets library paths used for looking up `@library` imports to the specified map of library names to paths.
      */
     libraryPaths?: Record<string, string>;
+
+    /**
+     * If set to true, the loaded file and the files it imports are watched for changes, for use during development.
+     * On a change, the file is compiled again and the live components created from it are replaced in their windows
+     * by new instances. The current property values, global property values, and the callbacks set from JavaScript
+     * are carried over to the new instances, and values that can't be carried over are reported on the console. Compile
+     * errors are printed to the console and the running components are kept. Properties and callbacks that are added to the component become accessible after restarting the application.
+     *
+     * When loading source code with {@link loadSource}, only the files it imports are watched.
+     */
+    watch?: boolean;
+}
+
+/**
+ * LoadFileAsyncOptions are used to configure the compiler when loading `.slint` files asynchronously.
+ */
+export interface LoadFileAsyncOptions extends LoadFileOptions {
+    /**
+     * If set, the compilation is aborted when the signal is aborted, and the returned promise is rejected with the signal's reason.
+     */
+    signal?: AbortSignal;
 }
 
 type LoadData = {
@@ -639,9 +1843,7 @@ type LoadData = {
     from: 'source'
 }
 
-function loadSlint(loadData: LoadData): Object {
-    const {filePath ,options} = loadData.fileData
-
+function createCompiler(options?: LoadFileOptions): napi.ComponentCompiler {
     let compiler = new napi.ComponentCompiler();
 
     if (typeof options !== "undefined") {
@@ -656,10 +1858,10 @@ function loadSlint(loadData: LoadData): Object {
         }
     }
 
-    let definition = loadData.from === 'file' ? compiler.buildFromPath(filePath) : compiler.buildFromSource(loadData.fileData.source, filePath);
-
-    let diagnostics = compiler.diagnostics;
+    return compiler;
+}
 
+function checkDiagnostics(diagnostics: napi.Diagnostic[], filePath: string, options?: LoadFileOptions) {
     if (diagnostics.length > 0) {
         let warnings = diagnostics.filter(
             (d) => d.level == napi.DiagnosticLevel.Warning
@@ -677,131 +1879,520 @@ function loadSlint(loadData: LoadData): Object {
             throw new CompileError("Could not compile " + filePath, errors);
         }
     }
+}
 
-    let slint_module = Object.create({});
+type CompileResult = {
+    // The definition of the last exported component, which describes the exports of the file.
+    definition: napi.ComponentDefinition,
+    // The definitions of the exported components, by the name they're exported as, in the order of the exports.
+    definitions: Map<string, napi.ComponentDefinition>,
+    // The compiled file, if loaded from a file, and the files it imports.
+    files: string[]
+}
+
+function loadedFiles(loadData: LoadData, compiler: napi.ComponentCompiler): string[] {
+    const imports = compiler.loadedFiles;
+    return loadData.from === 'file' ? [loadData.fileData.filePath, ...imports] : imports;
+}
 
-    Object.defineProperty(slint_module, definition!.name.replace(/-/g, "_"), {
-        value: function (properties: any) {
-            let instance = definition!.create();
+// The interpreter builds only the last exported component, the compiler builds the others from the same source.
+// Their warnings were printed with those of the file.
+function buildExportedDefinition(
+    compiler: napi.ComponentCompiler,
+    definition: napi.ComponentDefinition,
+    exported: napi.ExportedComponent,
+    loadData: LoadData
+): napi.ComponentDefinition {
+    if (exported.declaredName === definition.name) {
+        return definition;
+    }
+    const exportedDefinition = compiler.buildExportedComponent(exported.name);
+    checkDiagnostics(compiler.diagnostics, loadData.fileData.filePath, { ...loadData.fileData.options, quiet: true });
+    return exportedDefinition!;
+}
 
-            if (instance == null) {
-                throw Error(
-                    "Could not create a component handle for" + filePath
-                );
+function compileResult(
+    loadData: LoadData,
+    compiler: napi.ComponentCompiler,
+    definition: napi.ComponentDefinition,
+    definitions: Map<string, napi.ComponentDefinition>
+): CompileResult {
+    if (definitions.size === 0) {
+        definitions.set(definition.name, definition);
+    }
+    return { definition, definitions, files: loadedFiles(loadData, compiler) };
+}
+
+function compileSlint(loadData: LoadData): CompileResult {
+    const {filePath ,options} = loadData.fileData
+
+    let compiler = createCompiler(options);
+
+    let definition = loadData.from === 'file' ? compiler.buildFromPath(filePath) : compiler.buildFromSource(loadData.fileData.source, filePath);
+
+    checkDiagnostics(compiler.diagnostics, filePath, options);
+
+    const definitions = new Map<string, napi.ComponentDefinition>();
+    definition!.exportedComponents.forEach((exported) => {
+        definitions.set(exported.name, buildExportedDefinition(compiler, definition!, exported, loadData));
+    });
+
+    return compileResult(loadData, compiler, definition!, definitions);
+}
+
+function throwIfAborted(signal?: AbortSignal) {
+    if (signal?.aborted) {
+        throw signal.reason ?? new Error("The operation was aborted");
+    }
+}
+
+// Gives the Node.js event loop a chance to run between the steps of an asynchronous compilation.
+async function yieldToEventLoop(signal?: AbortSignal) {
+    await new Promise((resolve) => setImmediate(resolve));
+    throwIfAborted(signal);
+}
+
+async function compileSlintAsync(loadData: LoadData, signal?: AbortSignal): Promise<CompileResult> {
+    const {filePath ,options} = loadData.fileData
+
+    throwIfAborted(signal);
+
+    let compiler = createCompiler(options);
+
+    let compilation = loadData.from === 'file' ? compiler.buildFromPathAsync(filePath) : compiler.buildFromSourceAsync(loadData.fileData.source, filePath);
+
+    while (!compilation.step()) {
+        await yieldToEventLoop(signal);
+    }
+
+    let definition = compiler.finishBuild(compilation);
+
+    checkDiagnostics(compiler.diagnostics, filePath, options);
+
+    const definitions = new Map<string, napi.ComponentDefinition>();
+    for (const exported of definition!.exportedComponents) {
+        await yieldToEventLoop(signal);
+        definitions.set(exported.name, buildExportedDefinition(compiler, definition!, exported, loadData));
+    }
+
+    return compileResult(loadData, compiler, definition!, definitions);
+}
+
+function loadSlint(loadData: LoadData): Object {
+    return createSlintModule(loadData, compileSlint(loadData));
+}
+
+async function loadSlintAsync(loadData: LoadData, signal?: AbortSignal): Promise<Object> {
+    return createSlintModule(loadData, await compileSlintAsync(loadData, signal));
+}
+
+// Copies the values of the properties and global properties that exist in both instances, and sets the
+// callbacks registered from JavaScript on the new instance. Values that can't be transferred, for example
+// because the property became an output property or changed its type, are passed to report and skipped.
+function transferState(
+    from: napi.ComponentInstance,
+    to: napi.ComponentInstance,
+    callbacks: Map<string, Function>,
+    globalCallbacks: Map<string, Map<string, Function>>,
+    report: ReportReloadError
+) {
+    const tryTransfer = (what: string, transfer: () => void) => {
+        try {
+            transfer();
+        } catch (e) {
+            report(`failed to transfer ${what}`, e);
+        }
+    };
+
+    const oldDefinition = from.definition();
+    const newDefinition = to.definition();
+
+    const oldProperties = new Set(oldDefinition.properties.map((prop) => prop.name));
+    newDefinition.properties
+        .filter((prop) => oldProperties.has(prop.name))
+        .forEach((prop) => tryTransfer(`property ${prop.name}`, () => to.setProperty(prop.name, from.getProperty(prop.name))));
+
+    callbacks.forEach((callback, name) => tryTransfer(`callback ${name}`, () => to.setCallback(name, callback)));
+
+    newDefinition.globals
+        .filter((globalName) => oldDefinition.globals.includes(globalName))
+        .forEach((globalName) => {
+            const oldGlobalProperties = new Set(oldDefinition.globalProperties(globalName)!.map((prop) => prop.name));
+            newDefinition.globalProperties(globalName)!
+                .filter((prop) => oldGlobalProperties.has(prop.name))
+                .forEach((prop) => tryTransfer(`property ${globalName}.${prop.name}`, () =>
+                    to.setGlobalProperty(globalName, prop.name, from.getGlobalProperty(globalName, prop.name))
+                ));
+        });
+
+    globalCallbacks.forEach((globalCallbacks, globalName) => {
+        globalCallbacks.forEach((callback, name) => tryTransfer(`callback ${globalName}.${name}`, () => to.setGlobalCallback(globalName, name, callback)));
+    });
+}
+
+type ReportReloadError = (message: string, error: unknown) => void;
+
+// Watches the files of a loaded .slint file, and recompiles them and swaps the live components when they change.
+class HotReloader {
+    #loadData: LoadData;
+    #files: string[] = [];
+    #watchers: fs.FSWatcher[] = [];
+    #timer: NodeJS.Timeout | null = null;
+    #components = new Set<WeakRef<Component>>();
+    #reloadFunctions = new WeakMap<Component, { name: string, reload: (definition: napi.ComponentDefinition, report: ReportReloadError) => void }>();
+
+    // The definitions of the exported components, by the name they're exported as.
+    definitions: Map<string, napi.ComponentDefinition>;
+
+    constructor(loadData: LoadData, compileResult: CompileResult) {
+        this.#loadData = loadData;
+        this.definitions = compileResult.definitions;
+        this.#watch(compileResult.files);
+    }
+
+    // Registers a component created from the exported component of the given name.
+    register(component: Component, name: string, reload: (definition: napi.ComponentDefinition, report: ReportReloadError) => void) {
+        this.#components.add(new WeakRef(component));
+        this.#reloadFunctions.set(component, { name, reload });
+    }
+
+    // Editors that save by renaming a new file over the old one replace the watched file, which ends its watcher,
+    // so the files are watched again after every reload attempt.
+    #watch(files: string[]) {
+        this.#files = files;
+        this.#watchers.forEach((watcher) => watcher.close());
+        this.#watchers = files
+            .filter((file) => fs.existsSync(file))
+            .map((file) => fs.watch(file, { persistent: false }, () => this.#scheduleReload()));
+    }
+
+    // Editors often write a file in several steps, so wait for the changes to settle.
+    #scheduleReload() {
+        if (this.#timer !== null) {
+            clearTimeout(this.#timer);
+        }
+        this.#timer = setTimeout(() => {
+            this.#timer = null;
+            this.#reload();
+        }, 100);
+    }
+
+    #reload() {
+        const filePath = this.#loadData.fileData.filePath;
+
+        let compileResult: CompileResult;
+        try {
+            compileResult = compileSlint(this.#loadData);
+        } catch (e) {
+            if (e instanceof CompileError) {
+                console.error(`Hot reload of ${filePath} failed, keeping the running version:`);
+                e.diagnostics.forEach((d) => console.error(`    ${d.fileName}:${d.lineNumber}:${d.columnNumber}: ${d.message}`));
+            } else {
+                console.error(`Hot reload of ${filePath} failed:`, e);
             }
+            this.#watch(this.#files);
+            return;
+        }
 
-            for (var key in properties) {
-                let value = properties[key];
+        this.#watch(compileResult.files);
 
-                if (value instanceof Function) {
-                    instance.setCallback(key, value);
-                } else {
-                    instance.setProperty(key, properties[key]);
-                }
+        // Components whose export was removed keep their old definition.
+        this.definitions.forEach((definition, name) => {
+            if (!compileResult.definitions.has(name)) {
+                console.error(`Hot reload of ${filePath}: the exported component ${name} was removed or renamed, restart the application to load it`);
+                compileResult.definitions.set(name, definition);
+            }
+        });
+        this.definitions = compileResult.definitions;
+
+        this.#components.forEach((ref) => {
+            const component = ref.deref();
+            if (component === undefined) {
+                this.#components.delete(ref);
+                return;
+            }
+            const { name, reload } = this.#reloadFunctions.get(component)!;
+            try {
+                reload(this.definitions.get(name)!, (message, error) =>
+                    console.error(`Hot reload of ${filePath}: ${message}:`, error)
+                );
+            } catch (e) {
+                console.error(`Hot reload of ${filePath} failed to replace a component:`, e);
             }
+        });
+    }
+}
+
+// The constructors of the components loaded from .slint files. They're functions, but when passed as initial
+// properties they're assigned to component-factory properties, not to callbacks.
+const componentConstructors = new WeakSet<Function>();
+
+// Wraps the instance in a component handle that exposes its properties, callbacks, functions, and globals,
+// and sets the given initial properties and callbacks. With a hot reloader, the instance is replaced when the
+// exported component of the given name is reloaded.
+function createComponentHandle(instance: napi.ComponentInstance, properties: any, hotReload: { hotReloader: HotReloader, name: string } | null): Component {
+    // The callbacks set from JavaScript, to set them again on the new instance after a hot reload.
+    const callbacks = new Map<string, Function>();
+    const globalCallbacks = new Map<string, Map<string, Function>>();
+
+    let componentHandle = new Component(instance!);
+
+    for (var key in properties) {
+        let value = properties[key];
+
+        if (value instanceof Function && !componentConstructors.has(value)) {
+            const callback = componentHandle.async_callback(null, key, value);
+            instance.setCallback(key, callback);
+            callbacks.set(key, callback);
+        } else {
+            instance.setProperty(key, properties[key]);
+        }
+    }
+    instance!.definition().properties.forEach((prop) => {
+        let propName = prop.name.replace(/-/g, "_");
+
+        if (componentHandle[propName] !== undefined) {
+            console.warn("Duplicated property name " + propName);
+        } else {
+            Object.defineProperty(componentHandle, propName, {
+                get() {
+                    return instance!.getProperty(prop.name);
+                },
+                set(value) {
+                    componentHandle.remove_binding(null, prop.name);
+                    instance!.setProperty(prop.name, value);
+                },
+                enumerable: true,
+            });
+        }
+    });
 
-            let componentHandle = new Component(instance!);
-            instance!.definition().properties.forEach((prop) => {
+    instance!.definition().callbacks.forEach((cb) => {
+        let callbackName = cb.replace(/-/g, "_");
+
+        if (componentHandle[callbackName] !== undefined) {
+            console.warn("Duplicated callback name " + callbackName);
+        } else {
+            Object.defineProperty(componentHandle, cb.replace(/-/g, "_"), {
+                get() {
+                    return function () {
+                        return instance!.invoke(cb, Array.from(arguments));
+                    };
+                },
+                set(callback) {
+                    callback = componentHandle.async_callback(null, cb, callback);
+                    instance!.setCallback(cb, callback);
+                    callbacks.set(cb, callback);
+                },
+                enumerable: true,
+            });
+        }
+    });
+
+    instance!.definition().functions.forEach((functionName) => {
+        let name = functionName.replace(/-/g, "_");
+
+        if (componentHandle[name] !== undefined) {
+            console.warn("Duplicated function name " + name);
+        } else {
+            Object.defineProperty(componentHandle, name, {
+                value: function () {
+                    return instance!.invoke(functionName, Array.from(arguments));
+                },
+                enumerable: true,
+            });
+        }
+    });
+
+    // globals
+    instance!.definition().globals.forEach((globalName) => {
+        if (componentHandle[globalName] !== undefined) {
+            console.warn("Duplicated property name " + globalName);
+        } else {
+            let globalObject = Object.create({});
+
+            instance!.definition().globalProperties(globalName).forEach((prop) => {
                 let propName = prop.name.replace(/-/g, "_");
 
-                if (componentHandle[propName] !== undefined) {
-                    console.warn("Duplicated property name " + propName);
+                if (globalObject[propName] !== undefined) {
+                    console.warn("Duplicated property name " + propName + " on global " + global);
                 } else {
-                    Object.defineProperty(componentHandle, propName, {
+                    Object.defineProperty(globalObject, propName, {
                         get() {
-                            return instance!.getProperty(prop.name);
+                            return instance!.getGlobalProperty(globalName, prop.name);
                         },
                         set(value) {
-                            instance!.setProperty(prop.name, value);
+                            componentHandle.remove_binding(globalName, prop.name);
+                            instance!.setGlobalProperty(globalName, prop.name, value);
                         },
                         enumerable: true,
                     });
                 }
             });
 
-            instance!.definition().callbacks.forEach((cb) => {
+            instance!.definition().globalCallbacks(globalName).forEach((cb) => {
                 let callbackName = cb.replace(/-/g, "_");
 
-                if (componentHandle[callbackName] !== undefined) {
-                    console.warn("Duplicated callback name " + callbackName);
+                if (globalObject[callbackName] !== undefined) {
+                    console.warn("Duplicated property name " + cb + " on global " + global);
                 } else {
-                    Object.defineProperty(componentHandle, cb.replace(/-/g, "_"), {
+                    Object.defineProperty(globalObject, cb.replace(/-/g, "_"), {
                         get() {
                             return function () {
-                                return instance!.invoke(cb, Array.from(arguments));
+                                return instance!.invokeGlobal(globalName, cb, Array.from(arguments));
                             };
                         },
                         set(callback) {
-                            instance!.setCallback(cb, callback);
+                            callback = componentHandle.async_callback(globalName, cb, callback);
+                            instance!.setGlobalCallback(globalName, cb, callback);
+                            if (!globalCallbacks.has(globalName)) {
+                                globalCallbacks.set(globalName, new Map());
+                            }
+                            globalCallbacks.get(globalName)!.set(cb, callback);
                         },
                         enumerable: true,
                     });
                 }
             });
 
-            // globals
-            instance!.definition().globals.forEach((globalName) => {
-                if (componentHandle[globalName] !== undefined) {
-                    console.warn("Duplicated property name " + globalName);
-                } else {
-                    let globalObject = Object.create({});
-
-                    instance!.definition().globalProperties(globalName).forEach((prop) => {
-                        let propName = prop.name.replace(/-/g, "_");
-
-                        if (globalObject[propName] !== undefined) {
-                            console.warn("Duplicated property name " + propName + " on global " + global);
-                        } else {
-                            Object.defineProperty(globalObject, propName, {
-                                get() {
-                                    return instance!.getGlobalProperty(globalName, prop.name);
-                                },
-                                set(value) {
-                                    instance!.setGlobalProperty(globalName, prop.name, value);
-                                },
-                                enumerable: true,
-                            });
-                        }
-                    });
-
-                    instance!.definition().globalCallbacks(globalName).forEach((cb) => {
-                        let callbackName = cb.replace(/-/g, "_");
-
-                        if (globalObject[callbackName] !== undefined) {
-                            console.warn("Duplicated property name " + cb + " on global " + global);
-                        } else {
-                            Object.defineProperty(globalObject, cb.replace(/-/g, "_"), {
-                                get() {
-                                    return function () {
-                                        return instance!.invokeGlobal(globalName, cb, Array.from(arguments));
-                                    };
-                                },
-                                set(callback) {
-                                    instance!.setGlobalCallback(globalName, cb, callback);
-                                },
-                                enumerable: true,
-                            });
-                        }
-                    });
+            instance!.definition().globalFunctions(globalName).forEach((functionName) => {
+                let name = functionName.replace(/-/g, "_");
 
-                    Object.defineProperty(componentHandle, globalName, {
-                        get() {
-                            return globalObject;
+                if (globalObject[name] !== undefined) {
+                    console.warn("Duplicated function name " + name + " on global " + globalName);
+                } else {
+                    Object.defineProperty(globalObject, name, {
+                        value: function () {
+                            return instance!.invokeGlobal(globalName, functionName, Array.from(arguments));
                         },
                         enumerable: true,
                     });
                 }
             });
 
-            return Object.seal(componentHandle);
+            if (globalObject.onChanged !== undefined) {
+                console.warn("Duplicated property name onChanged on global " + globalName);
+            } else {
+                Object.defineProperty(globalObject, "onChanged", {
+                    value: (property: string, callback: (value: any) => void) =>
+                        componentHandle.subscribe_changes(globalName, property, callback),
+                });
+            }
+
+            if (globalObject.setBinding !== undefined) {
+                console.warn("Duplicated property name setBinding on global " + globalName);
+            } else {
+                Object.defineProperty(globalObject, "setBinding", {
+                    value: (property: string, binding: () => any) =>
+                        componentHandle.set_binding(globalName, property, binding),
+                });
+            }
+
+            if (globalObject.trackBusy !== undefined) {
+                console.warn("Duplicated property name trackBusy on global " + globalName);
+            } else {
+                Object.defineProperty(globalObject, "trackBusy", {
+                    value: <T>(property: string, promise: Promise<T>) =>
+                        componentHandle.track_busy(globalName, property, promise),
+                });
+            }
+
+            Object.defineProperty(componentHandle, globalName, {
+                get() {
+                    return globalObject;
+                },
+                enumerable: true,
+            });
+        }
+    });
+
+    hotReload?.hotReloader.register(componentHandle, hotReload.name, (newDefinition, report) => {
+        const window = instance!.window();
+        const visible = window.visible;
+        const newInstance = newDefinition.createWithExistingWindow(window);
+
+        transferState(instance!, newInstance, callbacks, globalCallbacks, report);
+
+        instance = newInstance;
+        componentHandle.component_instance = newInstance;
+
+        // Let the window hold a reference to the new instance instead of the old one
+        if (visible) {
+            newInstance.window().show();
+        }
+    });
+
+    return Object.seal(componentHandle);
+}
+
+// Returns the constructor of the component whose definition is returned by getDefinition.
+function createComponentConstructor(name: string, getDefinition: () => napi.ComponentDefinition, filePath: string, hotReloader: HotReloader | null): Function {
+    const constructor = function (properties: any) {
+        let instance = getDefinition().create();
+
+        if (instance == null) {
+            throw Error(
+                "Could not create a component handle for" + filePath
+            );
+        }
+
+        return createComponentHandle(instance, properties, hotReloader === null ? null : { hotReloader, name });
+    };
+    componentConstructors.add(constructor);
+
+    // Used to assign the component to component-factory properties, and to describe it.
+    Object.defineProperties(constructor, {
+        componentName: {
+            value: name,
+        },
+        definition: {
+            get: getDefinition,
         },
+        wrapInstance: {
+            value: (instance: napi.ComponentInstance) => createComponentHandle(instance, {}, null),
+        },
+    });
+
+    return constructor;
+}
+
+function createSlintModule(loadData: LoadData, compileResult: CompileResult): Object {
+    const definition = compileResult.definition;
+    const filePath = loadData.fileData.filePath;
+    const hotReloader = loadData.fileData.options?.watch === true ? new HotReloader(loadData, compileResult) : null;
+
+    let slint_module = Object.create({});
+
+    const defineExport = (name: string, value: any) => {
+        name = name.replace(/-/g, "_");
+        if (slint_module[name] !== undefined) {
+            console.warn("Duplicated export name " + name);
+        } else {
+            Object.defineProperty(slint_module, name, { value, enumerable: true });
+        }
+    };
+
+    compileResult.definitions.forEach((exportedDefinition, name) => {
+        defineExport(name, createComponentConstructor(name, () => hotReloader?.definitions.get(name) ?? exportedDefinition, filePath, hotReloader));
+    });
+
+    Object.entries(definition.namedTypes() as Record<string, TypeInfo>).forEach(([name, info]) => {
+        if (info.kind === "enum") {
+            const values: Record<string, string> = {};
+            info.values!.forEach((value) => values[value.replace(/-/g, "_")] = value);
+            defineExport(name, Object.freeze(values));
+        } else {
+            defineExport(name, function (fields?: Record<string, any>) {
+                return Object.assign(definition.defaultValue(name) as object, fields);
+            });
+        }
     });
 
     return Object.seal(slint_module);
 }
 
 /**
- * Loads the given Slint file and returns an objects that contains a functions to construct the exported
+ * Loads the given Slint file and returns an objects that contains a functions to construct each exported
  * component of the slint file.
  *
  * The following example loads a "Hello World" style Slint file and changes the Text label to a new greeting:
@@ -826,9 +2417,9 @@ function loadSlint(loadData: LoadData): Object {
  *                 against the process' working directory.
  * @param options Use {@link LoadFileOptions} to configure additional Slint compilation aspects,
  *                such as include search paths, library imports, or the widget style.
- * @returns The returned object is sealed and provides a property by the name of the component exported
- *          in the `.slint` file. In the above example the name of the property is `Main`. The property
- *          is a constructor function. Use it with the new operator to instantiate the component.
+ * @returns The returned object is sealed and provides a property for every component exported
+ *          in the `.slint` file, by the name it's exported as. In the above example the name of the property
+ *          is `Main`. The property is a constructor function. Use it with the new operator to instantiate the component.
  *          The instantiated object exposes properties and callbacks, and implements the {@link ComponentHandle} interface.
  *          For more details about the exposed properties, see [Instantiating A Component](../index.html#md:instantiating-a-component).
  * @throws {@link CompileError} if errors occur during compilation.
@@ -841,7 +2432,7 @@ export function loadFile(filePath: string, options?: LoadFileOptions): Object {
 }
 
 /**
- * Loads the given Slint source code and returns an object that contains a function to construct the exported
+ * Loads the given Slint source code and returns an object that contains a function to construct each exported
  * component of the Slint source code.
  *
  * The following example loads a "Hello World" style Slint source code and changes the Text label to a new greeting:
@@ -862,9 +2453,9 @@ export function loadFile(filePath: string, options?: LoadFileOptions): Object {
  *                 against the process' working directory.
  * @param options Use {@link LoadFileOptions} to configure additional Slint compilation aspects,
  *                such as include search paths, library imports, or the widget style.
- * @returns The returned object is sealed and provides a property by the name of the component exported
- *          in the `.slint` file. In the above example the name of the property is `Main`. The property
- *          is a constructor function. Use it with the new operator to instantiate the component.
+ * @returns The returned object is sealed and provides a property for every component exported
+ *          in the `.slint` file, by the name it's exported as. In the above example the name of the property
+ *          is `Main`. The property is a constructor function. Use it with the new operator to instantiate the component.
  *          The instantiated object exposes properties and callbacks, and implements the {@link ComponentHandle} interface.
  *          For more details about the exposed properties, see [Instantiating A Component](../index.html#md:instantiating-a-component).
  * @throws {@link CompileError} if errors occur during compilation.
@@ -876,10 +2467,64 @@ export function loadSource(source: string, filePath: string, options?: LoadFileO
     })
 }
 
+/**
+ * Loads the given Slint file asynchronously and returns a promise that resolves to an object that contains
+ * a function to construct each exported component of the slint file. See {@link loadFile} for details
+ * about the returned object.
+ *
+ * The compilation doesn't run on another thread: the compiled components are bound to the main thread, so it
+ * runs there too, split into steps. A step ends before each file that's imported by the `.slint` file is loaded,
+ * and before each exported component after the first one is built. The Node.js event loop runs between the steps,
+ * so timers, I/O, and the UI of already loaded components keep being processed, but each step blocks the
+ * event loop while it runs.
+ *
+ * ```js
+ * import * as slint from "slint-ui";
+ * let ui = await slint.loadFileAsync("main.slint", { signal: AbortSignal.timeout(10000) });
+ * let main = new ui.Main();
+ * ```
+ *
+ * @param filePath A path to the file to load. If the path is a relative path, then it is resolved
+ *                 against the process' working directory.
+ * @param options Use {@link LoadFileAsyncOptions} to configure additional Slint compilation aspects,
+ *                such as include search paths, library imports, or the widget style, and to pass an `AbortSignal`.
+ * @returns A promise that resolves to the same object as returned by {@link loadFile}.
+ *          The promise is rejected with a {@link CompileError} if errors occur during compilation, or
+ *          with the signal's reason if the compilation is aborted.
+ */
+export function loadFileAsync(filePath: string, options?: LoadFileAsyncOptions): Promise<Object> {
+    return loadSlintAsync({
+        fileData:{ filePath, options },
+        from:'file',
+    }, options?.signal)
+}
+
+/**
+ * Loads the given Slint source code asynchronously and returns a promise that resolves to an object that
+ * contains a function to construct each exported component of the Slint source code. See {@link loadSource}
+ * and {@link loadFileAsync} for details.
+ *
+ * @param source The Slint source code to load.
+ * @param filePath A path to the file to show log. If the path is a relative path, then it is resolved
+ *                 against the process' working directory.
+ * @param options Use {@link LoadFileAsyncOptions} to configure additional Slint compilation aspects,
+ *                such as include search paths, library imports, or the widget style, and to pass an `AbortSignal`.
+ * @returns A promise that resolves to the same object as returned by {@link loadSource}.
+ *          The promise is rejected with a {@link CompileError} if errors occur during compilation, or
+ *          with the signal's reason if the compilation is aborted.
+ */
+export function loadSourceAsync(source: string, filePath: string, options?: LoadFileAsyncOptions): Promise<Object> {
+    return loadSlintAsync({
+        fileData:{ filePath, options, source },
+        from:'source',
+    }, options?.signal)
+}
+
 class EventLoop {
     #quit_loop: boolean = false;
     #terminationPromise: Promise<unknown> | null = null;
     #terminateResolveFn: ((_value: unknown) => void) | null;
+    #terminateRejectFn: ((_reason: unknown) => void) | null;
 
     constructor() {
     }
@@ -889,8 +2534,9 @@ class EventLoop {
             return this.#terminationPromise;
         }
 
-        this.#terminationPromise = new Promise((resolve) => {
+        this.#terminationPromise = new Promise((resolve, reject) => {
             this.#terminateResolveFn = resolve;
+            this.#terminateRejectFn = reject;
         });
         this.#quit_loop = false;
 
@@ -901,24 +2547,62 @@ class EventLoop {
             });
         }
 
-        // Give the nodejs event loop 16 ms to tick. This polling is sub-optimal, but it's the best we
-        // can do right now.
-        const nodejsPollInterval = 16;
-        let id = setInterval(() => {
-            if (napi.processEvents() == napi.ProcessEventsResult.Exited || this.#quit_loop) {
-                clearInterval(id);
+        const terminate = (error?: unknown) => {
+            if (error === undefined) {
                 this.#terminateResolveFn!(undefined);
-                this.#terminateResolveFn = null;
-                this.#terminationPromise = null;
-                return;
+            } else {
+                this.#terminateRejectFn!(error);
+            }
+            this.#terminateResolveFn = null;
+            this.#terminateRejectFn = null;
+            this.#terminationPromise = null;
+        };
+
+        // Runs one iteration of the Slint event loop, and returns true when the loop terminated. Errors
+        // terminate the loop and reject the promise returned by start().
+        const iterate = (timeout?: number): boolean => {
+            try {
+                // quit() may have been called by a Node.js timer or I/O callback since the last iteration.
+                if (this.#quit_loop || napi.processEvents(timeout) == napi.ProcessEventsResult.Exited || this.#quit_loop) {
+                    terminate();
+                    return true;
+                }
+            } catch (error) {
+                terminate(error);
+                return true;
             }
-        }, nodejsPollInterval);
+            return false;
+        };
+
+        // Slint waits for events in processEvents(), for as long as the Node.js event loop would have waited
+        // for its next timer. The native integration wakes Slint up when Node.js has pending I/O.
+        // The driver must not throw: exceptions in it are fatal to the process.
+        const integrated = napi.startEventLoopIntegration((timeout: number) => {
+            if (iterate(timeout)) {
+                napi.stopEventLoopIntegration();
+            }
+        });
+
+        if (!integrated) {
+            // Without the integration, give the nodejs event loop 16 ms to tick.
+            const nodejsPollInterval = 16;
+            let id = setInterval(() => {
+                if (iterate()) {
+                    clearInterval(id);
+                }
+            }, nodejsPollInterval);
+        }
 
         return this.#terminationPromise;
     }
 
     quit() {
         this.#quit_loop = true;
+        // Wake up processEvents(), which may be waiting for the next event when quit() is called from a
+        // Slint callback.
+        if (this.#terminationPromise != null) {
+            napi.invokeFromEventLoop(() => {});
+        }
     }
 }
 
@@ -933,11 +2617,10 @@ var globalEventLoop: EventLoop = new EventLoop;
  * @param runningCallback Optional callback that's invoked once when the event loop is running.
  *                         The function's return value is ignored.
  *
- * Note that the event loop integration with Node.js is slightly imperfect. Due to conflicting
- * implementation details between Slint's and Node.js' event loop, the two loops are merged
- * by spinning one after the other, at 16 millisecond intervals. This means that when the
- * application is idle, it continues to consume a low amount of CPU cycles, checking if either
- * event loop has any pending events.
+ * While the event loop is running, Slint waits for windowing system events on behalf of both event loops,
+ * and wakes up when Node.js has pending I/O or timers. An idle application doesn't consume CPU cycles.
+ * On Windows, the two loops are merged by spinning one after the other, at 16 millisecond intervals,
+ * which means that an idle application continues to consume a low amount of CPU cycles there.
  */
 export function runEventLoop(runningCallback?: Function): Promise<unknown> {
     return globalEventLoop.start(runningCallback)
@@ -951,6 +2634,10 @@ export function quitEventLoop() {
     globalEventLoop.quit()
 }
 
+// MapModel used to be part of private_api, keep it available there for existing code.
+const PublicMapModel = MapModel;
+type PublicMapModel<T, U> = MapModel<T, U>;
+
 /**
  * @hidden
  */
@@ -958,6 +2645,7 @@ export namespace private_api {
     export import mock_elapsed_time = napi.mockElapsedTime;
     export import get_mocked_time = napi.getMockedTime;
     export import ComponentCompiler = napi.ComponentCompiler;
+    export import Compilation = napi.Compilation;
     export import ComponentDefinition = napi.ComponentDefinition;
     export import ComponentInstance = napi.ComponentInstance;
     export import ValueType = napi.ValueType;
@@ -968,6 +2656,27 @@ export namespace private_api {
     export import SlintSize = napi.SlintSize;
     export import SlintPoint = napi.SlintPoint;
     export import SlintImageData = napi.SlintImageData;
+    export import SlintPixelBuffer = napi.SlintPixelBuffer;
+
+    export const MapModel = PublicMapModel;
+    export type MapModel<T, U> = PublicMapModel<T, U>;
+
+    // Returns the definitions of the exported components, by the name they're exported as.
+    export function load_definitions(
+        filePath: string,
+        options?: LoadFileOptions
+    ): Map<string, napi.ComponentDefinition> {
+        return compileSlint({
+            fileData: { filePath, options },
+            from: 'file',
+        }).definitions;
+    }
+
+    export import init_testing_backend = napi.initTestingBackend;
+
+    export function component_instance(component: ComponentHandle): napi.ComponentInstance {
+        return (component as Component).component_instance;
+    }
 
     export function send_mouse_click(
         component: Component,
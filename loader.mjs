@@ -0,0 +1,39 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+// This file implements Node.js module customization hooks that make .slint files importable as ES modules:
+//
+//     import { MainWindow } from "./main.slint";
+//
+// Use it with `node --loader slint-ui/loader.mjs`, or on Node.js 20.6 and newer by calling
+// `register("slint-ui/loader.mjs", import.meta.url)` from the `node:module` module in a file passed to `--import`.
+// The module's default export is the object returned by `loadFile()`, and the components, the struct factories and
+// the enum value maps are also available as named exports. LoadFileOptions are read from slint.config.json and the
+// query parameters of the import, see resolveLoadFileOptions() in module-hooks.ts.
+
+import { fileURLToPath } from "node:url";
+import hooks from "./module-hooks.js";
+
+export async function load(url, context, nextLoad) {
+    const parsedUrl = new URL(url);
+
+    if (parsedUrl.protocol !== "file:" || !parsedUrl.pathname.endsWith(".slint")) {
+        return nextLoad(url, context);
+    }
+
+    const filePath = fileURLToPath(parsedUrl);
+
+    // The hooks may run in their own thread, so the file is only compiled by the generated module, which reports
+    // compile errors as module-load errors. The names to export are read from the source of the file.
+    const options = hooks.resolveLoadFileOptions(filePath, parsedUrl.searchParams);
+    const exportNames = hooks.exportedNames(filePath, options);
+
+    const source = [
+        `import register from ${JSON.stringify(new URL("./register.js", import.meta.url).href)};`,
+        `const ui = register.loadModule(${JSON.stringify(filePath)}, new URLSearchParams(${JSON.stringify(parsedUrl.search)}));`,
+        `export default ui;`,
+        ...exportNames.map((name) => `export const ${name} = ui.${name};`),
+    ].join("\n");
+
+    return { format: "module", shortCircuit: true, source };
+}
@@ -0,0 +1,30 @@
+import type { LoadFileOptions } from "./index";
+/**
+ * The name of the configuration file that the module loader hooks look up, starting in the directory
+ * of the imported `.slint` file and walking up to the root. It contains a JSON object with the
+ * {@link LoadFileOptions}. Relative include and library paths are resolved against the directory of the file.
+ */
+export declare const configFileName = "slint.config.json";
+/**
+ * Returns the {@link LoadFileOptions} for loading the given `.slint` file through a module loader hook.
+ *
+ * The options are read from the closest {@link configFileName} file, and can be overridden with
+ * the query parameters of the import, for example `./main.slint?style=fluent&includePath=./ui&libraryPath=lib=./lib&quiet&watch`.
+ * `includePath` and `libraryPath` may be repeated.
+ *
+ * @param filePath The path of the `.slint` file.
+ * @param query The query parameters of the import, if any.
+ */
+export declare function resolveLoadFileOptions(filePath: string, query?: URLSearchParams): LoadFileOptions;
+/**
+ * Returns the names of the properties of the object that {@link loadFile} returns for the given `.slint` file,
+ * without compiling the file: the names of the exported components, structs, and enums, with dashes replaced
+ * with underscores. Imports and re-exports are followed through the include and library paths of the options.
+ *
+ * The names are read from the source of the files, so a name that can't be resolved, for example because
+ * it's imported from a file that doesn't exist, is included even if the object won't have it.
+ *
+ * @param filePath The path of the `.slint` file.
+ * @param options The options the file is loaded with, see {@link resolveLoadFileOptions}.
+ */
+export declare function exportedNames(filePath: string, options?: LoadFileOptions): string[];
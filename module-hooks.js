@@ -0,0 +1,342 @@
+"use strict";
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.exportedNames = exports.resolveLoadFileOptions = exports.configFileName = void 0;
+// This file contains the helpers of the module loader hooks that don't need the native module: the lookup of the
+// LoadFileOptions, and the names that a .slint file exports. loader.mjs runs in the thread of the module
+// customization hooks, which only generates the source of the module, so it uses these instead of compiling the file.
+const fs = require("fs");
+const path = require("path");
+/**
+ * The name of the configuration file that the module loader hooks look up, starting in the directory
+ * of the imported `.slint` file and walking up to the root. It contains a JSON object with the
+ * {@link LoadFileOptions}. Relative include and library paths are resolved against the directory of the file.
+ */
+exports.configFileName = "slint.config.json";
+function readConfigFile(directory) {
+    for (let dir = path.resolve(directory);; dir = path.dirname(dir)) {
+        const configPath = path.join(dir, exports.configFileName);
+        if (fs.existsSync(configPath)) {
+            const options = JSON.parse(fs.readFileSync(configPath, "utf8"));
+            if (options.includePaths !== undefined) {
+                options.includePaths = options.includePaths.map((p) => path.resolve(dir, p));
+            }
+            if (options.libraryPaths !== undefined) {
+                options.libraryPaths = Object.fromEntries(Object.entries(options.libraryPaths).map(([name, p]) => [name, path.resolve(dir, p)]));
+            }
+            return options;
+        }
+        if (path.dirname(dir) === dir) {
+            return {};
+        }
+    }
+}
+/**
+ * Returns the {@link LoadFileOptions} for loading the given `.slint` file through a module loader hook.
+ *
+ * The options are read from the closest {@link configFileName} file, and can be overridden with
+ * the query parameters of the import, for example `./main.slint?style=fluent&includePath=./ui&libraryPath=lib=./lib&quiet&watch`.
+ * `includePath` and `libraryPath` may be repeated.
+ *
+ * @param filePath The path of the `.slint` file.
+ * @param query The query parameters of the import, if any.
+ */
+function resolveLoadFileOptions(filePath, query) {
+    const options = readConfigFile(path.dirname(filePath));
+    if (query === undefined) {
+        return options;
+    }
+    const style = query.get("style");
+    if (style !== null) {
+        options.style = style;
+    }
+    if (query.has("quiet")) {
+        options.quiet = query.get("quiet") !== "false";
+    }
+    if (query.has("watch")) {
+        options.watch = query.get("watch") !== "false";
+    }
+    const includePaths = query.getAll("includePath");
+    if (includePaths.length > 0) {
+        options.includePaths = includePaths.map((p) => path.resolve(path.dirname(filePath), p));
+    }
+    const libraryPaths = query.getAll("libraryPath");
+    if (libraryPaths.length > 0) {
+        options.libraryPaths = {};
+        for (const libraryPath of libraryPaths) {
+            const separator = libraryPath.indexOf("=");
+            if (separator < 0) {
+                throw new Error(`Invalid libraryPath ${libraryPath} in import of ${filePath}, expected <library>=<path>`);
+            }
+            options.libraryPaths[libraryPath.substring(0, separator)] =
+                path.resolve(path.dirname(filePath), libraryPath.substring(separator + 1));
+        }
+    }
+    return options;
+}
+exports.resolveLoadFileOptions = resolveLoadFileOptions;
+// Returns the index after the string literal that starts at start, including the expressions of `\{...}`.
+function skipString(source, start) {
+    let i = start + 1;
+    while (i < source.length) {
+        if (source[i] === "\\" && source[i + 1] === "{") {
+            i += 2;
+            for (let depth = 1; i < source.length && depth > 0;) {
+                if (source[i] === "\"") {
+                    i = skipString(source, i);
+                    continue;
+                }
+                depth += source[i] === "{" ? 1 : source[i] === "}" ? -1 : 0;
+                ++i;
+            }
+        }
+        else if (source[i] === "\\") {
+            i += 2;
+        }
+        else if (source[i] === "\"") {
+            return i + 1;
+        }
+        else {
+            ++i;
+        }
+    }
+    return i;
+}
+function tokenize(source) {
+    const tokens = [];
+    const identifier = /[A-Za-z_][A-Za-z0-9_-]*/y;
+    for (let i = 0; i < source.length;) {
+        if (/\s/.test(source[i])) {
+            ++i;
+        }
+        else if (source.startsWith("//", i)) {
+            const end = source.indexOf("\n", i);
+            i = end < 0 ? source.length : end;
+        }
+        else if (source.startsWith("/*", i)) {
+            // Block comments nest.
+            let depth = 0;
+            do {
+                if (source.startsWith("/*", i)) {
+                    ++depth;
+                    i += 2;
+                }
+                else if (source.startsWith("*/", i)) {
+                    --depth;
+                    i += 2;
+                }
+                else {
+                    ++i;
+                }
+            } while (depth > 0 && i < source.length);
+        }
+        else if (source[i] === "\"") {
+            const end = skipString(source, i);
+            tokens.push({ kind: "string", text: source.slice(i + 1, end - 1) });
+            i = end;
+        }
+        else if (source.startsWith(":=", i)) {
+            tokens.push({ kind: "punctuation", text: ":=" });
+            i += 2;
+        }
+        else {
+            identifier.lastIndex = i;
+            const match = identifier.exec(source);
+            if (match !== null) {
+                tokens.push({ kind: "identifier", text: match[0] });
+                i += match[0].length;
+            }
+            else {
+                tokens.push({ kind: "punctuation", text: source[i] });
+                ++i;
+            }
+        }
+    }
+    return tokens;
+}
+const declarationKinds = {
+    component: "component",
+    global: "global",
+    struct: "type",
+    enum: "type",
+};
+function parse(source) {
+    const tokens = tokenize(source);
+    const document = { declarations: new Map(), imports: new Map(), exports: [], exportsFrom: [] };
+    const isPunctuation = (i, text) => tokens[i]?.kind === "punctuation" && tokens[i].text === text;
+    const isIdentifier = (i, text) => tokens[i]?.kind === "identifier" && (text === undefined || tokens[i].text === text);
+    // Returns the index after the block that starts at or after i.
+    const skipBlock = (i) => {
+        while (i < tokens.length && !isPunctuation(i, "{")) {
+            ++i;
+        }
+        for (let depth = 0; i < tokens.length; ++i) {
+            depth += isPunctuation(i, "{") ? 1 : isPunctuation(i, "}") ? -1 : 0;
+            if (depth === 0) {
+                return i + 1;
+            }
+        }
+        return i;
+    };
+    // Parses `{ a, b as c }` starting at i, and returns the entries and the index after the list.
+    const parseList = (i) => {
+        const entries = [];
+        for (++i; i < tokens.length && !isPunctuation(i, "}"); ++i) {
+            if (isIdentifier(i)) {
+                const name = tokens[i].text;
+                if (isIdentifier(i + 1, "as") && isIdentifier(i + 2)) {
+                    entries.push({ name, as: tokens[i + 2].text });
+                    i += 2;
+                }
+                else {
+                    entries.push({ name, as: name });
+                }
+            }
+        }
+        return [entries, i + 1];
+    };
+    // Returns the file of `from "file"` at i, if any.
+    const fromFile = (i) => (isIdentifier(i, "from") && tokens[i + 1]?.kind === "string" ? tokens[i + 1].text : undefined);
+    for (let i = 0; i < tokens.length;) {
+        if (isPunctuation(i, "{")) {
+            i = skipBlock(i);
+            continue;
+        }
+        if (isIdentifier(i, "import") && isPunctuation(i + 1, "{")) {
+            const [entries, next] = parseList(i + 1);
+            const from = fromFile(next);
+            if (from !== undefined) {
+                entries.forEach((entry) => document.imports.set(entry.as, { name: entry.name, from }));
+            }
+            i = next;
+            continue;
+        }
+        let exported = false;
+        if (isIdentifier(i, "export")) {
+            if (isPunctuation(i + 1, "{")) {
+                const [entries, next] = parseList(i + 1);
+                const from = fromFile(next);
+                entries.forEach((entry) => document.exports.push({ ...entry, from }));
+                i = next;
+                continue;
+            }
+            if (isPunctuation(i + 1, "*")) {
+                const from = fromFile(i + 2);
+                if (from !== undefined) {
+                    document.exportsFrom.push(from);
+                }
+                i += 2;
+                continue;
+            }
+            exported = true;
+            ++i;
+        }
+        let name;
+        let kind;
+        if (isIdentifier(i) && declarationKinds[tokens[i].text] !== undefined && isIdentifier(i + 1)) {
+            // `component Name inherits Base {`, `struct Name {`, and the old `global Name := {`.
+            name = tokens[i + 1].text;
+            kind = declarationKinds[tokens[i].text];
+        }
+        else if (isIdentifier(i) && isPunctuation(i + 1, ":=")) {
+            // The old `Name := Base {` syntax of components.
+            name = tokens[i].text;
+            kind = "component";
+        }
+        if (name === undefined || kind === undefined) {
+            ++i;
+            continue;
+        }
+        document.declarations.set(name, kind);
+        if (kind === "component") {
+            document.lastComponent = name;
+        }
+        if (exported) {
+            document.exports.push({ name, as: name });
+        }
+        i = skipBlock(i);
+    }
+    return document;
+}
+// Returns the path of the file that `from "file"` refers to in the file at filePath, if it exists. Imports are
+// resolved against the directory of the file, then against the include paths, and `@library/...` against the
+// library paths.
+function resolveImport(filePath, file, options) {
+    const candidates = [];
+    if (file.startsWith("@")) {
+        const separator = file.indexOf("/");
+        const library = options.libraryPaths?.[file.substring(1, separator < 0 ? undefined : separator)];
+        if (library !== undefined) {
+            candidates.push(separator < 0 ? library : path.join(library, file.substring(separator + 1)));
+        }
+    }
+    else if (path.isAbsolute(file)) {
+        candidates.push(file);
+    }
+    else {
+        candidates.push(path.join(path.dirname(filePath), file));
+        (options.includePaths ?? []).forEach((includePath) => candidates.push(path.resolve(includePath, file)));
+    }
+    return candidates.find((candidate) => fs.statSync(candidate, { throwIfNoEntry: false })?.isFile());
+}
+function documentExports(filePath, options, cache) {
+    const cached = cache.get(filePath);
+    if (cached !== undefined) {
+        return cached;
+    }
+    const exports = new Map();
+    // Files that import each other see the exports parsed so far.
+    cache.set(filePath, exports);
+    let document;
+    try {
+        document = parse(fs.readFileSync(filePath, "utf8"));
+    }
+    catch {
+        return exports;
+    }
+    const importedExports = (file) => {
+        const resolved = resolveImport(filePath, file, options);
+        return resolved === undefined ? undefined : documentExports(resolved, options, cache);
+    };
+    const kindOf = (name, from) => {
+        if (from !== undefined) {
+            return importedExports(from)?.get(name);
+        }
+        const declared = document.declarations.get(name);
+        if (declared !== undefined) {
+            return declared;
+        }
+        const imported = document.imports.get(name);
+        return imported === undefined ? undefined : importedExports(imported.from)?.get(imported.name);
+    };
+    for (const entry of document.exports) {
+        exports.set(entry.as, kindOf(entry.name, entry.from));
+    }
+    for (const from of document.exportsFrom) {
+        importedExports(from)?.forEach((kind, name) => exports.set(name, kind));
+    }
+    // A file that doesn't export any component exports its last component.
+    const exportsComponent = Array.from(exports.values()).some((kind) => kind === "component" || kind === "global");
+    if (!exportsComponent && document.lastComponent !== undefined) {
+        exports.set(document.lastComponent, "component");
+    }
+    return exports;
+}
+/**
+ * Returns the names of the properties of the object that {@link loadFile} returns for the given `.slint` file,
+ * without compiling the file: the names of the exported components, structs, and enums, with dashes replaced
+ * with underscores. Imports and re-exports are followed through the include and library paths of the options.
+ *
+ * The names are read from the source of the files, so a name that can't be resolved, for example because
+ * it's imported from a file that doesn't exist, is included even if the object won't have it.
+ *
+ * @param filePath The path of the `.slint` file.
+ * @param options The options the file is loaded with, see {@link resolveLoadFileOptions}.
+ */
+function exportedNames(filePath, options = {}) {
+    const exports = documentExports(path.resolve(filePath), options, new Map());
+    const names = Array.from(exports).filter(([, kind]) => kind !== "global").map(([name]) => name.replace(/-/g, "_"));
+    return [...new Set(names)];
+}
+exports.exportedNames = exportedNames;
@@ -0,0 +1,12 @@
+import { CompileError } from "./index";
+export { configFileName, resolveLoadFileOptions } from "./module-hooks";
+/**
+ * Returns a {@link CompileError} whose message includes the location and message of each diagnostic,
+ * as module loaders only show the message of errors thrown while loading a module.
+ */
+export declare function moduleLoadError(error: CompileError): CompileError;
+/**
+ * Loads the given `.slint` file like {@link loadFile}, with the options resolved by {@link resolveLoadFileOptions}.
+ * Compile errors are reported with {@link moduleLoadError}.
+ */
+export declare function loadModule(filePath: string, query?: URLSearchParams): Object;
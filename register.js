@@ -0,0 +1,39 @@
+"use strict";
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.loadModule = exports.moduleLoadError = exports.resolveLoadFileOptions = exports.configFileName = void 0;
+// This file registers a CommonJS `require` hook for .slint files, so that `require("./main.slint")`
+// returns the same object as `loadFile("./main.slint")`. Load it with `node -r slint-ui/register` or
+// `require("slint-ui/register")`. The ESM counterpart is loader.mjs, which shares the helpers below and
+// those of module-hooks.ts.
+const index_1 = require("./index");
+const module_hooks_1 = require("./module-hooks");
+var module_hooks_2 = require("./module-hooks");
+Object.defineProperty(exports, "configFileName", { enumerable: true, get: function () { return module_hooks_2.configFileName; } });
+Object.defineProperty(exports, "resolveLoadFileOptions", { enumerable: true, get: function () { return module_hooks_2.resolveLoadFileOptions; } });
+/**
+ * Returns a {@link CompileError} whose message includes the location and message of each diagnostic,
+ * as module loaders only show the message of errors thrown while loading a module.
+ */
+function moduleLoadError(error) {
+    const details = error.diagnostics.map((d) => `    ${d.fileName}:${d.lineNumber}:${d.columnNumber}: ${d.message}`);
+    return new index_1.CompileError([error.message, ...details].join("\n"), error.diagnostics);
+}
+exports.moduleLoadError = moduleLoadError;
+/**
+ * Loads the given `.slint` file like {@link loadFile}, with the options resolved by {@link resolveLoadFileOptions}.
+ * Compile errors are reported with {@link moduleLoadError}.
+ */
+function loadModule(filePath, query) {
+    try {
+        return (0, index_1.loadFile)(filePath, (0, module_hooks_1.resolveLoadFileOptions)(filePath, query));
+    }
+    catch (e) {
+        throw e instanceof index_1.CompileError ? moduleLoadError(e) : e;
+    }
+}
+exports.loadModule = loadModule;
+require.extensions[".slint"] = function (module, filename) {
+    module.exports = loadModule(filename);
+};
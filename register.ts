@@ -0,0 +1,39 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+// This file registers a CommonJS `require` hook for .slint files, so that `require("./main.slint")`
+// returns the same object as `loadFile("./main.slint")`. Load it with `node -r slint-ui/register` or
+// `require("slint-ui/register")`. The ESM counterpart is loader.mjs, which shares the helpers below and
+// those of module-hooks.ts.
+
+import { CompileError, loadFile } from "./index";
+import { resolveLoadFileOptions } from "./module-hooks";
+
+export { configFileName, resolveLoadFileOptions } from "./module-hooks";
+
+/**
+ * Returns a {@link CompileError} whose message includes the location and message of each diagnostic,
+ * as module loaders only show the message of errors thrown while loading a module.
+ */
+export function moduleLoadError(error: CompileError): CompileError {
+    const details = error.diagnostics.map(
+        (d) => `    ${d.fileName}:${d.lineNumber}:${d.columnNumber}: ${d.message}`
+    );
+    return new CompileError([error.message, ...details].join("\n"), error.diagnostics);
+}
+
+/**
+ * Loads the given `.slint` file like {@link loadFile}, with the options resolved by {@link resolveLoadFileOptions}.
+ * Compile errors are reported with {@link moduleLoadError}.
+ */
+export function loadModule(filePath: string, query?: URLSearchParams): Object {
+    try {
+        return loadFile(filePath, resolveLoadFileOptions(filePath, query));
+    } catch (e) {
+        throw e instanceof CompileError ? moduleLoadError(e) : e;
+    }
+}
+
+require.extensions[".slint"] = function (module: NodeJS.Module, filename: string) {
+    module.exports = loadModule(filename);
+};
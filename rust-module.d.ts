@@ -33,6 +33,28 @@ export interface Diagnostic {
   /** The path of the source file where this diagnostic occurred. */
   fileName?: string
 }
+/** A component exported by a compiled .slint file. */
+export interface ExportedComponent {
+  /** The name the component is exported as. */
+  name: string
+  /** The name the component is declared with, which is the name of its `ComponentDefinition`. */
+  declaredName: string
+}
+/** The criteria of an element search. An element matches if it matches all the criteria that are set. */
+export interface ElementQuery {
+  /**
+   * The accessible role of the element, in the spelling of the `accessible-role` property in .slint,
+   * for example `"button"` or `"text-input"`.
+   */
+  accessibleRole?: string
+  /** The accessible label of the element. */
+  accessibleLabel?: string
+  /**
+   * The id of the element, as declared with `id := Element { ... }` in .slint. Elements that are created by
+   * `for` and `if`, and elements that the compiler optimizes away, such as empty `Rectangle`s, aren't found by id.
+   */
+  id?: string
+}
 export const enum ValueType {
   Void = 0,
   Number = 1,
@@ -41,7 +63,8 @@ export const enum ValueType {
   Model = 4,
   Struct = 5,
   Brush = 6,
-  Image = 7
+  Image = 7,
+  Enumeration = 8
 }
 /** RgbaColor represents a color in the Slint run-time, represented using 8-bit channels for red, green, blue and the alpha (opacity). */
 export interface RgbaColor {
@@ -54,11 +77,41 @@ export interface RgbaColor {
   /** Represents the alpha channel of the color as u8 in the range 0..255. */
   alpha?: number
 }
+/** GradientStop describes a color at a specific position of a gradient. */
+export interface GradientStop {
+  /** Defines the color of the stop. */
+  color: RgbaColor
+  /** Defines the position of the stop in the range 0..1, where 0 is the start and 1 is the end of the gradient. */
+  position: number
+}
+/** LinearGradient describes a gradient where the colors are interpolated along a line. */
+export interface LinearGradient {
+  /**
+   * Defines the angle of the gradient line in degrees. An angle of 0 means from bottom to top,
+   * an angle of 90 means from left to right.
+   */
+  angle: number
+  /** Defines the color stops of the gradient. */
+  stops: Array<GradientStop>
+}
+/** RadialGradient describes a gradient where the colors are interpolated in circles around the center of the shape. */
+export interface RadialGradient {
+  /**
+   * Defines the center of the gradient circles, relative to the shape in the range 0..1.
+   * Slint only supports gradients centered in the shape, so this is always `{ x: 0.5, y: 0.5 }`
+   * when reading a brush and must be omitted or set to that value when creating one.
+   */
+  center?: SlintPoint
+  /** Defines the color stops of the gradient, going from the center to the edge. */
+  stops: Array<GradientStop>
+}
 /**
  * A brush is a data structure that is used to describe how
  * a shape, such as a rectangle, path or even text, shall be filled.
  * A brush can also be applied to the outline of a shape, that means
  * the fill of the outline itself.
+ *
+ * At most one of `color`, `linearGradient` and `radialGradient` should be set.
  */
 export interface Brush {
   /**
@@ -67,15 +120,45 @@ export interface Brush {
    * If no color is set it defaults to transparent.
    */
   color?: RgbaColor
+  /** Defines a linear gradient brush. */
+  linearGradient?: LinearGradient
+  /** Defines a radial gradient brush. */
+  radialGradient?: RadialGradient
 }
-export function mockElapsedTime(ms: number): void
-export function getMockedTime(): number
 export const enum ProcessEventsResult {
   Continue = 0,
   Exited = 1
 }
-export function processEvents(): ProcessEventsResult
+/**
+ * Processes pending Slint events. If `timeout` is given and greater than zero, waits up to `timeout`
+ * milliseconds for events to arrive, or until Node.js has pending I/O. A negative timeout waits without limit.
+ */
+export function processEvents(timeout?: number | undefined | null): ProcessEventsResult
+/**
+ * Starts calling `callback` once per iteration of the Node.js event loop, right before it would wait for events.
+ * The callback receives the number of milliseconds that Node.js would wait, or -1 to wait without limit, and is
+ * expected to call `processEvents()` with it. Returns false if the integration isn't supported on this platform.
+ */
+export function startEventLoopIntegration(callback: (...args: any[]) => any): boolean
+/** Stops calling the callback passed to `startEventLoopIntegration()`. */
+export function stopEventLoopIntegration(): void
+export function mockElapsedTime(ms: number): void
+export function getMockedTime(): number
+export function initTestingBackend(): void
 export function invokeFromEventLoop(callback: (...args: any[]) => any): void
+/**
+ * Sets the function that is called with the error, the row and the model when `rowCount()`, `rowData()` or
+ * `setRowData()` of a model throws, or with a `TypeError` when a row can't be converted to the type of the model's
+ * rows. The row is then left empty. The row is undefined for errors of `rowCount()`. Without a handler, or if the
+ * handler throws, the error is reported to Node.js as an uncaught exception.
+ */
+export function setModelErrorHandler(handler?: (...args: any[]) => any | undefined | null): void
+/**
+ * Enables or disables the strict conversion of JavaScript values to Slint values. In strict mode, numbers must be
+ * finite, and `int` numbers whole numbers, and objects that are converted to structs must not have properties that
+ * aren't fields of the struct.
+ */
+export function setStrictTypeChecking(enabled: boolean): void
 export type JsComponentCompiler = ComponentCompiler
 /**
  * ComponentCompiler is the entry point to the Slint interpreter that can be used
@@ -91,6 +174,11 @@ export class ComponentCompiler {
   set style(style: string)
   get style(): string | null
   get diagnostics(): Array<Diagnostic>
+  /**
+   * Returns the paths of the files that were imported by the compiled .slint code, excluding the
+   * compiled file itself. This may include paths of built-in files that don't exist on disk.
+   */
+  get loadedFiles(): Array<string>
   /**
    * Compile a .slint file into a ComponentDefinition
    *
@@ -99,16 +187,93 @@ export class ComponentCompiler {
   buildFromPath(path: string): JsComponentDefinition | null
   /** Compile some .slint code into a ComponentDefinition */
   buildFromSource(sourceCode: string, path: string): JsComponentDefinition | null
+  /**
+   * Compiles the component that the last compiled file exports under the given name, one of the names of
+   * `ComponentDefinition.exportedComponents`. The interpreter only builds the last exported component of a
+   * file, so the others are built from a file that imports the component from the same source.
+   */
+  buildExportedComponent(name: string): JsComponentDefinition | null
+  /**
+   * Starts compiling a .slint file into a ComponentDefinition, in steps that are run with `Compilation.step()`.
+   * Once the compilation is finished, pass it to `finishBuild()` to get the result. The compiler must not be
+   * used until then.
+   */
+  buildFromPathAsync(path: string): JsCompilation
+  /**
+   * Starts compiling some .slint code into a ComponentDefinition, in steps that are run with `Compilation.step()`.
+   * Once the compilation is finished, pass it to `finishBuild()` to get the result. The compiler must not be
+   * used until then.
+   */
+  buildFromSourceAsync(sourceCode: string, path: string): JsCompilation
+  /**
+   * Finishes a compilation started with `buildFromPathAsync()` or `buildFromSourceAsync()`, after
+   * `Compilation.step()` returned true. The diagnostics of the compilation are available from the compiler
+   * afterwards.
+   *
+   * Returns the compiled `ComponentDefinition` if there were no errors.
+   */
+  finishBuild(compilation: Compilation): JsComponentDefinition | null
+}
+export type JsCompilation = Compilation
+/**
+ * Compilation represents a compilation of .slint code that is run in steps, to let the caller process other events
+ * in between. The interpreter's types are bound to the thread that created them, so the compilation can't run
+ * on another thread. Instead each step runs until the compiler needs to load the next imported file, or until
+ * the component is compiled and the exports of the file are read next.
+ */
+export class Compilation {
+  constructor()
+  /** Runs the next step of the compilation. Returns true when the compilation is finished. */
+  step(): boolean
 }
 export type JsComponentDefinition = ComponentDefinition
 export class ComponentDefinition {
   constructor()
   get properties(): Array<JsProperty>
   get callbacks(): Array<string>
+  /** Returns the names of the public functions of the component. */
+  get functions(): Array<string>
   get globals(): Array<string>
   globalProperties(globalName: string): Array<JsProperty> | null
   globalCallbacks(globalName: string): Array<string> | null
+  /** Returns the names of the public functions of the global singleton, or null if there is no such global. */
+  globalFunctions(globalName: string): Array<string> | null
+  /**
+   * Returns an object that maps the names of the public properties, callbacks, and functions of the component
+   * to a description of their type, including the visibility of the properties.
+   */
+  propertyTypes(): object
+  /**
+   * Returns an object that maps the names of the public properties, callbacks, and functions of the given global
+   * to a description of their type, including the visibility of the properties.
+   */
+  globalPropertyTypes(globalName: string): object | null
+  /**
+   * Returns the enums used by the public properties and callbacks of the component and its globals,
+   * mapped from the enum name to the list of its values.
+   */
+  get enums(): Record<string, Array<string>>
+  /**
+   * Returns the components exported by the compiled file, in the order of the exports. The definition
+   * describes the last of them, the others are built with `ComponentCompiler.buildExportedComponent()`.
+   * Definitions that weren't returned by a `ComponentCompiler` have no exports.
+   */
+  get exportedComponents(): Array<ExportedComponent>
+  /**
+   * Returns an object that maps the names that the structs and enums of the compiled file are exported as to a
+   * description of their type.
+   */
+  namedTypes(): object
+  /** Returns the default value of the struct or enum of the given name, one of the names of `namedTypes()`. */
+  defaultValue(typeName: string): unknown
+  /**
+   * Returns the default value of the return type of the callback or function of the component, or of the given
+   * global, which is `null` if it doesn't return a value.
+   */
+  defaultReturnValue(callbackName: string, globalName?: string | undefined | null): unknown
   create(): JsComponentInstance | null
+  /** Creates a new instance of the component that replaces the component shown in the given window. */
+  createWithExistingWindow(window: JsWindow): JsComponentInstance
   get name(): string
 }
 export type JsComponentInstance = ComponentInstance
@@ -121,13 +286,90 @@ export class ComponentInstance {
   setGlobalProperty(globalName: string, propName: string, jsValue: unknown): void
   setCallback(callbackName: string, callback: (...args: any[]) => any): void
   setGlobalCallback(globalName: string, callbackName: string, callback: (...args: any[]) => any): void
+  /**
+   * Sets the function that is called with the error and the name of the callback when the function of a
+   * callback of this instance or of its globals throws, or returns a value of the wrong type. Without a
+   * handler, the error is reported as an uncaught exception.
+   */
+  setErrorHandler(handler?: (...args: any[]) => any | undefined | null): void
   invoke(callbackName: string, arguments: Array<unknown>): unknown
   invokeGlobal(globalName: string, callbackName: string, arguments: Array<unknown>): unknown
+  /**
+   * Binds the property to the function `binding`: sets the property to the function's return value, and updates it whenever
+   * the properties that the function reads change. Returns a function that removes the binding.
+   */
+  setBinding(propName: string, binding: (...args: any[]) => any): (...args: any[]) => any
+  /** Binds the property of the global to the function `binding`. See `setBinding()`. */
+  setGlobalBinding(globalName: string, propName: string, binding: (...args: any[]) => any): (...args: any[]) => any
+  /**
+   * Calls `callback` with the new value whenever the value of the property changes, for example through
+   * a binding, an animation, or user input. The callback is called from the event loop. Returns a function
+   * that ends the subscription.
+   */
+  onPropertyChanged(name: string, callback: (...args: any[]) => any): (...args: any[]) => any
+  /** Calls `callback` with the new value whenever the value of the global property changes. See `onPropertyChanged()`. */
+  onGlobalPropertyChanged(globalName: string, name: string, callback: (...args: any[]) => any): (...args: any[]) => any
+  findElements(query: ElementQuery): Array<ElementHandle>
   sendMouseClick(x: number, y: number): void
   sendMouseDoubleClick(x: number, y: number): void
   sendKeyboardStringSequence(sequence: string): void
+  /** Dispatches a pointer move to the position `x`, `y` in logical pixels to the window. */
+  sendPointerMoved(x: number, y: number): void
+  /**
+   * Dispatches a press of the mouse `button`, `"left"`, `"right"` or `"middle"`, at the position `x`, `y`
+   * to the window.
+   */
+  sendPointerPressed(x: number, y: number, button: string): void
+  /** Dispatches a release of the mouse `button` at the position `x`, `y` to the window. */
+  sendPointerReleased(x: number, y: number, button: string): void
+  /**
+   * Dispatches a scroll of the mouse wheel at the position `x`, `y` to the window. The deltas are in
+   * logical pixels.
+   */
+  sendPointerScrolled(x: number, y: number, deltaX: number, deltaY: number): void
+  /** Dispatches that the pointer left the window. */
+  sendPointerExited(): void
+  /**
+   * Dispatches a press of `key` to the window. `key` is either the name of a special key, such as `"Tab"`,
+   * `"Control"` or `"UpArrow"`, or the text that the key produces.
+   */
+  sendKeyPressed(key: string): void
+  /** Dispatches a release of `key` to the window. See `sendKeyPressed()`. */
+  sendKeyReleased(key: string): void
+  /** Dispatches a request to close the window, as sent when the user clicks the close button of the title bar. */
+  sendCloseRequested(): void
   window(): JsWindow
 }
+export type JsElementHandle = ElementHandle
+/**
+ * A handle to an element of a component instance, that is used to inspect and interact with the element
+ * in tests. The handle doesn't keep the element alive: when the element is destroyed, for example because
+ * it was created by a repeater whose model changed, the handle becomes invalid and its functions throw.
+ */
+export class ElementHandle {
+  /** @hidden */
+  constructor()
+  /** Returns true if the element still exists. */
+  get isValid(): boolean
+  /** Returns the accessible role of the element. */
+  get accessibleRole(): string
+  /** Returns the accessible label of the element. */
+  get accessibleLabel(): string
+  /** Returns the accessible description of the element. */
+  get accessibleDescription(): string
+  /** Returns the accessible value of the element. */
+  get accessibleValue(): string
+  /** Returns the position of the element in logical pixels, relative to the window. */
+  get absolutePosition(): SlintPoint
+  /** Returns the size of the element in logical pixels. */
+  get size(): SlintSize
+  /** Simulates a click with the left mouse button in the center of the element. */
+  click(): void
+  /** Gives the keyboard focus to the element. */
+  focus(): void
+  /** Gives the keyboard focus to the element and simulates typing the given text on the keyboard. */
+  typeText(text: string): void
+}
 export type JsProperty = Property
 export class Property {
   name: string
@@ -172,8 +414,74 @@ export class Window {
   set physicalSize(size: SlintSize)
   /** Issues a request to the windowing system to re-render the contents of the window. */
   requestRedraw(): void
+  /** Returns true if the window is displayed fullscreen. */
+  get fullscreen(): boolean
   /** Set or unset the window to display fullscreen. */
   set fullscreen(enable: boolean)
+  /** Returns true if the window is minimized. */
+  get minimized(): boolean
+  /** Minimizes the window, or restores it from the minimized state. */
+  set minimized(minimized: boolean)
+  /** Returns true if the window is maximized. */
+  get maximized(): boolean
+  /** Maximizes the window, or restores it from the maximized state. */
+  set maximized(maximized: boolean)
+  /** Returns the scale factor of the window, which is the number of physical pixels per logical pixel. */
+  get scaleFactor(): number
+  /** Returns the title of the window. */
+  get title(): string
+  /**
+   * Sets the title of the window. This replaces the binding of the `title` property of the window in the
+   * .slint file.
+   */
+  set title(title: string)
+  /** Returns the icon of the window. */
+  get icon(): SlintImageData
+  /**
+   * Sets the icon of the window. This replaces the binding of the `icon` property of the window in the
+   * .slint file.
+   */
+  set icon(icon: unknown)
+  /**
+   * Renders the contents of the window with the software renderer and returns the pixels, including their
+   * alpha channel. This works without a display server and whether the window is shown or not. The image has
+   * the physical size of the window, unless `size` is given: then the contents are laid out at that physical
+   * size for the snapshot, without resizing the window on the screen.
+   */
+  takeSnapshot(size?: SlintSize | undefined | null): SlintImageData
+  /**
+   * Calls `callback` when the user requests to close the window, for example with the close button of
+   * the title bar. The window stays open if `callback` returns `false`. Returns a function that removes
+   * the callback.
+   */
+  onCloseRequested(callback: (...args: any[]) => any): (...args: any[]) => any
+  /**
+   * Calls `callback` when the window was closed, by a close request or by `hide()`. Returns a function that
+   * removes the callback.
+   * @hidden
+   */
+  onClosed(callback: (...args: any[]) => any): (...args: any[]) => any
+  /**
+   * Calls `callback` with the new logical size of the window when it's resized. Returns a function that
+   * ends the subscription.
+   */
+  onResized(callback: (...args: any[]) => any): (...args: any[]) => any
+  /**
+   * Calls `callback` with the new logical position of the window after it was moved on the screen. Slint
+   * doesn't report window moves, so the position is checked every 100 milliseconds while a callback is
+   * registered. Returns a function that removes the callback.
+   */
+  onMoved(callback: (...args: any[]) => any): (...args: any[]) => any
+  /**
+   * Calls `callback` with `true` when the window gains the keyboard focus, and with `false` when it
+   * loses it. Returns a function that ends the subscription.
+   */
+  onFocusChanged(callback: (...args: any[]) => any): (...args: any[]) => any
+  /**
+   * Calls `callback` with the new scale factor of the window when it changes, for example when the window
+   * is moved to a screen with a different resolution. Returns a function that ends the subscription.
+   */
+  onScaleFactorChanged(callback: (...args: any[]) => any): (...args: any[]) => any
 }
 /** SlintRgbaColor implements {@link RgbaColor}. */
 export class SlintRgbaColor {
@@ -230,9 +538,15 @@ export class SlintRgbaColor {
 export class SlintBrush {
   constructor(color: RgbaColor)
   static fromBrush(brush: Brush): SlintBrush
+  /** Creates a brush from a CSS color or a CSS `linear-gradient(...)` or `radial-gradient(...)` expression. */
+  static fromString(string: string): SlintBrush
   get color(): RgbaColor
   /** @hidden */
   get slintColor(): SlintRgbaColor
+  /** Returns the linear gradient of this brush, or null if the brush is not a linear gradient. */
+  get linearGradient(): LinearGradient | null
+  /** Returns the radial gradient of this brush, or null if the brush is not a radial gradient. */
+  get radialGradient(): RadialGradient | null
   /** Returns true if this brush contains a fully transparent color (alpha value is zero) */
   get isTransparent(): boolean
   /** Returns true if this brush is fully opaque. */
@@ -275,6 +589,19 @@ export class SlintImageData {
    * Each pixel will set to red = 0, green = 0, blue = 0 and alpha = 0.
    */
   constructor(width: number, height: number)
+  /**
+   * Loads and decodes the PNG, JPEG or SVG image at the given path. SVG images are rendered at `size` if given,
+   * and at their natural size otherwise. The file is decoded like the data passed to `load_from_buffer()`, so
+   * the format is detected from the contents, not from the file extension.
+   */
+  static loadFromFile(path: string, size?: SlintSize | undefined | null): SlintImageData
+  /**
+   * Decodes the PNG, JPEG or SVG image in the given buffer. SVG images are rendered at `size` if given, and at
+   * their natural size otherwise.
+   */
+  static loadFromBuffer(data: Buffer, size?: SlintSize | undefined | null): SlintImageData
+  /** Encodes the image as PNG and returns the encoded data. */
+  toPng(): Buffer
   /** Returns the width of the image in pixels. */
   get width(): number
   /** Returns the height of the image in pixels. */
@@ -296,6 +623,31 @@ export class SlintModelNotify {
   rowRemoved(row: number, count: number): void
   reset(): void
 }
+/** SlintPixelBuffer implements {@link PixelBuffer}. */
+export class SlintPixelBuffer {
+  /**
+   * Constructs a new pixel buffer with the given width and height.
+   * Each pixel will set to red = 0, green = 0, blue = 0 and alpha = 0.
+   */
+  constructor(width: number, height: number)
+  /** Returns the width of the image in pixels. */
+  get width(): number
+  /** Returns the height of the image in pixels. */
+  get height(): number
+  /**
+   * Returns the Buffer that the pixels are written to. It's the same Buffer on every call, and it accesses the
+   * memory that Slint renders the pixels from; call `markDirty()` after writing to it to show the changes.
+   */
+  get data(): Buffer
+  /**
+   * Makes Slint show the changes of the pixels: sets the properties that are set to this pixel buffer to an
+   * empty image and back, so that Slint redraws them. Setting them to the image only wouldn't change them, as
+   * it's equal to itself.
+   */
+  markDirty(): void
+  /** @hidden */
+  get image(): ExternalObject<ImageData>
+}
 /** SlintPoint implements {@link Point}. */
 export class SlintPoint {
   x: number
@@ -0,0 +1,232 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+//! Integration of the Slint event loop with the libuv event loop of Node.js.
+//!
+//! Only one of the two loops can block the main thread while waiting for events. We let Slint block, as
+//! only Slint knows how to wait for windowing system events on every platform, and make sure that it
+//! wakes up when Node.js has something to do:
+//!
+//!  * A libuv prepare handle runs right before libuv would block in its poll phase. It computes how long
+//!    libuv would block (until the next Node.js timer), and calls the JavaScript driver through a
+//!    threadsafe function. That wakes up libuv's poll phase immediately, which then calls the driver.
+//!  * The driver calls `processEvents()` with that timeout, which blocks in Slint's event loop until
+//!    a windowing system event, a Slint timer, or the timeout.
+//!  * While Slint blocks, a helper thread watches libuv's backend file descriptor (epoll or kqueue), which
+//!    becomes readable when I/O is pending in Node.js. It then wakes up Slint's event loop.
+//!
+//! This requires the libuv backend file descriptor, which is not available on Windows, where
+//! `start_event_loop_integration` returns false and the caller falls back to polling.
+
+use napi::{Env, JsFunction, Result};
+
+#[napi]
+pub enum ProcessEventsResult {
+    Continue,
+    Exited,
+}
+
+/// Processes pending Slint events. If `timeout` is given and greater than zero, waits up to `timeout`
+/// milliseconds for events to arrive, or until Node.js has pending I/O. A negative timeout waits without limit.
+#[napi]
+pub fn process_events(timeout: Option<f64>) -> napi::Result<ProcessEventsResult> {
+    let timeout = match timeout {
+        None => std::time::Duration::ZERO,
+        // Waiting forever isn't possible, wake up every hour instead
+        Some(timeout) if timeout < 0. => std::time::Duration::from_secs(60 * 60),
+        Some(timeout) => std::time::Duration::from_secs_f64(timeout / 1000.),
+    };
+
+    let _watch = (!timeout.is_zero()).then(imp::watch_node_events);
+
+    i_slint_backend_selector::with_platform(|b| {
+        b.process_events(timeout, i_slint_core::InternalToken)
+    })
+    .map_err(|e| napi::Error::from_reason(e.to_string()))
+    .and_then(|result| {
+        Ok(match result {
+            core::ops::ControlFlow::Continue(()) => ProcessEventsResult::Continue,
+            core::ops::ControlFlow::Break(()) => ProcessEventsResult::Exited,
+        })
+    })
+}
+
+/// Starts calling `callback` once per iteration of the Node.js event loop, right before it would wait for events.
+/// The callback receives the number of milliseconds that Node.js would wait, or -1 to wait without limit, and is
+/// expected to call `processEvents()` with it. Returns false if the integration isn't supported on this platform.
+#[napi]
+pub fn start_event_loop_integration(env: Env, callback: JsFunction) -> Result<bool> {
+    imp::start(env, callback)
+}
+
+/// Stops calling the callback passed to `startEventLoopIntegration()`.
+#[napi]
+pub fn stop_event_loop_integration() {
+    imp::stop()
+}
+
+#[cfg(unix)]
+mod imp {
+    use napi::threadsafe_function::{
+        ErrorStrategy, ThreadsafeFunction, ThreadsafeFunctionCallMode,
+    };
+    use napi::{Env, JsFunction, Result};
+    use std::cell::RefCell;
+    use std::ffi::{c_int, c_void};
+    use std::sync::{Arc, Condvar, Mutex, OnceLock};
+
+    // See uv_handle_type in uv.h
+    const UV_PREPARE: c_int = 9;
+
+    // Provided by the Node.js executable
+    extern "C" {
+        fn uv_handle_size(handle_type: c_int) -> usize;
+        fn uv_prepare_init(event_loop: *mut c_void, prepare: *mut c_void) -> c_int;
+        fn uv_prepare_start(prepare: *mut c_void, cb: extern "C" fn(*mut c_void)) -> c_int;
+        fn uv_prepare_stop(prepare: *mut c_void) -> c_int;
+        fn uv_backend_fd(event_loop: *const c_void) -> c_int;
+        fn uv_backend_timeout(event_loop: *const c_void) -> c_int;
+    }
+
+    struct Integration {
+        event_loop: *mut c_void,
+        // Storage for the uv_prepare_t, which is never closed and therefore must never move or be freed.
+        prepare: &'static mut [u64],
+        driver: Option<ThreadsafeFunction<i32, ErrorStrategy::Fatal>>,
+    }
+
+    thread_local! {
+        static INTEGRATION: RefCell<Option<Integration>> = RefCell::new(None);
+    }
+
+    pub fn start(env: Env, callback: JsFunction) -> Result<bool> {
+        let driver = callback.create_threadsafe_function(0, |ctx| {
+            ctx.env.create_int32(ctx.value).map(|timeout| vec![timeout])
+        })?;
+
+        INTEGRATION.with(|integration| {
+            let mut integration = integration.borrow_mut();
+
+            if integration.is_none() {
+                let event_loop = env.get_uv_event_loop()? as *mut c_void;
+                let size = unsafe { uv_handle_size(UV_PREPARE) };
+                let prepare = Box::leak(vec![0u64; (size + 7) / 8].into_boxed_slice());
+                unsafe { uv_prepare_init(event_loop, prepare.as_mut_ptr() as *mut c_void) };
+                *integration = Some(Integration { event_loop, prepare, driver: None });
+            }
+
+            let integration = integration.as_mut().unwrap();
+            integration.driver = Some(driver);
+            unsafe {
+                uv_prepare_start(integration.prepare.as_mut_ptr() as *mut c_void, on_prepare)
+            };
+
+            Ok(true)
+        })
+    }
+
+    pub fn stop() {
+        INTEGRATION.with(|integration| {
+            if let Some(integration) = integration.borrow_mut().as_mut() {
+                unsafe { uv_prepare_stop(integration.prepare.as_mut_ptr() as *mut c_void) };
+                // Dropping the threadsafe function releases it, so that it doesn't keep Node.js alive.
+                integration.driver = None;
+            }
+        })
+    }
+
+    extern "C" fn on_prepare(_: *mut c_void) {
+        INTEGRATION.with(|integration| {
+            if let Some(integration) = integration.borrow().as_ref() {
+                let timeout = unsafe { uv_backend_timeout(integration.event_loop) };
+                if let Some(driver) = &integration.driver {
+                    driver.call(timeout, ThreadsafeFunctionCallMode::NonBlocking);
+                }
+            }
+        })
+    }
+
+    struct Watcher {
+        armed: Mutex<bool>,
+        condvar: Condvar,
+    }
+
+    static WATCHER: OnceLock<Arc<Watcher>> = OnceLock::new();
+
+    /// Disarms the watcher of the libuv backend file descriptor when dropped.
+    pub struct WatchGuard(Option<Arc<Watcher>>);
+
+    impl Drop for WatchGuard {
+        fn drop(&mut self) {
+            if let Some(watcher) = &self.0 {
+                *watcher.armed.lock().unwrap() = false;
+            }
+        }
+    }
+
+    /// Wakes up the Slint event loop when the libuv backend file descriptor becomes readable,
+    /// until the returned guard is dropped.
+    pub fn watch_node_events() -> WatchGuard {
+        let Some(event_loop) = INTEGRATION
+            .with(|integration| integration.borrow().as_ref().map(|i| i.event_loop as usize))
+        else {
+            return WatchGuard(None);
+        };
+
+        let watcher = WATCHER.get_or_init(|| {
+            let watcher = Arc::new(Watcher { armed: Mutex::new(false), condvar: Condvar::new() });
+            let fd = unsafe { uv_backend_fd(event_loop as *const c_void) };
+            let thread_watcher = watcher.clone();
+            std::thread::spawn(move || watch(fd, thread_watcher));
+            watcher
+        });
+
+        *watcher.armed.lock().unwrap() = true;
+        watcher.condvar.notify_one();
+
+        WatchGuard(Some(watcher.clone()))
+    }
+
+    fn watch(fd: c_int, watcher: Arc<Watcher>) {
+        loop {
+            {
+                let mut armed = watcher.armed.lock().unwrap();
+                while !*armed {
+                    armed = watcher.condvar.wait(armed).unwrap();
+                }
+            }
+
+            // poll() doesn't support kqueue file descriptors on macOS, select() works everywhere.
+            unsafe {
+                let mut read_fds: libc::fd_set = std::mem::zeroed();
+                libc::FD_ZERO(&mut read_fds);
+                libc::FD_SET(fd, &mut read_fds);
+                libc::select(
+                    fd + 1,
+                    &mut read_fds,
+                    std::ptr::null_mut(),
+                    std::ptr::null_mut(),
+                    std::ptr::null_mut(),
+                );
+            }
+
+            let was_armed = std::mem::replace(&mut *watcher.armed.lock().unwrap(), false);
+            if was_armed {
+                i_slint_core::api::invoke_from_event_loop(|| {}).ok();
+            }
+        }
+    }
+}
+
+#[cfg(not(unix))]
+mod imp {
+    use napi::{Env, JsFunction, Result};
+
+    pub fn start(_env: Env, _callback: JsFunction) -> Result<bool> {
+        Ok(false)
+    }
+
+    pub fn stop() {}
+
+    pub fn watch_node_events() {}
+}
@@ -10,11 +10,38 @@ pub use component_compiler::*;
 mod component_definition;
 pub use component_definition::*;
 
+mod component_factory;
+pub use component_factory::*;
+
 mod component_instance;
 pub use component_instance::*;
 
+mod document_exports;
+pub use document_exports::*;
+
+mod element_handle;
+pub use element_handle::*;
+
+mod error_handler;
+pub use error_handler::*;
+
+mod input_event;
+pub use input_event::*;
+
+mod js_binding;
+pub use js_binding::*;
+
+mod property_change;
+pub use property_change::*;
+
+mod type_info;
+pub use type_info::*;
+
 mod value;
 pub use value::*;
 
 mod window;
 pub use window::*;
+
+mod window_events;
+pub use window_events::*;
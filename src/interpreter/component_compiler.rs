@@ -1,19 +1,39 @@
 // Copyright © SixtyFPS GmbH <info@slint.dev>
 // SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
 
+use std::cell::{Cell, RefCell};
 use std::collections::HashMap;
-use std::path::PathBuf;
+use std::future::Future;
+use std::path::{Path, PathBuf};
+use std::pin::Pin;
+use std::rc::Rc;
+use std::task::{Context, Poll, RawWaker, RawWakerVTable, Waker};
 
+use super::DocumentExports;
 use super::JsComponentDefinition;
 use super::JsDiagnostic;
 use itertools::Itertools;
-use slint_interpreter::ComponentCompiler;
+use slint_interpreter::{ComponentCompiler, ComponentDefinition};
+
+/// The source of the last compiled file, which the components built with `build_exported_component()` import.
+struct CompiledSource {
+    // The path that the file is imported with, and the canonical path of the file if it exists, which the compiler
+    // may use instead.
+    paths: Vec<PathBuf>,
+    source: String,
+}
 
 /// ComponentCompiler is the entry point to the Slint interpreter that can be used
 /// to load .slint files or compile them on-the-fly from a string.
 #[napi(js_name = "ComponentCompiler")]
 pub struct JsComponentCompiler {
     internal: ComponentCompiler,
+    loaded_files: Rc<RefCell<Vec<PathBuf>>>,
+    compiled_source: Rc<RefCell<Option<CompiledSource>>>,
+    exports: Rc<DocumentExports>,
+    // Set while a compilation started with `build_from_path_async()` or `build_from_source_async()` runs, to
+    // return to the caller of `Compilation.step()` before each imported file is loaded.
+    yield_on_load: Rc<Cell<bool>>,
 }
 
 #[napi]
@@ -44,7 +64,40 @@ impl JsComponentCompiler {
 
         compiler.set_include_paths(include_paths);
         compiler.set_library_paths(library_paths);
-        Self { internal: compiler }
+
+        let loaded_files = Rc::new(RefCell::new(Vec::new()));
+        let compiled_source = Rc::new(RefCell::new(None::<CompiledSource>));
+        let yield_on_load = Rc::new(Cell::new(false));
+        compiler.set_file_loader({
+            let loaded_files = loaded_files.clone();
+            let compiled_source = compiled_source.clone();
+            let yield_on_load = yield_on_load.clone();
+            move |path| {
+                // Serve the compiled file from memory, so that all its components are built from the same source.
+                if let Some(compiled) = compiled_source.borrow().as_ref() {
+                    if compiled.paths.iter().any(|p| p == path) {
+                        let source = compiled.source.clone();
+                        return Box::pin(async move { Some(Ok(source)) });
+                    }
+                }
+                loaded_files.borrow_mut().push(path.to_path_buf());
+                let yield_first = yield_on_load.get();
+                Box::pin(async move {
+                    if yield_first {
+                        YieldNow::default().await;
+                    }
+                    None
+                })
+            }
+        });
+
+        Self {
+            internal: compiler,
+            loaded_files,
+            compiled_source,
+            exports: Default::default(),
+            yield_on_load,
+        }
     }
 
     #[napi(setter)]
@@ -92,19 +145,33 @@ impl JsComponentCompiler {
         self.internal.style().cloned()
     }
 
-    // todo: set_file_loader
-
     #[napi(getter)]
     pub fn diagnostics(&self) -> Vec<JsDiagnostic> {
         self.internal.diagnostics().iter().map(|d| JsDiagnostic::from(d.clone())).collect()
     }
 
+    /// Returns the paths of the files that were imported by the compiled .slint code, excluding the
+    /// compiled file itself. This may include paths of built-in files that don't exist on disk.
+    #[napi(getter)]
+    pub fn loaded_files(&self) -> Vec<String> {
+        self.loaded_files
+            .borrow()
+            .iter()
+            .map(|p| p.to_str().unwrap_or_default().to_string())
+            .collect()
+    }
+
     /// Compile a .slint file into a ComponentDefinition
     ///
     /// Returns the compiled `ComponentDefinition` if there were no errors.
     #[napi]
     pub fn build_from_path(&mut self, path: String) -> Option<JsComponentDefinition> {
-        spin_on::spin_on(self.internal.build_from_path(PathBuf::from(path))).map(|d| d.into())
+        let path = PathBuf::from(path);
+        match std::fs::read_to_string(&path) {
+            Ok(source_code) => self.build(source_code, path),
+            // Let the interpreter report that the file can't be read.
+            Err(_) => spin_on::spin_on(self.internal.build_from_path(path)).map(|d| d.into()),
+        }
     }
 
     /// Compile some .slint code into a ComponentDefinition
@@ -114,7 +181,207 @@ impl JsComponentCompiler {
         source_code: String,
         path: String,
     ) -> Option<JsComponentDefinition> {
-        spin_on::spin_on(self.internal.build_from_source(source_code, PathBuf::from(path)))
-            .map(|d| d.into())
+        self.build(source_code, PathBuf::from(path))
+    }
+
+    /// Compiles the component that the last compiled file exports under the given name, one of the names of
+    /// `ComponentDefinition.exportedComponents`. The interpreter only builds the last exported component of a
+    /// file, so the others are built from a file that imports the component from the same source.
+    #[napi]
+    pub fn build_exported_component(&mut self, name: String) -> Option<JsComponentDefinition> {
+        let import_path = self.compiled_source.borrow().as_ref()?.paths.first()?.clone();
+        let import = import_path.to_string_lossy().replace('\\', "/").replace('"', "\\\"");
+        let source_code = format!("import {{ {name} }} from \"{import}\";\nexport {{ {name} }}\n");
+
+        let mut path = import_path.into_os_string();
+        path.push(format!("#{name}"));
+
+        let definition =
+            spin_on::spin_on(self.internal.build_from_source(source_code, PathBuf::from(path)))?;
+        Some(JsComponentDefinition::with_exports(definition, self.exports.clone()))
+    }
+
+    /// Starts compiling a .slint file into a ComponentDefinition, in steps that are run with `Compilation.step()`.
+    /// Once the compilation is finished, pass it to `finishBuild()` to get the result. The compiler must not be
+    /// used until then.
+    #[napi]
+    pub fn build_from_path_async(&mut self, path: String) -> JsCompilation {
+        let path = PathBuf::from(path);
+        match std::fs::read_to_string(&path) {
+            Ok(source_code) => self.start_build(source_code, path),
+            Err(_) => {
+                // Let the interpreter report that the file can't be read.
+                let mut compiler = std::mem::take(&mut self.internal);
+                JsCompilation::from_future(Box::pin(async move {
+                    let definition = compiler.build_from_path(path).await;
+                    (compiler, definition, DocumentExports::default())
+                }))
+            }
+        }
+    }
+
+    /// Starts compiling some .slint code into a ComponentDefinition, in steps that are run with `Compilation.step()`.
+    /// Once the compilation is finished, pass it to `finishBuild()` to get the result. The compiler must not be
+    /// used until then.
+    #[napi]
+    pub fn build_from_source_async(&mut self, source_code: String, path: String) -> JsCompilation {
+        self.start_build(source_code, PathBuf::from(path))
+    }
+
+    /// Finishes a compilation started with `buildFromPathAsync()` or `buildFromSourceAsync()`, after
+    /// `Compilation.step()` returned true. The diagnostics of the compilation are available from the compiler
+    /// afterwards.
+    ///
+    /// Returns the compiled `ComponentDefinition` if there were no errors.
+    #[napi]
+    pub fn finish_build(
+        &mut self,
+        compilation: &mut JsCompilation,
+    ) -> Option<JsComponentDefinition> {
+        let (compiler, definition, exports) = compilation.result.take()?;
+        self.internal = compiler;
+        self.yield_on_load.set(false);
+
+        let definition = definition?;
+        self.exports = Rc::new(exports);
+        Some(JsComponentDefinition::with_exports(definition, self.exports.clone()))
+    }
+}
+
+impl JsComponentCompiler {
+    fn set_compiled_source(&self, source_code: &str, path: &Path) {
+        let import_path = absolute_path(path);
+        let mut paths = vec![import_path.clone()];
+        paths.extend(std::fs::canonicalize(&import_path).ok());
+        *self.compiled_source.borrow_mut() =
+            Some(CompiledSource { paths, source: source_code.to_string() });
+    }
+
+    fn build(&mut self, source_code: String, path: PathBuf) -> Option<JsComponentDefinition> {
+        self.set_compiled_source(&source_code, &path);
+
+        let definition =
+            spin_on::spin_on(self.internal.build_from_source(source_code.clone(), path.clone()))?;
+        let config = DocumentExports::configuration(&self.internal);
+        self.exports =
+            Rc::new(spin_on::spin_on(DocumentExports::compile(source_code, path, config)));
+        Some(JsComponentDefinition::with_exports(definition, self.exports.clone()))
+    }
+
+    // The compilation takes the interpreter's compiler, which `finish_build()` puts back, as the compilation
+    // can't borrow it from the JavaScript object.
+    fn start_build(&mut self, source_code: String, path: PathBuf) -> JsCompilation {
+        self.set_compiled_source(&source_code, &path);
+        self.yield_on_load.set(true);
+
+        let mut compiler = std::mem::take(&mut self.internal);
+        let mut config = DocumentExports::configuration(&compiler);
+        // Yield before the exports compilation loads each imported file too, and then let it read the file itself.
+        config.open_import_fallback = Some(Rc::new(|_: String| -> FileLoaderFuture {
+            Box::pin(async {
+                YieldNow::default().await;
+                None
+            })
+        }));
+
+        JsCompilation::from_future(Box::pin(async move {
+            let definition = compiler.build_from_source(source_code.clone(), path.clone()).await;
+            let exports = match definition {
+                Some(_) => {
+                    YieldNow::default().await;
+                    DocumentExports::compile(source_code, path, config).await
+                }
+                None => DocumentExports::default(),
+            };
+            (compiler, definition, exports)
+        }))
+    }
+}
+
+type FileLoaderFuture = Pin<Box<dyn Future<Output = Option<std::io::Result<String>>>>>;
+
+type CompilationResult = (ComponentCompiler, Option<ComponentDefinition>, DocumentExports);
+
+/// Compilation represents a compilation of .slint code that is run in steps, to let the caller process other events
+/// in between. The interpreter's types are bound to the thread that created them, so the compilation can't run
+/// on another thread. Instead each step runs until the compiler needs to load the next imported file, or until
+/// the component is compiled and the exports of the file are read next.
+#[napi(js_name = "Compilation")]
+pub struct JsCompilation {
+    future: Option<Pin<Box<dyn Future<Output = CompilationResult>>>>,
+    result: Option<CompilationResult>,
+}
+
+impl JsCompilation {
+    fn from_future(future: Pin<Box<dyn Future<Output = CompilationResult>>>) -> Self {
+        Self { future: Some(future), result: None }
+    }
+}
+
+#[napi]
+impl JsCompilation {
+    #[napi(constructor)]
+    pub fn new() -> napi::Result<Self> {
+        Err(napi::Error::from_reason(
+            "Compilation can only be created by using ComponentCompiler.".to_string(),
+        ))
+    }
+
+    /// Runs the next step of the compilation. Returns true when the compilation is finished.
+    #[napi]
+    pub fn step(&mut self) -> bool {
+        let Some(future) = self.future.as_mut() else {
+            return true;
+        };
+
+        let waker = noop_waker();
+        match future.as_mut().poll(&mut Context::from_waker(&waker)) {
+            Poll::Ready(result) => {
+                self.future = None;
+                self.result = Some(result);
+                true
+            }
+            Poll::Pending => false,
+        }
+    }
+}
+
+// A future that returns Pending once, so that the caller of step() gets control back.
+#[derive(Default)]
+struct YieldNow {
+    yielded: bool,
+}
+
+impl Future for YieldNow {
+    type Output = ();
+
+    fn poll(mut self: Pin<&mut Self>, _: &mut Context<'_>) -> Poll<()> {
+        if self.yielded {
+            Poll::Ready(())
+        } else {
+            self.yielded = true;
+            Poll::Pending
+        }
+    }
+}
+
+// The compilation is polled again by the caller of step(), so there is nothing to wake.
+fn noop_waker() -> Waker {
+    fn clone(_: *const ()) -> RawWaker {
+        raw_waker()
+    }
+    fn noop(_: *const ()) {}
+    fn raw_waker() -> RawWaker {
+        static VTABLE: RawWakerVTable = RawWakerVTable::new(clone, noop, noop, noop);
+        RawWaker::new(std::ptr::null(), &VTABLE)
+    }
+
+    unsafe { Waker::from_raw(raw_waker()) }
+}
+
+fn absolute_path(path: &Path) -> PathBuf {
+    if path.is_absolute() {
+        return path.to_path_buf();
     }
+    std::env::current_dir().map(|dir| dir.join(path)).unwrap_or_else(|_| path.to_path_buf())
 }
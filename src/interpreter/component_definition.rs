@@ -1,18 +1,96 @@
 // Copyright © SixtyFPS GmbH <info@slint.dev>
 // SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
 
-use slint_interpreter::ComponentDefinition;
+use std::collections::{BTreeMap, HashMap};
+use std::rc::Rc;
 
-use super::{JsComponentInstance, JsProperty};
+use i_slint_compiler::langtype::{ElementType, PropertyVisibility, Type};
+use i_slint_compiler::object_tree::ElementRc;
+use i_slint_compiler::parser::normalize_identifier;
+use napi::{Env, JsObject, JsUnknown, Result};
+use slint_interpreter::{ComponentDefinition, Value};
+
+use super::{
+    default_value, to_js_type_info, to_js_unknown, DocumentExports, JsComponentInstance,
+    JsExportedComponent, JsProperty, JsWindow,
+};
 
 #[napi(js_name = "ComponentDefinition")]
+#[derive(Clone)]
 pub struct JsComponentDefinition {
     internal: ComponentDefinition,
+    exports: Rc<DocumentExports>,
 }
 
 impl From<ComponentDefinition> for JsComponentDefinition {
     fn from(definition: ComponentDefinition) -> Self {
-        Self { internal: definition }
+        Self { internal: definition, exports: Default::default() }
+    }
+}
+
+impl JsComponentDefinition {
+    /// Creates a definition that also describes the exports of the compiled file.
+    pub fn with_exports(definition: ComponentDefinition, exports: Rc<DocumentExports>) -> Self {
+        Self { internal: definition, exports }
+    }
+
+    pub fn definition(&self) -> &ComponentDefinition {
+        &self.internal
+    }
+
+    // Returns the root element of the compiled component, or of the given global, which declares their properties.
+    fn root_element(&self, global_name: Option<&str>) -> Option<ElementRc> {
+        let component = self.internal.root_component();
+        let Some(global_name) = global_name.map(normalize_identifier) else {
+            return Some(component.root_element.clone());
+        };
+
+        let used_types = component.used_types.borrow();
+        used_types
+            .globals
+            .iter()
+            .find(|global| {
+                global.id == global_name
+                    || global.exported_global_names.borrow().iter().any(|n| n.name == global_name)
+            })
+            .map(|global| global.root_element.clone())
+    }
+
+    fn type_info(
+        &self,
+        env: &Env,
+        root_element: Option<&ElementRc>,
+        name: &str,
+        ty: &Type,
+    ) -> Result<JsObject> {
+        let mut info: JsObject = unsafe { to_js_type_info(env, ty)?.cast() };
+        if ty.is_property_type() {
+            if let Some(visibility) = root_element.and_then(|e| property_visibility(e, name)) {
+                info.set_named_property("visibility", env.create_string(visibility)?)?;
+            }
+        }
+        Ok(info)
+    }
+
+    // Returns the enums used by the public properties, callbacks and functions of the component and its globals,
+    // by name.
+    fn used_enums(&self) -> BTreeMap<String, Type> {
+        let mut enums = BTreeMap::new();
+
+        for (_, ty) in self.internal.properties_and_callbacks() {
+            collect_enums(&ty, &mut enums);
+        }
+
+        for global_name in self.internal.globals() {
+            if let Some(iter) = self.internal.global_properties_and_callbacks(global_name.as_str())
+            {
+                for (_, ty) in iter {
+                    collect_enums(&ty, &mut enums);
+                }
+            }
+        }
+
+        enums
     }
 }
 
@@ -28,8 +106,9 @@ impl JsComponentDefinition {
     #[napi(getter)]
     pub fn properties(&self) -> Vec<JsProperty> {
         self.internal
-            .properties()
-            .map(|(name, value_type)| JsProperty { name, value_type: value_type.into() })
+            .properties_and_callbacks()
+            .filter(|(_, ty)| ty.is_property_type())
+            .map(|(name, ty)| JsProperty { name, value_type: ty.into() })
             .collect()
     }
 
@@ -38,6 +117,16 @@ impl JsComponentDefinition {
         self.internal.callbacks().collect()
     }
 
+    /// Returns the names of the public functions of the component.
+    #[napi(getter)]
+    pub fn functions(&self) -> Vec<String> {
+        self.internal
+            .properties_and_callbacks()
+            .filter(|(_, ty)| matches!(ty, Type::Function { .. }))
+            .map(|(name, _)| name)
+            .collect()
+    }
+
     #[napi(getter)]
     pub fn globals(&self) -> Vec<String> {
         self.internal.globals().collect()
@@ -45,8 +134,9 @@ impl JsComponentDefinition {
 
     #[napi]
     pub fn global_properties(&self, global_name: String) -> Option<Vec<JsProperty>> {
-        self.internal.global_properties(global_name.as_str()).map(|iter| {
-            iter.map(|(name, value_type)| JsProperty { name, value_type: value_type.into() })
+        self.internal.global_properties_and_callbacks(global_name.as_str()).map(|iter| {
+            iter.filter(|(_, ty)| ty.is_property_type())
+                .map(|(name, ty)| JsProperty { name, value_type: ty.into() })
                 .collect()
         })
     }
@@ -56,6 +146,125 @@ impl JsComponentDefinition {
         self.internal.global_callbacks(global_name.as_str()).map(|iter| iter.collect())
     }
 
+    /// Returns the names of the public functions of the given global.
+    #[napi]
+    pub fn global_functions(&self, global_name: String) -> Option<Vec<String>> {
+        self.internal.global_properties_and_callbacks(global_name.as_str()).map(|iter| {
+            iter.filter(|(_, ty)| matches!(ty, Type::Function { .. }))
+                .map(|(name, _)| name)
+                .collect()
+        })
+    }
+
+    /// Returns an object that maps the names of the public properties, callbacks, and functions of the component
+    /// to a description of their type, including the visibility of the properties.
+    #[napi]
+    pub fn property_types(&self, env: Env) -> Result<JsObject> {
+        let mut types = env.create_object()?;
+
+        let root_element = self.root_element(None);
+        for (name, ty) in self.internal.properties_and_callbacks() {
+            types.set_named_property(
+                &name,
+                self.type_info(&env, root_element.as_ref(), &name, &ty)?,
+            )?;
+        }
+
+        Ok(types)
+    }
+
+    /// Returns an object that maps the names of the public properties, callbacks, and functions of the given global
+    /// to a description of their type, including the visibility of the properties.
+    #[napi]
+    pub fn global_property_types(&self, env: Env, global_name: String) -> Result<Option<JsObject>> {
+        let Some(iter) = self.internal.global_properties_and_callbacks(global_name.as_str()) else {
+            return Ok(None);
+        };
+
+        let mut types = env.create_object()?;
+
+        let root_element = self.root_element(Some(&global_name));
+        for (name, ty) in iter {
+            types.set_named_property(
+                &name,
+                self.type_info(&env, root_element.as_ref(), &name, &ty)?,
+            )?;
+        }
+
+        Ok(Some(types))
+    }
+
+    /// Returns the enums used by the public properties and callbacks of the component and its globals,
+    /// mapped from the enum name to the list of its values.
+    #[napi(getter)]
+    pub fn enums(&self) -> HashMap<String, Vec<String>> {
+        self.used_enums()
+            .into_values()
+            .filter_map(|ty| match ty {
+                Type::Enumeration(e) => Some((e.name.clone(), e.values.clone())),
+                _ => None,
+            })
+            .collect()
+    }
+
+    /// Returns the components exported by the compiled file, in the order of the exports. The definition
+    /// describes the last of them, the others are built with `ComponentCompiler.buildExportedComponent()`.
+    /// Definitions that weren't returned by a `ComponentCompiler` have no exports.
+    #[napi(getter)]
+    pub fn exported_components(&self) -> Vec<JsExportedComponent> {
+        self.exports.components()
+    }
+
+    /// Returns an object that maps the names that the structs and enums of the compiled file are exported as to a
+    /// description of their type.
+    #[napi]
+    pub fn named_types(&self, env: Env) -> Result<JsObject> {
+        let mut types = env.create_object()?;
+        for (name, ty) in self.exports.types() {
+            types.set_named_property(name, to_js_type_info(&env, ty)?)?;
+        }
+        Ok(types)
+    }
+
+    /// Returns the default value of the struct or enum of the given name, one of the names of `namedTypes()`.
+    #[napi]
+    pub fn default_value(&self, env: Env, type_name: String) -> Result<JsUnknown> {
+        match self.exports.find_type(&type_name) {
+            Some(ty) => to_js_unknown(&env, &default_value(ty)),
+            None => Err(napi::Error::from_reason(format!("Unknown struct or enum {type_name}"))),
+        }
+    }
+
+    /// Returns the default value of the return type of the callback or function of the component, or of the given
+    /// global, which is `null` if it doesn't return a value.
+    #[napi]
+    pub fn default_return_value(
+        &self,
+        env: Env,
+        callback_name: String,
+        global_name: Option<String>,
+    ) -> Result<JsUnknown> {
+        let mut iter: Box<dyn Iterator<Item = (String, Type)> + '_> = match &global_name {
+            Some(global_name) => Box::new(
+                self.internal.global_properties_and_callbacks(global_name.as_str()).ok_or_else(
+                    || napi::Error::from_reason(format!("Unknown global {global_name}")),
+                )?,
+            ),
+            None => Box::new(self.internal.properties_and_callbacks()),
+        };
+
+        let return_type = iter
+            .find(|(name, _)| normalize_identifier(name) == normalize_identifier(&callback_name))
+            .and_then(|(_, ty)| match ty {
+                Type::Callback { return_type, .. } => return_type.map(|ty| *ty),
+                Type::Function { return_type, .. } => Some(*return_type),
+                _ => None,
+            });
+
+        let value = return_type.as_ref().map_or(Value::Void, default_value);
+        to_js_unknown(&env, &value)
+    }
+
     #[napi]
     pub fn create(&self) -> Option<JsComponentInstance> {
         if let Ok(instance) = self.internal.create() {
@@ -65,8 +274,63 @@ impl JsComponentDefinition {
         None
     }
 
+    /// Creates a new instance of the component that replaces the component shown in the given window.
+    #[napi]
+    pub fn create_with_existing_window(&self, window: &JsWindow) -> Result<JsComponentInstance> {
+        self.internal
+            .create_with_existing_window(window.inner.window())
+            .map(|instance| instance.into())
+            .map_err(|e| napi::Error::from_reason(e.to_string()))
+    }
+
     #[napi(getter)]
     pub fn name(&self) -> String {
         self.internal.name().into()
     }
 }
+
+// Returns the visibility of the property declared by the element, or by the component it inherits from.
+fn property_visibility(element: &ElementRc, name: &str) -> Option<&'static str> {
+    let name = normalize_identifier(name);
+    let mut element = element.clone();
+    loop {
+        let base = match element.borrow().property_declarations.get(&name) {
+            Some(declaration) => {
+                return match declaration.visibility {
+                    PropertyVisibility::Input => Some("in"),
+                    PropertyVisibility::Output => Some("out"),
+                    PropertyVisibility::InOut => Some("in-out"),
+                    _ => None,
+                }
+            }
+            None => match &element.borrow().base_type {
+                ElementType::Component(base) => base.root_element.clone(),
+                _ => return None,
+            },
+        };
+        element = base;
+    }
+}
+
+fn collect_enums(ty: &Type, enums: &mut BTreeMap<String, Type>) {
+    match ty {
+        Type::Enumeration(e) => {
+            enums.entry(e.name.clone()).or_insert_with(|| ty.clone());
+        }
+        Type::Struct { fields, .. } => {
+            fields.values().for_each(|field_ty| collect_enums(field_ty, enums));
+        }
+        Type::Array(element_ty) => collect_enums(element_ty, enums),
+        Type::Callback { return_type, args } => {
+            if let Some(return_type) = return_type {
+                collect_enums(return_type, enums);
+            }
+            args.iter().for_each(|arg_ty| collect_enums(arg_ty, enums));
+        }
+        Type::Function { return_type, args } => {
+            collect_enums(return_type, enums);
+            args.iter().for_each(|arg_ty| collect_enums(arg_ty, enums));
+        }
+        _ => {}
+    }
+}
@@ -0,0 +1,99 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+use i_slint_core::component_factory::{ComponentFactory, FactoryContext};
+use napi::{Env, Error, JsFunction, JsObject, JsUnknown, Result, ValueType};
+use slint_interpreter::ComponentHandle;
+
+use super::{ErrorHandler, JsComponentDefinition, JsComponentInstance, RefCountedReference};
+
+fn is_nullish(unknown: &JsUnknown) -> Result<bool> {
+    Ok(matches!(unknown.get_type()?, ValueType::Null | ValueType::Undefined))
+}
+
+/// Converts the value assigned to a `component-factory` property to a component factory. The value is either
+/// `null` or `undefined`, which removes the embedded component, a `ComponentDefinition`, a component constructor
+/// returned by `loadFile()` or `loadSource()`, or an object `{ component, initialize }` with one of the two
+/// and a function that is called with every instance that the factory creates, before it's shown. Exceptions thrown
+/// by that function are passed to the error handler of the component instance that the value is converted for, with
+/// the name `{path}.initialize`.
+pub fn to_component_factory(env: &Env, unknown: JsUnknown, path: &str) -> Result<ComponentFactory> {
+    if is_nullish(&unknown)? {
+        return Ok(ComponentFactory::default());
+    }
+
+    let object = unknown.coerce_to_object()?;
+    let (component, initialize) = match object.get::<_, JsUnknown>("component")? {
+        Some(component) if !is_nullish(&component)? => {
+            let initialize = match object.get::<_, JsUnknown>("initialize")? {
+                Some(initialize) if !is_nullish(&initialize)? => {
+                    if initialize.get_type()? != ValueType::Function {
+                        return Err(Error::from_reason(
+                            "The initialize property of a component factory must be a function",
+                        ));
+                    }
+                    Some(unsafe { initialize.cast::<JsFunction>() })
+                }
+                _ => None,
+            };
+            (component.coerce_to_object()?, initialize)
+        }
+        _ => (object, None),
+    };
+
+    // Component constructors carry their definition and a function that wraps the instances of the definition
+    // with their properties and callbacks, like the constructor does.
+    let (definition, wrap) = match env.unwrap::<JsComponentDefinition>(&component) {
+        Ok(definition) => (definition.definition().clone(), None),
+        Err(_) => {
+            let definition = component
+                .get::<_, JsObject>("definition")
+                .ok()
+                .flatten()
+                .and_then(|definition| env.unwrap::<JsComponentDefinition>(&definition).ok())
+                .map(|definition| definition.definition().clone())
+                .ok_or_else(|| {
+                    Error::from_reason(
+                        "Cannot convert value to a component factory, expected a component or a ComponentDefinition",
+                    )
+                })?;
+            (definition, component.get::<_, JsFunction>("wrapInstance")?)
+        }
+    };
+
+    let initialize = match initialize {
+        Some(initialize) => Some(RefCountedReference::new(env, initialize)?),
+        None => None,
+    };
+    let wrap = match wrap {
+        Some(wrap) => Some(RefCountedReference::new(env, wrap)?),
+        None => None,
+    };
+    let env = *env;
+    let error_handler = ErrorHandler::for_conversion();
+    let initialize_name = format!("{path}.initialize");
+
+    Ok(ComponentFactory::new(move |ctx: FactoryContext| {
+        let instance = definition.create_embedded(ctx).ok()?;
+
+        if let Some(initialize) = &initialize {
+            let initialize_instance = || -> Result<()> {
+                let mut js_instance = JsComponentInstance::from(instance.clone_strong())
+                    .into_instance(env)?
+                    .as_object(env)
+                    .into_unknown();
+                if let Some(wrap) = &wrap {
+                    js_instance = wrap.get::<JsFunction>()?.call(None, &[js_instance])?;
+                }
+                initialize.get::<JsFunction>()?.call(None, &[js_instance])?;
+                Ok(())
+            };
+            // Like with callbacks, an exception thrown by the function doesn't prevent showing the component.
+            if let Err(error) = initialize_instance() {
+                error_handler.report(&env, error, &initialize_name);
+            }
+        }
+
+        Some(instance)
+    }))
+}
@@ -2,22 +2,29 @@
 // SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
 
 use i_slint_compiler::langtype::Type;
+use i_slint_core::platform::WindowEvent;
 use i_slint_core::window::WindowInner;
 use napi::{Env, Error, JsFunction, JsUnknown, NapiRaw, NapiValue, Ref, Result};
-use slint_interpreter::{ComponentHandle, ComponentInstance, Value};
+use slint_interpreter::{ComponentHandle, ComponentInstance, LogicalPosition};
 
-use crate::JsWindow;
+use crate::{register_pixel_buffer_user, JsWindow};
 
-use super::JsComponentDefinition;
+use super::{
+    find_elements, key_event_text, pointer_event_button, BindingQueue, ElementQuery, ErrorHandler,
+    JsComponentDefinition, JsElementHandle,
+};
 
 #[napi(js_name = "ComponentInstance")]
 pub struct JsComponentInstance {
     inner: ComponentInstance,
+    error_handler: ErrorHandler,
+    bindings: BindingQueue,
 }
 
 impl From<ComponentInstance> for JsComponentInstance {
     fn from(instance: ComponentInstance) -> Self {
-        Self { inner: instance }
+        let error_handler = ErrorHandler::default();
+        Self { inner: instance, bindings: BindingQueue::new(error_handler.clone()), error_handler }
     }
 }
 
@@ -37,6 +44,7 @@ impl JsComponentInstance {
 
     #[napi]
     pub fn get_property(&self, env: Env, name: String) -> Result<JsUnknown> {
+        self.bindings.evaluate();
         let value = self
             .inner
             .get_property(name.as_ref())
@@ -56,8 +64,16 @@ impl JsComponentInstance {
                 napi::Error::from_reason(format!("Property {prop_name} not found in the component"))
             })?;
 
+        register_pixel_buffer_user(&env, &js_value, &self.inner, None, &prop_name)?;
         self.inner
-            .set_property(&prop_name, super::value::to_value(&env, js_value, ty)?)
+            .set_property(
+                &prop_name,
+                self.error_handler
+                    .converting(|| {
+                        super::value::to_value_at(&env, js_value, ty, &prop_name.replace('-', "_"))
+                    })
+                    .map_err(|e| super::throw_type_errors(&env, e))?,
+            )
             .map_err(|e| Error::from_reason(format!("{e}")))?;
 
         Ok(())
@@ -73,6 +89,7 @@ impl JsComponentInstance {
         if !self.definition().globals().contains(&global_name) {
             return Err(napi::Error::from_reason(format!("Global {global_name} not found")));
         }
+        self.bindings.evaluate();
         let value = self
             .inner
             .get_global_property(global_name.as_ref(), name.as_ref())
@@ -101,11 +118,16 @@ impl JsComponentInstance {
                 ))
             })?;
 
+        register_pixel_buffer_user(&env, &js_value, &self.inner, Some(&global_name), &prop_name)?;
         self.inner
             .set_global_property(
                 global_name.as_str(),
                 &prop_name,
-                super::value::to_value(&env, js_value, ty)?,
+                self.error_handler
+                    .converting(|| {
+                        super::value::to_value_at(&env, js_value, ty, &prop_name.replace('-', "_"))
+                    })
+                    .map_err(|e| super::throw_type_errors(&env, e))?,
             )
             .map_err(|e| Error::from_reason(format!("{e}")))?;
 
@@ -137,24 +159,18 @@ impl JsComponentInstance {
             self.inner
                 .set_callback(callback_name.as_str(), {
                     let return_type = return_type.clone();
+                    let error_handler = self.error_handler.clone();
+                    let callback_name = callback_name.clone();
 
                     move |args| {
-                        let callback: JsFunction = function_ref.get().unwrap();
-                        let result = callback
-                            .call(
-                                None,
-                                args.iter()
-                                    .map(|v| super::value::to_js_unknown(&env, v).unwrap())
-                                    .collect::<Vec<JsUnknown>>()
-                                    .as_ref(),
-                            )
-                            .unwrap();
-
-                        if let Some(return_type) = &return_type {
-                            super::to_value(&env, result, *(*return_type).clone()).unwrap()
-                        } else {
-                            Value::Void
-                        }
+                        super::call_callback(
+                            &env,
+                            &function_ref,
+                            &error_handler,
+                            &callback_name,
+                            return_type.as_deref(),
+                            args,
+                        )
                     }
                 })
                 .map_err(|_| napi::Error::from_reason("Cannot set callback."))?;
@@ -192,24 +208,18 @@ impl JsComponentInstance {
             self.inner
                 .set_global_callback(global_name.as_str(), callback_name.as_str(), {
                     let return_type = return_type.clone();
+                    let error_handler = self.error_handler.clone();
+                    let callback_name = format!("{global_name}.{callback_name}");
 
                     move |args| {
-                        let callback: JsFunction = function_ref.get().unwrap();
-                        let result = callback
-                            .call(
-                                None,
-                                args.iter()
-                                    .map(|v| super::value::to_js_unknown(&env, v).unwrap())
-                                    .collect::<Vec<JsUnknown>>()
-                                    .as_ref(),
-                            )
-                            .unwrap();
-
-                        if let Some(return_type) = &return_type {
-                            super::to_value(&env, result, *(*return_type).clone()).unwrap()
-                        } else {
-                            Value::Void
-                        }
+                        super::call_callback(
+                            &env,
+                            &function_ref,
+                            &error_handler,
+                            &callback_name,
+                            return_type.as_deref(),
+                            args,
+                        )
                     }
                 })
                 .map_err(|_| napi::Error::from_reason("Cannot set callback."))?;
@@ -220,6 +230,14 @@ impl JsComponentInstance {
         Err(napi::Error::from_reason(format!("{} is not a callback", callback_name).as_str()))
     }
 
+    /// Sets the function that is called with the error and the name of the callback when the function of a
+    /// callback of this instance or of its globals throws, or returns a value of the wrong type. Without a
+    /// handler, the error is reported as an uncaught exception.
+    #[napi]
+    pub fn set_error_handler(&self, env: Env, handler: Option<JsFunction>) -> Result<()> {
+        self.error_handler.set(&env, handler)
+    }
+
     #[napi]
     pub fn invoke(
         &self,
@@ -239,13 +257,18 @@ impl JsComponentInstance {
                 )
             })?;
 
-        let args = if let Type::Callback { args, .. } = ty {
+        let args = if let Type::Callback { args, .. } | Type::Function { args, .. } = ty {
             let count = args.len();
             let args = arguments
                 .into_iter()
                 .zip(args.into_iter())
-                .map(|(a, ty)| super::value::to_value(&env, a, ty))
-                .collect::<Result<Vec<_>, _>>()?;
+                .enumerate()
+                .map(|(i, (a, ty))| {
+                    let path = format!("{}.arguments[{i}]", callback_name.replace('-', "_"));
+                    self.error_handler.converting(|| super::value::to_value_at(&env, a, ty, &path))
+                })
+                .collect::<Result<Vec<_>, _>>()
+                .map_err(|e| super::throw_type_errors(&env, e))?;
             if args.len() != count {
                 return Err(napi::Error::from_reason(
                     format!(
@@ -260,7 +283,7 @@ impl JsComponentInstance {
             args
         } else {
             return Err(napi::Error::from_reason(
-                format!("{} is not a callback", callback_name).as_str(),
+                format!("{} is not a callback or function", callback_name).as_str(),
             ));
         };
 
@@ -296,13 +319,18 @@ impl JsComponentInstance {
                 )
             })?;
 
-        let args = if let Type::Callback { args, .. } = ty {
+        let args = if let Type::Callback { args, .. } | Type::Function { args, .. } = ty {
             let count = args.len();
             let args = arguments
                 .into_iter()
                 .zip(args.into_iter())
-                .map(|(a, ty)| super::value::to_value(&env, a, ty))
-                .collect::<Result<Vec<_>, _>>()?;
+                .enumerate()
+                .map(|(i, (a, ty))| {
+                    let path = format!("{}.arguments[{i}]", callback_name.replace('-', "_"));
+                    self.error_handler.converting(|| super::value::to_value_at(&env, a, ty, &path))
+                })
+                .collect::<Result<Vec<_>, _>>()
+                .map_err(|e| super::throw_type_errors(&env, e))?;
             if args.len() != count {
                 return Err(napi::Error::from_reason(
                     format!(
@@ -317,7 +345,11 @@ impl JsComponentInstance {
             args
         } else {
             return Err(napi::Error::from_reason(
-                format!("{} is not a callback on global {}", callback_name, global_name).as_str(),
+                format!(
+                    "{} is not a callback or function on global {}",
+                    callback_name, global_name
+                )
+                .as_str(),
             ));
         };
 
@@ -328,6 +360,141 @@ impl JsComponentInstance {
         super::to_js_unknown(&env, &result)
     }
 
+    /// Binds the property to the function `binding`: sets the property to the function's return value, and updates it whenever
+    /// the properties that the function reads change. Returns a function that removes the binding.
+    #[napi]
+    pub fn set_binding(
+        &self,
+        env: Env,
+        prop_name: String,
+        binding: JsFunction,
+    ) -> Result<JsFunction> {
+        let ty = self
+            .inner
+            .definition()
+            .properties_and_callbacks()
+            .find_map(|(name, proptype)| if name == prop_name { Some(proptype) } else { None })
+            .ok_or(())
+            .map_err(|_| {
+                napi::Error::from_reason(format!("Property {prop_name} not found in the component"))
+            })?;
+
+        let instance = self.inner.as_weak();
+        let path = prop_name.replace('-', "_");
+        let name = format!("setBinding({path})");
+        super::set_js_binding(
+            &env,
+            ty,
+            move |value| match instance.upgrade() {
+                Some(instance) => {
+                    instance.set_property(&prop_name, value).map_err(|e| e.to_string())
+                }
+                None => Ok(()),
+            },
+            binding,
+            self.bindings.clone(),
+            path,
+            name,
+        )
+    }
+
+    /// Binds the property of the global to the function `binding`. See `setBinding()`.
+    #[napi]
+    pub fn set_global_binding(
+        &self,
+        env: Env,
+        global_name: String,
+        prop_name: String,
+        binding: JsFunction,
+    ) -> Result<JsFunction> {
+        let ty = self
+            .inner
+            .definition()
+            .global_properties_and_callbacks(global_name.as_str())
+            .ok_or(napi::Error::from_reason(format!("Global {global_name} not found")))?
+            .find_map(|(name, proptype)| if name == prop_name { Some(proptype) } else { None })
+            .ok_or(())
+            .map_err(|_| {
+                napi::Error::from_reason(format!(
+                    "Property {prop_name} of global {global_name} not found in the component"
+                ))
+            })?;
+
+        let instance = self.inner.as_weak();
+        let path = format!("{global_name}.{}", prop_name.replace('-', "_"));
+        let name = format!("{global_name}.setBinding({})", prop_name.replace('-', "_"));
+        super::set_js_binding(
+            &env,
+            ty,
+            move |value| match instance.upgrade() {
+                Some(instance) => instance
+                    .set_global_property(&global_name, &prop_name, value)
+                    .map_err(|e| e.to_string()),
+                None => Ok(()),
+            },
+            binding,
+            self.bindings.clone(),
+            path,
+            name,
+        )
+    }
+
+    /// Calls `callback` with the new value whenever the value of the property changes, for example through
+    /// a binding, an animation, or user input. The callback is called from the event loop. Returns a function
+    /// that ends the subscription.
+    #[napi]
+    pub fn on_property_changed(
+        &self,
+        env: Env,
+        name: String,
+        callback: JsFunction,
+    ) -> Result<JsFunction> {
+        self.inner.get_property(name.as_ref()).map_err(|e| Error::from_reason(e.to_string()))?;
+
+        let instance = self.inner.as_weak();
+        let callback_name = format!("onChanged({})", name.replace('-', "_"));
+        super::subscribe_property_changes(
+            &env,
+            move || instance.upgrade().and_then(|instance| instance.get_property(&name).ok()),
+            callback,
+            self.error_handler.clone(),
+            callback_name,
+        )
+    }
+
+    /// Calls `callback` with the new value whenever the value of the global property changes. See `onPropertyChanged()`.
+    #[napi]
+    pub fn on_global_property_changed(
+        &self,
+        env: Env,
+        global_name: String,
+        name: String,
+        callback: JsFunction,
+    ) -> Result<JsFunction> {
+        self.inner
+            .get_global_property(global_name.as_ref(), name.as_ref())
+            .map_err(|e| Error::from_reason(e.to_string()))?;
+
+        let instance = self.inner.as_weak();
+        let callback_name = format!("{global_name}.onChanged({})", name.replace('-', "_"));
+        super::subscribe_property_changes(
+            &env,
+            move || {
+                instance
+                    .upgrade()
+                    .and_then(|instance| instance.get_global_property(&global_name, &name).ok())
+            },
+            callback,
+            self.error_handler.clone(),
+            callback_name,
+        )
+    }
+
+    #[napi]
+    pub fn find_elements(&self, query: ElementQuery) -> Vec<JsElementHandle> {
+        find_elements(&self.inner, &query)
+    }
+
     #[napi]
     pub fn send_mouse_click(&self, x: f64, y: f64) {
         slint_interpreter::testing::send_mouse_click(&self.inner, x as f32, y as f32);
@@ -343,6 +510,71 @@ impl JsComponentInstance {
         slint_interpreter::testing::send_keyboard_string_sequence(&self.inner, sequence.into());
     }
 
+    /// Dispatches a pointer move to the position `x`, `y` in logical pixels to the window.
+    #[napi]
+    pub fn send_pointer_moved(&self, x: f64, y: f64) {
+        self.inner.window().dispatch_event(WindowEvent::PointerMoved {
+            position: LogicalPosition::new(x as f32, y as f32),
+        });
+    }
+
+    /// Dispatches a press of the mouse `button`, `"left"`, `"right"` or `"middle"`, at the position `x`, `y`
+    /// to the window.
+    #[napi]
+    pub fn send_pointer_pressed(&self, x: f64, y: f64, button: String) -> Result<()> {
+        self.inner.window().dispatch_event(WindowEvent::PointerPressed {
+            position: LogicalPosition::new(x as f32, y as f32),
+            button: pointer_event_button(&button)?,
+        });
+        Ok(())
+    }
+
+    /// Dispatches a release of the mouse `button` at the position `x`, `y` to the window.
+    #[napi]
+    pub fn send_pointer_released(&self, x: f64, y: f64, button: String) -> Result<()> {
+        self.inner.window().dispatch_event(WindowEvent::PointerReleased {
+            position: LogicalPosition::new(x as f32, y as f32),
+            button: pointer_event_button(&button)?,
+        });
+        Ok(())
+    }
+
+    /// Dispatches a scroll of the mouse wheel at the position `x`, `y` to the window. The deltas are in
+    /// logical pixels.
+    #[napi]
+    pub fn send_pointer_scrolled(&self, x: f64, y: f64, delta_x: f64, delta_y: f64) {
+        self.inner.window().dispatch_event(WindowEvent::PointerScrolled {
+            position: LogicalPosition::new(x as f32, y as f32),
+            delta_x: delta_x as f32,
+            delta_y: delta_y as f32,
+        });
+    }
+
+    /// Dispatches that the pointer left the window.
+    #[napi]
+    pub fn send_pointer_exited(&self) {
+        self.inner.window().dispatch_event(WindowEvent::PointerExited);
+    }
+
+    /// Dispatches a press of `key` to the window. `key` is either the name of a special key, such as `"Tab"`,
+    /// `"Control"` or `"UpArrow"`, or the text that the key produces.
+    #[napi]
+    pub fn send_key_pressed(&self, key: String) {
+        self.inner.window().dispatch_event(WindowEvent::KeyPressed { text: key_event_text(&key) });
+    }
+
+    /// Dispatches a release of `key` to the window. See `sendKeyPressed()`.
+    #[napi]
+    pub fn send_key_released(&self, key: String) {
+        self.inner.window().dispatch_event(WindowEvent::KeyReleased { text: key_event_text(&key) });
+    }
+
+    /// Dispatches a request to close the window, as sent when the user clicks the close button of the title bar.
+    #[napi]
+    pub fn send_close_requested(&self) {
+        self.inner.window().dispatch_event(WindowEvent::CloseRequested);
+    }
+
     #[napi]
     pub fn window(&self) -> Result<JsWindow> {
         Ok(JsWindow { inner: WindowInner::from_pub(self.inner.window()).window_adapter() })
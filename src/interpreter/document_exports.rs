@@ -0,0 +1,83 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+use std::path::PathBuf;
+
+use i_slint_compiler::diagnostics::BuildDiagnostics;
+use i_slint_compiler::generator::OutputFormat;
+use i_slint_compiler::langtype::Type;
+use i_slint_compiler::CompilerConfiguration;
+use slint_interpreter::ComponentCompiler;
+
+/// A component exported by a compiled .slint file.
+#[napi(object, js_name = "ExportedComponent")]
+pub struct JsExportedComponent {
+    /// The name the component is exported as.
+    pub name: String,
+
+    /// The name the component is declared with, which is the name of its `ComponentDefinition`.
+    pub declared_name: String,
+}
+
+/// The components, structs and enums exported by a compiled .slint file, in the order of the exports. Globals
+/// aren't included, they're part of the components that use them.
+#[derive(Default)]
+pub struct DocumentExports {
+    components: Vec<(String, String)>,
+    types: Vec<(String, Type)>,
+}
+
+impl DocumentExports {
+    /// Returns the configuration that the exports of a file compiled by `compiler` are read with.
+    pub fn configuration(compiler: &ComponentCompiler) -> CompilerConfiguration {
+        let mut config = CompilerConfiguration::new(OutputFormat::Interpreter);
+        config.include_paths = compiler.include_paths().clone();
+        config.library_paths = compiler.library_paths().clone();
+        config.style = compiler.style().cloned();
+        config
+    }
+
+    /// Reads the exports of the .slint source from the compiler. The interpreter's `ComponentCompiler` only
+    /// returns the last exported component, so the document is compiled with the given configuration to read
+    /// its exports. Diagnostics are ignored, the interpreter reports them.
+    pub async fn compile(source: String, path: PathBuf, config: CompilerConfiguration) -> Self {
+        let mut diagnostics = BuildDiagnostics::default();
+        let syntax_node = i_slint_compiler::parser::parse(source, Some(&path), &mut diagnostics);
+        let compiled =
+            i_slint_compiler::compile_syntax_node(syntax_node, diagnostics, config).await;
+        let document = &compiled.0;
+
+        let mut exports = Self::default();
+        for (exported_name, export) in document.exports.iter() {
+            if let Some(component) = export.as_ref().left() {
+                if !component.is_global() {
+                    exports.components.push((exported_name.name.clone(), component.id.clone()));
+                }
+            } else if let Some(ty) = export.as_ref().right() {
+                if matches!(ty, Type::Struct { .. } | Type::Enumeration(_)) {
+                    exports.types.push((exported_name.name.clone(), ty.clone()));
+                }
+            }
+        }
+        exports
+    }
+
+    pub fn components(&self) -> Vec<JsExportedComponent> {
+        self.components
+            .iter()
+            .map(|(name, declared_name)| JsExportedComponent {
+                name: name.clone(),
+                declared_name: declared_name.clone(),
+            })
+            .collect()
+    }
+
+    /// Returns the exported structs and enums with the names they're exported as.
+    pub fn types(&self) -> impl Iterator<Item = (&str, &Type)> {
+        self.types.iter().map(|(name, ty)| (name.as_str(), ty))
+    }
+
+    pub fn find_type(&self, name: &str) -> Option<&Type> {
+        self.types.iter().find(|(exported_name, _)| exported_name == name).map(|(_, ty)| ty)
+    }
+}
@@ -0,0 +1,219 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+use i_slint_compiler::object_tree::{recurse_elem, ElementRc};
+use i_slint_compiler::parser::SyntaxKind;
+use i_slint_core::accessibility::AccessibleStringProperty;
+use i_slint_core::items::{ItemRc, ItemWeak};
+use i_slint_core::window::WindowInner;
+use napi::{Error, Result};
+use slint_interpreter::{ComponentHandle, ComponentInstance};
+
+use crate::types::{SlintPoint, SlintSize};
+
+/// The criteria of an element search. An element matches if it matches all the criteria that are set.
+#[napi(object)]
+pub struct ElementQuery {
+    /// The accessible role of the element, in the spelling of the `accessible-role` property in .slint,
+    /// for example `"button"` or `"text-input"`.
+    pub accessible_role: Option<String>,
+
+    /// The accessible label of the element.
+    pub accessible_label: Option<String>,
+
+    /// The id of the element, as declared with `id := Element { ... }` in .slint. Elements that are created by
+    /// `for` and `if`, and elements that the compiler optimizes away, such as empty `Rectangle`s, aren't found by id.
+    pub id: Option<String>,
+}
+
+impl ElementQuery {
+    // `items_with_id` are the items of the elements that are declared with the id of the query.
+    fn matches(&self, item: &ItemRc, items_with_id: &Option<Vec<ItemRc>>) -> bool {
+        if let Some(items_with_id) = items_with_id {
+            if !items_with_id.contains(item) {
+                return false;
+            }
+        }
+
+        if let Some(role) = &self.accessible_role {
+            if item.accessible_role().to_string() != *role {
+                return false;
+            }
+        }
+
+        if let Some(label) = &self.accessible_label {
+            if item.accessible_string_property(AccessibleStringProperty::Label).as_str()
+                != label.as_str()
+            {
+                return false;
+            }
+        }
+
+        true
+    }
+}
+
+/// Visits the item and all its descendants in tree order, including the items of repeaters and conditional
+/// elements that are currently instantiated.
+pub fn visit_items(item: ItemRc, visitor: &mut impl FnMut(&ItemRc)) {
+    visitor(&item);
+
+    let mut child = item.first_child();
+    while let Some(item) = child {
+        child = item.next_sibling();
+        visit_items(item, visitor);
+    }
+}
+
+/// Returns the items of the elements of the component instance that are declared with the given id. The item tree
+/// doesn't know the ids, so they're looked up in the compiled component, whose elements know their index in the item
+/// tree of the component instance. Elements created by `for` and `if` are in item trees of their own, and are skipped.
+fn items_with_id(instance: &ComponentInstance, id: &str) -> Vec<ItemRc> {
+    let component = WindowInner::from_pub(instance.window()).component();
+
+    let mut items = Vec::new();
+    recurse_elem(
+        &instance.definition().root_component().root_element,
+        &(),
+        &mut |element: &ElementRc, _| {
+            let element = element.borrow();
+            // The compiler renames the elements to give them unique ids, so compare with the ids in the source code.
+            // An element has several of them when it's the root element of an inlined component.
+            let declared = element.debug.iter().any(|(node, _)| {
+                node.parent()
+                    .filter(|parent| parent.kind() == SyntaxKind::SubElement)
+                    .and_then(|parent| parent.child_text(SyntaxKind::Identifier))
+                    .is_some_and(|declared_id| declared_id == id)
+            });
+            if let (true, Some(index)) = (declared, element.item_index.get()) {
+                items.push(ItemRc::new(component.clone(), *index));
+            }
+        },
+    );
+    items
+}
+
+/// Returns handles to all the elements of the component instance that match the query, in tree order.
+pub fn find_elements(instance: &ComponentInstance, query: &ElementQuery) -> Vec<JsElementHandle> {
+    let root = ItemRc::new(WindowInner::from_pub(instance.window()).component(), 0);
+    let items_with_id = query.id.as_ref().map(|id| items_with_id(instance, id));
+
+    let mut elements = Vec::new();
+    visit_items(root, &mut |item| {
+        if query.matches(item, &items_with_id) {
+            elements.push(JsElementHandle { item: item.downgrade(), instance: instance.as_weak() });
+        }
+    });
+    elements
+}
+
+/// A handle to an element of a component instance, that is used to inspect and interact with the element
+/// in tests. The handle doesn't keep the element alive: when the element is destroyed, for example because
+/// it was created by a repeater whose model changed, the handle becomes invalid and its functions throw.
+#[napi(js_name = "ElementHandle")]
+pub struct JsElementHandle {
+    item: ItemWeak,
+    instance: slint_interpreter::Weak<ComponentInstance>,
+}
+
+#[napi]
+impl JsElementHandle {
+    /// @hidden
+    #[napi(constructor)]
+    pub fn new() -> Result<Self> {
+        Err(Error::from_reason("ElementHandle can only be created by searching a component."))
+    }
+
+    fn item(&self) -> Result<ItemRc> {
+        self.item.upgrade().ok_or_else(|| Error::from_reason("The element was destroyed."))
+    }
+
+    fn accessible_string_property(&self, what: AccessibleStringProperty) -> Result<String> {
+        Ok(self.item()?.accessible_string_property(what).to_string())
+    }
+
+    /// Returns true if the element still exists.
+    #[napi(getter)]
+    pub fn is_valid(&self) -> bool {
+        self.item.upgrade().is_some()
+    }
+
+    /// Returns the accessible role of the element.
+    #[napi(getter)]
+    pub fn accessible_role(&self) -> Result<String> {
+        Ok(self.item()?.accessible_role().to_string())
+    }
+
+    /// Returns the accessible label of the element.
+    #[napi(getter)]
+    pub fn accessible_label(&self) -> Result<String> {
+        self.accessible_string_property(AccessibleStringProperty::Label)
+    }
+
+    /// Returns the accessible description of the element.
+    #[napi(getter)]
+    pub fn accessible_description(&self) -> Result<String> {
+        self.accessible_string_property(AccessibleStringProperty::Description)
+    }
+
+    /// Returns the accessible value of the element.
+    #[napi(getter)]
+    pub fn accessible_value(&self) -> Result<String> {
+        self.accessible_string_property(AccessibleStringProperty::Value)
+    }
+
+    /// Returns the position of the element in logical pixels, relative to the window.
+    #[napi(getter)]
+    pub fn absolute_position(&self) -> Result<SlintPoint> {
+        let item = self.item()?;
+        let position = item.map_to_window(item.geometry().origin);
+        Ok(SlintPoint { x: position.x as f64, y: position.y as f64 })
+    }
+
+    /// Returns the size of the element in logical pixels.
+    #[napi(getter)]
+    pub fn size(&self) -> Result<SlintSize> {
+        let size = self.item()?.geometry().size;
+        Ok(SlintSize { width: size.width as f64, height: size.height as f64 })
+    }
+
+    /// Simulates a click with the left mouse button in the center of the element.
+    #[napi]
+    pub fn click(&self) -> Result<()> {
+        let item = self.item()?;
+        let instance = self.instance()?;
+
+        let geometry = item.geometry();
+        let position = item.map_to_window(geometry.origin);
+        slint_interpreter::testing::send_mouse_click(
+            &instance,
+            position.x + geometry.width() / 2.,
+            position.y + geometry.height() / 2.,
+        );
+        Ok(())
+    }
+
+    /// Gives the keyboard focus to the element.
+    #[napi]
+    pub fn focus(&self) -> Result<()> {
+        let item = self.item()?;
+        let instance = self.instance()?;
+
+        WindowInner::from_pub(instance.window()).set_focus_item(&item);
+        Ok(())
+    }
+
+    /// Gives the keyboard focus to the element and simulates typing the given text on the keyboard.
+    #[napi]
+    pub fn type_text(&self, text: String) -> Result<()> {
+        self.focus()?;
+        slint_interpreter::testing::send_keyboard_string_sequence(&self.instance()?, text.into());
+        Ok(())
+    }
+
+    fn instance(&self) -> Result<ComponentInstance> {
+        self.instance
+            .upgrade()
+            .ok_or_else(|| Error::from_reason("The component instance was destroyed."))
+    }
+}
@@ -0,0 +1,139 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+use std::cell::RefCell;
+use std::rc::Rc;
+
+use i_slint_compiler::langtype::Type;
+use napi::{
+    check_status, sys, Env, Error, JsError, JsFunction, JsTypeError, JsUnknown, NapiRaw, NapiValue,
+    Result, Status,
+};
+use slint_interpreter::Value;
+
+use super::{default_value, to_js_unknown, to_value_at, RefCountedReference};
+
+thread_local! {
+    // The error handler of the component instance that values are converted for, see `ErrorHandler::converting()`.
+    static CONVERTING_FOR: RefCell<Option<ErrorHandler>> = RefCell::new(None);
+}
+
+/// The function that handles the errors of the JavaScript functions that implement the callbacks of a component
+/// instance. It is shared by the callbacks, so that changing it affects the callbacks that are already set.
+#[derive(Clone, Default)]
+pub struct ErrorHandler(Rc<RefCell<Option<RefCountedReference>>>);
+
+impl ErrorHandler {
+    pub fn set(&self, env: &Env, handler: Option<JsFunction>) -> Result<()> {
+        let handler = match handler {
+            Some(handler) => Some(RefCountedReference::new(env, handler)?),
+            None => None,
+        };
+        *self.0.borrow_mut() = handler;
+        Ok(())
+    }
+
+    /// Runs `f`, which converts JavaScript values for the component instance that this error handler belongs to.
+    /// JavaScript functions that are converted by `f` and called later, such as the `initialize` function of a
+    /// component factory, report their errors to this handler.
+    pub fn converting<R>(&self, f: impl FnOnce() -> R) -> R {
+        let previous =
+            CONVERTING_FOR.with(|converting_for| converting_for.replace(Some(self.clone())));
+        let result = f();
+        CONVERTING_FOR.with(|converting_for| *converting_for.borrow_mut() = previous);
+        result
+    }
+
+    /// Returns the error handler of the component instance that values are converted for, see `converting()`, or
+    /// a handler that reports errors as uncaught exceptions if there is none.
+    pub fn for_conversion() -> Self {
+        CONVERTING_FOR.with(|converting_for| converting_for.borrow().clone()).unwrap_or_default()
+    }
+
+    /// Calls the handler with the error and the name of the callback. Without a handler, or if the handler throws,
+    /// the error is reported to Node.js as an uncaught exception, which emits the `uncaughtException` event of
+    /// `process`.
+    pub fn report(&self, env: &Env, error: Error, callback_name: &str) {
+        if let Ok(error) = error_to_js(env, error) {
+            self.report_exception(env, error, callback_name);
+        }
+    }
+
+    /// Calls the handler with the exception and the name of the callback. See `report()`.
+    pub fn report_exception(&self, env: &Env, error: JsUnknown, callback_name: &str) {
+        let handler = self.0.borrow().as_ref().and_then(|handler| handler.get::<JsFunction>().ok());
+        let error = match handler {
+            Some(handler) => {
+                let call = || -> Result<()> {
+                    let callback_name = env.create_string(callback_name)?.into_unknown();
+                    handler.call(None, &[error, callback_name])?;
+                    Ok(())
+                };
+                match call().map_err(|error| error_to_js(env, error)) {
+                    Ok(()) => return,
+                    Err(Ok(error)) => error,
+                    Err(Err(_)) => return,
+                }
+            }
+            None => error,
+        };
+
+        report_uncaught(env, error);
+    }
+}
+
+/// Reports the exception to Node.js as an uncaught exception, which emits the `uncaughtException` event of `process`.
+pub fn report_uncaught(env: &Env, error: JsUnknown) {
+    unsafe { sys::napi_fatal_exception(env.raw(), error.raw()) };
+}
+
+/// Calls the JavaScript function that implements a callback with the arguments of the callback, and converts its
+/// return value. If the function throws, or returns a value of the wrong type, the error is passed to the error
+/// handler and the callback returns the default value of its return type.
+pub fn call_callback(
+    env: &Env,
+    function: &RefCountedReference,
+    error_handler: &ErrorHandler,
+    callback_name: &str,
+    return_type: Option<&Type>,
+    args: &[Value],
+) -> Value {
+    let call = || -> Result<Value> {
+        let function: JsFunction = function.get()?;
+        let args = args.iter().map(|arg| to_js_unknown(env, arg)).collect::<Result<Vec<_>>>()?;
+        let result = function.call(None, &args)?;
+
+        match return_type {
+            Some(Type::Void) | None => Ok(Value::Void),
+            Some(return_type) => error_handler.converting(|| {
+                to_value_at(
+                    env,
+                    result,
+                    return_type.clone(),
+                    &format!("return value of {}", callback_name.replace('-', "_")),
+                )
+            }),
+        }
+    };
+
+    call().unwrap_or_else(|error| {
+        error_handler.report(env, error, callback_name);
+        return_type.map_or(Value::Void, default_value)
+    })
+}
+
+/// Returns the exception that the error stands for: the pending exception that was thrown by JavaScript code, which
+/// is cleared, a `TypeError` for conversion errors, or an `Error` otherwise.
+pub fn error_to_js(env: &Env, error: Error) -> Result<JsUnknown> {
+    match error.status {
+        Status::PendingException => {
+            let mut exception = std::ptr::null_mut();
+            check_status!(unsafe {
+                sys::napi_get_and_clear_last_exception(env.raw(), &mut exception)
+            })?;
+            Ok(unsafe { JsUnknown::from_raw_unchecked(env.raw(), exception) })
+        }
+        Status::InvalidArg => Ok(JsTypeError::from(error).into_unknown(*env)),
+        _ => Ok(JsError::from(error).into_unknown(*env)),
+    }
+}
@@ -0,0 +1,80 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+use i_slint_core::platform::{Key, PointerEventButton};
+use i_slint_core::SharedString;
+use napi::{Error, Result};
+
+/// Converts the name of a mouse button, `"left"`, `"right"` or `"middle"`, to the button.
+pub fn pointer_event_button(name: &str) -> Result<PointerEventButton> {
+    match name {
+        "left" => Ok(PointerEventButton::Left),
+        "right" => Ok(PointerEventButton::Right),
+        "middle" => Ok(PointerEventButton::Middle),
+        _ => Err(Error::from_reason(format!(
+            "Unknown mouse button \"{name}\", expected \"left\", \"right\" or \"middle\""
+        ))),
+    }
+}
+
+/// Converts the name of a special key, such as `"Tab"` or `"UpArrow"`, to the text of the key event that
+/// Slint uses for it. Any other string is the text of the key event itself.
+pub fn key_event_text(key: &str) -> SharedString {
+    let special_key = match key {
+        "Backspace" => Key::Backspace,
+        "Tab" => Key::Tab,
+        "Return" => Key::Return,
+        "Escape" => Key::Escape,
+        "Backtab" => Key::Backtab,
+        "Delete" => Key::Delete,
+        "Shift" => Key::Shift,
+        "Control" => Key::Control,
+        "Alt" => Key::Alt,
+        "AltGr" => Key::AltGr,
+        "CapsLock" => Key::CapsLock,
+        "ShiftR" => Key::ShiftR,
+        "ControlR" => Key::ControlR,
+        "Meta" => Key::Meta,
+        "MetaR" => Key::MetaR,
+        "UpArrow" => Key::UpArrow,
+        "DownArrow" => Key::DownArrow,
+        "LeftArrow" => Key::LeftArrow,
+        "RightArrow" => Key::RightArrow,
+        "F1" => Key::F1,
+        "F2" => Key::F2,
+        "F3" => Key::F3,
+        "F4" => Key::F4,
+        "F5" => Key::F5,
+        "F6" => Key::F6,
+        "F7" => Key::F7,
+        "F8" => Key::F8,
+        "F9" => Key::F9,
+        "F10" => Key::F10,
+        "F11" => Key::F11,
+        "F12" => Key::F12,
+        "F13" => Key::F13,
+        "F14" => Key::F14,
+        "F15" => Key::F15,
+        "F16" => Key::F16,
+        "F17" => Key::F17,
+        "F18" => Key::F18,
+        "F19" => Key::F19,
+        "F20" => Key::F20,
+        "F21" => Key::F21,
+        "F22" => Key::F22,
+        "F23" => Key::F23,
+        "F24" => Key::F24,
+        "Insert" => Key::Insert,
+        "Home" => Key::Home,
+        "End" => Key::End,
+        "PageUp" => Key::PageUp,
+        "PageDown" => Key::PageDown,
+        "ScrollLock" => Key::ScrollLock,
+        "Pause" => Key::Pause,
+        "SysReq" => Key::SysReq,
+        "Stop" => Key::Stop,
+        "Menu" => Key::Menu,
+        _ => return key.into(),
+    };
+    special_key.into()
+}
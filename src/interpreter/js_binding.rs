@@ -0,0 +1,170 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+use std::cell::{Cell, RefCell};
+use std::pin::Pin;
+use std::rc::{Rc, Weak};
+
+use i_slint_compiler::langtype::Type;
+use i_slint_core::properties::PropertyTracker;
+use i_slint_core::timers::Timer;
+use napi::{Env, JsFunction, Result};
+use slint_interpreter::Value;
+
+use super::{throw_type_errors, to_value_at, ErrorHandler, RefCountedReference};
+
+/// A binding of a Slint property to a JavaScript function. The function is evaluated with a property tracker,
+/// so that the properties it reads through the component instance become dependencies of the binding.
+///
+/// Slint doesn't allow reading properties while it propagates a change, so a binding whose dependencies
+/// changed isn't evaluated right away. Instead it is queued in the `BindingQueue` of its component instance and
+/// evaluated from the event loop, or earlier, when JavaScript reads a property of the instance.
+struct JsBinding {
+    tracker: Pin<Box<PropertyTracker<Box<dyn Fn()>>>>,
+    function: RefCountedReference,
+    ty: Type,
+    write_value: Box<dyn Fn(Value) -> std::result::Result<(), String>>,
+    queued: Cell<bool>,
+    queue: BindingQueue,
+    // The name of the binding in error messages, such as `Settings.message`.
+    path: String,
+    name: String,
+    env: Env,
+}
+
+impl JsBinding {
+    fn queue(this: &Weak<Self>) {
+        let Some(binding) = this.upgrade() else {
+            return;
+        };
+
+        if binding.queued.replace(true) {
+            return;
+        }
+
+        binding.queue.push(this.clone());
+    }
+
+    fn evaluate(&self) -> Result<()> {
+        self.queued.set(false);
+
+        let function: JsFunction = self.function.get()?;
+        let result = self.tracker.as_ref().evaluate(|| function.call_without_args(None))?;
+        let value = self
+            .queue
+            .0
+            .error_handler
+            .converting(|| to_value_at(&self.env, result, self.ty.clone(), &self.path))?;
+
+        (self.write_value)(value).map_err(napi::Error::from_reason)
+    }
+}
+
+struct BindingQueueInner {
+    bindings: RefCell<Vec<Weak<JsBinding>>>,
+    error_handler: ErrorHandler,
+    // Reading properties while evaluating a binding must not evaluate the bindings recursively.
+    evaluating: Cell<bool>,
+}
+
+/// The bindings of a component instance whose dependencies changed, in the order they were queued.
+#[derive(Clone)]
+pub struct BindingQueue(Rc<BindingQueueInner>);
+
+impl BindingQueue {
+    /// Creates a queue whose bindings report their errors to the error handler of the component instance.
+    pub fn new(error_handler: ErrorHandler) -> Self {
+        Self(Rc::new(BindingQueueInner {
+            bindings: Default::default(),
+            error_handler,
+            evaluating: Default::default(),
+        }))
+    }
+
+    fn push(&self, binding: Weak<JsBinding>) {
+        let schedule = {
+            let mut bindings = self.0.bindings.borrow_mut();
+            bindings.push(binding);
+            bindings.len() == 1
+        };
+
+        if schedule {
+            let queue = Rc::downgrade(&self.0);
+            Timer::single_shot(Default::default(), move || {
+                if let Some(queue) = queue.upgrade() {
+                    BindingQueue(queue).evaluate();
+                }
+            });
+        }
+    }
+
+    /// Evaluates the queued bindings. Called before JavaScript reads a property of the component instance, so that
+    /// it sees the values of the bindings that are up to date. Errors are passed to the error handler of the
+    /// instance, with the name of the binding, and the properties keep their values.
+    pub fn evaluate(&self) {
+        if self.0.evaluating.replace(true) {
+            return;
+        }
+
+        // Writing the value of a binding may queue other bindings, so loop until the queue is empty.
+        loop {
+            let binding = {
+                let mut bindings = self.0.bindings.borrow_mut();
+                if bindings.is_empty() {
+                    break;
+                }
+                bindings.remove(0)
+            };
+            let Some(binding) = binding.upgrade() else {
+                continue;
+            };
+            if let Err(error) = binding.evaluate() {
+                self.0.error_handler.report(&binding.env, error, &binding.name);
+            }
+        }
+
+        self.0.evaluating.set(false);
+    }
+}
+
+/// Binds a property of type `ty` to the JavaScript `function`: evaluates it, writes its return value with
+/// `write_value`, and does so again whenever the properties it reads change. Later evaluations are queued in
+/// `queue`. Errors of the first evaluation are returned, errors of later evaluations are passed to the error handler
+/// of the queue, together with `name`. `path` names the property in the messages of conversion errors. Returns a
+/// function that removes the binding. The property keeps its last value.
+pub fn set_js_binding(
+    env: &Env,
+    ty: Type,
+    write_value: impl Fn(Value) -> std::result::Result<(), String> + 'static,
+    function: JsFunction,
+    queue: BindingQueue,
+    path: String,
+    name: String,
+) -> Result<JsFunction> {
+    let function = RefCountedReference::new(env, function)?;
+
+    let binding = Rc::new_cyclic(|this: &Weak<JsBinding>| {
+        let this = this.clone();
+        let dirty_handler: Box<dyn Fn()> = Box::new(move || JsBinding::queue(&this));
+
+        JsBinding {
+            tracker: Box::pin(PropertyTracker::new_with_dirty_handler(dirty_handler)),
+            function,
+            ty,
+            write_value: Box::new(write_value),
+            queued: Cell::new(false),
+            queue,
+            path,
+            name,
+            env: *env,
+        }
+    });
+
+    binding.evaluate().map_err(|e| throw_type_errors(env, e))?;
+
+    let binding = RefCell::new(Some(binding));
+    env.create_function_from_closure("removeBinding", move |ctx| {
+        binding.borrow_mut().take();
+        ctx.env.get_undefined()
+    })
+}
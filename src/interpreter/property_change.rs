@@ -0,0 +1,111 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+use std::cell::{Cell, RefCell};
+use std::pin::Pin;
+use std::rc::{Rc, Weak};
+
+use i_slint_core::properties::PropertyTracker;
+use i_slint_core::timers::Timer;
+use napi::{Env, JsFunction, Result};
+use slint_interpreter::Value;
+
+use super::{to_js_unknown, ErrorHandler, RefCountedReference};
+
+/// Tracks the dependencies of a property and calls a JavaScript function with the new value when it changes.
+struct PropertyChangeSubscription {
+    tracker: Pin<Box<PropertyTracker<Box<dyn Fn()>>>>,
+    read_value: Box<dyn Fn() -> Option<Value>>,
+    value: RefCell<Option<Value>>,
+    update_scheduled: Cell<bool>,
+    callback: RefCountedReference,
+    error_handler: ErrorHandler,
+    name: String,
+    env: Env,
+}
+
+impl PropertyChangeSubscription {
+    // Called when one of the dependencies of the property changes. The property can't be read while Slint
+    // propagates the change, so read it from the event loop, once for all changes until then.
+    fn schedule_update(this: &Weak<Self>) {
+        let Some(subscription) = this.upgrade() else {
+            return;
+        };
+
+        if subscription.update_scheduled.replace(true) {
+            return;
+        }
+
+        let this = this.clone();
+        Timer::single_shot(Default::default(), move || {
+            if let Some(subscription) = this.upgrade() {
+                subscription.update_scheduled.set(false);
+                subscription.update();
+            }
+        });
+    }
+
+    fn read_value(&self) -> Option<Value> {
+        self.tracker.as_ref().evaluate(|| (self.read_value)())
+    }
+
+    fn update(&self) {
+        let Some(value) = self.read_value() else {
+            return;
+        };
+
+        if self.value.borrow().as_ref() == Some(&value) {
+            return;
+        }
+        self.value.replace(Some(value.clone()));
+
+        let call = || -> Result<()> {
+            let callback: JsFunction = self.callback.get()?;
+            callback.call(None, &[to_js_unknown(&self.env, &value)?])?;
+            Ok(())
+        };
+        if let Err(error) = call() {
+            self.error_handler.report(&self.env, error, &self.name);
+        }
+    }
+}
+
+/// Calls `callback` with the value returned by `read_value` whenever the properties that `read_value`
+/// reads change, and the value differs from the last one. `read_value` returns None when the component
+/// instance was destroyed. Exceptions thrown by `callback` are passed to `error_handler`, together with `name`.
+/// Returns a function that ends the subscription.
+pub fn subscribe_property_changes(
+    env: &Env,
+    read_value: impl Fn() -> Option<Value> + 'static,
+    callback: JsFunction,
+    error_handler: ErrorHandler,
+    name: String,
+) -> Result<JsFunction> {
+    let callback = RefCountedReference::new(env, callback)?;
+
+    let subscription = Rc::new_cyclic(|this: &Weak<PropertyChangeSubscription>| {
+        let this = this.clone();
+        let dirty_handler: Box<dyn Fn()> =
+            Box::new(move || PropertyChangeSubscription::schedule_update(&this));
+
+        PropertyChangeSubscription {
+            tracker: Box::pin(PropertyTracker::new_with_dirty_handler(dirty_handler)),
+            read_value: Box::new(read_value),
+            value: RefCell::new(None),
+            update_scheduled: Cell::new(false),
+            callback,
+            error_handler,
+            name,
+            env: *env,
+        }
+    });
+
+    // Registers the dependencies of the property and remembers its current value.
+    subscription.value.replace(subscription.read_value());
+
+    let subscription = RefCell::new(Some(subscription));
+    env.create_function_from_closure("unsubscribe", move |ctx| {
+        subscription.borrow_mut().take();
+        ctx.env.get_undefined()
+    })
+}
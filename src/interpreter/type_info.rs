@@ -0,0 +1,104 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+use i_slint_compiler::langtype::Type;
+use napi::{bindgen_prelude::*, Env, JsUnknown, Result};
+
+/// Converts a Slint type into a plain JavaScript object that describes it.
+/// The shape of the object is declared by the `TypeInfo` interface in index.ts.
+pub fn to_js_type_info(env: &Env, ty: &Type) -> Result<JsUnknown> {
+    let mut info = env.create_object()?;
+
+    let kind = match ty {
+        Type::Void => "void",
+        Type::Float32 | Type::UnitProduct(_) => "number",
+        Type::Int32 => {
+            info.set_named_property("integer", env.get_boolean(true)?)?;
+            "number"
+        }
+        Type::Duration
+        | Type::Angle
+        | Type::PhysicalLength
+        | Type::LogicalLength
+        | Type::Rem
+        | Type::Percent => {
+            let unit = match ty {
+                Type::Duration => "duration",
+                Type::Angle => "angle",
+                Type::PhysicalLength => "physical-length",
+                Type::LogicalLength => "length",
+                Type::Rem => "relative-font-size",
+                _ => "percent",
+            };
+            info.set_named_property("unit", env.create_string(unit)?)?;
+            "number"
+        }
+        Type::String => "string",
+        Type::Bool => "bool",
+        Type::Color => "color",
+        Type::Brush => "brush",
+        Type::Image => "image",
+        Type::Struct { fields, name, .. } => {
+            if let Some(name) = name {
+                info.set_named_property("name", env.create_string(name)?)?;
+            }
+
+            let mut js_fields = env.create_object()?;
+            for (field_name, field_ty) in fields.iter() {
+                js_fields.set_named_property(
+                    &field_name.replace('-', "_"),
+                    to_js_type_info(env, field_ty)?,
+                )?;
+            }
+            info.set_named_property("fields", js_fields)?;
+
+            "struct"
+        }
+        Type::Array(element_ty) => {
+            info.set_named_property("elementType", to_js_type_info(env, element_ty)?)?;
+            "array"
+        }
+        Type::Enumeration(e) => {
+            info.set_named_property("name", env.create_string(&e.name)?)?;
+
+            let values = e
+                .values
+                .iter()
+                .map(|value| env.create_string(value).map(|v| v.into_unknown()))
+                .collect::<Result<Vec<_>>>()?;
+            info.set_named_property("values", Array::from_vec(env, values)?.coerce_to_object()?)?;
+
+            "enum"
+        }
+        Type::Callback { return_type, args } => {
+            set_signature(env, &mut info, return_type.as_deref(), args)?;
+            "callback"
+        }
+        Type::Function { return_type, args } => {
+            set_signature(env, &mut info, Some(&**return_type), args)?;
+            "function"
+        }
+        Type::ComponentFactory { .. } => "component-factory",
+        _ => "unknown",
+    };
+
+    info.set_named_property("kind", env.create_string(kind)?)?;
+
+    Ok(info.into_unknown())
+}
+
+fn set_signature(
+    env: &Env,
+    info: &mut JsObject,
+    return_type: Option<&Type>,
+    args: &[Type],
+) -> Result<()> {
+    let args = args.iter().map(|arg| to_js_type_info(env, arg)).collect::<Result<Vec<_>>>()?;
+    info.set_named_property("args", Array::from_vec(env, args)?.coerce_to_object()?)?;
+
+    if let Some(return_type) = return_type {
+        info.set_named_property("returnType", to_js_type_info(env, return_type)?)?;
+    }
+
+    Ok(())
+}
@@ -1,12 +1,15 @@
 // Copyright © SixtyFPS GmbH <info@slint.dev>
 // SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
 
-use crate::{JsModel, RgbaColor, SlintBrush, SlintImageData};
+use crate::{
+    brush_from_string, to_component_factory, JsLinearGradient, JsModel, JsRadialGradient,
+    RgbaColor, SlintBrush, SlintImageData,
+};
 use i_slint_compiler::langtype::Type;
 use i_slint_core::graphics::{Image, Rgba8Pixel, SharedPixelBuffer};
 use i_slint_core::model::{Model, ModelRc, SharedVectorModel};
 use i_slint_core::{Brush, Color, SharedVector};
-use napi::{bindgen_prelude::*, Env, JsBoolean, JsNumber, JsObject, JsString, JsUnknown, Result};
+use napi::{bindgen_prelude::*, Env, JsBoolean, JsObject, JsString, JsUnknown, Result};
 use napi_derive::napi;
 use slint_interpreter::Value;
 
@@ -20,6 +23,7 @@ pub enum JsValueType {
     Struct,
     Brush,
     Image,
+    Enumeration,
 }
 
 impl From<slint_interpreter::ValueType> for JsValueType {
@@ -37,6 +41,15 @@ impl From<slint_interpreter::ValueType> for JsValueType {
     }
 }
 
+impl From<Type> for JsValueType {
+    fn from(ty: Type) -> Self {
+        match ty {
+            Type::Enumeration(_) => JsValueType::Enumeration,
+            _ => slint_interpreter::ValueType::from(ty).into(),
+        }
+    }
+}
+
 #[napi(js_name = "Property")]
 pub struct JsProperty {
     pub name: String,
@@ -49,6 +62,7 @@ pub fn to_js_unknown(env: &Env, value: &Value) -> Result<JsUnknown> {
         Value::Number(number) => env.create_double(*number).map(|v| v.into_unknown()),
         Value::String(string) => env.create_string(string).map(|v| v.into_unknown()),
         Value::Bool(value) => env.get_boolean(*value).map(|v| v.into_unknown()),
+        Value::EnumerationValue(_, value) => env.create_string(value).map(|v| v.into_unknown()),
         Value::Image(image) => Ok(SlintImageData::from(image.clone())
             .into_instance(*env)?
             .as_object(*env)
@@ -84,7 +98,78 @@ pub fn to_js_unknown(env: &Env, value: &Value) -> Result<JsUnknown> {
     }
 }
 
+thread_local! {
+    static STRICT_TYPE_CHECKING: std::cell::Cell<bool> = std::cell::Cell::new(false);
+}
+
+/// Enables or disables the strict conversion of JavaScript values to Slint values. In strict mode, numbers must be
+/// finite, and `int` numbers whole numbers, and objects that are converted to structs must not have properties that
+/// aren't fields of the struct.
+#[napi]
+pub fn set_strict_type_checking(enabled: bool) {
+    STRICT_TYPE_CHECKING.with(|strict| strict.set(enabled));
+}
+
+fn is_strict() -> bool {
+    STRICT_TYPE_CHECKING.with(|strict| strict.get())
+}
+
+/// Describes the JavaScript value for error messages.
+fn describe_js_value(unknown: &JsUnknown) -> String {
+    let describe = || -> Result<String> {
+        Ok(match unknown.get_type()? {
+            ValueType::Undefined => "undefined".into(),
+            ValueType::Null => "null".into(),
+            ValueType::Boolean => unknown.coerce_to_bool()?.get_value()?.to_string(),
+            ValueType::Number => unknown.coerce_to_number()?.get_double()?.to_string(),
+            ValueType::String => {
+                format!("{:?}", unknown.coerce_to_string()?.into_utf8()?.as_str()?)
+            }
+            ValueType::Function => "a function".into(),
+            ValueType::Object if unknown.is_array()? => "an array".into(),
+            ValueType::Object => "an object".into(),
+            _ => "a value of another type".into(),
+        })
+    };
+    describe().unwrap_or_else(|_| "a value".into())
+}
+
+/// Returns the error for a JavaScript value that can't be converted to a value of the Slint type.
+/// Conversion errors have the `InvalidArg` status, so that `throw_type_errors` throws them as `TypeError`s.
+fn conversion_error(path: &str, typ: &Type, unknown: &JsUnknown) -> Error {
+    Error::new(
+        Status::InvalidArg,
+        format!("{path}: expected {typ}, but got {}", describe_js_value(unknown)),
+    )
+}
+
+/// Adds the path of the value to the message of an error that occurred while converting it.
+fn with_path(path: &str, error: Error) -> Error {
+    if error.status == Status::InvalidArg {
+        error
+    } else {
+        Error::new(Status::InvalidArg, format!("{path}: {}", error.reason))
+    }
+}
+
+/// Throws the conversion errors, whose status is `InvalidArg`, as a `TypeError` instead of an `Error`, and
+/// returns an error that tells napi that an exception is already pending. Other errors are returned as is.
+pub fn throw_type_errors(env: &Env, error: Error) -> Error {
+    if error.status != Status::InvalidArg {
+        return error;
+    }
+    unsafe { JsTypeError::from(error).throw_into(env.raw()) };
+    Error::from_status(Status::PendingException)
+}
+
 pub fn to_value(env: &Env, unknown: JsUnknown, typ: Type) -> Result<Value> {
+    to_value_at(env, unknown, typ, "value")
+}
+
+/// Converts the JavaScript value to a Slint value of the given type. `path` names the value in error messages,
+/// for example `items[3].author.name`.
+pub fn to_value_at(env: &Env, unknown: JsUnknown, typ: Type, path: &str) -> Result<Value> {
+    let value_type = unknown.get_type()?;
     match typ {
         Type::Float32
         | Type::Int32
@@ -95,43 +180,89 @@ pub fn to_value(env: &Env, unknown: JsUnknown, typ: Type) -> Result<Value> {
         | Type::Rem
         | Type::Percent
         | Type::UnitProduct(_) => {
-            let js_number: Result<JsNumber> = unknown.try_into();
-            Ok(Value::Number(js_number?.get_double()?))
+            if value_type != ValueType::Number {
+                return Err(conversion_error(path, &typ, &unknown));
+            }
+            let number = unknown.coerce_to_number()?.get_double()?;
+            if is_strict()
+                && (!number.is_finite() || (matches!(typ, Type::Int32) && number.fract() != 0.))
+            {
+                return Err(conversion_error(path, &typ, &unknown));
+            }
+            Ok(Value::Number(number))
         }
         Type::String => {
+            if value_type != ValueType::String {
+                return Err(conversion_error(path, &typ, &unknown));
+            }
             let js_string: JsString = unknown.try_into()?;
             Ok(Value::String(js_string.into_utf8()?.as_str()?.into()))
         }
         Type::Bool => {
+            if value_type != ValueType::Boolean {
+                return Err(conversion_error(path, &typ, &unknown));
+            }
             let js_bool: JsBoolean = unknown.try_into()?;
             Ok(Value::Bool(js_bool.get_value()?))
         }
         Type::Color => {
-            match unknown.get_type() {
-                Ok(ValueType::String) => {
-                    return Ok(unknown.coerce_to_string().and_then(|str| string_to_brush(str))?);
+            match value_type {
+                ValueType::String => {
+                    return unknown
+                        .coerce_to_string()
+                        .and_then(|str| string_to_brush(str))
+                        .map_err(|e| with_path(path, e));
                 }
-                Ok(ValueType::Object) => {
+                ValueType::Object => {
                     if let Ok(rgb_color) = unknown.coerce_to_object() {
-                        return brush_from_color(rgb_color);
+                        return brush_from_color(rgb_color).map_err(|e| with_path(path, e));
                     }
                 }
                 _ => {}
             }
-            Err(napi::Error::from_reason(
-                            "Cannot convert object to brush, because the given object is neither a brush, color, nor a string".to_string()
-                    ))
+            Err(conversion_error(path, &typ, &unknown))
         }
         Type::Brush => {
-            match unknown.get_type() {
-                Ok(ValueType::String) => {
-                    return Ok(unknown.coerce_to_string().and_then(|str| string_to_brush(str))?);
+            match value_type {
+                ValueType::String => {
+                    let string = unknown.coerce_to_string()?.into_utf8()?.as_str()?.to_string();
+                    return Ok(Value::Brush(
+                        brush_from_string(&string).map_err(|e| with_path(path, e))?,
+                    ));
                 }
-                Ok(ValueType::Object) => {
+                ValueType::Object => {
                     if let Ok(obj) = unknown.coerce_to_object() {
+                        if let Some(direct_brush) = obj.get("brush").ok().flatten() {
+                            return Ok(Value::Brush(
+                                env.get_value_external::<Brush>(&direct_brush)?.clone(),
+                            ));
+                        }
+                        if is_set(&obj, "linearGradient")? {
+                            if let Some(gradient) =
+                                obj.get::<&str, JsLinearGradient>("linearGradient")?
+                            {
+                                return Ok(Value::Brush(
+                                    gradient.to_brush().map_err(|e| with_path(path, e))?,
+                                ));
+                            }
+                        }
+                        if is_set(&obj, "radialGradient")? {
+                            if let Some(gradient) =
+                                obj.get::<&str, JsRadialGradient>("radialGradient")?
+                            {
+                                return Ok(Value::Brush(
+                                    gradient.to_brush().map_err(|e| with_path(path, e))?,
+                                ));
+                            }
+                        }
                         // this is used to make the color property of the `Brush` interface optional.
                         let properties = obj.get_property_names()?;
-                        if properties.get_array_length()? == 0 {
+                        let mut any_set = false;
+                        for i in 0..properties.get_array_length()? {
+                            let name: JsString = properties.get_element(i)?;
+                            any_set |= is_set(&obj, name.into_utf8()?.as_str()?)?;
+                        }
+                        if !any_set {
                             return Ok(Value::Brush(Brush::default()));
                         }
                         if let Some(color) = obj.get::<&str, RgbaColor>("color").ok().flatten() {
@@ -140,8 +271,9 @@ pub fn to_value(env: &Env, unknown: JsUnknown, typ: Type) -> Result<Value> {
                                 || color.blue() < 0.
                                 || color.alpha() < 0.
                             {
-                                return Err(Error::from_reason(
-                                    "A channel of Color cannot be negative",
+                                return Err(with_path(
+                                    path,
+                                    Error::from_reason("A channel of Color cannot be negative"),
                                 ));
                             }
 
@@ -152,17 +284,18 @@ pub fn to_value(env: &Env, unknown: JsUnknown, typ: Type) -> Result<Value> {
                                 color.blue() as u8,
                             ))));
                         } else {
-                            return brush_from_color(obj);
+                            return brush_from_color(obj).map_err(|e| with_path(path, e));
                         }
                     }
                 }
                 _ => {}
             }
-            Err(napi::Error::from_reason(
-                            "Cannot convert object to brush, because the given object is neither a brush, color, nor a string".to_string()
-                    ))
+            Err(conversion_error(path, &typ, &unknown))
         }
         Type::Image => {
+            if value_type != ValueType::Object {
+                return Err(conversion_error(path, &typ, &unknown));
+            }
             let object = unknown.coerce_to_object()?;
             if let Some(direct_image) = object.get("image").ok().flatten() {
                 Ok(Value::Image(env.get_value_external::<Image>(&direct_image)?.clone()))
@@ -206,57 +339,109 @@ pub fn to_value(env: &Env, unknown: JsUnknown, typ: Type) -> Result<Value> {
                     Ok(SharedPixelBuffer::clone_from_slice(buffer.as_ref(), width, height))
                 }
 
-                let width: u32 = get_size_prop("width")?;
-                let height: u32 = get_size_prop("height")?;
+                let width: u32 = get_size_prop("width").map_err(|e| with_path(path, e))?;
+                let height: u32 = get_size_prop("height").map_err(|e| with_path(path, e))?;
 
-                let pixel_buffer =
-                    try_convert_image::<Uint8ClampedArray>(&object, width, height)
-                        .or_else(|_| try_convert_image::<Buffer>(&object, width, height))?;
+                let pixel_buffer = try_convert_image::<Uint8ClampedArray>(&object, width, height)
+                    .or_else(|_| try_convert_image::<Buffer>(&object, width, height))
+                    .map_err(|e| with_path(path, e))?;
 
                 Ok(Value::Image(Image::from_rgba8(pixel_buffer)))
             }
         }
-        Type::Struct { fields, name: _, node: _, rust_attributes: _ } => {
+        Type::Struct { ref fields, name: _, node: _, rust_attributes: _ } => {
+            if value_type != ValueType::Object || unknown.is_array()? {
+                return Err(conversion_error(path, &typ, &unknown));
+            }
             let js_object = unknown.coerce_to_object()?;
 
+            if is_strict() {
+                let names = js_object.get_property_names()?;
+                for i in 0..names.get_array_length()? {
+                    let name: JsString = names.get_element(i)?;
+                    let name = name.into_utf8()?.as_str()?.to_string();
+                    if !fields.contains_key(&name.replace('_', "-")) {
+                        return Err(Error::new(
+                            Status::InvalidArg,
+                            format!("{path}: {name} is not a field of {typ}"),
+                        ));
+                    }
+                }
+            }
+
             Ok(Value::Struct(
                 fields
                     .iter()
                     .map(|(pro_name, pro_ty)| {
+                        let js_name = pro_name.replace('-', "_");
                         Ok((
                             pro_name.clone(),
-                            to_value(
+                            to_value_at(
                                 env,
-                                js_object.get_property(
-                                    env.create_string(&pro_name.replace('-', "_"))?,
-                                )?,
+                                js_object.get_property(env.create_string(&js_name)?)?,
                                 pro_ty.clone(),
+                                &format!("{path}.{js_name}"),
                             )?,
                         ))
                     })
                     .collect::<Result<_, _>>()?,
             ))
         }
-        Type::Array(a) => {
+        Type::Array(ref a) => {
             if unknown.is_array()? {
                 let array = Array::from_unknown(unknown)?;
                 let mut vec = vec![];
 
                 for i in 0..array.len() {
-                    vec.push(to_value(env, array.get(i)?.unwrap(), *a.to_owned())?);
+                    vec.push(to_value_at(
+                        env,
+                        array.get(i)?.unwrap(),
+                        *a.to_owned(),
+                        &format!("{path}[{i}]"),
+                    )?);
                 }
                 Ok(Value::Model(ModelRc::new(SharedVectorModel::from(SharedVector::from_slice(
                     &vec,
                 )))))
             } else {
+                if value_type != ValueType::Object {
+                    return Err(conversion_error(path, &typ, &unknown));
+                }
                 let model = unknown.coerce_to_object()?;
-                let _: JsFunction = model.get("rowCount")?.unwrap();
-                let _: JsFunction = model.get("rowData")?.unwrap();
+                let is_function = |name| {
+                    model.get::<_, JsUnknown>(name).ok().flatten().and_then(|f| f.get_type().ok())
+                        == Some(ValueType::Function)
+                };
+                if !is_function("rowCount") || !is_function("rowData") {
+                    return Err(conversion_error(path, &typ, &model.into_unknown()));
+                }
 
                 Ok(Value::Model(ModelRc::new(JsModel::new(*env, model, *a.to_owned())?)))
             }
         }
-        Type::Enumeration(_) => todo!(),
+        Type::Enumeration(ref e) => {
+            if value_type != ValueType::String {
+                return Err(conversion_error(path, &typ, &unknown));
+            }
+            let js_string: JsString = unknown.try_into()?;
+            let value: String = js_string.into_utf8()?.as_str()?.into();
+
+            if !e.values.contains(&value) {
+                return Err(Error::new(
+                    Status::InvalidArg,
+                    format!(
+                        "{path}: {value} is not a value of enum {}, expected one of: {}",
+                        e.name,
+                        e.values.join(", ")
+                    ),
+                ));
+            }
+
+            Ok(Value::EnumerationValue(e.name.clone(), value))
+        }
+        Type::ComponentFactory { .. } => Ok(Value::ComponentFactory(
+            to_component_factory(env, unknown, path).map_err(|e| with_path(path, e))?,
+        )),
         Type::Invalid
         | Type::Model
         | Type::Void
@@ -264,14 +449,54 @@ pub fn to_value(env: &Env, unknown: JsUnknown, typ: Type) -> Result<Value> {
         | Type::InferredCallback
         | Type::Function { .. }
         | Type::Callback { .. }
-        | Type::ComponentFactory { .. }
         | Type::Easing
         | Type::PathData
         | Type::LayoutCache
-        | Type::ElementReference => Err(napi::Error::from_reason("reason")),
+        | Type::ElementReference => Err(Error::new(
+            Status::InvalidArg,
+            format!("{path}: values of type {typ} can't be set from JavaScript"),
+        )),
     }
 }
 
+/// Returns the default value of the Slint type, like the value of a property of the type that isn't set.
+pub fn default_value(typ: &Type) -> Value {
+    match typ {
+        Type::Float32
+        | Type::Int32
+        | Type::Duration
+        | Type::Angle
+        | Type::PhysicalLength
+        | Type::LogicalLength
+        | Type::Rem
+        | Type::Percent
+        | Type::UnitProduct(_) => Value::Number(0.),
+        Type::String => Value::String(Default::default()),
+        Type::Bool => Value::Bool(false),
+        Type::Color | Type::Brush => Value::Brush(Brush::default()),
+        Type::Image => Value::Image(Image::default()),
+        Type::Struct { fields, .. } => Value::Struct(
+            fields.iter().map(|(name, ty)| (name.clone(), default_value(ty))).collect(),
+        ),
+        Type::Array(_) => Value::Model(ModelRc::default()),
+        Type::Enumeration(e) => Value::EnumerationValue(
+            e.name.clone(),
+            e.values.get(e.default_value).cloned().unwrap_or_default(),
+        ),
+        Type::ComponentFactory { .. } => Value::ComponentFactory(Default::default()),
+        _ => Value::Void,
+    }
+}
+
+/// Returns true if the object has the property and its value is neither `undefined` nor `null`, so that optional
+/// properties can be left out or set to either.
+fn is_set(object: &JsObject, name: &str) -> Result<bool> {
+    Ok(match object.get::<&str, JsUnknown>(name)? {
+        Some(value) => !matches!(value.get_type()?, ValueType::Undefined | ValueType::Null),
+        None => false,
+    })
+}
+
 fn string_to_brush(js_string: JsString) -> Result<Value> {
     let string = js_string.into_utf8()?.as_str()?.to_string();
 
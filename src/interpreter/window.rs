@@ -1,9 +1,25 @@
 // Copyright © SixtyFPS GmbH <info@slint.dev>
 // SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
 
-use crate::types::{SlintPoint, SlintSize};
-use i_slint_core::window::WindowAdapterRc;
-use slint_interpreter::{LogicalPosition, LogicalSize, PhysicalPosition, PhysicalSize};
+use std::rc::Rc;
+
+use crate::types::{SlintImageData, SlintPoint, SlintSize};
+use i_slint_compiler::langtype::Type;
+use i_slint_core::component::ComponentRc;
+use i_slint_core::graphics::{Image, PremultipliedRgbaColor, Rgba8Pixel, SharedPixelBuffer};
+use i_slint_core::items::{ItemRc, WindowItem};
+use i_slint_core::renderer::RendererSealed;
+use i_slint_core::software_renderer::{RepaintBufferType, SoftwareRenderer};
+use i_slint_core::window::{WindowAdapterRc, WindowInner};
+use napi::{Env, JsFunction, JsUnknown};
+use slint_interpreter::{
+    LogicalPosition, LogicalSize, PhysicalPosition, PhysicalSize, Struct, Value,
+};
+
+use super::{
+    add_close_handler, add_move_handler, notify_window_hidden, subscribe_property_changes,
+    to_value, visit_items, ErrorHandler,
+};
 
 /// This type represents a window towards the windowing system, that's used to render the
 /// scene of a component. It provides API to control windowing system specific aspects such
@@ -45,7 +61,9 @@ impl JsWindow {
         self.inner
             .window()
             .hide()
-            .map_err(|_| napi::Error::from_reason("Cannot hide window.".to_string()))
+            .map_err(|_| napi::Error::from_reason("Cannot hide window.".to_string()))?;
+        notify_window_hidden(&self.inner);
+        Ok(())
     }
 
     /// Returns the visibility state of the window. This function can return false even if you previously called show()
@@ -124,9 +142,255 @@ impl JsWindow {
         self.inner.request_redraw();
     }
 
+    /// Returns true if the window is displayed fullscreen.
+    #[napi(getter)]
+    pub fn get_fullscreen(&self) -> bool {
+        self.inner.window().is_fullscreen()
+    }
+
     /// Set or unset the window to display fullscreen.
     #[napi(setter)]
     pub fn set_fullscreen(&self, enable: bool) {
         self.inner.window().set_fullscreen(enable)
     }
+
+    /// Returns true if the window is minimized.
+    #[napi(getter)]
+    pub fn get_minimized(&self) -> bool {
+        self.inner.window().is_minimized()
+    }
+
+    /// Minimizes the window, or restores it from the minimized state.
+    #[napi(setter)]
+    pub fn set_minimized(&self, minimized: bool) {
+        self.inner.window().set_minimized(minimized)
+    }
+
+    /// Returns true if the window is maximized.
+    #[napi(getter)]
+    pub fn get_maximized(&self) -> bool {
+        self.inner.window().is_maximized()
+    }
+
+    /// Maximizes the window, or restores it from the maximized state.
+    #[napi(setter)]
+    pub fn set_maximized(&self, maximized: bool) {
+        self.inner.window().set_maximized(maximized)
+    }
+
+    /// Returns the scale factor of the window, which is the number of physical pixels per logical pixel.
+    #[napi(getter)]
+    pub fn get_scale_factor(&self) -> f64 {
+        self.inner.window().scale_factor() as f64
+    }
+
+    /// Returns the title of the window.
+    #[napi(getter)]
+    pub fn get_title(&self) -> String {
+        WindowInner::from_pub(self.inner.window())
+            .window_item()
+            .map(|window_item| window_item.as_pin_ref().title().to_string())
+            .unwrap_or_default()
+    }
+
+    /// Sets the title of the window. This replaces the binding of the `title` property of the window in the
+    /// .slint file.
+    #[napi(setter)]
+    pub fn set_title(&self, title: String) {
+        if let Some(window_item) = WindowInner::from_pub(self.inner.window()).window_item() {
+            WindowItem::FIELD_OFFSETS.title.apply_pin(window_item.as_pin_ref()).set(title.into());
+        }
+    }
+
+    /// Returns the icon of the window.
+    #[napi(getter)]
+    pub fn get_icon(&self) -> SlintImageData {
+        WindowInner::from_pub(self.inner.window())
+            .window_item()
+            .map(|window_item| window_item.as_pin_ref().icon())
+            .unwrap_or_default()
+            .into()
+    }
+
+    /// Sets the icon of the window. This replaces the binding of the `icon` property of the window in the
+    /// .slint file.
+    #[napi(setter)]
+    pub fn set_icon(&self, env: Env, icon: JsUnknown) -> napi::Result<()> {
+        let Value::Image(icon) = to_value(&env, icon, Type::Image)? else {
+            return Err(napi::Error::from_reason("Cannot convert object to image".to_string()));
+        };
+
+        if let Some(window_item) = WindowInner::from_pub(self.inner.window()).window_item() {
+            WindowItem::FIELD_OFFSETS.icon.apply_pin(window_item.as_pin_ref()).set(icon);
+        }
+        Ok(())
+    }
+
+    /// Renders the contents of the window with the software renderer and returns the pixels, including their
+    /// alpha channel. This works without a display server and whether the window is shown or not. The image has
+    /// the physical size of the window, unless `size` is given: then the contents are laid out at that physical
+    /// size for the snapshot, without resizing the window on the screen.
+    ///
+    /// The snapshot can't be rendered by a separate window: the layout of the contents is stored in the properties
+    /// of the component, and a new instance of the component wouldn't have its state. So the size of the window
+    /// item is changed for the snapshot and restored before returning. The windowing system and the window's
+    /// renderer aren't told about it, and subscriptions to property changes, such as `onResized()`, aren't
+    /// notified, as they compare the values from the event loop. The contents are laid out twice, and the window's
+    /// renderer redraws them without its caches afterwards.
+    #[napi]
+    pub fn take_snapshot(&self, size: Option<SlintSize>) -> napi::Result<SlintImageData> {
+        let window = self.inner.window();
+        let window_size = window.size();
+        let size = size.map_or(window_size, |size| {
+            PhysicalSize::new(size.width.floor() as u32, size.height.floor() as u32)
+        });
+        if size.width == 0 || size.height == 0 {
+            return Err(napi::Error::from_reason(
+                "Cannot take a snapshot of a window without size.".to_string(),
+            ));
+        }
+
+        // The software renderer takes the size from the window item, so lay it out at the size of the snapshot,
+        // and at the size of the window again afterwards. Dispatching `WindowEvent::Resized` would also resize the
+        // surface of the window's renderer.
+        let window_inner = WindowInner::from_pub(window);
+        let resize = |size: PhysicalSize| {
+            let size = size.to_logical(window.scale_factor());
+            window_inner.set_window_item_geometry(i_slint_core::lengths::LogicalSize::new(
+                size.width,
+                size.height,
+            ));
+        };
+        if size != window_size {
+            resize(size);
+        }
+
+        let renderer = SoftwareRenderer::new_with_repaint_buffer_type(RepaintBufferType::NewBuffer);
+        renderer.set_window_adapter(&self.inner);
+
+        // Renderers cache data in the items they render, so the items must not hold the data of the window's
+        // renderer while the snapshot is rendered, nor the data of the snapshot's renderer afterwards.
+        let root = ItemRc::new(window_inner.component(), 0);
+        free_rendering_data(self.inner.renderer(), &root);
+        let mut pixels =
+            vec![PremultipliedRgbaColor::default(); size.width as usize * size.height as usize];
+        renderer.render(&mut pixels, size.width as usize);
+        free_rendering_data(&renderer, &root);
+
+        if size != window_size {
+            resize(window_size);
+        }
+        self.inner.request_redraw();
+
+        let mut buffer = SharedPixelBuffer::<Rgba8Pixel>::new(size.width, size.height);
+        for (target, pixel) in buffer.make_mut_slice().iter_mut().zip(pixels) {
+            let unpremultiply = |component: u8| match pixel.alpha {
+                0 => 0,
+                alpha => (component as u16 * 255 / alpha as u16) as u8,
+            };
+            *target = Rgba8Pixel::new(
+                unpremultiply(pixel.red),
+                unpremultiply(pixel.green),
+                unpremultiply(pixel.blue),
+                pixel.alpha,
+            );
+        }
+        Ok(Image::from_rgba8(buffer).into())
+    }
+
+    /// Calls `callback` when the user requests to close the window, for example with the close button of
+    /// the title bar. The window stays open if `callback` returns `false`. Returns a function that removes
+    /// the callback.
+    #[napi]
+    pub fn on_close_requested(&self, env: Env, callback: JsFunction) -> napi::Result<JsFunction> {
+        add_close_handler(&env, &self.inner, callback, false)
+    }
+
+    /// Calls `callback` when the window was closed, by a close request or by `hide()`. Returns a function that
+    /// removes the callback.
+    /// @hidden
+    #[napi]
+    pub fn on_closed(&self, env: Env, callback: JsFunction) -> napi::Result<JsFunction> {
+        add_close_handler(&env, &self.inner, callback, true)
+    }
+
+    /// Calls `callback` with the new logical size of the window when it's resized. Returns a function that
+    /// ends the subscription.
+    #[napi]
+    pub fn on_resized(&self, env: Env, callback: JsFunction) -> napi::Result<JsFunction> {
+        let window_adapter = Rc::downgrade(&self.inner);
+        subscribe_property_changes(
+            &env,
+            move || {
+                let window_adapter = window_adapter.upgrade()?;
+                let window_item = WindowInner::from_pub(window_adapter.window()).window_item()?;
+                let window_item = window_item.as_pin_ref();
+                Some(Value::Struct(Struct::from_iter([
+                    ("width".to_string(), Value::Number(window_item.width().get() as f64)),
+                    ("height".to_string(), Value::Number(window_item.height().get() as f64)),
+                ])))
+            },
+            callback,
+            ErrorHandler::default(),
+            "onResized".to_string(),
+        )
+    }
+
+    /// Calls `callback` with the new logical position of the window after it was moved on the screen. Slint
+    /// doesn't report window moves, so the position is checked every 100 milliseconds while a callback is
+    /// registered. Returns a function that removes the callback.
+    #[napi]
+    pub fn on_moved(&self, env: Env, callback: JsFunction) -> napi::Result<JsFunction> {
+        add_move_handler(&env, &self.inner, callback)
+    }
+
+    /// Calls `callback` with `true` when the window gains the keyboard focus, and with `false` when it
+    /// loses it. Returns a function that ends the subscription.
+    #[napi]
+    pub fn on_focus_changed(&self, env: Env, callback: JsFunction) -> napi::Result<JsFunction> {
+        let window_adapter = Rc::downgrade(&self.inner);
+        subscribe_property_changes(
+            &env,
+            move || {
+                let window_adapter = window_adapter.upgrade()?;
+                Some(Value::Bool(WindowInner::from_pub(window_adapter.window()).active()))
+            },
+            callback,
+            ErrorHandler::default(),
+            "onFocusChanged".to_string(),
+        )
+    }
+
+    /// Calls `callback` with the new scale factor of the window when it changes, for example when the window
+    /// is moved to a screen with a different resolution. Returns a function that ends the subscription.
+    #[napi]
+    pub fn on_scale_factor_changed(
+        &self,
+        env: Env,
+        callback: JsFunction,
+    ) -> napi::Result<JsFunction> {
+        let window_adapter = Rc::downgrade(&self.inner);
+        subscribe_property_changes(
+            &env,
+            move || {
+                let window_adapter = window_adapter.upgrade()?;
+                Some(Value::Number(window_adapter.window().scale_factor() as f64))
+            },
+            callback,
+            ErrorHandler::default(),
+            "onScaleFactorChanged".to_string(),
+        )
+    }
+}
+
+// Releases the data that the renderer cached in the items of the window and in the items of its repeaters.
+fn free_rendering_data(renderer: &(impl RendererSealed + ?Sized), root: &ItemRc) {
+    visit_items(root.clone(), &mut |item| {
+        renderer
+            .free_graphics_resources(
+                ComponentRc::borrow(item.component()),
+                &mut std::iter::once(item.borrow()),
+            )
+            .ok();
+    });
 }
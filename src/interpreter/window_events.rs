@@ -0,0 +1,274 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+use std::cell::{Cell, RefCell};
+use std::rc::{Rc, Weak};
+
+use i_slint_core::api::CloseRequestResponse;
+use i_slint_core::timers::{Timer, TimerMode};
+use i_slint_core::window::{WindowAdapter, WindowAdapterRc};
+use napi::{Env, JsFunction, Result, ValueType};
+
+use super::{to_js_unknown, ErrorHandler, RefCountedReference};
+
+/// The JavaScript functions that are called when the user requests to close a window, and when the window
+/// was closed, because no function vetoed the request or because it was hidden.
+struct CloseHandlers {
+    next_id: Cell<u64>,
+    close_requested: RefCell<Vec<(u64, Rc<RefCountedReference>)>>,
+    closed: RefCell<Vec<(u64, Rc<RefCountedReference>)>>,
+    env: Env,
+}
+
+impl CloseHandlers {
+    fn new(env: Env) -> Self {
+        Self {
+            next_id: Cell::new(0),
+            close_requested: RefCell::new(Vec::new()),
+            closed: RefCell::new(Vec::new()),
+            env,
+        }
+    }
+
+    fn on_close_requested(&self) -> CloseRequestResponse {
+        let close_requested: Vec<_> =
+            self.close_requested.borrow().iter().map(|(_, callback)| callback.clone()).collect();
+
+        let mut keep_window_shown = false;
+        for callback in close_requested {
+            let Ok(callback) = callback.get::<JsFunction>() else {
+                continue;
+            };
+            // Every handler is called, even after one returned false, so that all of them see the request.
+            match callback.call_without_args(None) {
+                Ok(result) => {
+                    if result.get_type().ok() == Some(ValueType::Boolean)
+                        && !result.coerce_to_bool().and_then(|b| b.get_value()).unwrap_or(true)
+                    {
+                        keep_window_shown = true;
+                    }
+                }
+                Err(error) => ErrorHandler::default().report(&self.env, error, "onCloseRequested"),
+            }
+        }
+
+        if keep_window_shown {
+            return CloseRequestResponse::KeepWindowShown;
+        }
+
+        self.on_closed();
+        CloseRequestResponse::HideWindow
+    }
+
+    fn on_closed(&self) {
+        let closed: Vec<_> =
+            self.closed.borrow().iter().map(|(_, callback)| callback.clone()).collect();
+        for callback in closed {
+            let call = || -> Result<()> {
+                callback.get::<JsFunction>()?.call_without_args(None)?;
+                Ok(())
+            };
+            if let Err(error) = call() {
+                ErrorHandler::default().report(&self.env, error, "onClosed");
+            }
+        }
+    }
+}
+
+thread_local! {
+    // The close handlers of the windows, which Slint only allows to register one function for.
+    static CLOSE_HANDLERS: RefCell<Vec<(Weak<dyn WindowAdapter>, Rc<CloseHandlers>)>> =
+        RefCell::new(Vec::new());
+}
+
+fn close_handlers(env: &Env, window_adapter: &WindowAdapterRc) -> Rc<CloseHandlers> {
+    CLOSE_HANDLERS.with(|all_handlers| {
+        let mut all_handlers = all_handlers.borrow_mut();
+        all_handlers.retain(|(window_adapter, _)| window_adapter.strong_count() > 0);
+
+        let weak_window_adapter = Rc::downgrade(window_adapter);
+        if let Some((_, handlers)) =
+            all_handlers.iter().find(|(w, _)| Weak::ptr_eq(w, &weak_window_adapter))
+        {
+            return handlers.clone();
+        }
+
+        let handlers = Rc::new(CloseHandlers::new(*env));
+        window_adapter.window().on_close_requested({
+            let handlers = Rc::downgrade(&handlers);
+            move || match handlers.upgrade() {
+                Some(handlers) => handlers.on_close_requested(),
+                None => CloseRequestResponse::HideWindow,
+            }
+        });
+        all_handlers.push((weak_window_adapter, handlers.clone()));
+        handlers
+    })
+}
+
+/// Calls the functions that were added with `add_close_handler()` to be called when the window was closed. Call this
+/// when the window is hidden from JavaScript, which Slint doesn't notify about.
+pub fn notify_window_hidden(window_adapter: &WindowAdapterRc) {
+    let handlers = CLOSE_HANDLERS.with(|all_handlers| {
+        let weak_window_adapter = Rc::downgrade(window_adapter);
+        all_handlers
+            .borrow()
+            .iter()
+            .find(|(w, _)| Weak::ptr_eq(w, &weak_window_adapter))
+            .map(|(_, handlers)| handlers.clone())
+    });
+    if let Some(handlers) = handlers {
+        handlers.on_closed();
+    }
+}
+
+/// Adds `callback` to the functions that are called when the user requests to close the window. The window
+/// stays open if one of them returns `false`. With `closed` set, adds `callback` to the functions that are called
+/// when the window was closed, by a close request or by `notify_window_hidden()`, instead. Exceptions thrown by the
+/// functions are reported as uncaught exceptions. Returns a function that removes the callback.
+pub fn add_close_handler(
+    env: &Env,
+    window_adapter: &WindowAdapterRc,
+    callback: JsFunction,
+    closed: bool,
+) -> Result<JsFunction> {
+    let callback = Rc::new(RefCountedReference::new(env, callback)?);
+    let handlers = close_handlers(env, window_adapter);
+
+    let id = handlers.next_id.get();
+    handlers.next_id.set(id + 1);
+    if closed {
+        handlers.closed.borrow_mut().push((id, callback));
+    } else {
+        handlers.close_requested.borrow_mut().push((id, callback));
+    }
+
+    let handlers = Rc::downgrade(&handlers);
+    env.create_function_from_closure("removeHandler", move |ctx| {
+        if let Some(handlers) = handlers.upgrade() {
+            handlers.close_requested.borrow_mut().retain(|(i, _)| *i != id);
+            handlers.closed.borrow_mut().retain(|(i, _)| *i != id);
+        }
+        ctx.env.get_undefined()
+    })
+}
+
+/// The JavaScript functions that are called with the new position of a window after it was moved. Slint doesn't
+/// report window moves, so while there are functions, a timer compares the position of the window with the last one
+/// every 100 milliseconds.
+struct MoveHandlers {
+    next_id: Cell<u64>,
+    callbacks: RefCell<Vec<(u64, Rc<RefCountedReference>)>>,
+    position: RefCell<Option<slint_interpreter::Value>>,
+    timer: Timer,
+    window_adapter: Weak<dyn WindowAdapter>,
+    env: Env,
+}
+
+impl MoveHandlers {
+    fn read_position(&self) -> Option<slint_interpreter::Value> {
+        let window_adapter = self.window_adapter.upgrade()?;
+        let window = window_adapter.window();
+        let position = window.position().to_logical(window.scale_factor());
+        Some(slint_interpreter::Value::Struct(slint_interpreter::Struct::from_iter([
+            ("x".to_string(), slint_interpreter::Value::Number(position.x as f64)),
+            ("y".to_string(), slint_interpreter::Value::Number(position.y as f64)),
+        ])))
+    }
+
+    fn start(this: &Rc<Self>) {
+        this.position.replace(this.read_position());
+
+        let handlers = Rc::downgrade(this);
+        this.timer.start(TimerMode::Repeated, std::time::Duration::from_millis(100), move || {
+            if let Some(handlers) = handlers.upgrade() {
+                handlers.check_position();
+            }
+        });
+    }
+
+    fn check_position(&self) {
+        let Some(position) = self.read_position() else {
+            // The window was destroyed.
+            self.timer.stop();
+            return;
+        };
+        if self.position.borrow().as_ref() == Some(&position) {
+            return;
+        }
+        self.position.replace(Some(position.clone()));
+
+        let callbacks: Vec<_> =
+            self.callbacks.borrow().iter().map(|(_, callback)| callback.clone()).collect();
+        for callback in callbacks {
+            let call = || -> Result<()> {
+                callback
+                    .get::<JsFunction>()?
+                    .call(None, &[to_js_unknown(&self.env, &position)?])?;
+                Ok(())
+            };
+            if let Err(error) = call() {
+                ErrorHandler::default().report(&self.env, error, "onMoved");
+            }
+        }
+    }
+}
+
+thread_local! {
+    static MOVE_HANDLERS: RefCell<Vec<(Weak<dyn WindowAdapter>, Rc<MoveHandlers>)>> =
+        RefCell::new(Vec::new());
+}
+
+/// Adds `callback` to the functions that are called with the new logical position of the window after it was moved.
+/// The position is checked every 100 milliseconds while at least one function is registered, see `MoveHandlers`.
+/// Exceptions thrown by the functions are reported as uncaught exceptions. Returns a function that removes the
+/// callback, and stops checking the position after the last one was removed.
+pub fn add_move_handler(
+    env: &Env,
+    window_adapter: &WindowAdapterRc,
+    callback: JsFunction,
+) -> Result<JsFunction> {
+    let callback = Rc::new(RefCountedReference::new(env, callback)?);
+
+    let handlers = MOVE_HANDLERS.with(|all_handlers| {
+        let mut all_handlers = all_handlers.borrow_mut();
+        all_handlers.retain(|(window_adapter, _)| window_adapter.strong_count() > 0);
+
+        let weak_window_adapter = Rc::downgrade(window_adapter);
+        if let Some((_, handlers)) =
+            all_handlers.iter().find(|(w, _)| Weak::ptr_eq(w, &weak_window_adapter))
+        {
+            return handlers.clone();
+        }
+
+        let handlers = Rc::new(MoveHandlers {
+            next_id: Cell::new(0),
+            callbacks: RefCell::new(Vec::new()),
+            position: RefCell::new(None),
+            timer: Timer::default(),
+            window_adapter: weak_window_adapter.clone(),
+            env: *env,
+        });
+        all_handlers.push((weak_window_adapter, handlers.clone()));
+        handlers
+    });
+
+    let id = handlers.next_id.get();
+    handlers.next_id.set(id + 1);
+    handlers.callbacks.borrow_mut().push((id, callback));
+    if !handlers.timer.running() {
+        MoveHandlers::start(&handlers);
+    }
+
+    let handlers = Rc::downgrade(&handlers);
+    env.create_function_from_closure("removeHandler", move |ctx| {
+        if let Some(handlers) = handlers.upgrade() {
+            let mut callbacks = handlers.callbacks.borrow_mut();
+            callbacks.retain(|(i, _)| *i != id);
+            if callbacks.is_empty() {
+                handlers.timer.stop();
+            }
+        }
+        ctx.env.get_undefined()
+    })
+}
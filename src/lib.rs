@@ -7,6 +7,9 @@ pub use interpreter::*;
 mod types;
 pub use types::*;
 
+mod event_loop;
+pub use event_loop::*;
+
 use napi::{Env, JsFunction};
 
 #[macro_use]
@@ -23,22 +26,11 @@ pub fn get_mocked_time() -> f64 {
 }
 
 #[napi]
-pub enum ProcessEventsResult {
-    Continue,
-    Exited,
-}
-
-#[napi]
-pub fn process_events() -> napi::Result<ProcessEventsResult> {
-    i_slint_backend_selector::with_platform(|b| {
-        b.process_events(std::time::Duration::ZERO, i_slint_core::InternalToken)
-    })
-    .map_err(|e| napi::Error::from_reason(e.to_string()))
-    .and_then(|result| {
-        Ok(match result {
-            core::ops::ControlFlow::Continue(()) => ProcessEventsResult::Continue,
-            core::ops::ControlFlow::Break(()) => ProcessEventsResult::Exited,
-        })
+pub fn init_testing_backend() -> napi::Result<()> {
+    std::panic::catch_unwind(i_slint_backend_testing::init).map_err(|_| {
+        napi::Error::from_reason(
+            "The testing backend must be initialized before any window is created.".to_string(),
+        )
     })
 }
 
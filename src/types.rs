@@ -10,6 +10,9 @@ pub use image_data::*;
 mod model;
 pub use model::*;
 
+mod pixel_buffer;
+pub use pixel_buffer::*;
+
 mod point;
 pub use point::*;
 
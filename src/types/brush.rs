@@ -1,9 +1,14 @@
 // Copyright © SixtyFPS GmbH <info@slint.dev>
 // SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
 
-use i_slint_core::{graphics::GradientStop, Brush, Color};
+use i_slint_core::{
+    graphics::{GradientStop, LinearGradientBrush, RadialGradientBrush},
+    Brush, Color,
+};
 use napi::{bindgen_prelude::External, Error, Result};
 
+use super::SlintPoint;
+
 /// RgbaColor represents a color in the Slint run-time, represented using 8-bit channels for red, green, blue and the alpha (opacity).
 #[napi(object)]
 pub struct RgbaColor {
@@ -43,6 +48,30 @@ impl RgbaColor {
     pub fn alpha(&self) -> f64 {
         self.alpha.unwrap_or(255.)
     }
+
+    pub fn to_color(&self) -> Result<Color> {
+        if self.red() < 0. || self.green() < 0. || self.blue() < 0. || self.alpha() < 0. {
+            return Err(Error::from_reason("A channel of Color cannot be negative"));
+        }
+
+        Ok(Color::from_argb_u8(
+            self.alpha().floor() as u8,
+            self.red().floor() as u8,
+            self.green().floor() as u8,
+            self.blue().floor() as u8,
+        ))
+    }
+}
+
+impl From<Color> for RgbaColor {
+    fn from(color: Color) -> Self {
+        Self {
+            red: color.red() as f64,
+            green: color.green() as f64,
+            blue: color.blue() as f64,
+            alpha: Some(color.alpha() as f64),
+        }
+    }
 }
 
 /// SlintRgbaColor implements {@link RgbaColor}.
@@ -162,16 +191,125 @@ impl SlintRgbaColor {
     }
 }
 
+/// GradientStop describes a color at a specific position of a gradient.
+#[napi(object, js_name = "GradientStop")]
+pub struct JsGradientStop {
+    /// Defines the color of the stop.
+    pub color: RgbaColor,
+
+    /// Defines the position of the stop in the range 0..1, where 0 is the start and 1 is the end of the gradient.
+    pub position: f64,
+}
+
+impl From<&GradientStop> for JsGradientStop {
+    fn from(stop: &GradientStop) -> Self {
+        Self { color: stop.color.into(), position: stop.position as f64 }
+    }
+}
+
+impl JsGradientStop {
+    fn to_gradient_stop(&self) -> Result<GradientStop> {
+        Ok(GradientStop { color: self.color.to_color()?, position: self.position as f32 })
+    }
+}
+
+/// LinearGradient describes a gradient where the colors are interpolated along a line.
+#[napi(object, js_name = "LinearGradient")]
+pub struct JsLinearGradient {
+    /// Defines the angle of the gradient line in degrees. An angle of 0 means from bottom to top,
+    /// an angle of 90 means from left to right.
+    pub angle: f64,
+
+    /// Defines the color stops of the gradient.
+    pub stops: Vec<JsGradientStop>,
+}
+
+impl From<&LinearGradientBrush> for JsLinearGradient {
+    fn from(gradient: &LinearGradientBrush) -> Self {
+        Self {
+            angle: gradient.angle() as f64,
+            stops: gradient.stops().map(JsGradientStop::from).collect(),
+        }
+    }
+}
+
+impl JsLinearGradient {
+    pub fn to_brush(&self) -> Result<Brush> {
+        let stops = self.stops.iter().map(|s| s.to_gradient_stop()).collect::<Result<Vec<_>>>()?;
+        Ok(Brush::LinearGradient(LinearGradientBrush::new(self.angle as f32, stops)))
+    }
+}
+
+/// RadialGradient describes a gradient where the colors are interpolated in circles around the center of the shape.
+#[napi(object, js_name = "RadialGradient")]
+pub struct JsRadialGradient {
+    /// Defines the center of the gradient circles, relative to the shape in the range 0..1.
+    /// Slint only supports gradients centered in the shape, so this is always `{ x: 0.5, y: 0.5 }`
+    /// when reading a brush and must be omitted or set to that value when creating one.
+    pub center: Option<SlintPoint>,
+
+    /// Defines the color stops of the gradient, going from the center to the edge.
+    pub stops: Vec<JsGradientStop>,
+}
+
+impl From<&RadialGradientBrush> for JsRadialGradient {
+    fn from(gradient: &RadialGradientBrush) -> Self {
+        Self {
+            center: Some(SlintPoint { x: 0.5, y: 0.5 }),
+            stops: gradient.stops().map(JsGradientStop::from).collect(),
+        }
+    }
+}
+
+impl JsRadialGradient {
+    pub fn to_brush(&self) -> Result<Brush> {
+        if let Some(center) = &self.center {
+            if center.x != 0.5 || center.y != 0.5 {
+                return Err(Error::from_reason(
+                    "Only radial gradients with center { x: 0.5, y: 0.5 } are supported",
+                ));
+            }
+        }
+
+        let stops = self.stops.iter().map(|s| s.to_gradient_stop()).collect::<Result<Vec<_>>>()?;
+        Ok(Brush::RadialGradient(RadialGradientBrush::new_circle(stops)))
+    }
+}
+
 /// A brush is a data structure that is used to describe how
 /// a shape, such as a rectangle, path or even text, shall be filled.
 /// A brush can also be applied to the outline of a shape, that means
 /// the fill of the outline itself.
+///
+/// At most one of `color`, `linearGradient` and `radialGradient` should be set.
 #[napi(object, js_name = "Brush")]
 pub struct JsBrush {
     /// Defines a solid color brush from rgba.
     ///
     /// If no color is set it defaults to transparent.
     pub color: Option<RgbaColor>,
+
+    /// Defines a linear gradient brush.
+    pub linear_gradient: Option<JsLinearGradient>,
+
+    /// Defines a radial gradient brush.
+    pub radial_gradient: Option<JsRadialGradient>,
+}
+
+impl JsBrush {
+    pub fn to_brush(&self) -> Result<Brush> {
+        if let Some(linear_gradient) = &self.linear_gradient {
+            return linear_gradient.to_brush();
+        }
+
+        if let Some(radial_gradient) = &self.radial_gradient {
+            return radial_gradient.to_brush();
+        }
+
+        Ok(Brush::SolidColor(
+            self.color.as_ref().map_or(Ok(Color::default()), |color| color.to_color())?,
+        ))
+    }
 }
 
 /// SlintBrush implements {@link Brush}.
@@ -196,23 +334,18 @@ impl From<SlintRgbaColor> for SlintBrush {
 impl SlintBrush {
     #[napi(constructor)]
     pub fn new_with_color(color: RgbaColor) -> Result<Self> {
-        if color.red() < 0. || color.green() < 0. || color.blue() < 0. || color.alpha() < 0. {
-            return Err(Error::from_reason("A channel of Color cannot be negative"));
-        }
-
-        Ok(Self {
-            inner: Brush::SolidColor(Color::from_argb_u8(
-                color.alpha().floor() as u8,
-                color.red().floor() as u8,
-                color.green().floor() as u8,
-                color.blue().floor() as u8,
-            )),
-        })
+        Ok(Self { inner: Brush::SolidColor(color.to_color()?) })
     }
 
     #[napi(factory)]
     pub fn from_brush(brush: JsBrush) -> Result<Self> {
-        SlintBrush::new_with_color(brush.color.unwrap_or_default())
+        Ok(Self { inner: brush.to_brush()? })
+    }
+
+    /// Creates a brush from a CSS color or a CSS `linear-gradient(...)` or `radial-gradient(...)` expression.
+    #[napi(factory)]
+    pub fn from_string(string: String) -> Result<Self> {
+        Ok(Self { inner: brush_from_string(&string)? })
     }
 
     /// Creates a brush form a `Color`.
@@ -231,6 +364,24 @@ impl SlintBrush {
         self.inner.color().into()
     }
 
+    /// Returns the linear gradient of this brush, or null if the brush is not a linear gradient.
+    #[napi(getter)]
+    pub fn linear_gradient(&self) -> Option<JsLinearGradient> {
+        match &self.inner {
+            Brush::LinearGradient(gradient) => Some(gradient.into()),
+            _ => None,
+        }
+    }
+
+    /// Returns the radial gradient of this brush, or null if the brush is not a radial gradient.
+    #[napi(getter)]
+    pub fn radial_gradient(&self) -> Option<JsRadialGradient> {
+        match &self.inner {
+            Brush::RadialGradient(gradient) => Some(gradient.into()),
+            _ => None,
+        }
+    }
+
     /// Returns true if this brush contains a fully transparent color (alpha value is zero)
     #[napi(getter)]
     pub fn is_transparent(&self) -> bool {
@@ -333,3 +484,109 @@ fn gradient_stops_to_string<'a>(stops: impl Iterator<Item = &'a GradientStop>) -
 
     stops_string
 }
+
+/// Parses a CSS color, or a CSS `linear-gradient(...)` or `radial-gradient(...)` expression, into a brush.
+pub fn brush_from_string(string: &str) -> Result<Brush> {
+    let string = string.trim();
+
+    if let Some(args) = gradient_arguments(string, "linear-gradient") {
+        let mut args = args.as_slice();
+
+        let angle = match args.first().and_then(|first| parse_gradient_angle(first)) {
+            Some(angle) => {
+                args = &args[1..];
+                angle
+            }
+            None => 180.,
+        };
+
+        return Ok(Brush::LinearGradient(LinearGradientBrush::new(
+            angle,
+            parse_gradient_stops(args, string)?,
+        )));
+    }
+
+    if let Some(args) = gradient_arguments(string, "radial-gradient") {
+        let mut args = args.as_slice();
+
+        if args.first().map_or(false, |first| *first == "circle") {
+            args = &args[1..];
+        }
+
+        return Ok(Brush::RadialGradient(RadialGradientBrush::new_circle(parse_gradient_stops(
+            args, string,
+        )?)));
+    }
+
+    Ok(Brush::SolidColor(parse_color(string)?))
+}
+
+fn parse_color(string: &str) -> Result<Color> {
+    let c = string
+        .parse::<css_color_parser2::Color>()
+        .map_err(|_| Error::from_reason(format!("Could not convert {string} to Brush.")))?;
+
+    Ok(Color::from_argb_u8((c.a * 255.) as u8, c.r, c.g, c.b))
+}
+
+// Returns the comma separated arguments of `function(...)`, ignoring commas nested in parentheses.
+fn gradient_arguments<'a>(string: &'a str, function: &str) -> Option<Vec<&'a str>> {
+    let args = string.strip_prefix(function)?.trim_start().strip_prefix('(')?.strip_suffix(')')?;
+
+    let mut result = vec![];
+    let mut depth = 0;
+    let mut start = 0;
+
+    for (i, c) in args.char_indices() {
+        match c {
+            '(' => depth += 1,
+            ')' => depth -= 1,
+            ',' if depth == 0 => {
+                result.push(args[start..i].trim());
+                start = i + 1;
+            }
+            _ => {}
+        }
+    }
+    result.push(args[start..].trim());
+
+    Some(result)
+}
+
+fn parse_gradient_angle(arg: &str) -> Option<f32> {
+    match arg {
+        "to top" => Some(0.),
+        "to right" => Some(90.),
+        "to bottom" => Some(180.),
+        "to left" => Some(270.),
+        _ => arg.strip_suffix("deg")?.trim().parse().ok(),
+    }
+}
+
+// Parses stops of the form `<color> [<position>%]`. Stops without a position are distributed evenly.
+fn parse_gradient_stops(args: &[&str], gradient: &str) -> Result<Vec<GradientStop>> {
+    if args.is_empty() {
+        return Err(Error::from_reason(format!("Could not convert {gradient} to Brush.")));
+    }
+
+    let count = args.len();
+
+    args.iter()
+        .enumerate()
+        .map(|(i, arg)| {
+            let default_position = if count > 1 { i as f32 / (count - 1) as f32 } else { 0. };
+
+            let (color, position) = match arg.rsplit_once(char::is_whitespace) {
+                Some((color, position)) if position.ends_with('%') => {
+                    let position = position.trim_end_matches('%').parse::<f32>().map_err(|_| {
+                        Error::from_reason(format!("Could not convert {gradient} to Brush."))
+                    })?;
+                    (color.trim(), position / 100.)
+                }
+                _ => (*arg, default_position),
+            };
+
+            Ok(GradientStop { color: parse_color(color)?, position })
+        })
+        .collect()
+}
@@ -4,7 +4,7 @@
 use std::vec;
 
 use i_slint_core::{
-    graphics::{Image, SharedImageBuffer, SharedPixelBuffer},
+    graphics::{euclid, Image, Rgba8Pixel, SharedImageBuffer, SharedPixelBuffer},
     ImageInner,
 };
 use napi::{
@@ -12,6 +12,8 @@ use napi::{
     Env, JsUnknown,
 };
 
+use super::SlintSize;
+
 // This is needed for typedoc check JsImageData::image
 pub type ImageData = Image;
 
@@ -36,6 +38,37 @@ impl SlintImageData {
         Self { inner: Image::from_rgba8(SharedPixelBuffer::new(width, height)) }
     }
 
+    /// Loads and decodes the PNG, JPEG or SVG image at the given path. SVG images are rendered at `size` if given,
+    /// and at their natural size otherwise. The file is decoded like the data passed to `load_from_buffer()`, so
+    /// the format is detected from the contents, not from the file extension.
+    #[napi(factory)]
+    pub fn load_from_file(path: String, size: Option<SlintSize>) -> napi::Result<Self> {
+        let data = std::fs::read(&path)
+            .map_err(|_| napi::Error::from_reason(format!("Cannot load image from file {path}")))?;
+        decode(&data, size)
+    }
+
+    /// Decodes the PNG, JPEG or SVG image in the given buffer. SVG images are rendered at `size` if given, and at
+    /// their natural size otherwise.
+    #[napi(factory)]
+    pub fn load_from_buffer(data: Buffer, size: Option<SlintSize>) -> napi::Result<Self> {
+        decode(&data, size)
+    }
+
+    /// Encodes the image as PNG and returns the encoded data.
+    #[napi]
+    pub fn to_png(&self) -> napi::Result<Buffer> {
+        let data = self.data();
+        let image = image::RgbaImage::from_raw(self.width(), self.height(), data.to_vec())
+            .ok_or_else(|| napi::Error::from_reason("Cannot encode image as PNG".to_string()))?;
+
+        let mut png = std::io::Cursor::new(Vec::new());
+        image
+            .write_to(&mut png, image::ImageOutputFormat::Png)
+            .map_err(|e| napi::Error::from_reason(format!("Cannot encode image as PNG: {e}")))?;
+        Ok(png.into_inner().into())
+    }
+
     /// Returns the width of the image in pixels.
     #[napi(getter)]
     pub fn width(&self) -> u32 {
@@ -63,10 +96,7 @@ impl SlintImageData {
                 }
                 SharedImageBuffer::RGBA8(buffer) => return Buffer::from(buffer.as_bytes()),
                 SharedImageBuffer::RGBA8Premultiplied(buffer) => {
-                    return Buffer::from(rgb_to_rgba(
-                        buffer.as_bytes(),
-                        (self.width() * self.height()) as usize,
-                    ))
+                    return Buffer::from(premultiplied_to_rgba(buffer.as_bytes()))
                 }
             }
         }
@@ -105,3 +135,105 @@ fn rgb_to_rgba(bytes: &[u8], size: usize) -> Vec<u8> {
 
     rgba_bytes
 }
+
+fn premultiplied_to_rgba(bytes: &[u8]) -> Vec<u8> {
+    bytes
+        .chunks_exact(4)
+        .flat_map(|pixel| {
+            let alpha = pixel[3] as u16;
+            let unpremultiply = |channel: u8| {
+                if alpha == 0 {
+                    0
+                } else {
+                    (channel as u16 * 255 / alpha).min(255) as u8
+                }
+            };
+            [unpremultiply(pixel[0]), unpremultiply(pixel[1]), unpremultiply(pixel[2]), pixel[3]]
+        })
+        .collect()
+}
+
+// Decodes SVG images, also gzip-compressed ones, with Slint's SVG renderer, and PNG and JPEG images with the
+// image crate.
+fn decode(data: &[u8], size: Option<SlintSize>) -> napi::Result<SlintImageData> {
+    if is_svg(data) {
+        let image = Image::load_from_svg_data(data)
+            .map_err(|_| napi::Error::from_reason("Cannot decode SVG image".to_string()))?;
+        return rasterize(image, size);
+    }
+
+    let decoded = image::load_from_memory(data)
+        .map_err(|e| napi::Error::from_reason(format!("Cannot decode image: {e}")))?
+        .into_rgba8();
+    Ok(Image::from_rgba8(SharedPixelBuffer::<Rgba8Pixel>::clone_from_slice(
+        decoded.as_raw(),
+        decoded.width(),
+        decoded.height(),
+    ))
+    .into())
+}
+
+// Encoded data has no file extension that tells SVG images apart, so check whether the root element of the XML
+// document is an svg element. The byte order mark, the XML declaration, processing instructions, comments and the
+// doctype may come before it. Compressed SVG images start with the gzip header, which PNG and JPEG images don't.
+fn is_svg(data: &[u8]) -> bool {
+    if data.starts_with(&[0x1f, 0x8b]) {
+        return true;
+    }
+
+    let mut rest = data.strip_prefix(b"\xef\xbb\xbf".as_slice()).unwrap_or(data);
+    loop {
+        rest = &rest[rest.iter().position(|b| !b.is_ascii_whitespace()).unwrap_or(rest.len())..];
+        let skipped = if rest.starts_with(b"<?") {
+            skip_past(rest, b"?>")
+        } else if rest.starts_with(b"<!--") {
+            skip_past(rest, b"-->")
+        } else if rest.starts_with(b"<!DOCTYPE") {
+            // The internal subset of the doctype may contain `>` in its declarations.
+            match rest.iter().position(|b| *b == b'[' || *b == b'>') {
+                Some(i) if rest[i] == b'[' => {
+                    skip_past(&rest[i..], b"]").and_then(|r| skip_past(r, b">"))
+                }
+                _ => skip_past(rest, b">"),
+            }
+        } else {
+            break;
+        };
+        match skipped {
+            Some(skipped) => rest = skipped,
+            None => return false,
+        }
+    }
+
+    let Some(element) = rest.strip_prefix(b"<") else {
+        return false;
+    };
+    let name_end = element
+        .iter()
+        .position(|b| b.is_ascii_whitespace() || *b == b'>' || *b == b'/')
+        .unwrap_or(element.len());
+    let name = &element[..name_end];
+    // The element may have a namespace prefix, as in `<svg:svg>`.
+    let local_name = name.iter().rposition(|b| *b == b':').map_or(name, |i| &name[i + 1..]);
+    local_name == b"svg"
+}
+
+// Returns the data after the first occurrence of `end`, if any.
+fn skip_past<'a>(data: &'a [u8], end: &[u8]) -> Option<&'a [u8]> {
+    data.windows(end.len()).position(|window| window == end).map(|i| &data[i + end.len()..])
+}
+
+// Renders scalable images, such as SVG images, to pixels, at `size` or at their natural size.
+fn rasterize(image: Image, size: Option<SlintSize>) -> napi::Result<SlintImageData> {
+    let size = size.map(|size| euclid::size2(size.width as u32, size.height as u32));
+    let image_inner: &ImageInner = (&image).into();
+
+    match image_inner.render_to_buffer(size) {
+        Some(SharedImageBuffer::RGB8(buffer)) => Ok(Image::from_rgb8(buffer).into()),
+        Some(SharedImageBuffer::RGBA8(buffer)) => Ok(Image::from_rgba8(buffer).into()),
+        Some(SharedImageBuffer::RGBA8Premultiplied(buffer)) => {
+            Ok(Image::from_rgba8_premultiplied(buffer).into())
+        }
+        None => Err(napi::Error::from_reason("Cannot render image".to_string())),
+    }
+}
@@ -1,16 +1,33 @@
 // Copyright © SixtyFPS GmbH <info@slint.dev>
 // SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
 
+use std::cell::RefCell;
 use std::rc::{Rc, Weak};
 
 use i_slint_compiler::langtype::Type;
 use i_slint_core::model::Model;
-use napi::{
-    bindgen_prelude::Object, Env, JsFunction, JsNumber, JsUnknown, NapiRaw, Result, ValueType,
-};
+use napi::{bindgen_prelude::Object, Env, JsFunction, JsUnknown, NapiRaw, Result, ValueType};
 use slint_interpreter::Value;
 
-use crate::{to_js_unknown, to_value, RefCountedReference};
+use crate::{error_to_js, report_uncaught, to_js_unknown, to_value_at, RefCountedReference};
+
+thread_local! {
+    static MODEL_ERROR_HANDLER: RefCell<Option<RefCountedReference>> = RefCell::new(None);
+}
+
+/// Sets the function that is called with the error, the row and the model when `rowCount()`, `rowData()` or
+/// `setRowData()` of a model throws, or with a `TypeError` when a row can't be converted to the type of the model's
+/// rows. The row is then left empty. The row is undefined for errors of `rowCount()`. Without a handler, or if the
+/// handler throws, the error is reported to Node.js as an uncaught exception.
+#[napi]
+pub fn set_model_error_handler(env: Env, handler: Option<JsFunction>) -> Result<()> {
+    let handler = match handler {
+        Some(handler) => Some(RefCountedReference::new(&env, handler)?),
+        None => None,
+    };
+    MODEL_ERROR_HANDLER.with(|h| *h.borrow_mut() = handler);
+    Ok(())
+}
 
 pub struct JsModel {
     model: RefCountedReference,
@@ -38,46 +55,74 @@ impl JsModel {
     pub fn model(&self) -> &RefCountedReference {
         &self.model
     }
+
+    // Passes the error to the handler set with `setModelErrorHandler()`, or reports it as an uncaught exception if
+    // there is none, because Slint calls the model while it renders, where there is no JavaScript caller to throw to.
+    // `row` is the row that was read or written, if any.
+    fn report_error(&self, error: napi::Error, row: Option<usize>) {
+        let Ok(error) = error_to_js(&self.env, error) else {
+            return;
+        };
+        let handler = MODEL_ERROR_HANDLER
+            .with(|handler| handler.borrow().as_ref().and_then(|h| h.get::<JsFunction>().ok()));
+        let Some(handler) = handler else {
+            report_uncaught(&self.env, error);
+            return;
+        };
+
+        let report = || -> Result<()> {
+            let row = match row {
+                Some(row) => self.env.create_double(row as f64)?.into_unknown(),
+                None => self.env.get_undefined()?.into_unknown(),
+            };
+            let model = self.model.get::<JsUnknown>()?;
+            handler.call(None, &[error, row, model])?;
+            Ok(())
+        };
+        if let Err(error) = report() {
+            if let Ok(error) = error_to_js(&self.env, error) {
+                report_uncaught(&self.env, error);
+            }
+        }
+    }
 }
 
 impl Model for JsModel {
     type Data = slint_interpreter::Value;
 
     fn row_count(&self) -> usize {
-        let model: Object = self.model.get().unwrap();
-        model
-            .get::<&str, JsFunction>("rowCount")
-            .ok()
-            .and_then(|callback| {
-                callback.and_then(|callback| callback.call::<JsUnknown>(Some(&model), &[]).ok())
-            })
-            .and_then(|res| res.coerce_to_number().ok())
-            .map(|num| num.get_uint32().ok().map_or(0, |count| count as usize))
-            .unwrap_or_default()
+        let row_count = || -> Result<usize> {
+            let model: Object = self.model.get()?;
+            let Some(row_count) = model.get::<&str, JsFunction>("rowCount")? else {
+                return Ok(0);
+            };
+            let count = row_count.call::<JsUnknown>(Some(&model), &[])?.coerce_to_number()?;
+            Ok(count.get_uint32()? as usize)
+        };
+
+        row_count().unwrap_or_else(|error| {
+            self.report_error(error, None);
+            0
+        })
     }
 
     fn row_data(&self, row: usize) -> Option<Self::Data> {
-        let model: Object = self.model.get().unwrap();
-        model
-            .get::<&str, JsFunction>("rowData")
-            .ok()
-            .and_then(|callback| {
-                callback.and_then(|callback| {
-                    callback
-                        .call::<JsNumber>(
-                            Some(&model),
-                            &[self.env.create_double(row as f64).unwrap()],
-                        )
-                        .ok()
-                })
-            })
-            .and_then(|res| {
-                if res.get_type().unwrap() == ValueType::Undefined {
-                    None
-                } else {
-                    to_value(&self.env, res, self.data_type.clone()).ok()
-                }
-            })
+        let row_data = || -> Result<Option<Value>> {
+            let model: Object = self.model.get()?;
+            let Some(row_data) = model.get::<&str, JsFunction>("rowData")? else {
+                return Ok(None);
+            };
+            let data = row_data.call(Some(&model), &[self.env.create_double(row as f64)?])?;
+            if data.get_type()? == ValueType::Undefined {
+                return Ok(None);
+            }
+            to_value_at(&self.env, data, self.data_type.clone(), &format!("model[{row}]")).map(Some)
+        };
+
+        row_data().unwrap_or_else(|error| {
+            self.report_error(error, Some(row));
+            None
+        })
     }
 
     fn model_tracker(&self) -> &dyn i_slint_core::model::ModelTracker {
@@ -85,20 +130,19 @@ impl Model for JsModel {
     }
 
     fn set_row_data(&self, row: usize, data: Self::Data) {
-        let model: Object = self.model.get().unwrap();
-        model.get::<&str, JsFunction>("setRowData").ok().and_then(|callback| {
-            callback.and_then(|callback| {
-                callback
-                    .call::<JsUnknown>(
-                        Some(&model),
-                        &[
-                            to_js_unknown(&self.env, &Value::Number(row as f64)).unwrap(),
-                            to_js_unknown(&self.env, &data).unwrap(),
-                        ],
-                    )
-                    .ok()
-            })
-        });
+        let set_row_data = || -> Result<()> {
+            let model: Object = self.model.get()?;
+            if let Some(set_row_data) = model.get::<&str, JsFunction>("setRowData")? {
+                let row = to_js_unknown(&self.env, &Value::Number(row as f64))?;
+                let data = to_js_unknown(&self.env, &data)?;
+                set_row_data.call(Some(&model), &[row, data])?;
+            }
+            Ok(())
+        };
+
+        if let Err(error) = set_row_data() {
+            self.report_error(error, Some(row));
+        }
     }
 
     fn as_any(&self) -> &dyn core::any::Any {
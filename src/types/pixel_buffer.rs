@@ -0,0 +1,207 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+use std::cell::RefCell;
+use std::rc::{Rc, Weak};
+
+use i_slint_core::{
+    graphics::{Image, Rgba8Pixel, SharedImageBuffer, SharedPixelBuffer},
+    ImageInner,
+};
+use napi::{bindgen_prelude::External, Env, JsBuffer, JsExternal, JsObject, JsUnknown, ValueType};
+use slint_interpreter::{ComponentHandle, ComponentInstance, Value};
+
+use super::ImageData;
+use crate::RefCountedReference;
+
+thread_local! {
+    // The state of the pixel buffers, to find the pixel buffer that an image belongs to.
+    static PIXEL_BUFFERS: RefCell<Vec<Weak<PixelBufferState>>> = RefCell::new(Vec::new());
+}
+
+/// A property of a component instance or of one of its globals that was set to a pixel buffer.
+pub struct PixelBufferUser {
+    instance: slint_interpreter::Weak<ComponentInstance>,
+    global_name: Option<String>,
+    property_name: String,
+}
+
+impl PixelBufferUser {
+    fn get(&self, instance: &ComponentInstance) -> Option<Value> {
+        match &self.global_name {
+            Some(global_name) => {
+                instance.get_global_property(global_name, &self.property_name).ok()
+            }
+            None => instance.get_property(&self.property_name).ok(),
+        }
+    }
+
+    fn set(&self, instance: &ComponentInstance, value: Value) {
+        match &self.global_name {
+            Some(global_name) => {
+                instance.set_global_property(global_name, &self.property_name, value).ok();
+            }
+            None => {
+                instance.set_property(&self.property_name, value).ok();
+            }
+        }
+    }
+}
+
+/// The pixels of a pixel buffer, and the properties that are set to it.
+struct PixelBufferState {
+    // The pixels that JavaScript writes to and that Slint renders, without copying them in between.
+    pixels: SharedPixelBuffer<Rgba8Pixel>,
+    users: RefCell<Vec<PixelBufferUser>>,
+}
+
+impl PixelBufferState {
+    fn owns(&self, image: &Image) -> bool {
+        pixels_of(image) == Some(self.pixels.as_bytes().as_ptr())
+    }
+}
+
+// Returns the address of the pixel memory of an RGBA image.
+fn pixels_of(image: &Image) -> Option<*const u8> {
+    let image_inner: &ImageInner = image.into();
+    match image_inner {
+        ImageInner::EmbeddedImage { buffer: SharedImageBuffer::RGBA8(buffer), .. } => {
+            Some(buffer.as_bytes().as_ptr())
+        }
+        _ => None,
+    }
+}
+
+/// SlintPixelBuffer implements {@link PixelBuffer}.
+#[napi]
+pub struct SlintPixelBuffer {
+    // A `Buffer` that accesses the memory of the pixels in `state`.
+    data: RefCountedReference,
+    state: Rc<PixelBufferState>,
+}
+
+#[napi]
+impl SlintPixelBuffer {
+    /// Constructs a new pixel buffer with the given width and height.
+    /// Each pixel will set to red = 0, green = 0, blue = 0 and alpha = 0.
+    #[napi(constructor)]
+    pub fn new(env: Env, width: u32, height: u32) -> napi::Result<Self> {
+        let mut pixels = SharedPixelBuffer::<Rgba8Pixel>::new(width, height);
+        // The pixels aren't shared yet, so this doesn't copy them. Their memory doesn't move afterwards, as they're
+        // never changed through Rust, and the Buffer keeps a reference to them until it's garbage collected.
+        let (bytes, length) = {
+            let bytes = pixels.make_mut_bytes();
+            (bytes.as_mut_ptr(), bytes.len())
+        };
+        let data = unsafe {
+            env.create_buffer_with_borrowed_data(bytes, length, pixels.clone(), |pixels, _| {
+                drop(pixels)
+            })
+        }?
+        .into_raw();
+        let state = Rc::new(PixelBufferState { pixels, users: RefCell::new(Vec::new()) });
+        PIXEL_BUFFERS.with(|pixel_buffers| {
+            let mut pixel_buffers = pixel_buffers.borrow_mut();
+            pixel_buffers.retain(|state| state.strong_count() > 0);
+            pixel_buffers.push(Rc::downgrade(&state));
+        });
+        Ok(Self { data: RefCountedReference::new(&env, data)?, state })
+    }
+
+    /// Returns the width of the image in pixels.
+    #[napi(getter)]
+    pub fn width(&self) -> u32 {
+        self.state.pixels.width()
+    }
+
+    /// Returns the height of the image in pixels.
+    #[napi(getter)]
+    pub fn height(&self) -> u32 {
+        self.state.pixels.height()
+    }
+
+    /// Returns the Buffer that the pixels are written to. It's the same Buffer on every call, and it accesses the
+    /// memory that Slint renders the pixels from; call `markDirty()` after writing to it to show the changes.
+    #[napi(getter)]
+    pub fn data(&self) -> napi::Result<JsBuffer> {
+        self.data.get()
+    }
+
+    /// Makes Slint show the changes of the pixels: sets the properties that are set to this pixel buffer to an
+    /// empty image and back, so that Slint redraws them. Setting them to the image only wouldn't change them, as
+    /// it's equal to itself.
+    #[napi]
+    pub fn mark_dirty(&self) {
+        let image = self.image_data();
+
+        self.state.users.borrow_mut().retain(|user| {
+            let Some(instance) = user.instance.upgrade() else {
+                return false;
+            };
+            // The property may have been set to another value in the meantime.
+            if matches!(user.get(&instance), Some(Value::Image(current)) if self.state.owns(&current))
+            {
+                user.set(&instance, Value::Image(Image::default()));
+                user.set(&instance, Value::Image(image.clone()));
+            }
+            true
+        });
+    }
+
+    /// @hidden
+    #[napi(getter)]
+    pub fn image(&self) -> External<ImageData> {
+        External::new(self.image_data())
+    }
+
+    fn image_data(&self) -> Image {
+        Image::from_rgba8(self.state.pixels.clone())
+    }
+}
+
+/// Remembers that the property of the component instance, or of its global if `global_name` is set, was set to
+/// `js_value`, if `js_value` is a pixel buffer, so that `markDirty()` can update the property.
+pub fn register_pixel_buffer_user(
+    env: &Env,
+    js_value: &JsUnknown,
+    instance: &ComponentInstance,
+    global_name: Option<&str>,
+    property_name: &str,
+) -> napi::Result<()> {
+    if js_value.get_type()? != ValueType::Object {
+        return Ok(());
+    }
+
+    let object: JsObject = unsafe { js_value.cast() };
+    let Some(image) = object.get::<_, JsExternal>("image").ok().flatten() else {
+        return Ok(());
+    };
+    let Ok(image) = env.get_value_external::<Image>(&image) else {
+        return Ok(());
+    };
+    let Some(state) = PIXEL_BUFFERS.with(|pixel_buffers| {
+        pixel_buffers
+            .borrow()
+            .iter()
+            .filter_map(|state| state.upgrade())
+            .find(|state| state.owns(&image))
+    }) else {
+        return Ok(());
+    };
+
+    let mut users = state.users.borrow_mut();
+    let is_registered = users.iter().any(|user| {
+        user.global_name.as_deref() == global_name
+            && user.property_name == property_name
+            // Every component instance has its own window.
+            && user.instance.upgrade().is_some_and(|i| std::ptr::eq(i.window(), instance.window()))
+    });
+    if !is_registered {
+        users.push(PixelBufferUser {
+            instance: instance.as_weak(),
+            global_name: global_name.map(|name| name.to_string()),
+            property_name: property_name.to_string(),
+        });
+    }
+    Ok(())
+}
@@ -0,0 +1,141 @@
+import { ComponentHandle, Point, Size } from "./index";
+import { ElementHandle, ElementQuery } from "./rust-module";
+export type { ElementHandle, ElementQuery } from "./rust-module";
+/**
+ * Selects the headless testing backend, which renders nothing and doesn't open any windows on the screen,
+ * for components that are created afterwards. Call this before loading any `.slint` file and creating
+ * components, typically at the start of a test file.
+ *
+ * @throws {@link Error} if a window was already created with a different backend.
+ */
+export declare function initTestingBackend(): void;
+/**
+ * Returns handles to all the elements of the component that match the query, in the order in which they
+ * are declared. Elements created by `for` and `if` are included as far as they currently exist.
+ *
+ * ```js
+ * let buttons = findElements(component, { accessibleRole: "button" });
+ * ```
+ *
+ * @param component The component to search.
+ * @param query The criteria that the elements must match. An element matches if it matches all the criteria that are set.
+ */
+export declare function findElements(component: ComponentHandle, query: ElementQuery): ElementHandle[];
+/**
+ * Returns a handle to the single element of the component that matches the query.
+ *
+ * ```js
+ * findElement(component, { accessibleRole: "button", accessibleLabel: "OK" }).click();
+ * ```
+ *
+ * @param component The component to search.
+ * @param query The criteria that the element must match. An element matches if it matches all the criteria that are set.
+ * @throws {@link Error} if no element or more than one element matches the query.
+ */
+export declare function findElement(component: ComponentHandle, query: ElementQuery): ElementHandle;
+/**
+ * A mouse button of a simulated pointer event.
+ */
+export type PointerButton = "left" | "right" | "middle";
+/**
+ * A modifier key that is held down while a simulated key is pressed.
+ */
+export type Modifier = "Shift" | "Control" | "Alt" | "Meta";
+/**
+ * Simulates moving the mouse pointer to the position `x`, `y` in logical pixels, relative to the window.
+ */
+export declare function sendPointerMove(component: ComponentHandle, x: number, y: number): void;
+/**
+ * Simulates pressing a mouse button at the position `x`, `y` in logical pixels, relative to the window.
+ */
+export declare function sendPointerPress(component: ComponentHandle, x: number, y: number, button?: PointerButton): void;
+/**
+ * Simulates releasing a mouse button at the position `x`, `y` in logical pixels, relative to the window.
+ */
+export declare function sendPointerRelease(component: ComponentHandle, x: number, y: number, button?: PointerButton): void;
+/**
+ * Simulates dragging with the mouse: presses the button at `from`, moves the pointer to `to` in `steps`
+ * intermediate moves, and releases the button there.
+ *
+ * ```js
+ * sendDrag(component, { x: 10, y: 10 }, { x: 10, y: 110 }, { steps: 5 });
+ * ```
+ */
+export declare function sendDrag(component: ComponentHandle, from: Point, to: Point, options?: {
+    button?: PointerButton;
+    steps?: number;
+}): void;
+/**
+ * Simulates turning the mouse wheel with the pointer at the position `x`, `y`. The deltas are in logical pixels;
+ * a negative `deltaY` scrolls down.
+ */
+export declare function sendWheel(component: ComponentHandle, x: number, y: number, deltaX: number, deltaY: number): void;
+/**
+ * Simulates pressing a key, after pressing the given modifier keys.
+ *
+ * @param key Either the text that the key produces, such as `"a"`, or the name of a special key: `"Backspace"`,
+ * `"Tab"`, `"Return"`, `"Escape"`, `"Delete"`, `"UpArrow"`, `"DownArrow"`, `"LeftArrow"`, `"RightArrow"`,
+ * `"Home"`, `"End"`, `"PageUp"`, `"PageDown"`, `"Insert"`, `"F1"` to `"F24"`, or a modifier key.
+ * @param modifiers The modifier keys to hold down while the key is pressed.
+ */
+export declare function sendKeyDown(component: ComponentHandle, key: string, modifiers?: Modifier[]): void;
+/**
+ * Simulates releasing a key, followed by releasing the given modifier keys. See {@link sendKeyDown}.
+ */
+export declare function sendKeyUp(component: ComponentHandle, key: string, modifiers?: Modifier[]): void;
+/**
+ * Simulates pressing and releasing a key while holding down the given modifier keys, for example a shortcut.
+ * See {@link sendKeyDown}.
+ *
+ * ```js
+ * sendKeyPress(component, "s", ["Control"]);
+ * ```
+ */
+export declare function sendKeyPress(component: ComponentHandle, key: string, modifiers?: Modifier[]): void;
+/**
+ * Simulates the user requesting to close the window, for example with the close button of the title bar. The
+ * functions registered with `window.onCloseRequested()` are called, and the window is hidden unless one of them
+ * returns `false`.
+ */
+export declare function sendCloseRequest(component: ComponentHandle): void;
+/**
+ * Options for {@link assertMatchesSnapshot}.
+ */
+export interface SnapshotOptions {
+    /**
+     * The largest difference of a color channel, in the range 0..255, for which a pixel is still considered equal to
+     * the pixel of the reference image. Defaults to 0.
+     */
+    tolerance?: number;
+    /**
+     * The physical size to render the window at. Defaults to the current physical size of the window.
+     */
+    size?: Size;
+    /**
+     * The path of the image that marks the differing pixels in red, written when the comparison fails.
+     * Defaults to the path of the reference image with the `.diff.png` extension.
+     */
+    diffPath?: string;
+}
+/**
+ * Renders the component's window with the software renderer and compares it with the reference PNG image at
+ * `referencePath`. If the reference image doesn't exist yet, the rendered image is written there instead and the
+ * assertion passes; commit it to use it in later test runs. Delete it to update the reference image.
+ *
+ * If the images differ, an image that marks the differing pixels is written to the {@link SnapshotOptions.diffPath}
+ * and an error is thrown.
+ *
+ * This function requires the [`jimp`](https://www.npmjs.com/package/jimp) package to be installed.
+ *
+ * ```js
+ * initTestingBackend();
+ * let component = new ui.MainWindow();
+ * await assertMatchesSnapshot(component, "test/golden/main-window.png", { size: { width: 320, height: 240 }, tolerance: 2 });
+ * ```
+ *
+ * @param component The component to render.
+ * @param referencePath The path of the reference PNG image.
+ * @param options Options for rendering and comparing the images.
+ * @throws {@link Error} if the rendered image differs from the reference image.
+ */
+export declare function assertMatchesSnapshot(component: ComponentHandle, referencePath: string, options?: SnapshotOptions): Promise<void>;
@@ -0,0 +1,280 @@
+// Copyright © SixtyFPS GmbH <info@slint.dev>
+// SPDX-License-Identifier: GPL-3.0-only OR LicenseRef-Slint-Royalty-free-1.1 OR LicenseRef-Slint-commercial
+
+// This file is the `slint-ui/testing` entry point, with functions to find the elements of a component
+// in tests, to interact with them, and to compare the rendered component with reference images.
+
+import * as fs from "fs";
+import * as path from "path";
+import { ComponentHandle, Point, Size, private_api } from "./index";
+import { ElementHandle, ElementQuery } from "./rust-module";
+
+export type { ElementHandle, ElementQuery } from "./rust-module";
+
+/**
+ * Selects the headless testing backend, which renders nothing and doesn't open any windows on the screen,
+ * for components that are created afterwards. Call this before loading any `.slint` file and creating
+ * components, typically at the start of a test file.
+ *
+ * @throws {@link Error} if a window was already created with a different backend.
+ */
+export function initTestingBackend() {
+    private_api.init_testing_backend();
+}
+
+function describeQuery(query: ElementQuery): string {
+    const criteria: string[] = [];
+    if (query.accessibleRole !== undefined) {
+        criteria.push(`accessible role "${query.accessibleRole}"`);
+    }
+    if (query.accessibleLabel !== undefined) {
+        criteria.push(`accessible label "${query.accessibleLabel}"`);
+    }
+    if (query.id !== undefined) {
+        criteria.push(`id "${query.id}"`);
+    }
+    return criteria.length > 0 ? criteria.join(" and ") : "any criteria";
+}
+
+/**
+ * Returns handles to all the elements of the component that match the query, in the order in which they
+ * are declared. Elements created by `for` and `if` are included as far as they currently exist.
+ *
+ * ```js
+ * let buttons = findElements(component, { accessibleRole: "button" });
+ * ```
+ *
+ * @param component The component to search.
+ * @param query The criteria that the elements must match. An element matches if it matches all the criteria that are set.
+ */
+export function findElements(component: ComponentHandle, query: ElementQuery): ElementHandle[] {
+    return private_api.component_instance(component).findElements(query);
+}
+
+/**
+ * Returns a handle to the single element of the component that matches the query.
+ *
+ * ```js
+ * findElement(component, { accessibleRole: "button", accessibleLabel: "OK" }).click();
+ * ```
+ *
+ * @param component The component to search.
+ * @param query The criteria that the element must match. An element matches if it matches all the criteria that are set.
+ * @throws {@link Error} if no element or more than one element matches the query.
+ */
+export function findElement(component: ComponentHandle, query: ElementQuery): ElementHandle {
+    const elements = findElements(component, query);
+
+    if (elements.length === 0) {
+        throw new Error(`No element matches ${describeQuery(query)}`);
+    }
+    if (elements.length > 1) {
+        throw new Error(`${elements.length} elements match ${describeQuery(query)}, expected one`);
+    }
+    return elements[0];
+}
+
+/**
+ * A mouse button of a simulated pointer event.
+ */
+export type PointerButton = "left" | "right" | "middle";
+
+/**
+ * A modifier key that is held down while a simulated key is pressed.
+ */
+export type Modifier = "Shift" | "Control" | "Alt" | "Meta";
+
+/**
+ * Simulates moving the mouse pointer to the position `x`, `y` in logical pixels, relative to the window.
+ */
+export function sendPointerMove(component: ComponentHandle, x: number, y: number) {
+    private_api.component_instance(component).sendPointerMoved(x, y);
+}
+
+/**
+ * Simulates pressing a mouse button at the position `x`, `y` in logical pixels, relative to the window.
+ */
+export function sendPointerPress(component: ComponentHandle, x: number, y: number, button: PointerButton = "left") {
+    private_api.component_instance(component).sendPointerPressed(x, y, button);
+}
+
+/**
+ * Simulates releasing a mouse button at the position `x`, `y` in logical pixels, relative to the window.
+ */
+export function sendPointerRelease(component: ComponentHandle, x: number, y: number, button: PointerButton = "left") {
+    private_api.component_instance(component).sendPointerReleased(x, y, button);
+}
+
+/**
+ * Simulates dragging with the mouse: presses the button at `from`, moves the pointer to `to` in `steps`
+ * intermediate moves, and releases the button there.
+ *
+ * ```js
+ * sendDrag(component, { x: 10, y: 10 }, { x: 10, y: 110 }, { steps: 5 });
+ * ```
+ */
+export function sendDrag(component: ComponentHandle, from: Point, to: Point, options?: { button?: PointerButton, steps?: number }) {
+    const button = options?.button ?? "left";
+    const steps = Math.max(1, options?.steps ?? 1);
+
+    sendPointerMove(component, from.x, from.y);
+    sendPointerPress(component, from.x, from.y, button);
+    for (let step = 1; step <= steps; step++) {
+        sendPointerMove(component, from.x + (to.x - from.x) * step / steps, from.y + (to.y - from.y) * step / steps);
+    }
+    sendPointerRelease(component, to.x, to.y, button);
+}
+
+/**
+ * Simulates turning the mouse wheel with the pointer at the position `x`, `y`. The deltas are in logical pixels;
+ * a negative `deltaY` scrolls down.
+ */
+export function sendWheel(component: ComponentHandle, x: number, y: number, deltaX: number, deltaY: number) {
+    private_api.component_instance(component).sendPointerScrolled(x, y, deltaX, deltaY);
+}
+
+/**
+ * Simulates pressing a key, after pressing the given modifier keys.
+ *
+ * @param key Either the text that the key produces, such as `"a"`, or the name of a special key: `"Backspace"`,
+ * `"Tab"`, `"Return"`, `"Escape"`, `"Delete"`, `"UpArrow"`, `"DownArrow"`, `"LeftArrow"`, `"RightArrow"`,
+ * `"Home"`, `"End"`, `"PageUp"`, `"PageDown"`, `"Insert"`, `"F1"` to `"F24"`, or a modifier key.
+ * @param modifiers The modifier keys to hold down while the key is pressed.
+ */
+export function sendKeyDown(component: ComponentHandle, key: string, modifiers: Modifier[] = []) {
+    const instance = private_api.component_instance(component);
+    modifiers.forEach((modifier) => instance.sendKeyPressed(modifier));
+    instance.sendKeyPressed(key);
+}
+
+/**
+ * Simulates releasing a key, followed by releasing the given modifier keys. See {@link sendKeyDown}.
+ */
+export function sendKeyUp(component: ComponentHandle, key: string, modifiers: Modifier[] = []) {
+    const instance = private_api.component_instance(component);
+    instance.sendKeyReleased(key);
+    [...modifiers].reverse().forEach((modifier) => instance.sendKeyReleased(modifier));
+}
+
+/**
+ * Simulates pressing and releasing a key while holding down the given modifier keys, for example a shortcut.
+ * See {@link sendKeyDown}.
+ *
+ * ```js
+ * sendKeyPress(component, "s", ["Control"]);
+ * ```
+ */
+export function sendKeyPress(component: ComponentHandle, key: string, modifiers: Modifier[] = []) {
+    sendKeyDown(component, key, modifiers);
+    sendKeyUp(component, key, modifiers);
+}
+
+/**
+ * Simulates the user requesting to close the window, for example with the close button of the title bar. The
+ * functions registered with `window.onCloseRequested()` are called, and the window is hidden unless one of them
+ * returns `false`.
+ */
+export function sendCloseRequest(component: ComponentHandle) {
+    private_api.component_instance(component).sendCloseRequested();
+}
+
+/**
+ * Options for {@link assertMatchesSnapshot}.
+ */
+export interface SnapshotOptions {
+    /**
+     * The largest difference of a color channel, in the range 0..255, for which a pixel is still considered equal to
+     * the pixel of the reference image. Defaults to 0.
+     */
+    tolerance?: number;
+
+    /**
+     * The physical size to render the window at. Defaults to the current physical size of the window.
+     */
+    size?: Size;
+
+    /**
+     * The path of the image that marks the differing pixels in red, written when the comparison fails.
+     * Defaults to the path of the reference image with the `.diff.png` extension.
+     */
+    diffPath?: string;
+}
+
+/**
+ * Renders the component's window with the software renderer and compares it with the reference PNG image at
+ * `referencePath`. If the reference image doesn't exist yet, the rendered image is written there instead and the
+ * assertion passes; commit it to use it in later test runs. Delete it to update the reference image.
+ *
+ * If the images differ, an image that marks the differing pixels is written to the {@link SnapshotOptions.diffPath}
+ * and an error is thrown.
+ *
+ * This function requires the [`jimp`](https://www.npmjs.com/package/jimp) package to be installed.
+ *
+ * ```js
+ * initTestingBackend();
+ * let component = new ui.MainWindow();
+ * await assertMatchesSnapshot(component, "test/golden/main-window.png", { size: { width: 320, height: 240 }, tolerance: 2 });
+ * ```
+ *
+ * @param component The component to render.
+ * @param referencePath The path of the reference PNG image.
+ * @param options Options for rendering and comparing the images.
+ * @throws {@link Error} if the rendered image differs from the reference image.
+ */
+export async function assertMatchesSnapshot(component: ComponentHandle, referencePath: string, options?: SnapshotOptions): Promise<void> {
+    let Jimp: typeof import("jimp");
+    try {
+        Jimp = require("jimp");
+    } catch (e) {
+        throw new Error("assertMatchesSnapshot() requires the jimp package, install it with `npm install --save-dev jimp`");
+    }
+
+    const snapshot = component.window.takeSnapshot(options?.size);
+    const actual = new Jimp({ data: Buffer.from(snapshot.data), width: snapshot.width, height: snapshot.height });
+
+    if (!fs.existsSync(referencePath)) {
+        fs.mkdirSync(path.dirname(referencePath), { recursive: true });
+        await actual.writeAsync(referencePath);
+        return;
+    }
+
+    const expected = await Jimp.read(referencePath);
+    const diffPath = options?.diffPath ?? referencePath.replace(/(\.png)?$/i, ".diff.png");
+
+    if (expected.bitmap.width !== actual.bitmap.width || expected.bitmap.height !== actual.bitmap.height) {
+        await actual.writeAsync(diffPath);
+        throw new Error(`The snapshot has the size ${actual.bitmap.width}x${actual.bitmap.height}, but the reference image ${referencePath} ` +
+            `has the size ${expected.bitmap.width}x${expected.bitmap.height}. The snapshot was written to ${diffPath}`);
+    }
+
+    const tolerance = options?.tolerance ?? 0;
+    const expectedData = expected.bitmap.data;
+    const actualData = actual.bitmap.data;
+    // The diff image shows the reference image faded out, with the differing pixels in red.
+    const diff = new Jimp(actual.bitmap.width, actual.bitmap.height);
+    const diffData = diff.bitmap.data;
+    let differingPixels = 0;
+
+    for (let offset = 0; offset < actualData.length; offset += 4) {
+        let differs = false;
+        for (let channel = 0; channel < 4; channel++) {
+            if (Math.abs(actualData[offset + channel] - expectedData[offset + channel]) > tolerance) {
+                differs = true;
+            }
+        }
+
+        if (differs) {
+            differingPixels++;
+            diffData.set([255, 0, 0, 255], offset);
+        } else {
+            const gray = (expectedData[offset] + expectedData[offset + 1] + expectedData[offset + 2]) / 3;
+            diffData.set([gray, gray, gray, 64], offset);
+        }
+    }
+
+    if (differingPixels > 0) {
+        await diff.writeAsync(diffPath);
+        throw new Error(`${differingPixels} of ${actualData.length / 4} pixels of the snapshot differ from the reference image ${referencePath} ` +
+            `by more than ${tolerance}. The differences were written to ${diffPath}`);
+    }
+}